@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+/**
+ * strato-assets command-line entry point, e.g. `strato-assets portfolio --owner alice --format csv`
+ */
+
+const { runCli } = require('../src/cli');
+
+runCli(process.argv.slice(2)).then((exitCode) => {
+    // Set rather than exit so buffered output to a pipe is flushed first
+    process.exitCode = exitCode;
+});
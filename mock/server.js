@@ -0,0 +1,527 @@
+/**
+ * Local stand-in for a STRATO node and its OAuth provider, serving fixture data so the
+ * application and the tests can run without a real node or Keycloak.
+ *
+ * - GET  /.well-known/openid-configuration - OpenID discovery document
+ * - GET  /protocol/openid-connect/auth     - authorization endpoint; signs in as `state.loginCommonName` without asking
+ * - POST /protocol/openid-connect/token    - client-credentials and authorization-code token endpoint
+ * - GET  /protocol/openid-connect/logout   - end-session endpoint
+ * - GET  /cirrus/search/<table>            - PostgREST-style queries over the fixture tables
+ * - POST /strato/v2.3/transaction          - accepts Asset `transfer` calls, which are mined on a later status check
+ * - POST /bloc/v2.2/transactions/results   - status of submitted transactions
+ *
+ * Run it with `npm run mock` and point credentials.yaml at it:
+ *
+ *   clientUrl: "http://127.0.0.1:8080"
+ *   openIdDiscoveryUrl: "http://127.0.0.1:8080/.well-known/openid-configuration"
+ *   clientId: "mock-client"
+ *   clientSecret: "mock-secret"
+ *   userCommonName: "alice"
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+const TABLE_FIXTURES = {
+    'BlockApps-Mercata-Asset': 'assets.json',
+    'BlockApps-Mercata-OracleService': 'oracle.json',
+    'BlockApps-Mercata-Asset.ItemTransfers': 'transfer-events.json',
+    'BlockApps-Mercata-Sale': 'sales.json'
+};
+
+const DEFAULT_CLIENT_ID = 'mock-client';
+const DEFAULT_CLIENT_SECRET = 'mock-secret';
+
+/**
+ * Reads the fixture tables from a directory
+ * @param {string} directory - Directory containing one JSON file per table
+ * @returns {Object} - Map of table name to rows
+ */
+const loadFixtures = (directory = FIXTURES_DIR) => Object.fromEntries(
+    Object.entries(TABLE_FIXTURES).map(([table, file]) => [
+        table,
+        JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'))
+    ])
+);
+
+/**
+ * Formats a time the way Cirrus reports block timestamps ("2025-04-10 12:34:56 UTC")
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} - The block timestamp
+ */
+const toBlockTimestamp = (time) => new Date(time).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+
+/**
+ * Resolves a fixture row for a response. Rows may give `ageMinutes` instead of a
+ * `block_timestamp`, so fixture prices stay fresh and transfer events keep their place
+ * among the oracle reports whenever the mock runs.
+ */
+const materializeRow = (row, now) => {
+    if (row.ageMinutes === undefined) {
+        return row;
+    }
+    const { ageMinutes, ...rest } = row;
+    return { ...rest, block_timestamp: toBlockTimestamp(now - ageMinutes * 60 * 1000) };
+};
+
+/**
+ * Encodes JSON as base64url, as in a JWT
+ */
+const toBase64Url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Issues a JWT access token carrying the given claims, signed with a key only the mock knows
+ * @param {Object} claims - Token claims
+ * @param {Buffer} key - HMAC signing key
+ * @returns {string} - The token
+ */
+const signToken = (claims, key) => {
+    const unsigned = `${toBase64Url({ alg: 'HS256', typ: 'JWT' })}.${toBase64Url(claims)}`;
+    return `${unsigned}.${crypto.createHmac('sha256', key).update(unsigned).digest('base64url')}`;
+};
+
+/**
+ * Compares two column values for PostgREST ordering; nulls sort last
+ */
+const compareValues = (a, b) => {
+    if (a === b) {
+        return 0;
+    }
+    if (a === undefined || a === null) {
+        return 1;
+    }
+    if (b === undefined || b === null) {
+        return -1;
+    }
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    return String(a).localeCompare(String(b));
+};
+
+/**
+ * Splits the values of a PostgREST `in.(...)` list, unquoting "quoted" values
+ * @param {string} list - The text between the parentheses
+ * @returns {Array<string>} - The values
+ */
+const parseListValues = (list) => {
+    const values = [];
+    const pattern = /\s*(?:"((?:[^"\\]|\\.)*)"|([^,]*))\s*(?:,|$)/gy;
+    let match;
+    while (pattern.lastIndex < list.length && (match = pattern.exec(list)) !== null) {
+        values.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2]);
+    }
+    return values;
+};
+
+/**
+ * Orders a row value against a filter operand, numerically when both are numbers, as the
+ * numeric columns of a real Cirrus table would be
+ * @param {*} value - The row's value
+ * @param {string} operand - The filter's value
+ * @returns {number} - Negative, zero or positive
+ */
+const compareOperand = (value, operand) => {
+    const isNumeric = (text) => /^-?\d+(\.\d+)?$/.test(String(text));
+    return isNumeric(value) && isNumeric(operand) ? Number(value) - Number(operand) : compareValues(String(value), operand);
+};
+
+/**
+ * Tests one row value against a PostgREST filter
+ * @param {*} value - The row's value
+ * @param {string} condition - e.g. "eq.alice", "gt.5", "in.(a,b)" or "like.*Gold*"
+ * @returns {boolean} - True if the row matches; unknown operators match everything
+ */
+const matchesCondition = (value, condition) => {
+    const [, operator, operand] = /^([a-z]+)\.(.*)$/s.exec(condition) || [];
+    switch (operator) {
+        case 'eq':
+            return String(value) === operand;
+        case 'gt':
+            return value !== undefined && value !== null && compareOperand(value, operand) > 0;
+        case 'lt':
+            return value !== undefined && value !== null && compareOperand(value, operand) < 0;
+        case 'in':
+            return /^\((.*)\)$/s.test(operand) && parseListValues(operand.slice(1, -1)).includes(String(value));
+        case 'like': {
+            const pattern = operand.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+            return new RegExp(`^${pattern}$`, 's').test(String(value));
+        }
+        default:
+            return true;
+    }
+};
+
+/**
+ * Applies the PostgREST query parameters Cirrus clients use: `eq.`, `gt.`, `lt.`, `in.(...)`
+ * and `like.` filters, several per column if repeated, `select`, `order`, `limit` and `offset`
+ * @param {Array<Object>} rows - The table rows
+ * @param {Object} query - The parsed query string
+ * @returns {Array<Object>} - The matching rows
+ */
+const queryRows = (rows, query) => {
+    const { select, order, limit, offset, ...filters } = query;
+
+    let result = rows.filter(row => Object.entries(filters).every(([column, conditions]) =>
+        (Array.isArray(conditions) ? conditions : [conditions]).every(condition => matchesCondition(row[column], String(condition)))
+    ));
+
+    if (order) {
+        const terms = String(order).split(',').map(term => {
+            const [column, direction = 'asc'] = term.split('.');
+            return { column, descending: direction === 'desc' };
+        });
+        result = [...result].sort((a, b) => {
+            for (const { column, descending } of terms) {
+                const difference = compareValues(a[column], b[column]);
+                if (difference !== 0) {
+                    return descending ? -difference : difference;
+                }
+            }
+            return 0;
+        });
+    }
+
+    const start = offset !== undefined ? parseInt(offset, 10) || 0 : 0;
+    const end = limit !== undefined ? start + (parseInt(limit, 10) || 0) : undefined;
+    result = result.slice(start, end);
+
+    if (select) {
+        const columns = String(select).split(',');
+        result = result.map(row => Object.fromEntries(
+            columns.filter(column => column in row).map(column => [column, row[column]])
+        ));
+    }
+
+    return result;
+};
+
+/**
+ * Creates the mock server
+ * @param {Object} [options] - Mock settings
+ * @param {Object} [options.tables] - Map of table name to rows; defaults to the files in mock/fixtures
+ * @param {string} [options.clientId] - The only client id the token endpoint accepts
+ * @param {string} [options.clientSecret] - The only client secret the token endpoint accepts
+ * @param {number} [options.tokenLifetimeSeconds] - Lifetime of issued access tokens
+ * @returns {Object} - The Express app, start/stop helpers, the discovery document and request counters for assertions
+ */
+const createMockServer = (options = {}) => {
+    const {
+        tables = loadFixtures(),
+        clientId = DEFAULT_CLIENT_ID,
+        clientSecret = DEFAULT_CLIENT_SECRET,
+        tokenLifetimeSeconds = 3600
+    } = options;
+
+    const state = {
+        tables,
+        tokenLifetimeSeconds,
+        issuedTokens: new Set(),
+        tokenRequests: 0,
+        // Set to an HTTP status to make the token endpoint fail with it
+        tokenFailureStatus: null,
+        cirrusRequests: [],
+        // Set to an HTTP status to make Cirrus requests fail with it
+        cirrusFailureStatus: null,
+        // How many requests fail with cirrusFailureStatus before the mock recovers; null for all of them
+        cirrusFailureCount: null,
+        // The user the authorization endpoint signs in
+        loginCommonName: 'alice',
+        authorizationCodes: new Map(),
+        logoutCount: 0,
+        // Transaction requests as received, and each transaction by hash
+        transactionRequests: [],
+        transactions: new Map(),
+        // Status checks a transaction stays pending for before it is mined
+        transactionPendingChecks: 1
+    };
+    const signingKey = crypto.randomBytes(32);
+
+    let server = null;
+    let baseUrl = null;
+
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+
+    /**
+     * The OpenID discovery document; there is no `jwks_uri` since tokens are not verified against keys
+     * @returns {Object} - The document
+     */
+    const getDiscoveryDocument = () => ({
+        issuer: baseUrl,
+        authorization_endpoint: `${baseUrl}/protocol/openid-connect/auth`,
+        token_endpoint: `${baseUrl}/protocol/openid-connect/token`,
+        end_session_endpoint: `${baseUrl}/protocol/openid-connect/logout`,
+        grant_types_supported: ['client_credentials', 'authorization_code', 'refresh_token'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post']
+    });
+
+    app.get('/.well-known/openid-configuration', (req, res) => {
+        res.json(getDiscoveryDocument());
+    });
+
+    app.get('/protocol/openid-connect/auth', (req, res) => {
+        const { client_id: requestClientId, redirect_uri: redirectUri, response_type: responseType, state: loginState } = req.query;
+        if (requestClientId !== clientId || responseType !== 'code' || !redirectUri) {
+            return res.status(400).json({ error: 'invalid_request' });
+        }
+
+        const code = crypto.randomBytes(16).toString('hex');
+        state.authorizationCodes.set(code, { commonName: state.loginCommonName, redirectUri });
+
+        const location = new URL(redirectUri);
+        location.searchParams.set('code', code);
+        if (loginState !== undefined) {
+            location.searchParams.set('state', loginState);
+        }
+        res.redirect(location.toString());
+    });
+
+    app.get('/protocol/openid-connect/logout', (req, res) => {
+        state.logoutCount += 1;
+        if (req.query.post_logout_redirect_uri) {
+            return res.redirect(req.query.post_logout_redirect_uri);
+        }
+        res.send('Logged out');
+    });
+
+    app.post('/protocol/openid-connect/token', (req, res) => {
+        state.tokenRequests += 1;
+        if (state.tokenFailureStatus) {
+            return res.status(state.tokenFailureStatus).json({ error: 'temporarily_unavailable' });
+        }
+
+        // Accept credentials by HTTP basic auth or in the form body
+        let id = req.body && req.body.client_id;
+        let secret = req.body && req.body.client_secret;
+        const authorization = req.get('authorization') || '';
+        if (authorization.startsWith('Basic ')) {
+            const decoded = Buffer.from(authorization.slice(6), 'base64').toString('utf8');
+            const separator = decoded.indexOf(':');
+            id = decodeURIComponent(decoded.slice(0, separator));
+            secret = decodeURIComponent(decoded.slice(separator + 1));
+        }
+
+        const grantType = req.body && req.body.grant_type;
+        if (grantType !== 'client_credentials' && grantType !== 'authorization_code') {
+            return res.status(400).json({ error: 'unsupported_grant_type' });
+        }
+        if (id !== clientId || secret !== clientSecret) {
+            return res.status(401).json({ error: 'invalid_client' });
+        }
+
+        if (grantType === 'authorization_code') {
+            // Codes are single-use and bound to the redirect URI they were issued for
+            const grant = state.authorizationCodes.get(req.body.code);
+            state.authorizationCodes.delete(req.body.code);
+            if (!grant || grant.redirectUri !== req.body.redirect_uri) {
+                return res.status(400).json({ error: 'invalid_grant' });
+            }
+
+            const issuedAt = Math.floor(Date.now() / 1000);
+            const userToken = signToken({
+                iss: baseUrl,
+                sub: crypto.createHash('sha256').update(grant.commonName).digest('hex').slice(0, 32),
+                azp: clientId,
+                preferred_username: grant.commonName,
+                email: `${grant.commonName.replace(/\s+/g, '.')}@example.com`,
+                iat: issuedAt,
+                exp: issuedAt + state.tokenLifetimeSeconds
+            }, signingKey);
+            state.issuedTokens.add(userToken);
+            return res.json({
+                access_token: userToken,
+                id_token: userToken,
+                token_type: 'Bearer',
+                expires_in: state.tokenLifetimeSeconds
+            });
+        }
+
+        const accessToken = crypto.randomBytes(16).toString('hex');
+        state.issuedTokens.add(accessToken);
+        res.json({
+            access_token: accessToken,
+            token_type: 'Bearer',
+            expires_in: state.tokenLifetimeSeconds
+        });
+    });
+
+    /**
+     * Records a Cirrus request and answers it with 401 without a valid token, or with the
+     * configured failure status
+     * @returns {boolean} - True if a response was sent
+     */
+    const rejectCirrusRequest = (req, res, table) => {
+        state.cirrusRequests.push({ table, query: { ...req.query }, requestId: req.get('x-request-id') || null });
+
+        const authorization = req.get('authorization') || '';
+        if (!authorization.startsWith('Bearer ') || !state.issuedTokens.has(authorization.slice(7))) {
+            res.status(401).json({ message: 'Unauthorized' });
+            return true;
+        }
+        if (state.cirrusFailureStatus && state.cirrusFailureCount !== 0) {
+            if (state.cirrusFailureCount !== null) {
+                state.cirrusFailureCount -= 1;
+            }
+            res.status(state.cirrusFailureStatus).json({ message: 'Mock failure' });
+            return true;
+        }
+        return false;
+    };
+
+    // PostgREST describes its tables in an OpenAPI document at the root
+    app.get('/cirrus/search/', (req, res) => {
+        if (rejectCirrusRequest(req, res, null)) {
+            return;
+        }
+        res.json({
+            swagger: '2.0',
+            paths: Object.fromEntries([['/', {}], ...Object.keys(state.tables).map(table => [`/${table}`, {}])])
+        });
+    });
+
+    app.get('/cirrus/search/:table', (req, res) => {
+        if (rejectCirrusRequest(req, res, req.params.table)) {
+            return;
+        }
+
+        const rows = state.tables[req.params.table];
+        if (!rows) {
+            return res.status(404).json({ message: `Unknown table ${req.params.table}` });
+        }
+
+        const now = Date.now();
+        res.json(queryRows(rows.map(row => materializeRow(row, now)), req.query));
+    });
+
+    /**
+     * Mines a transfer call against the asset table: the quantity moves to a new token owned by
+     * the recipient and an ItemTransfers event is recorded, as the Mercata Asset contract does
+     * @param {Object} payload - The call's payload
+     * @returns {{status: string, txResult: Object}} - The outcome
+     */
+    const mineTransfer = (payload) => {
+        const rows = state.tables['BlockApps-Mercata-Asset'];
+        const token = rows.find(row => row.address === payload.contractAddress);
+        const quantity = BigInt(payload.args.quantity);
+        if (payload.method !== 'transfer' || !token) {
+            return { status: 'Failure', txResult: { message: `No transfer method on ${payload.contractAddress}` } };
+        }
+        if (quantity <= 0n || quantity > BigInt(token.quantity)) {
+            return { status: 'Failure', txResult: { message: 'Insufficient quantity' } };
+        }
+
+        token.quantity = (BigInt(token.quantity) - quantity).toString();
+        rows.push({
+            ...token,
+            address: crypto.randomBytes(20).toString('hex'),
+            quantity: quantity.toString(),
+            ownerCommonName: payload.args.newOwner
+        });
+        const now = Date.now();
+        (state.tables['BlockApps-Mercata-Asset.ItemTransfers'] || []).push({
+            address: token.address,
+            assetName: token.name,
+            oldOwnerCommonName: token.ownerCommonName,
+            newOwnerCommonName: payload.args.newOwner,
+            quantity: quantity.toString(),
+            price: '0',
+            transferDate: Math.floor(now / 1000),
+            block_timestamp: toBlockTimestamp(now)
+        });
+        return { status: 'Success', txResult: { message: 'Success!' } };
+    };
+
+    const isAuthorized = (req) => {
+        const authorization = req.get('authorization') || '';
+        return authorization.startsWith('Bearer ') && state.issuedTokens.has(authorization.slice(7));
+    };
+
+    // Quantities are sent as plain JSON integers beyond Number precision; keep them exact
+    app.post('/strato/v2.3/transaction', express.text({ type: '*/*' }), (req, res) => {
+        if (!isAuthorized(req)) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
+        const body = JSON.parse(req.body.replace(/("quantity":)(\d+)/g, '$1"$2"'));
+        state.transactionRequests.push({ query: { ...req.query }, body });
+
+        res.json(body.txs.map(({ payload }) => {
+            const hash = crypto.randomBytes(32).toString('hex');
+            state.transactions.set(hash, { payload, checks: 0, result: null });
+            return { status: 'Pending', hash };
+        }));
+    });
+
+    app.post('/bloc/v2.2/transactions/results', express.json(), (req, res) => {
+        if (!isAuthorized(req)) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
+        res.json(req.body.map(hash => {
+            const transaction = state.transactions.get(hash);
+            if (!transaction) {
+                return { status: 'Failure', hash, txResult: { message: 'Unknown transaction' } };
+            }
+            transaction.checks += 1;
+            if (!transaction.result && transaction.checks > state.transactionPendingChecks) {
+                transaction.result = mineTransfer(transaction.payload);
+            }
+            return transaction.result ? { hash, ...transaction.result } : { status: 'Pending', hash };
+        }));
+    });
+
+    /**
+     * Starts listening
+     * @param {number} [port] - Port to listen on; 0 picks a free one
+     * @returns {Promise<string>} - The base URL of the mock
+     */
+    const start = (port = 0) => new Promise((resolve, reject) => {
+        server = app.listen(port, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            resolve(baseUrl);
+        });
+        server.once('error', reject);
+    });
+
+    const stop = () => new Promise((resolve) => {
+        if (!server) {
+            return resolve();
+        }
+        server.close(() => resolve());
+        server.closeAllConnections();
+        server = null;
+    });
+
+    /**
+     * Settings for credentials.yaml that point the application at this mock
+     * @param {Object} [overrides] - Settings to replace
+     * @returns {Object} - The credentials
+     */
+    const getCredentials = (overrides = {}) => ({
+        clientUrl: baseUrl,
+        openIdDiscoveryUrl: `${baseUrl}/.well-known/openid-configuration`,
+        clientId,
+        clientSecret,
+        userCommonName: 'alice',
+        ...overrides
+    });
+
+    return { app, state, start, stop, getCredentials, getDiscoveryDocument, getUrl: () => baseUrl };
+};
+
+module.exports = {
+    loadFixtures,
+    queryRows,
+    createMockServer
+};
+
+if (require.main === module) {
+    const port = parseInt(process.env.PORT || '8080', 10);
+    createMockServer().start(port).then((url) => {
+        console.log(`Mock STRATO node listening at ${url}`);
+        console.log(`Client id "${DEFAULT_CLIENT_ID}", secret "${DEFAULT_CLIENT_SECRET}"`);
+    });
+}
@@ -0,0 +1,552 @@
+/**
+ * Alert rules: conditions on an owner's holdings and on oracle prices, evaluated on a schedule.
+ * Rules and the webhooks they notify are read from a YAML file; firings are appended to a JSONL
+ * file and posted to the webhooks.
+ *
+ * Condition rules (value drops, price thresholds, stale prices) fire once when the condition
+ * starts to hold and again only after it has cleared. "tokenReceived" fires whenever tokens
+ * appear that the previous evaluation had not seen.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const { parseDecimal, compare, add, formatDecimal } = require('./decimal');
+const { computeChange } = require('./history');
+const { validateCommonName } = require('./owners');
+
+const ALLOWED_TOP_LEVEL_KEYS = ['webhooks', 'rules'];
+const WEBHOOK_FIELDS = ['url', 'secret', 'secretEnv', 'retries'];
+const COMMON_RULE_FIELDS = ['name', 'type', 'owner', 'webhooks'];
+const DEFAULT_WEBHOOK_RETRIES = 3;
+const MAX_WEBHOOK_RETRIES = 10;
+
+const DURATION_UNITS_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Raised when the alert rules file cannot be read or does not pass validation
+ */
+class AlertRulesError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+        this.name = 'AlertRulesError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Parses a duration such as "30m", "24h" or "7d"
+ * @param {*} value - The duration
+ * @returns {number|null} - Milliseconds, or null if it is not a valid duration
+ */
+const parseDuration = (value) => {
+    const match = /^(\d+)\s*([mhd])$/.exec(String(value).trim());
+    return match && Number(match[1]) > 0 ? Number(match[1]) * DURATION_UNITS_MS[match[2]] : null;
+};
+
+const formatMoney = (value) => `$${formatDecimal(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+// ==========================================
+// Rule types
+// ==========================================
+
+/**
+ * Validates a required asset name field
+ * @returns {string|null} - A problem, or null
+ */
+const checkAsset = (rule) => {
+    return typeof rule.asset === 'string' && rule.asset.trim() !== '' ? null : 'asset must be an asset name, e.g. ETHST';
+};
+
+/**
+ * Builds the rule type for a price threshold
+ * @param {number} direction - -1 for "below", 1 for "above"
+ * @returns {Object} - The rule type
+ */
+const priceThreshold = (direction) => ({
+    fields: ['asset', 'price'],
+    latched: true,
+    validate: (rule) => {
+        const problems = [checkAsset(rule)];
+        const price = parseDecimal(String(rule.price));
+        problems.push(rule.price === undefined || !price || price.units < 0n ? 'price must be a non-negative decimal' : null);
+        return problems;
+    },
+    normalize: (rule) => ({ asset: rule.asset.trim(), price: String(rule.price) }),
+    evaluate: (rule, { latestPrices }) => {
+        const current = latestPrices[rule.asset];
+        if (!current) {
+            return { triggered: false };
+        }
+        const triggered = compare(parseDecimal(current), parseDecimal(rule.price)) * direction > 0;
+        return {
+            triggered,
+            message: `${rule.asset} price ${current} is ${direction < 0 ? 'below' : 'above'} ${rule.price}`,
+            details: { asset: rule.asset, price: current, threshold: rule.price }
+        };
+    }
+});
+
+// Each rule type: its own fields, how to validate and normalize them, and how to evaluate it
+const RULE_TYPES = {
+    // Total (firm) value fell by `percent` or more compared with the snapshot from `window` ago
+    totalValueDrop: {
+        fields: ['percent', 'window'],
+        latched: true,
+        // Needs scheduled snapshots of its owner to compare against
+        usesHistory: true,
+        validate: (rule) => [
+            typeof rule.percent === 'number' && rule.percent > 0 && rule.percent <= 100 ? null : 'percent must be a number above 0 and at most 100',
+            rule.window === undefined || parseDuration(rule.window) ? null : 'window must be a duration such as "30m", "24h" or "7d"'
+        ],
+        normalize: (rule) => ({ percent: rule.percent, window: rule.window === undefined ? '24h' : String(rule.window) }),
+        evaluate: (rule, { portfolio, snapshots, now }) => {
+            const windowStart = new Date(now - parseDuration(rule.window)).toISOString();
+            const reference = snapshots.filter(({ takenAt }) => takenAt <= windowStart).pop();
+            if (!reference) {
+                // Not enough history yet
+                return { triggered: false };
+            }
+            // Firm and estimated value together, so a price going stale or disputed moves value
+            // from one to the other without looking like a drop
+            const previous = add(parseDecimal(reference.totals.fungibleValue), parseDecimal(reference.totals.estimatedValue || '0'));
+            const current = add(portfolio.totals.fungible.value, portfolio.totals.estimated.value);
+            const { percent } = computeChange(previous.toJSON(), current.toJSON());
+            const triggered = percent !== null && compare(parseDecimal(percent), parseDecimal(`-${rule.percent}`)) <= 0;
+            return {
+                triggered,
+                message: `Total value of ${portfolio.owner} changed ${percent}% in ${rule.window}, from ${formatMoney(previous)} to ${formatMoney(current)}`,
+                details: { from: previous.toJSON(), to: current.toJSON(), percent, snapshotId: reference.id }
+            };
+        }
+    },
+
+    // Tokens appeared that the previous evaluation had not seen; optionally only of one asset
+    tokenReceived: {
+        fields: ['asset'],
+        latched: false,
+        validate: (rule) => [rule.asset === undefined ? null : checkAsset(rule)],
+        normalize: (rule) => (rule.asset === undefined ? {} : { asset: rule.asset.trim() }),
+        evaluate: (rule, { portfolio }, memory) => {
+            const tokens = portfolio.assets
+                .filter(asset => rule.asset === undefined || asset.name === rule.asset)
+                .flatMap(asset => asset.tokens.map(token => ({ address: token.address, asset: asset.name })));
+            const known = memory.knownTokens;
+            memory.knownTokens = new Set(tokens.map(({ address }) => address));
+
+            // The first evaluation only learns what is already held
+            const received = known ? tokens.filter(({ address }) => !known.has(address)) : [];
+            return {
+                triggered: received.length > 0,
+                message: `${portfolio.owner} received ${received.length} new token${received.length !== 1 ? 's' : ''}: ${[...new Set(received.map(({ asset }) => asset))].join(', ')}`,
+                details: { tokens: received }
+            };
+        }
+    },
+
+    priceBelow: priceThreshold(-1),
+    priceAbove: priceThreshold(1),
+
+    // The oracle price of an asset (or of any held asset) is stale or missing
+    oracleStale: {
+        fields: ['asset'],
+        latched: true,
+        validate: (rule) => [rule.asset === undefined ? null : checkAsset(rule)],
+        normalize: (rule) => (rule.asset === undefined ? {} : { asset: rule.asset.trim() }),
+        evaluate: (rule, { portfolio, priceDetails }) => {
+            const stale = rule.asset !== undefined ?
+                (!priceDetails[rule.asset] || priceDetails[rule.asset].stale ? [rule.asset] : []) :
+                portfolio.assets.filter(({ priceInfo }) => priceInfo && priceInfo.stale).map(({ name }) => name);
+            return {
+                triggered: stale.length > 0,
+                message: `Oracle price${stale.length !== 1 ? 's' : ''} stale or missing for ${stale.join(', ')}`,
+                details: {
+                    assets: stale.map(name => ({ asset: name, updatedAt: priceDetails[name] ? priceDetails[name].updatedAt : null }))
+                }
+            };
+        }
+    }
+};
+
+// ==========================================
+// Rules file
+// ==========================================
+
+/**
+ * Validates a parsed alert rules document and normalizes it
+ * @param {Object} document - The parsed YAML document
+ * @param {Object} [env] - Environment the `secretEnv` of webhooks is read from
+ * @returns {{webhooks: Object, rules: Array<Object>}} - Webhooks by name, and the rules
+ * @throws {AlertRulesError} If anything is invalid; every problem is listed
+ */
+const validateAlertRules = (document, env = process.env) => {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        throw new AlertRulesError('Alert rules must be a mapping with a "rules" key');
+    }
+    const problems = [];
+
+    Object.keys(document)
+        .filter(key => !ALLOWED_TOP_LEVEL_KEYS.includes(key))
+        .forEach(key => problems.push(`unknown top-level key "${key}"`));
+
+    const webhooks = {};
+    const webhookSettings = document.webhooks || {};
+    if (typeof webhookSettings !== 'object' || Array.isArray(webhookSettings)) {
+        throw new AlertRulesError('Alert rules "webhooks" must be a mapping of webhook name to settings');
+    }
+    Object.entries(webhookSettings).forEach(([name, settings]) => {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            problems.push(`webhook ${name}: settings must be a mapping`);
+            return;
+        }
+        Object.keys(settings)
+            .filter(field => !WEBHOOK_FIELDS.includes(field))
+            .forEach(field => problems.push(`webhook ${name}: unknown field "${field}"`));
+
+        let url = null;
+        try {
+            url = new URL(settings.url);
+        } catch (error) {
+            // Reported below
+        }
+        if (!url || !['http:', 'https:'].includes(url.protocol)) {
+            problems.push(`webhook ${name}: url must be an http or https URL`);
+        }
+
+        // Secrets are better kept out of the file, in the variable named by secretEnv
+        const secret = settings.secretEnv !== undefined ? env[settings.secretEnv] : settings.secret;
+        if (settings.secret !== undefined && settings.secretEnv !== undefined) {
+            problems.push(`webhook ${name}: secret and secretEnv cannot both be set`);
+        } else if (typeof secret !== 'string' || secret.length < 16) {
+            problems.push(settings.secretEnv !== undefined ?
+                `webhook ${name}: environment variable ${settings.secretEnv} must hold a secret of at least 16 characters` :
+                `webhook ${name}: secret (or secretEnv) must be at least 16 characters long`);
+        }
+
+        const retries = settings.retries === undefined ? DEFAULT_WEBHOOK_RETRIES : settings.retries;
+        if (!Number.isInteger(retries) || retries < 0 || retries > MAX_WEBHOOK_RETRIES) {
+            problems.push(`webhook ${name}: retries must be an integer between 0 and ${MAX_WEBHOOK_RETRIES}`);
+        }
+
+        webhooks[name] = { name, url: settings.url, secret, retries };
+    });
+
+    if (!Array.isArray(document.rules)) {
+        throw new AlertRulesError('Alert rules "rules" must be a list of rules', problems);
+    }
+
+    const names = new Set();
+    const rules = [];
+    document.rules.forEach((rule, index) => {
+        const label = rule && typeof rule.name === 'string' ? `rule ${rule.name}` : `rules[${index}]`;
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            problems.push(`${label}: must be a mapping`);
+            return;
+        }
+        if (typeof rule.name !== 'string' || rule.name.trim() === '') {
+            problems.push(`${label}: name is required`);
+        } else if (names.has(rule.name)) {
+            problems.push(`${label}: the name is used by another rule`);
+        }
+        names.add(rule.name);
+
+        const type = RULE_TYPES[rule.type];
+        if (!type) {
+            problems.push(`${label}: type must be one of ${Object.keys(RULE_TYPES).join(', ')}`);
+            return;
+        }
+        Object.keys(rule)
+            .filter(field => !COMMON_RULE_FIELDS.includes(field) && !type.fields.includes(field))
+            .forEach(field => problems.push(`${label}: unknown field "${field}" for type ${rule.type}`));
+        type.validate(rule).filter(Boolean).forEach(problem => problems.push(`${label}: ${problem}`));
+
+        let owner = null;
+        if (rule.owner !== undefined) {
+            try {
+                owner = validateCommonName(rule.owner);
+            } catch (error) {
+                problems.push(`${label}: owner ${error.message}`);
+            }
+        }
+
+        const ruleWebhooks = rule.webhooks === undefined ? Object.keys(webhooks) : rule.webhooks;
+        if (!Array.isArray(ruleWebhooks)) {
+            problems.push(`${label}: webhooks must be a list of webhook names`);
+        } else {
+            ruleWebhooks
+                .filter(name => !Object.prototype.hasOwnProperty.call(webhookSettings, name))
+                .forEach(name => problems.push(`${label}: unknown webhook "${name}"`));
+        }
+
+        if (problems.length === 0) {
+            rules.push({ name: rule.name, type: rule.type, owner, webhooks: ruleWebhooks, ...type.normalize(rule) });
+        }
+    });
+
+    if (problems.length > 0) {
+        throw new AlertRulesError('Invalid alert rules', problems);
+    }
+    return { webhooks, rules };
+};
+
+/**
+ * Reads and validates an alert rules file
+ * @param {string} filePath - Path to the YAML file
+ * @param {Object} [env] - Environment the `secretEnv` of webhooks is read from
+ * @returns {{webhooks: Object, rules: Array<Object>}} - The validated rules
+ * @throws {AlertRulesError} If the file is missing, unparsable or invalid
+ */
+const loadAlertRules = (filePath, env = process.env) => {
+    let document;
+    try {
+        document = yaml.load(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new AlertRulesError(`Failed to read alert rules ${filePath}: ${error.message}`);
+    }
+    return validateAlertRules(document, env);
+};
+
+/**
+ * Describes a rule's condition for people
+ * @param {Object} rule - A validated rule
+ * @returns {string} - e.g. "ETHST price below 1800"
+ */
+const describeRule = (rule) => {
+    switch (rule.type) {
+    case 'totalValueDrop':
+        return `Total value drops ${rule.percent}% or more in ${rule.window}`;
+    case 'tokenReceived':
+        return rule.asset ? `New ${rule.asset} token received` : 'New token received';
+    case 'priceBelow':
+        return `${rule.asset} price below ${rule.price}`;
+    case 'priceAbove':
+        return `${rule.asset} price above ${rule.price}`;
+    default:
+        return rule.asset ? `Oracle price for ${rule.asset} stale` : 'Oracle price of a held asset stale';
+    }
+};
+
+// ==========================================
+// Firings
+// ==========================================
+
+/**
+ * Creates a store of alert firings backed by a JSONL file. Firings and the outcome of each
+ * webhook delivery are separate lines, so a firing is recorded before it is delivered.
+ * @param {string} filePath - Path to the JSONL file; its directory is created if needed
+ * @param {Object} [logger] - Where unreadable lines are reported; needs `error`
+ * @returns {{filePath: string, append: Function, recordDelivery: Function, list: Function}} - The store
+ */
+const createFiringStore = (filePath, logger = console) => {
+    const appendLine = async (record) => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, `${JSON.stringify(record)}\n`, 'utf8');
+    };
+
+    /**
+     * @param {Object} firing - The firing to save
+     * @returns {Promise<Object>} - The saved firing
+     */
+    const append = async (firing) => {
+        await appendLine({ kind: 'firing', ...firing });
+        return firing;
+    };
+
+    /**
+     * @param {string} firingId - The firing delivered
+     * @param {Object} delivery - The outcome from the webhook sender
+     */
+    const recordDelivery = (firingId, delivery) => appendLine({ kind: 'delivery', firingId, ...delivery });
+
+    /**
+     * Reads the latest firings, newest first, each with its deliveries
+     * @param {Object} [filter] - Optional filters
+     * @param {string} [filter.owner] - Only firings for this owner
+     * @param {number} [filter.limit] - At most this many firings
+     * @returns {Promise<Array<Object>>} - The firings
+     */
+    const list = async ({ owner, limit = 100 } = {}) => {
+        let content;
+        try {
+            content = await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const firings = new Map();
+        content.split('\n').forEach((line, index) => {
+            if (line.trim() === '') {
+                return;
+            }
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                logger.error('Skipping unreadable alert record', { file: filePath, line: index + 1, error: error.message });
+                return;
+            }
+            const { kind, firingId, ...fields } = record;
+            if (kind === 'firing') {
+                firings.set(fields.id, { ...fields, deliveries: [] });
+            } else if (kind === 'delivery' && firings.has(firingId)) {
+                firings.get(firingId).deliveries.push(fields);
+            }
+        });
+
+        // Newest first; firings recorded in the same millisecond stay in reverse file order
+        return [...firings.values()]
+            .reverse()
+            .filter(firing => owner === undefined || firing.owner === owner)
+            .sort((a, b) => b.firedAt.localeCompare(a.firedAt))
+            .slice(0, limit);
+    };
+
+    return { filePath, append, recordDelivery, list };
+};
+
+// ==========================================
+// Evaluation
+// ==========================================
+
+/**
+ * Creates the alert engine
+ * @param {Object} options - Engine dependencies
+ * @param {{webhooks: Object, rules: Array<Object>}} options.alertRules - Rules from loadAlertRules
+ * @param {string} options.defaultOwner - Owner of rules that do not name one
+ * @param {Function} options.loadOwnerData - Resolves to {portfolio, latestPrices, priceDetails} for an owner
+ * @param {Object} options.snapshotStore - Portfolio history, for value changes over time
+ * @param {Object} options.firingStore - Where firings are recorded
+ * @param {Object} options.sender - Webhook sender from createWebhookSender
+ * @param {Object} [options.logger] - Where failures go; needs `log` and `error`
+ * @param {Function} [options.now] - Clock, in milliseconds
+ * @returns {{evaluate: Function, getRules: Function, getStatus: Function, getHistoryOwners: Function}} - The engine
+ */
+const createAlertEngine = (options) => {
+    const {
+        alertRules,
+        defaultOwner,
+        loadOwnerData,
+        snapshotStore,
+        firingStore,
+        sender,
+        logger = console,
+        now = () => Date.now()
+    } = options;
+
+    const rules = alertRules.rules.map(rule => ({ ...rule, owner: rule.owner || defaultOwner }));
+    // Per rule: whether its condition held at the last evaluation, and what the rule type remembers
+    const memory = new Map(rules.map(rule => [rule.name, { active: false }]));
+    let running = null;
+    let lastEvaluatedAt = null;
+    let lastErrors = [];
+
+    /**
+     * Records a firing and posts it to the rule's webhooks
+     * @returns {Promise<Object>} - The firing with its deliveries
+     */
+    const fire = async (rule, { message, details }) => {
+        const firing = {
+            id: crypto.randomUUID(),
+            rule: rule.name,
+            type: rule.type,
+            owner: rule.owner,
+            firedAt: new Date(now()).toISOString(),
+            message,
+            details
+        };
+        await firingStore.append(firing);
+        logger.log('Alert fired', { rule: rule.name, owner: rule.owner, message });
+
+        const deliveries = await Promise.all(rule.webhooks.map(async (name) => {
+            const delivery = await sender.deliver(alertRules.webhooks[name], firing);
+            await firingStore.recordDelivery(firing.id, delivery);
+            return delivery;
+        }));
+        return { ...firing, deliveries };
+    };
+
+    /**
+     * Evaluates the rules of one owner
+     * @returns {Promise<Array<Object>>} - The firings
+     */
+    const evaluateOwner = async (owner, ownerRules) => {
+        const data = { ...(await loadOwnerData(owner)), snapshots: await snapshotStore.list({ owner }), now: now() };
+        const firings = [];
+        for (const rule of ownerRules) {
+            const type = RULE_TYPES[rule.type];
+            const ruleMemory = memory.get(rule.name);
+            const result = type.evaluate(rule, data, ruleMemory);
+            const fires = result.triggered && !(type.latched && ruleMemory.active);
+            if (fires) {
+                firings.push(await fire(rule, result));
+            }
+            // Only once fired, so a firing that could not be recorded is tried again next time
+            ruleMemory.active = result.triggered;
+        }
+        return firings;
+    };
+
+    /**
+     * Evaluates every rule. Owners whose data cannot be fetched are skipped, so an outage never
+     * fires or clears an alert. Overlapping calls share one evaluation.
+     * @returns {Promise<Array<Object>>} - The firings, each with its webhook deliveries
+     */
+    const evaluate = () => {
+        if (!running) {
+            running = (async () => {
+                const owners = [...new Set(rules.map(({ owner }) => owner))];
+                const errors = [];
+                const firings = [];
+                for (const owner of owners) {
+                    try {
+                        firings.push(...await evaluateOwner(owner, rules.filter(rule => rule.owner === owner)));
+                    } catch (error) {
+                        logger.error('Failed to evaluate alerts', { owner, error: error.message });
+                        errors.push({ owner, error: error.message });
+                    }
+                }
+                lastEvaluatedAt = new Date(now()).toISOString();
+                lastErrors = errors;
+                return firings;
+            })().finally(() => {
+                running = null;
+            });
+        }
+        return running;
+    };
+
+    /**
+     * Reports the rules and their current state, without webhook secrets
+     * @returns {Array<Object>} - The rules
+     */
+    const getRules = () => rules.map(rule => ({
+        ...rule,
+        description: describeRule(rule),
+        active: memory.get(rule.name).active
+    }));
+
+    const getStatus = () => ({ lastEvaluatedAt, errors: lastErrors });
+
+    /**
+     * Lists the owners whose rules compare against portfolio history, so they need snapshots
+     * @returns {Array<string>} - The owners
+     */
+    const getHistoryOwners = () => [...new Set(rules.filter(rule => RULE_TYPES[rule.type].usesHistory).map(({ owner }) => owner))];
+
+    return { evaluate, getRules, getStatus, getHistoryOwners };
+};
+
+module.exports = {
+    RULE_TYPES,
+    AlertRulesError,
+    parseDuration,
+    validateAlertRules,
+    loadAlertRules,
+    describeRule,
+    createFiringStore,
+    createAlertEngine
+};
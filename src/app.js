@@ -0,0 +1,1601 @@
+/**
+ * The Express application: portfolio pages, the JSON API, exports and portfolio history.
+ * Created by a factory so the server and the tests can each supply their own configuration.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { buildPortfolio, buildMultiOwnerPortfolio, valueTokens, sumTotals } = require('./portfolio');
+const { createStratoClient, isUpstreamFailure, isAuthenticationFailure, describeUpstreamFailure } = require('./strato');
+const { buildExport, toCsv, toCsvLines, toJsonExport, toXlsx, getExportFileName } = require('./export');
+const { createSnapshot, diffSnapshots, computePeriodChanges } = require('./history');
+const { UnknownProfileError, parseProfileList } = require('./config');
+const { ForbiddenOwnerError, createAuthentication, createExpiringStore, getSafeReturnPath } = require('./auth');
+const { combineFreshness } = require('./cache');
+const { createLiveUpdates } = require('./live');
+const { createAlertEngine } = require('./alerts');
+const { createWebhookSender } = require('./webhooks');
+const { TRANSFER_STATUSES, TransferError, buildTransferPreview, createTransferService } = require('./transfers');
+const { InvalidCostBasisMethodError, validateCostBasisMethod, buildProfitAndLoss, serializeProfitAndLoss } = require('./pnl');
+const { isNonFungible, getItemMetadata, applyNftValuations, getNonFungibleOrigins } = require('./nft');
+const { InvalidQueryError, toCirrusPath } = require('./cirrusQuery');
+const { MAX_EXPLORE_DOWNLOAD_ROWS, parseExploreRequest, toExploreQuery, getResultColumns, formatCell } = require('./explore');
+const { InvalidOwnerError, validateCommonName, parseOwnerList } = require('./owners');
+const { REQUEST_ID_HEADER, runWithRequestId, resolveRequestId } = require('./logger');
+const { createMetricsRegistry } = require('./metrics');
+const { CIRCUIT_STATES } = require('./resilience');
+const { toDecimalString } = require('./decimal');
+const {
+    renderLiveView,
+    renderPortfolioPage,
+    renderMultiOwnerPage,
+    renderMultiNodePage,
+    renderAssetDetailPage,
+    renderHistoryPage,
+    renderAlertsPage,
+    renderTransferPreviewPage,
+    renderTransferPage,
+    renderTransfersPage,
+    renderNftGalleryPage,
+    renderExplorePage,
+    renderErrorPage
+} = require('./views');
+
+// How long a transfer preview can be confirmed
+const TRANSFER_CONFIRMATION_MINUTES = 15;
+
+// What each upstream state means to someone looking at the page
+const UPSTREAM_STATE_DESCRIPTIONS = {
+    unavailable: 'The STRATO node is unavailable.',
+    timeout: 'The STRATO node did not respond in time.',
+    circuit_open: 'The STRATO node has been failing, so requests to it are paused.',
+    authentication_failed: 'Authentication with the STRATO node failed.'
+};
+
+/**
+ * Sends the status for a failed upstream request, with Retry-After while the circuit is open
+ * @param {Response} res - The Express response
+ * @param {Error} error - The underlying error
+ * @returns {string} - The upstream state
+ */
+const setUpstreamStatus = (res, error) => {
+    const { state, status, retryAfterSeconds } = describeUpstreamFailure(error);
+    if (retryAfterSeconds) {
+        res.set('Retry-After', String(retryAfterSeconds));
+    }
+    res.status(status);
+    return state;
+};
+
+/**
+ * Sends a JSON error response for a failed upstream request
+ * @param {Response} res - The Express response
+ * @param {string} message - Description of what failed
+ * @param {Error} error - The underlying error
+ */
+const sendApiError = (res, message, error) => {
+    const upstream = setUpstreamStatus(res, error);
+    res.json({
+        error: message,
+        upstream,
+        details: error.message
+    });
+};
+
+/**
+ * Sends an HTML page for a failed upstream request, so an outage never looks like an empty portfolio
+ * @param {Response} res - The Express response
+ * @param {string} message - Description of what failed
+ * @param {Error} error - The underlying error
+ */
+const sendUpstreamErrorPage = (res, message, error) => {
+    const upstream = setUpstreamStatus(res, error);
+    res.send(renderErrorPage(res.statusCode, `${UPSTREAM_STATE_DESCRIPTIONS[upstream]} ${message}: ${error.message}`));
+};
+
+/**
+ * Maps an exception onto an HTTP status: 400 for invalid owner, transfer, P&L or query input, 403 for another
+ * visitor's portfolio, 404 for unknown profiles and 500 otherwise
+ * @param {Error} error - The error to report
+ * @returns {number} - The HTTP status
+ */
+const getExceptionStatus = (error) => {
+    if (error instanceof InvalidOwnerError || error instanceof TransferError || error instanceof InvalidCostBasisMethodError || error instanceof InvalidQueryError) {
+        return 400;
+    }
+    if (error instanceof ForbiddenOwnerError) {
+        return 403;
+    }
+    return error instanceof UnknownProfileError ? 404 : 500;
+};
+
+/**
+ * Sends an HTML error page with the status from getExceptionStatus
+ * @param {Response} res - The Express response
+ * @param {Error} error - The error to report
+ */
+const sendErrorPage = (res, error) => {
+    if (isUpstreamFailure(error)) {
+        return sendUpstreamErrorPage(res, 'Request to the STRATO node failed', error);
+    }
+    const status = getExceptionStatus(error);
+    res.status(status).send(renderErrorPage(status, `Error: ${error.message}`));
+};
+
+/**
+ * Sends a JSON error for an exception thrown while handling an API request
+ * @param {Response} res - The Express response
+ * @param {string} message - Description of what failed
+ * @param {Error} error - The error to report
+ */
+const sendApiException = (res, message, error) => {
+    if (isUpstreamFailure(error)) {
+        return sendApiError(res, message, error);
+    }
+    const status = getExceptionStatus(error);
+    if (status !== 500) {
+        return res.status(status).json({ error: error.message });
+    }
+    res.status(500).json({ error: message, details: error.message });
+};
+
+/**
+ * Sets ETag and Last-Modified from when the cached data behind a response was fetched, and
+ * answers 304 if the client already has this version, so nothing needs to be rendered
+ * @param {Request} req - The Express request
+ * @param {Response} res - The Express response
+ * @param {Array<{fetchedAt: number, lastFetchedAt: number|undefined, stale: boolean}>} sources - Freshness of each query, or combined group of queries, the response is built from
+ * @returns {boolean} - True if a 304 was sent
+ */
+const sendNotModified = (req, res, sources) => {
+    // The same data gives a different response per URL (owner, format) and per visitor
+    const version = crypto.createHash('sha256')
+        .update(JSON.stringify([req.originalUrl, req.visitor ? req.visitor.commonName : null, sources.map(({ fetchedAt, lastFetchedAt }) => [fetchedAt, lastFetchedAt])]))
+        .digest('base64url');
+
+    res.set('Cache-Control', 'private, no-cache');
+    res.set('ETag', `W/"${version}"`);
+    res.set('Last-Modified', new Date(Math.max(...sources.map(({ fetchedAt, lastFetchedAt }) => lastFetchedAt || fetchedAt))).toUTCString());
+    if (req.fresh) {
+        res.status(304).end();
+        return true;
+    }
+    return false;
+};
+
+/**
+ * Creates the application
+ * @param {Object} options - Application dependencies
+ * @param {Object} options.config - The configuration from loadConfig: the active profile and every profile's settings
+ * @param {Object} options.assetRegistry - The asset registry
+ * @param {Object} options.snapshotStore - Store for portfolio history snapshots
+ * @param {Object} [options.alertRules] - Alert rules from loadAlertRules; alerts are off without them
+ * @param {Object} [options.firingStore] - Store for alert firings; required with alertRules
+ * @param {Object} [options.transferStore] - Store for submitted transfers; required when allowTransfers is on
+ * @param {Object} [options.logger] - Where requests and failures are logged; needs `log` and `error`, e.g. from createLogger
+ * @param {Object} [options.metrics] - Registry from createMetricsRegistry served at /metrics; a new one by default
+ * @param {Function} [options.createClient] - Creates the STRATO client for a profile's settings and `{ metrics }`
+ * @returns {{app: Express, takeSnapshot: Function, startSnapshotSchedule: Function, evaluateAlerts: Function, startAlertSchedule: Function, startTokenRenewal: Function}} - The Express app, the snapshot and alert helpers and background token renewal
+ */
+const createApp = ({
+    config,
+    assetRegistry,
+    snapshotStore,
+    alertRules = null,
+    firingStore = null,
+    transferStore = null,
+    logger = console,
+    metrics = createMetricsRegistry(),
+    createClient = (settings, options) => createStratoClient(settings, logger, options)
+}) => {
+    const { userCommonName, snapshotIntervalMinutes, liveUpdateIntervalSeconds, alertIntervalMinutes, allowTransfers, costBasisMethod, nftSaleMaxAgeDays } = config.settings;
+
+    // One client per configured node, created on first use so each keeps its own token
+    const nodeClients = {};
+    let renewTokens = false;
+
+    /**
+     * Returns the STRATO client and Cirrus API client for a profile
+     * @param {string} profile - A configured profile name
+     * @returns {{stratoClient: Object, dbApiClient: AxiosInstance}} - The clients
+     */
+    const getNodeClients = (profile) => {
+        if (!nodeClients[profile]) {
+            const stratoClient = createClient(config.profiles[profile], { metrics });
+            nodeClients[profile] = { stratoClient, dbApiClient: stratoClient.createCirrusClient() };
+            if (renewTokens) {
+                stratoClient.startTokenRenewal();
+            }
+        }
+        return nodeClients[profile];
+    };
+
+    // Initialize API client for the active profile
+    const { stratoClient, dbApiClient } = getNodeClients(config.profile);
+    const { getAssetsForCommonNameUser, getOracleValues, getTransferEvents, getMarketplaceData, listCirrusTables, queryCirrusTable, readCirrusTable, checkCirrus } = stratoClient;
+
+    // With browser login every visitor signs in and sees their own portfolio
+    const authentication = config.settings.browserLogin ? createAuthentication({ settings: config.settings, stratoClient, logger }) : null;
+
+    const app = express();
+
+    // Every request gets an ID, taken from X-Request-Id when the caller sends one, that is echoed
+    // back and carried by the logs and upstream requests made while handling it
+    app.use((req, res, next) => {
+        const requestId = resolveRequestId(req.get(REQUEST_ID_HEADER));
+        const startedAt = Date.now();
+        res.set(REQUEST_ID_HEADER, requestId);
+        runWithRequestId(requestId, () => {
+            res.on('finish', () => {
+                // The path without the query string, which may hold owners and filter values
+                logger.log('Request completed', { method: req.method, path: req.path, status: res.statusCode, durationMs: Date.now() - startedAt });
+            });
+            next();
+        });
+    });
+
+    // Configure middleware
+    app.use(bodyParser.urlencoded({ extended: true }));
+    app.use(bodyParser.json());
+
+    // Raw quantities are BigInt; send them to JSON consumers as exact strings
+    app.set('json replacer', (key, value) => typeof value === 'bigint' ? value.toString() : value);
+
+    // ==========================================
+    // Health and metrics
+    // ==========================================
+
+    // These routes come before sign-in, so monitoring needs no session
+
+    // Liveness, from what is already known: no requests are made to the node or OAuth provider
+    app.get('/healthz', (req, res) => {
+        const token = stratoClient.getTokenStatus();
+        const circuit = stratoClient.getCircuitStatus();
+        const problems = [];
+        if (!token.hasToken && token.lastRefreshError) {
+            problems.push(`OAuth token refresh failed: ${token.lastRefreshError.message}`);
+        }
+        if (circuit.state === CIRCUIT_STATES.OPEN) {
+            problems.push('Requests to the STRATO node are paused after repeated failures');
+        }
+        res.status(problems.length > 0 ? 503 : 200).json({
+            status: problems.length > 0 ? 'unhealthy' : 'ok',
+            problems,
+            token: { hasToken: token.hasToken, expiresInSeconds: token.expiresInSeconds },
+            circuit: circuit.state
+        });
+    });
+
+    /**
+     * Runs one readiness check and times it
+     * @param {Function} check - Resolves when the dependency is usable; throws or rejects otherwise
+     * @returns {Promise<{ok: boolean, durationMs: number, error: string|undefined}>} - The outcome
+     */
+    const runReadinessCheck = async (check) => {
+        const startedAt = Date.now();
+        try {
+            await check();
+            return { ok: true, durationMs: Date.now() - startedAt };
+        } catch (error) {
+            return { ok: false, durationMs: Date.now() - startedAt, error: error.message };
+        }
+    };
+
+    // Readiness: gets an OAuth token (from the cache when it is still valid) and queries Cirrus
+    app.get('/readyz', async (req, res) => {
+        const [oauth, cirrus] = await Promise.all([
+            runReadinessCheck(() => stratoClient.getUserToken()),
+            runReadinessCheck(async () => {
+                const { error } = await checkCirrus(dbApiClient);
+                if (error) {
+                    throw error;
+                }
+            })
+        ]);
+        const ready = oauth.ok && cirrus.ok;
+        res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready', checks: { oauth, cirrus } });
+    });
+
+    /**
+     * Checks a scraper's bearer token when metricsToken is set
+     * @param {Request} req - The Express request
+     * @returns {boolean} - True if the metrics may be read
+     */
+    const mayReadMetrics = (req) => {
+        if (!config.settings.metricsToken) {
+            return true;
+        }
+        // Hashed first, so the comparison takes the same time whatever length was sent
+        const expected = crypto.createHash('sha256').update(`Bearer ${config.settings.metricsToken}`).digest();
+        const given = crypto.createHash('sha256').update(req.get('authorization') || '').digest();
+        return crypto.timingSafeEqual(expected, given);
+    };
+
+    // Prometheus metrics: upstream latency and errors, token refreshes and the portfolio
+    app.get('/metrics', async (req, res) => {
+        if (!mayReadMetrics(req)) {
+            return res.status(401).set('WWW-Authenticate', 'Bearer').type('text/plain').send('A valid metrics token is required\n');
+        }
+        try {
+            res.type('text/plain; version=0.0.4').send(await metrics.render());
+        } catch (error) {
+            res.status(500).type('text/plain').send(`Failed to collect metrics: ${error.message}\n`);
+        }
+    });
+
+    // Sign-in routes are public; everything after them needs a session
+    if (authentication) {
+        app.use(authentication.router);
+        app.use(authentication.requireVisitor);
+    }
+
+    /**
+     * Checks that the visitor may view the given owners; without browser login anyone may
+     * @param {Request} req - The Express request
+     * @param {Array<string>} owners - Validated owner common names
+     * @returns {Array<string>} - The owners
+     * @throws {ForbiddenOwnerError} If a signed-in visitor asks for someone else's portfolio
+     */
+    const authorizeOwners = (req, owners) => {
+        if (authentication) {
+            authentication.authorizeOwners(req.visitor, owners);
+        }
+        return owners;
+    };
+
+    /**
+     * Resolves the owner for a request from the optional `owner` query parameter
+     * @param {Request} req - The Express request
+     * @returns {string} - The validated owner, defaulting to the signed-in visitor or else the configured userCommonName
+     * @throws {InvalidOwnerError} If the supplied owner is invalid
+     * @throws {ForbiddenOwnerError} If a signed-in visitor asks for someone else's portfolio
+     */
+    const getRequestedOwner = (req) => {
+        if (req.query.owner === undefined) {
+            return req.visitor ? req.visitor.commonName : userCommonName;
+        }
+        return authorizeOwners(req, [validateCommonName(req.query.owner)])[0];
+    };
+
+    /**
+     * Resolves the cost basis method for a request from the optional `method` query parameter
+     * @param {Request} req - The Express request
+     * @returns {string} - "fifo" or "average", defaulting to the configured costBasisMethod
+     * @throws {InvalidCostBasisMethodError} If the supplied method is unknown
+     */
+    const getRequestedCostBasisMethod = (req) => {
+        return req.query.method === undefined ? costBasisMethod : validateCostBasisMethod(req.query.method);
+    };
+
+    /**
+     * Fetches asset rows for several owners in parallel
+     * @param {Array<string>} owners - Validated owner common names
+     * @returns {Promise<Array<{owner: string, result: Object|null, assetData: Array, freshness: Object|null, error: Error|null}>>} - Per-owner results
+     */
+    const fetchOwnerAssets = (owners) => {
+        return Promise.all(owners.map(async (owner) => {
+            const { result, data, freshness, error } = await getAssetsForCommonNameUser(dbApiClient, owner);
+            return { owner, result, assetData: data, freshness, error };
+        }));
+    };
+
+    /**
+     * Fetches and values one owner's holdings on several nodes in parallel. Each node's holdings
+     * are valued with that node's own oracle prices.
+     * @param {Array<string>} profiles - Configured profile names
+     * @param {string} owner - A validated owner common name
+     * @returns {Promise<Array<{profile: string, clientUrl: string, portfolio: Object|null, assetResult: Object|null, sources: Array<Object>, failure: string|null, error: Error|null}>>} - Per-node results, with the freshness of the data behind each portfolio
+     */
+    const fetchNodePortfolios = (profiles, owner) => {
+        return Promise.all(profiles.map(async (profile) => {
+            const { stratoClient, dbApiClient: nodeApiClient } = getNodeClients(profile);
+            const node = { profile, clientUrl: config.profiles[profile].clientUrl, portfolio: null, assetResult: null, sources: [], failure: null, error: null };
+
+            const { result, data: assetData, freshness: assetFreshness, error: assetError } = await stratoClient.getAssetsForCommonNameUser(nodeApiClient, owner);
+            if (assetError) {
+                return { ...node, failure: 'Failed to fetch assets', error: assetError };
+            }
+            const { latestPrices, priceDetails, freshness: oracleFreshness, error: oracleError } = await stratoClient.getOracleValues(nodeApiClient, assetRegistry);
+            if (oracleError) {
+                return { ...node, failure: 'Failed to fetch oracle prices', error: oracleError };
+            }
+
+            const portfolio = buildPortfolio(owner, assetData, latestPrices, assetRegistry, priceDetails);
+            return { ...node, portfolio, assetResult: result, sources: [assetFreshness, oracleFreshness] };
+        }));
+    };
+
+    /**
+     * Adds marketplace estimates for a portfolio's non-fungible items
+     * @param {Object} portfolio - The portfolio as returned by buildPortfolio
+     * @returns {Promise<{portfolio: Object, freshness: Object|null, error: Error|null}>} - The portfolio with the estimates, or unchanged if the marketplace data cannot be fetched, the data's freshness (null if none was needed) and any request error
+     */
+    const addNftValuations = async (portfolio) => {
+        const { editions, listings, events, freshness, error } = await getMarketplaceData(dbApiClient, getNonFungibleOrigins(portfolio));
+        if (error) {
+            return { portfolio, freshness: null, error };
+        }
+        return {
+            portfolio: applyNftValuations(portfolio, { editions, listings, events }, { saleMaxAgeDays: nftSaleMaxAgeDays }),
+            freshness,
+            error: null
+        };
+    };
+
+    /**
+     * Adds marketplace estimates to several owners' portfolios and to their consolidated portfolio
+     * @param {Array<Object>} portfolios - Per-owner portfolios as returned by buildMultiOwnerPortfolio
+     * @param {Object} consolidated - The consolidated portfolio
+     * @param {Array<string>} owners - The owners, whose listings all count as their own in the consolidated portfolio
+     * @returns {Promise<{portfolios: Array<Object>, consolidated: Object, freshness: Object|null, error: Error|null}>} - The portfolios with the estimates, or unchanged if the marketplace data cannot be fetched, the data's freshness and any request error
+     */
+    const addMultiOwnerNftValuations = async (portfolios, consolidated, owners) => {
+        // The consolidated portfolio holds every owner's items, so one fetch covers them all
+        const { editions, listings, events, freshness, error } = await getMarketplaceData(dbApiClient, getNonFungibleOrigins(consolidated));
+        if (error) {
+            return { portfolios, consolidated, freshness: null, error };
+        }
+        const marketData = { editions, listings, events };
+        return {
+            portfolios: portfolios.map(portfolio => applyNftValuations(portfolio, marketData, { saleMaxAgeDays: nftSaleMaxAgeDays })),
+            consolidated: applyNftValuations(consolidated, marketData, { saleMaxAgeDays: nftSaleMaxAgeDays, owners }),
+            freshness,
+            error: null
+        };
+    };
+
+    /**
+     * Fetches and values an owner's current portfolio
+     * @param {string} owner - A validated owner common name
+     * @returns {Promise<{portfolio: Object, latestPrices: Object, priceDetails: Object}>} - The portfolio and the prices it was valued with
+     * @throws Will throw the upstream error if the assets or oracle prices cannot be fetched
+     */
+    const loadPortfolio = async (owner) => {
+        const { data: assetData, error: assetError } = await getAssetsForCommonNameUser(dbApiClient, owner);
+        if (assetError) {
+            throw assetError;
+        }
+        const { latestPrices, priceDetails, error: oracleError } = await getOracleValues(dbApiClient, assetRegistry);
+        if (oracleError) {
+            throw oracleError;
+        }
+        return { portfolio: buildPortfolio(owner, assetData, latestPrices, assetRegistry, priceDetails), latestPrices, priceDetails };
+    };
+
+    // Pushes portfolio changes to open pages; off when the interval is 0
+    const liveUpdates = liveUpdateIntervalSeconds > 0 ? createLiveUpdates({
+        // With the NFT estimates, so the Total Value card matches the one on the page
+        loadPortfolio: async (owner) => (await addNftValuations((await loadPortfolio(owner)).portfolio)).portfolio,
+        renderView: renderLiveView,
+        describeError: (error) => ({
+            error: error.message,
+            upstream: isUpstreamFailure(error) ? describeUpstreamFailure(error).state : null
+        }),
+        intervalMs: liveUpdateIntervalSeconds * 1000,
+        logger
+    }) : null;
+
+    // The configured owner's holdings, valued on each scrape from the cached Cirrus data
+    const portfolioValue = metrics.gauge('strato_portfolio_value_usd', 'Value of each priced asset the configured owner holds');
+    const portfolioQuantity = metrics.gauge('strato_portfolio_quantity', 'Quantity of each verified asset the configured owner holds');
+    const portfolioTotal = metrics.gauge('strato_portfolio_total_value_usd', 'Total value of the configured owner\'s portfolio; estimated is priced from stale or disputed prices');
+    const portfolioUp = metrics.gauge('strato_portfolio_up', 'Whether the portfolio could be valued on the last scrape (1) or not (0)');
+    metrics.addCollector(async () => {
+        portfolioValue.reset();
+        portfolioQuantity.reset();
+        portfolioTotal.reset();
+        try {
+            const { portfolio } = await loadPortfolio(userCommonName);
+            // Groups that share a name (e.g. one asset held from several origins) are added up
+            const values = Object.create(null);
+            const quantities = Object.create(null);
+            portfolio.assets.filter(asset => asset.verified).forEach(asset => {
+                quantities[asset.name] = (quantities[asset.name] || 0) + Number(toDecimalString(asset.quantity));
+                if (asset.worth) {
+                    values[asset.name] = (values[asset.name] || 0) + Number(toDecimalString(asset.worth));
+                }
+            });
+            Object.entries(quantities).forEach(([asset, quantity]) => portfolioQuantity.set({ owner: userCommonName, asset }, quantity));
+            Object.entries(values).forEach(([asset, value]) => portfolioValue.set({ owner: userCommonName, asset }, value));
+            portfolioTotal.set({ owner: userCommonName, kind: 'firm' }, Number(toDecimalString(portfolio.totals.fungible.value)));
+            portfolioTotal.set({ owner: userCommonName, kind: 'estimated' }, Number(toDecimalString(portfolio.totals.estimated.value)));
+            portfolioUp.set({ owner: userCommonName }, 1);
+        } catch (error) {
+            logger.error('Failed to value the portfolio for metrics', { owner: userCommonName, error: error.message });
+            portfolioUp.set({ owner: userCommonName }, 0);
+        }
+    });
+
+    /**
+     * Renders the portfolio page for a single owner
+     * @param {Request} req - The Express request
+     * @param {Response} res - The Express response
+     * @param {string} owner - A validated owner common name
+     * @param {string} heading - Page heading
+     */
+    const sendPortfolioPage = async (req, res, owner, heading) => {
+        // API calls: Get the asset data and oracle values from the database
+        const { result: assetResult, data: assetData, freshness: assetFreshness, error: assetError } = await getAssetsForCommonNameUser(dbApiClient, owner);
+        if (assetError) {
+            return sendUpstreamErrorPage(res, 'Failed to fetch assets', assetError);
+        }
+        const { data: oracleData, latestPrices, priceDetails, freshness: oracleFreshness, error: oracleError } = await getOracleValues(dbApiClient, assetRegistry);
+        if (oracleError) {
+            return sendUpstreamErrorPage(res, 'Failed to fetch oracle prices', oracleError);
+        }
+        // The page still shows current holdings when the transfer history cannot be read
+        const { data: eventData, freshness: eventFreshness, error: eventError } = await getTransferEvents(dbApiClient, owner);
+
+        // Process asset data: group by name, sum quantities, and value against the oracle prices,
+        // with marketplace estimates for the items the oracle does not price
+        const { portfolio, freshness: marketFreshness } = await addNftValuations(buildPortfolio(owner, assetData, latestPrices, assetRegistry, priceDetails));
+        const sources = [assetFreshness, oracleFreshness, eventError ? null : eventFreshness, marketFreshness].filter(Boolean);
+        if (sendNotModified(req, res, sources)) {
+            return;
+        }
+        const pnl = eventError ? null : buildProfitAndLoss(portfolio, eventData, oracleData, assetRegistry, { method: costBasisMethod });
+
+        res.send(renderPortfolioPage(portfolio, assetResult, heading, {
+            pnl,
+            pnlError: eventError ? `Failed to fetch transfer history: ${eventError.message}` : null,
+            visitor: req.visitor,
+            freshness: { ...combineFreshness(sources), returnTo: req.originalUrl },
+            liveUpdatesUrl: liveUpdates ? `/api/v1/portfolio/events?owner=${encodeURIComponent(owner)}` : null
+        }));
+    };
+
+    // Setup Express route for the root page: the signed-in visitor, or the owner configured in credentials.yaml
+    app.get('/', async (req, res) => {
+        try {
+            await sendPortfolioPage(req, res, getRequestedOwner(req), 'User Assets');
+        } catch (error) {
+            sendErrorPage(res, error);
+        }
+    });
+
+    // Portfolio page for any owner
+    app.get('/owner/:commonName', async (req, res) => {
+        try {
+            const [owner] = authorizeOwners(req, [validateCommonName(req.params.commonName)]);
+            await sendPortfolioPage(req, res, owner, `Assets: ${owner}`);
+        } catch (error) {
+            sendErrorPage(res, error);
+        }
+    });
+
+    /**
+     * Builds an owner's NFT gallery: each non-fungible item with the description and images from
+     * its asset records and its marketplace estimate
+     * @param {string} owner - A validated owner common name
+     * @returns {Promise<{items: Array, nftEstimate: Object|null, sources: Array<Object>, marketError: Error|null}>} - The items, their estimated total, the freshness of the data and any marketplace request error
+     * @throws Will throw the upstream error if the assets or oracle prices cannot be fetched
+     */
+    const loadNftGallery = async (owner) => {
+        // Full records, for the descriptions and images
+        const { data: assetData, freshness: assetFreshness, error: assetError } = await getAssetsForCommonNameUser(dbApiClient, owner, { select: null });
+        if (assetError) {
+            throw assetError;
+        }
+        const { latestPrices, priceDetails, freshness: oracleFreshness, error: oracleError } = await getOracleValues(dbApiClient, assetRegistry);
+        if (oracleError) {
+            throw oracleError;
+        }
+        const { portfolio, freshness: marketFreshness, error: marketError } = await addNftValuations(buildPortfolio(owner, assetData, latestPrices, assetRegistry, priceDetails));
+
+        const items = portfolio.assets.filter(isNonFungible).map(asset => ({
+            key: asset.key,
+            name: asset.name,
+            displayName: asset.displayName,
+            quantity: asset.quantity,
+            tokenCount: asset.tokenCount,
+            issuers: asset.issuers,
+            addresses: asset.tokens.map(({ address }) => address),
+            ...getItemMetadata(asset),
+            valuation: asset.nftValuation || null
+        }));
+        return {
+            items,
+            nftEstimate: portfolio.totals.nftEstimate || null,
+            sources: [assetFreshness, oracleFreshness, marketFreshness].filter(Boolean),
+            marketError
+        };
+    };
+
+    // Gallery of an owner's non-fungible items, e.g. /nfts?owner=alice
+    app.get('/nfts', async (req, res) => {
+        try {
+            const owner = getRequestedOwner(req);
+            const { items, nftEstimate, sources, marketError } = await loadNftGallery(owner);
+            if (sendNotModified(req, res, sources)) {
+                return;
+            }
+            res.send(renderNftGalleryPage(owner, items, {
+                nftEstimate,
+                marketError: marketError ? `Failed to fetch marketplace data: ${marketError.message}` : null
+            }));
+        } catch (error) {
+            sendErrorPage(res, error);
+        }
+    });
+
+    // Drill-down listing every token that makes up one asset holding, addressed by its group key
+    // (the origin address, or the name for assets without one), e.g. /asset/ETHST?owner=alice
+    app.get('/asset/:key', async (req, res) => {
+        try {
+            const owner = getRequestedOwner(req);
+
+            // Fetch the full raw records so they can be shown for auditing
+            const { data: assetData, freshness: assetFreshness, error: assetError } = await getAssetsForCommonNameUser(dbApiClient, owner, { select: null });
+            if (assetError) {
+                return sendUpstreamErrorPage(res, 'Failed to fetch assets', assetError);
+            }
+            const { latestPrices, priceDetails, freshness: oracleFreshness, error: oracleError } = await getOracleValues(dbApiClient, assetRegistry);
+            if (oracleError) {
+                return sendUpstreamErrorPage(res, 'Failed to fetch oracle prices', oracleError);
+            }
+            if (sendNotModified(req, res, [assetFreshness, oracleFreshness])) {
+                return;
+            }
+
+            const { assets } = buildPortfolio(owner, assetData, latestPrices, assetRegistry, priceDetails);
+            const asset = assets.find(({ key }) => key === req.params.key);
+            if (!asset) {
+                return res.status(404).send(renderErrorPage(404, `No asset "${req.params.key}" found for owner ${owner}`));
+            }
+
+            res.send(renderAssetDetailPage(owner, asset, valueTokens(asset), { transferable: owner === userCommonName && mayTransfer(req) }));
+        } catch (error) {
+            sendErrorPage(res, error);
+        }
+    });
+
+    // Consolidated page for several owners, e.g. /owners/alice,bob
+    app.get('/owners/:commonNames', async (req, res) => {
+        try {
+            const owners = authorizeOwners(req, parseOwnerList(req.params.commonNames));
+            const ownerResults = await fetchOwnerAssets(owners);
+            const failed = ownerResults.find(({ error }) => error);
+            if (failed) {
+                return sendUpstreamErrorPage(res, `Failed to fetch assets for owner ${failed.owner}`, failed.error);
+            }
+            const { latestPrices, priceDetails, freshness: oracleFreshness, error: oracleError } = await getOracleValues(dbApiClient, assetRegistry);
+            if (oracleError) {
+                return sendUpstreamErrorPage(res, 'Failed to fetch oracle prices', oracleError);
+            }
+            const unvalued = buildMultiOwnerPortfolio(ownerResults, latestPrices, assetRegistry, priceDetails);
+            const { portfolios, consolidated, freshness: marketFreshness } = await addMultiOwnerNftValuations(unvalued.owners, unvalued.consolidated, owners);
+            if (sendNotModified(req, res, [...ownerResults.map(({ freshness }) => freshness), oracleFreshness, marketFreshness].filter(Boolean))) {
+                return;
+            }
+
+            const ownerPortfolios = portfolios.map((portfolio, index) => ({
+                portfolio,
+                assetResult: ownerResults[index].result
+            }));
+
+            res.send(renderMultiOwnerPage(consolidated, ownerPortfolios));
+        } catch (error) {
+            sendErrorPage(res, error);
+        }
+    });
+
+    // The same owner across several configured nodes, e.g. /nodes/mainnet,testnet?owner=alice.
+    // Nodes that fail are reported on the page and left out of the totals.
+    app.get('/nodes/:profiles', async (req, res) => {
+        try {
+            const profiles = parseProfileList(config, req.params.profiles);
+            const owner = getRequestedOwner(req);
+            const nodes = await fetchNodePortfolios(profiles, owner);
+            // Pages with failed nodes are never reused
+            if (nodes.every(({ error }) => !error) && sendNotModified(req, res, nodes.flatMap(({ sources }) => sources))) {
+                return;
+            }
+
+            const totals = sumTotals(nodes.filter(({ portfolio }) => portfolio).map(({ portfolio }) => portfolio.totals));
+            res.send(renderMultiNodePage(owner, totals, nodes));
+        } catch (error) {
+            sendErrorPage(res, error);
+        }
+    });
+
+    // The page's refresh control: discards every node's cached query results and goes back
+    app.post('/refresh', (req, res) => {
+        Object.values(nodeClients).forEach(({ stratoClient: nodeClient }) => nodeClient.clearCache());
+        res.redirect(303, getSafeReturnPath(req.body && req.body.returnTo));
+    });
+
+    // ==========================================
+    // JSON API (v1)
+    // ==========================================
+
+    // Grouped and valued portfolio with totals
+    app.get('/api/v1/portfolio', async (req, res) => {
+        try {
+            const owner = getRequestedOwner(req);
+            const { data: assetData, freshness: assetFreshness, error: assetError } = await getAssetsForCommonNameUser(dbApiClient, owner);
+            if (assetError) {
+                return sendApiError(res, 'Failed to fetch assets', assetError);
+            }
+
+            const { latestPrices, priceDetails, freshness: oracleFreshness, error: oracleError } = await getOracleValues(dbApiClient, assetRegistry);
+            if (oracleError) {
+                return sendApiError(res, 'Failed to fetch oracle prices', oracleError);
+            }
+            const { portfolio, freshness: marketFreshness } = await addNftValuations(buildPortfolio(owner, assetData, latestPrices, assetRegistry, priceDetails));
+            if (sendNotModified(req, res, [assetFreshness, oracleFreshness, marketFreshness].filter(Boolean))) {
+                return;
+            }
+
+            const { tokenCount, assets, totals } = portfolio;
+            res.json({ owner, tokenCount, assets, totals });
+        } catch (error) {
+            sendApiException(res, 'Failed to build portfolio', error);
+        }
+    });
+
+    // Non-fungible items with their metadata and marketplace estimates
+    app.get('/api/v1/nfts', async (req, res) => {
+        try {
+            const owner = getRequestedOwner(req);
+            const { items, nftEstimate, sources, marketError } = await loadNftGallery(owner);
+            if (sendNotModified(req, res, sources)) {
+                return;
+            }
+            res.json({ owner, items, estimate: nftEstimate, marketError: marketError ? marketError.message : null });
+        } catch (error) {
+            sendApiException(res, 'Failed to build the NFT gallery', error);
+        }
+    });
+
+    // Cost basis, lots and realized and unrealized gains, e.g. /api/v1/pnl?owner=alice&method=average
+    app.get('/api/v1/pnl', async (req, res) => {
+        try {
+            const owner = getRequestedOwner(req);
+            const method = getRequestedCostBasisMethod(req);
+            const { data: assetData, freshness: assetFreshness, error: assetError } = await getAssetsForCommonNameUser(dbApiClient, owner);
+            if (assetError) {
+                return sendApiError(res, 'Failed to fetch assets', assetError);
+            }
+            const { data: oracleData, latestPrices, priceDetails, freshness: oracleFreshness, error: oracleError } = await getOracleValues(dbApiClient, assetRegistry);
+            if (oracleError) {
+                return sendApiError(res, 'Failed to fetch oracle prices', oracleError);
+            }
+            const { data: eventData, freshness: eventFreshness, error: eventError } = await getTransferEvents(dbApiClient, owner);
+            if (eventError) {
+                return sendApiError(res, 'Failed to fetch transfer history', eventError);
+            }
+            if (sendNotModified(req, res, [assetFreshness, oracleFreshness, eventFreshness])) {
+                return;
+            }
+
+            const portfolio = buildPortfolio(owner, assetData, latestPrices, assetRegistry, priceDetails);
+            res.json(serializeProfitAndLoss(buildProfitAndLoss(portfolio, eventData, oracleData, assetRegistry, { method })));
+        } catch (error) {
+            sendApiException(res, 'Failed to build P&L', error);
+        }
+    });
+
+    // Per-owner and consolidated portfolios for several owners, e.g. /api/v1/owners/alice,bob/portfolio
+    app.get('/api/v1/owners/:commonNames/portfolio', async (req, res) => {
+        try {
+            const owners = authorizeOwners(req, parseOwnerList(req.params.commonNames));
+            const ownerResults = await fetchOwnerAssets(owners);
+            const failed = ownerResults.find(({ error }) => error);
+            if (failed) {
+                return sendApiError(res, `Failed to fetch assets for owner ${failed.owner}`, failed.error);
+            }
+
+            const { latestPrices, priceDetails, freshness: oracleFreshness, error: oracleError } = await getOracleValues(dbApiClient, assetRegistry);
+            if (oracleError) {
+                return sendApiError(res, 'Failed to fetch oracle prices', oracleError);
+            }
+            const unvalued = buildMultiOwnerPortfolio(ownerResults, latestPrices, assetRegistry, priceDetails);
+            const { portfolios, consolidated, freshness: marketFreshness } = await addMultiOwnerNftValuations(unvalued.owners, unvalued.consolidated, owners);
+            if (sendNotModified(req, res, [...ownerResults.map(({ freshness }) => freshness), oracleFreshness, marketFreshness].filter(Boolean))) {
+                return;
+            }
+
+            const { tokenCount, assets, totals } = consolidated;
+            res.json({
+                owners: portfolios.map(({ owner, tokenCount, assets, totals }) => ({ owner, tokenCount, assets, totals })),
+                consolidated: { owners, tokenCount, assets, totals }
+            });
+        } catch (error) {
+            sendApiException(res, 'Failed to build portfolio', error);
+        }
+    });
+
+    // One owner's portfolio on several configured nodes, e.g. /api/v1/nodes/mainnet,testnet/portfolio?owner=alice
+    app.get('/api/v1/nodes/:profiles/portfolio', async (req, res) => {
+        try {
+            const profiles = parseProfileList(config, req.params.profiles);
+            const owner = getRequestedOwner(req);
+            const nodes = await fetchNodePortfolios(profiles, owner);
+            const failed = nodes.find(({ error }) => error);
+            if (failed) {
+                return sendApiError(res, `${failed.failure} from profile ${failed.profile}`, failed.error);
+            }
+            if (sendNotModified(req, res, nodes.flatMap(({ sources }) => sources))) {
+                return;
+            }
+
+            res.json({
+                owner,
+                nodes: nodes.map(({ profile, clientUrl, portfolio: { tokenCount, assets, totals } }) => ({ profile, clientUrl, tokenCount, assets, totals })),
+                consolidated: {
+                    profiles,
+                    tokenCount: nodes.reduce((count, { portfolio }) => count + portfolio.tokenCount, 0),
+                    totals: sumTotals(nodes.map(({ portfolio }) => portfolio.totals))
+                }
+            });
+        } catch (error) {
+            sendApiException(res, 'Failed to build portfolio', error);
+        }
+    });
+
+    // Grouped assets including the individual token rows, without valuation
+    app.get('/api/v1/assets', async (req, res) => {
+        try {
+            const owner = getRequestedOwner(req);
+            const { data: assetData, freshness: assetFreshness, error: assetError } = await getAssetsForCommonNameUser(dbApiClient, owner);
+            if (assetError) {
+                return sendApiError(res, 'Failed to fetch assets', assetError);
+            }
+            if (sendNotModified(req, res, [assetFreshness])) {
+                return;
+            }
+
+            const { tokenCount, assetGroups } = buildPortfolio(owner, assetData, {}, assetRegistry);
+            res.json({ owner, tokenCount, assetGroups });
+        } catch (error) {
+            sendApiException(res, 'Failed to build asset groups', error);
+        }
+    });
+
+    // Changes to an owner's portfolio as Server-Sent Events, e.g. /api/v1/portfolio/events?owner=alice.
+    // "portfolio" events carry the re-rendered cards that changed, "upstream-error" events failed polls.
+    app.get('/api/v1/portfolio/events', (req, res) => {
+        if (!liveUpdates) {
+            return res.status(404).json({ error: 'Live updates are turned off' });
+        }
+        let owner;
+        try {
+            owner = getRequestedOwner(req);
+        } catch (error) {
+            return sendApiException(res, 'Failed to subscribe to live updates', error);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            // Stops reverse proxies from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${Math.max(1000, liveUpdateIntervalSeconds * 1000)}\n\n`);
+        const unsubscribe = liveUpdates.subscribe(owner, (text) => res.write(text));
+        req.on('close', unsubscribe);
+    });
+
+    // Latest oracle price per asset, including the mapped aliases
+    app.get('/api/v1/prices', async (req, res) => {
+        const { latestPrices, priceDetails, freshness: oracleFreshness, error: oracleError } = await getOracleValues(dbApiClient, assetRegistry);
+        if (oracleError) {
+            return sendApiError(res, 'Failed to fetch oracle prices', oracleError);
+        }
+        if (sendNotModified(req, res, [oracleFreshness])) {
+            return;
+        }
+
+        res.json({ prices: latestPrices, details: priceDetails });
+    });
+
+    // Token and circuit breaker state of each node used so far, for diagnostics
+    app.get('/api/v1/status', (req, res) => {
+        if (req.visitor && !req.visitor.isAdmin) {
+            return res.status(403).json({ error: 'Only administrators may view the node status' });
+        }
+        res.json({
+            profile: config.profile,
+            nodes: Object.entries(nodeClients).map(([profile, { stratoClient }]) => ({
+                profile,
+                clientUrl: config.profiles[profile].clientUrl,
+                token: stratoClient.getTokenStatus(),
+                circuit: stratoClient.getCircuitStatus(),
+                cache: stratoClient.getCacheStatus()
+            })),
+            liveUpdates: liveUpdates ? liveUpdates.getStatus() : null,
+            alerts: alertEngine ? alertEngine.getStatus() : null
+        });
+    });
+
+    // ==========================================
+    // Exports
+    // ==========================================
+
+    /**
+     * Handles an export request: fetches the owner's portfolio and sends it in the given format
+     * @param {string} format - "csv", "json" or "xlsx"
+     * @returns {Function} - The Express route handler
+     */
+    const handleExport = (format) => async (req, res) => {
+        try {
+            const owner = getRequestedOwner(req);
+            const method = getRequestedCostBasisMethod(req);
+            const { data: assetData, freshness: assetFreshness, error: assetError } = await getAssetsForCommonNameUser(dbApiClient, owner);
+            if (assetError) {
+                return sendApiError(res, 'Failed to fetch assets', assetError);
+            }
+
+            const { data: oracleData, latestPrices, priceDetails, freshness: oracleFreshness, error: oracleError } = await getOracleValues(dbApiClient, assetRegistry);
+            if (oracleError) {
+                return sendApiError(res, 'Failed to fetch oracle prices', oracleError);
+            }
+            const { data: eventData, freshness: eventFreshness, error: eventError } = await getTransferEvents(dbApiClient, owner);
+            if (eventError) {
+                return sendApiError(res, 'Failed to fetch transfer history', eventError);
+            }
+            const { portfolio, freshness: marketFreshness } = await addNftValuations(buildPortfolio(owner, assetData, latestPrices, assetRegistry, priceDetails));
+            if (sendNotModified(req, res, [assetFreshness, oracleFreshness, eventFreshness, marketFreshness].filter(Boolean))) {
+                return;
+            }
+
+            const pnl = buildProfitAndLoss(portfolio, eventData, oracleData, assetRegistry, { method });
+            const data = buildExport(portfolio, latestPrices, { perToken: req.query.tokens === '1' || req.query.tokens === 'true', pnl });
+
+            res.attachment(getExportFileName(data, format));
+            if (format === 'csv') {
+                res.type('text/csv').send(toCsv(data));
+            } else if (format === 'xlsx') {
+                res.send(await toXlsx(data));
+            } else {
+                res.json(toJsonExport(data));
+            }
+        } catch (error) {
+            sendApiException(res, 'Failed to export portfolio', error);
+        }
+    };
+
+    // Holdings and P&L exports, e.g. /export.csv?owner=alice&tokens=1 for one row per token,
+    // or &method=average for average-cost accounting
+    app.get('/export.csv', handleExport('csv'));
+    app.get('/export.json', handleExport('json'));
+    app.get('/export.xlsx', handleExport('xlsx'));
+
+    // ==========================================
+    // Portfolio history
+    // ==========================================
+
+    /**
+     * Fetches an owner's current portfolio and records it as a snapshot
+     * @param {string} owner - A validated owner common name
+     * @param {string} trigger - "scheduled" or "manual"
+     * @returns {Promise<Object>} - The saved snapshot
+     * @throws Will throw if the assets or oracle prices cannot be fetched, so failures are never recorded as an empty portfolio
+     */
+    const takeSnapshot = async (owner, trigger) => {
+        const { portfolio, latestPrices } = await loadPortfolio(owner);
+        return snapshotStore.append(createSnapshot(portfolio, latestPrices, trigger));
+    };
+
+    // History page with charts and period changes, e.g. /history?owner=alice
+    app.get('/history', async (req, res) => {
+        try {
+            const owner = getRequestedOwner(req);
+            const snapshots = await snapshotStore.list({ owner });
+            res.send(renderHistoryPage(owner, snapshots, computePeriodChanges(snapshots)));
+        } catch (error) {
+            sendErrorPage(res, error);
+        }
+    });
+
+    // Take a snapshot on demand from the history page
+    app.post('/history/snapshots', async (req, res) => {
+        try {
+            const owner = getRequestedOwner(req);
+            await takeSnapshot(owner, 'manual');
+            res.redirect(303, `/history?owner=${encodeURIComponent(owner)}`);
+        } catch (error) {
+            sendErrorPage(res, error);
+        }
+    });
+
+    // Snapshots and period changes as JSON
+    app.get('/api/v1/history', async (req, res) => {
+        try {
+            const owner = getRequestedOwner(req);
+            const snapshots = await snapshotStore.list({ owner });
+            res.json({ owner, changes: computePeriodChanges(snapshots), snapshots });
+        } catch (error) {
+            sendApiException(res, 'Failed to read portfolio history', error);
+        }
+    });
+
+    // Take a snapshot on demand
+    app.post('/api/v1/history/snapshots', async (req, res) => {
+        let owner;
+        try {
+            owner = getRequestedOwner(req);
+        } catch (error) {
+            return sendApiException(res, 'Failed to take snapshot', error);
+        }
+
+        try {
+            res.status(201).json(await takeSnapshot(owner, 'manual'));
+        } catch (error) {
+            sendApiError(res, 'Failed to take snapshot', error);
+        }
+    });
+
+    // Compare two snapshots, e.g. /api/v1/history/diff?from=<id>&to=<id>
+    app.get('/api/v1/history/diff', async (req, res) => {
+        try {
+            const { from: fromId, to: toId } = req.query;
+            if (typeof fromId !== 'string' || typeof toId !== 'string') {
+                return res.status(400).json({ error: 'Both "from" and "to" snapshot ids are required' });
+            }
+
+            const [from, to] = await Promise.all([snapshotStore.get(fromId), snapshotStore.get(toId)]);
+            if (!from || !to) {
+                return res.status(404).json({ error: `Snapshot ${!from ? fromId : toId} not found` });
+            }
+            authorizeOwners(req, [from.owner, to.owner]);
+
+            res.json(diffSnapshots(from, to));
+        } catch (error) {
+            sendApiException(res, 'Failed to compare snapshots', error);
+        }
+    });
+
+    /**
+     * Records a snapshot of the configured owner's portfolio, and of every owner whose value-drop
+     * alert rules compare against history, now and then every `snapshotIntervalMinutes`
+     * @returns {Timeout|undefined} - The interval timer, or undefined when scheduling is disabled
+     */
+    const startSnapshotSchedule = () => {
+        if (!(snapshotIntervalMinutes > 0)) {
+            logger.log('Scheduled portfolio snapshots are disabled');
+            return;
+        }
+
+        const owners = [...new Set([userCommonName, ...(alertEngine ? alertEngine.getHistoryOwners() : [])])];
+        const recordScheduledSnapshot = async () => {
+            for (const owner of owners) {
+                try {
+                    const snapshot = await takeSnapshot(owner, 'scheduled');
+                    logger.log('Recorded portfolio snapshot', { snapshot: snapshot.id, owner });
+                } catch (error) {
+                    logger.error('Failed to record scheduled portfolio snapshot', { owner, error: error.message });
+                }
+            }
+        };
+
+        recordScheduledSnapshot();
+        return setInterval(recordScheduledSnapshot, snapshotIntervalMinutes * 60 * 1000);
+    };
+
+    // ==========================================
+    // Alerts
+    // ==========================================
+
+    // Evaluates the alert rules against the active node's holdings and prices
+    const alertEngine = alertRules ? createAlertEngine({
+        alertRules,
+        defaultOwner: userCommonName,
+        loadOwnerData: loadPortfolio,
+        snapshotStore,
+        firingStore,
+        sender: createWebhookSender({ baseDelayMs: config.settings.retryBaseDelayMs, logger }),
+        logger
+    }) : null;
+
+    /**
+     * Reads the rules and recent firings a visitor may see: administrators see every owner's,
+     * other signed-in visitors only their own
+     * @param {Request} req - The Express request
+     * @returns {Promise<{rules: Array<Object>, status: Object|null, firings: Array<Object>}>} - The alerts
+     */
+    const readAlerts = async (req) => {
+        if (!alertEngine) {
+            return { rules: [], status: null, firings: [] };
+        }
+        const owner = req.visitor && !req.visitor.isAdmin ? req.visitor.commonName : undefined;
+        return {
+            rules: alertEngine.getRules().filter(rule => owner === undefined || rule.owner === owner),
+            status: alertEngine.getStatus(),
+            firings: await firingStore.list({ owner })
+        };
+    };
+
+    /**
+     * Evaluates the alert rules now
+     * @returns {Promise<Array<Object>>} - The firings, each with its webhook deliveries
+     */
+    const evaluateAlerts = () => (alertEngine ? alertEngine.evaluate() : Promise.resolve([]));
+
+    /**
+     * Checks that the visitor may evaluate the alert rules, which covers every owner's rules
+     * @param {Request} req - The Express request
+     * @returns {boolean} - True if allowed
+     */
+    const mayEvaluateAlerts = (req) => !req.visitor || req.visitor.isAdmin;
+
+    // Rules and recent firings, with webhook delivery outcomes
+    app.get('/alerts', async (req, res) => {
+        try {
+            res.send(renderAlertsPage(await readAlerts(req), { canEvaluate: Boolean(alertEngine) && mayEvaluateAlerts(req) }));
+        } catch (error) {
+            sendErrorPage(res, error);
+        }
+    });
+
+    // Evaluate the rules on demand from the alerts page
+    app.post('/alerts/evaluate', async (req, res) => {
+        if (!mayEvaluateAlerts(req)) {
+            return res.status(403).send(renderErrorPage(403, 'Error: Only administrators may evaluate the alert rules'));
+        }
+        try {
+            await evaluateAlerts();
+            res.redirect(303, '/alerts');
+        } catch (error) {
+            sendErrorPage(res, error);
+        }
+    });
+
+    // Rules, evaluation status and recent firings as JSON
+    app.get('/api/v1/alerts', async (req, res) => {
+        try {
+            res.json(await readAlerts(req));
+        } catch (error) {
+            sendApiException(res, 'Failed to read alerts', error);
+        }
+    });
+
+    // Evaluate the rules on demand
+    app.post('/api/v1/alerts/evaluate', async (req, res) => {
+        if (!mayEvaluateAlerts(req)) {
+            return res.status(403).json({ error: 'Only administrators may evaluate the alert rules' });
+        }
+        if (!alertEngine) {
+            return res.status(404).json({ error: 'No alert rules are configured' });
+        }
+        try {
+            res.json({ firings: await evaluateAlerts(), status: alertEngine.getStatus() });
+        } catch (error) {
+            sendApiException(res, 'Failed to evaluate alerts', error);
+        }
+    });
+
+    /**
+     * Evaluates the alert rules now and then every `alertIntervalMinutes`
+     * @returns {Timeout|undefined} - The interval timer, or undefined when there are no rules or scheduling is disabled
+     */
+    const startAlertSchedule = () => {
+        if (!alertEngine) {
+            return;
+        }
+        if (!(alertIntervalMinutes > 0)) {
+            logger.log('Scheduled alert evaluation is disabled');
+            return;
+        }
+
+        const runScheduledEvaluation = async () => {
+            const firings = await evaluateAlerts();
+            if (firings.length > 0) {
+                logger.log('Alert evaluation finished', { firings: firings.length });
+            }
+        };
+
+        runScheduledEvaluation();
+        return setInterval(runScheduledEvaluation, alertIntervalMinutes * 60 * 1000);
+    };
+
+    // ==========================================
+    // Transfers
+    // ==========================================
+
+    // Transactions are signed with the node client's token, so only userCommonName's tokens can be moved
+    const stratoApiClient = stratoClient.createStratoApiClient();
+    const transferService = allowTransfers ? createTransferService({
+        submitTransactions: (txs) => stratoClient.submitTransactions(stratoApiClient, txs),
+        getTransactionResults: (hashes) => stratoClient.getTransactionResults(stratoApiClient, hashes),
+        store: transferStore,
+        // The holdings have changed, so stop serving the cached ones
+        onSettled: () => stratoClient.clearCache()
+    }) : null;
+
+    /**
+     * Checks that transfers are on and the visitor may make them: without browser login anyone
+     * may, with it userCommonName and administrators
+     * @param {Request} req - The Express request
+     * @returns {boolean} - True if allowed
+     */
+    const mayTransfer = (req) => Boolean(transferService) &&
+        (!req.visitor || req.visitor.commonName === userCommonName || req.visitor.isAdmin);
+
+    /**
+     * Finds the asset holding of userCommonName that a transfer is made from
+     * @param {*} key - The asset group key from the request
+     * @returns {Promise<Object|null>} - The valued asset group, or null if it is not held
+     * @throws Will throw the upstream error if the assets or oracle prices cannot be fetched
+     */
+    const findTransferAsset = async (key) => {
+        const { portfolio } = await loadPortfolio(userCommonName);
+        return portfolio.assets.find(asset => asset.key === key) || null;
+    };
+
+    /**
+     * Reads the transfer fields of a form or JSON body
+     * @param {Object} source - req.query or req.body
+     * @returns {{key: string, to: string, quantity: string}} - The fields as strings
+     */
+    const getTransferRequest = (source = {}) => ({
+        key: typeof source.key === 'string' ? source.key : '',
+        to: typeof source.to === 'string' ? source.to : '',
+        quantity: typeof source.quantity === 'string' ? source.quantity : ''
+    });
+
+    // Each preview issues a confirmation that the submission must send back. It is bound to the
+    // previewed transfer and sends it only once, so a page on another site cannot make one up.
+    const transferConfirmations = createExpiringStore({ maxAgeMs: TRANSFER_CONFIRMATION_MINUTES * 60 * 1000 });
+
+    /**
+     * Identifies what a preview would send, so a confirmation only submits that transfer
+     * @param {Object} preview - From buildTransferPreview
+     * @returns {string} - The asset, recipient and raw quantity
+     */
+    const describePreview = (preview) => `${preview.asset.key} ${preview.recipient} ${preview.rawQuantity}`;
+
+    /**
+     * @param {Object} preview - From buildTransferPreview
+     * @returns {string} - A new confirmation for the previewed transfer
+     */
+    const issueConfirmation = (preview) => transferConfirmations.create({ transfer: describePreview(preview), used: false });
+
+    /**
+     * Submits a previewed transfer with the confirmation its preview issued. A confirmation that
+     * was already used returns the transfer it submitted, so a form sent twice transfers once.
+     * @param {Object} preview - From buildTransferPreview
+     * @param {*} confirmation - The confirmation sent back by the client
+     * @returns {Promise<Object>} - The transfer with its status
+     * @throws {TransferError} If the confirmation is unknown, expired or was issued for another transfer
+     */
+    const submitConfirmed = async (preview, confirmation) => {
+        const entry = typeof confirmation === 'string' ? transferConfirmations.get(confirmation) : null;
+        const submitted = entry && entry.transfer === describePreview(preview) && entry.used ?
+            await transferService.findSubmitted(confirmation) :
+            null;
+        if (submitted) {
+            return submitted;
+        }
+        if (!entry || entry.transfer !== describePreview(preview) || entry.used) {
+            throw new TransferError('Transfer not confirmed', ['the confirmation is missing, expired, used or for another transfer; preview the transfer again']);
+        }
+        entry.used = true;
+        return transferService.submit(userCommonName, preview, confirmation);
+    };
+
+    /**
+     * Whether a browser sent the request from another site, going by Sec-Fetch-Site and Origin.
+     * Clients that send neither, such as scripts, are not browsers acting for someone else.
+     * @param {Request} req - The Express request
+     * @returns {boolean} - True if the request came from another origin
+     */
+    const isCrossSiteRequest = (req) => {
+        const fetchSite = req.get('sec-fetch-site');
+        if (fetchSite && fetchSite !== 'same-origin' && fetchSite !== 'none') {
+            return true;
+        }
+        const origin = req.get('origin');
+        if (!origin) {
+            return false;
+        }
+        try {
+            return new URL(origin).host !== req.get('host');
+        } catch (error) {
+            // e.g. "null" from a sandboxed frame
+            return true;
+        }
+    };
+
+    const TRANSFERS_UNAVAILABLE = 'Transfers are turned off or not available to you';
+    const CROSS_SITE_TRANSFER = 'Transfers can only be made from this application\'s own pages';
+
+    // Checks a transfer and shows what will be sent, e.g. /transfers/preview?key=ETHST&to=<address>&quantity=1.5
+    app.get('/transfers/preview', async (req, res) => {
+        if (!mayTransfer(req)) {
+            return res.status(403).send(renderErrorPage(403, `Error: ${TRANSFERS_UNAVAILABLE}`));
+        }
+        try {
+            const request = getTransferRequest(req.query);
+            const asset = await findTransferAsset(request.key);
+            if (!asset) {
+                return res.status(404).send(renderErrorPage(404, `No asset "${request.key}" found for owner ${userCommonName}`));
+            }
+
+            try {
+                const preview = buildTransferPreview(asset, request);
+                res.send(renderTransferPreviewPage(userCommonName, asset, request, { preview, confirmation: issueConfirmation(preview) }));
+            } catch (error) {
+                if (!(error instanceof TransferError)) {
+                    throw error;
+                }
+                res.status(400).send(renderTransferPreviewPage(userCommonName, asset, request, { problems: error.problems }));
+            }
+        } catch (error) {
+            sendErrorPage(res, error);
+        }
+    });
+
+    // Submits a confirmed transfer and shows its progress
+    app.post('/transfers', async (req, res) => {
+        if (!mayTransfer(req)) {
+            return res.status(403).send(renderErrorPage(403, `Error: ${TRANSFERS_UNAVAILABLE}`));
+        }
+        if (isCrossSiteRequest(req)) {
+            return res.status(403).send(renderErrorPage(403, `Error: ${CROSS_SITE_TRANSFER}`));
+        }
+        try {
+            const request = getTransferRequest(req.body);
+            const asset = await findTransferAsset(request.key);
+            if (!asset) {
+                return res.status(404).send(renderErrorPage(404, `No asset "${request.key}" found for owner ${userCommonName}`));
+            }
+
+            let transfer;
+            try {
+                transfer = await submitConfirmed(buildTransferPreview(asset, request), req.body.confirmation);
+            } catch (error) {
+                if (!(error instanceof TransferError)) {
+                    throw error;
+                }
+                return res.status(400).send(renderTransferPreviewPage(userCommonName, asset, request, { problems: error.problems }));
+            }
+            res.redirect(303, `/transfers/${encodeURIComponent(transfer.id)}`);
+        } catch (error) {
+            sendErrorPage(res, error);
+        }
+    });
+
+    // Recent transfers
+    app.get('/transfers', async (req, res) => {
+        if (!mayTransfer(req)) {
+            return res.status(403).send(renderErrorPage(403, `Error: ${TRANSFERS_UNAVAILABLE}`));
+        }
+        try {
+            res.send(renderTransfersPage(await transferStore.list({ owner: userCommonName })));
+        } catch (error) {
+            sendErrorPage(res, error);
+        }
+    });
+
+    // One transfer's status; while it is pending the page checks again until it settles
+    app.get('/transfers/:id', async (req, res) => {
+        if (!mayTransfer(req)) {
+            return res.status(403).send(renderErrorPage(403, `Error: ${TRANSFERS_UNAVAILABLE}`));
+        }
+        try {
+            let transfer;
+            let checkError = null;
+            try {
+                transfer = await transferService.refresh(req.params.id);
+            } catch (error) {
+                if (!isUpstreamFailure(error)) {
+                    throw error;
+                }
+                // Show what is known; the page keeps checking
+                transfer = await transferStore.get(req.params.id);
+                checkError = error;
+            }
+            if (!transfer) {
+                return res.status(404).send(renderErrorPage(404, `No transfer "${req.params.id}" found`));
+            }
+            res.send(renderTransferPage(transfer, {
+                statusUrl: transfer.status === TRANSFER_STATUSES.PENDING ? `/api/v1/transfers/${encodeURIComponent(transfer.id)}` : null,
+                checkError: checkError && `${UPSTREAM_STATE_DESCRIPTIONS[describeUpstreamFailure(checkError).state]} ${checkError.message}`
+            }));
+        } catch (error) {
+            sendErrorPage(res, error);
+        }
+    });
+
+    /**
+     * Sends a 400 listing what is wrong with a transfer request
+     * @param {Response} res - The Express response
+     * @param {TransferError} error - The validation error
+     */
+    const sendTransferProblems = (res, error) => {
+        res.status(400).json({ error: 'Invalid transfer', problems: error.problems });
+    };
+
+    // Checks a transfer and returns the calls it needs and a confirmation to submit it with, without sending anything
+    app.post('/api/v1/transfers/preview', async (req, res) => {
+        if (!mayTransfer(req)) {
+            return res.status(403).json({ error: TRANSFERS_UNAVAILABLE });
+        }
+        if (isCrossSiteRequest(req)) {
+            return res.status(403).json({ error: CROSS_SITE_TRANSFER });
+        }
+        try {
+            const request = getTransferRequest(req.body);
+            const asset = await findTransferAsset(request.key);
+            if (!asset) {
+                return res.status(404).json({ error: `No asset "${request.key}" found for owner ${userCommonName}` });
+            }
+            const preview = buildTransferPreview(asset, request);
+            res.json({ owner: userCommonName, ...preview, confirmation: issueConfirmation(preview) });
+        } catch (error) {
+            if (error instanceof TransferError) {
+                return sendTransferProblems(res, error);
+            }
+            sendApiException(res, 'Failed to preview transfer', error);
+        }
+    });
+
+    // Submits a previewed transfer with the preview's confirmation; repeating it returns the transfer already submitted
+    app.post('/api/v1/transfers', async (req, res) => {
+        if (!mayTransfer(req)) {
+            return res.status(403).json({ error: TRANSFERS_UNAVAILABLE });
+        }
+        if (isCrossSiteRequest(req)) {
+            return res.status(403).json({ error: CROSS_SITE_TRANSFER });
+        }
+        try {
+            const request = getTransferRequest(req.body);
+            const asset = await findTransferAsset(request.key);
+            if (!asset) {
+                return res.status(404).json({ error: `No asset "${request.key}" found for owner ${userCommonName}` });
+            }
+            const transfer = await submitConfirmed(buildTransferPreview(asset, request), req.body.confirmation);
+            res.status(202).json(transfer);
+        } catch (error) {
+            if (error instanceof TransferError) {
+                return sendTransferProblems(res, error);
+            }
+            sendApiException(res, 'Failed to submit transfer', error);
+        }
+    });
+
+    // Recent transfers, newest first
+    app.get('/api/v1/transfers', async (req, res) => {
+        if (!mayTransfer(req)) {
+            return res.status(403).json({ error: TRANSFERS_UNAVAILABLE });
+        }
+        try {
+            res.json({ transfers: await transferStore.list({ owner: userCommonName }) });
+        } catch (error) {
+            sendApiException(res, 'Failed to read transfers', error);
+        }
+    });
+
+    // One transfer, with its status checked on the node while it is pending
+    app.get('/api/v1/transfers/:id', async (req, res) => {
+        if (!mayTransfer(req)) {
+            return res.status(403).json({ error: TRANSFERS_UNAVAILABLE });
+        }
+        try {
+            const transfer = await transferService.refresh(req.params.id);
+            if (!transfer) {
+                return res.status(404).json({ error: `No transfer "${req.params.id}" found` });
+            }
+            res.json(transfer);
+        } catch (error) {
+            sendApiException(res, 'Failed to check transfer status', error);
+        }
+    });
+
+    // ==========================================
+    // Cirrus explorer
+    // ==========================================
+
+    /**
+     * Checks that the visitor may explore Cirrus tables, which hold every owner's data: without
+     * browser login anyone may, with it only administrators
+     * @param {Request} req - The Express request
+     * @returns {boolean} - True if allowed
+     */
+    const mayExplore = (req) => !req.visitor || req.visitor.isAdmin;
+
+    /**
+     * Reads why Cirrus rejected a query, e.g. an unknown table or column, as opposed to failing
+     * @param {Error} error - The request error
+     * @returns {{status: number, message: string}|null} - Cirrus's status and message, or null if the request failed
+     */
+    const getQueryRejection = (error) => {
+        const status = error.response && error.response.status;
+        if (!status || status < 400 || status >= 500 || isAuthenticationFailure(error)) {
+            return null;
+        }
+        const body = error.response.data;
+        return { status, message: `Cirrus rejected the query: ${body && body.message ? body.message : error.message}` };
+    };
+
+    // Pick any Cirrus table, filter it and page through the rows, e.g.
+    // /explore?table=BlockApps-Mercata-Asset&column=name&operator=like&value=*Gold*&order=address
+    app.get('/explore', async (req, res) => {
+        if (!mayExplore(req)) {
+            return res.status(403).send(renderErrorPage(403, 'Error: Only administrators may explore Cirrus tables'));
+        }
+        try {
+            const request = parseExploreRequest(req.query);
+            // The table can still be typed in when the list is unavailable
+            const { tables } = await listCirrusTables(dbApiClient);
+            if (!request.table) {
+                return res.send(renderExplorePage(request, { tables }));
+            }
+
+            const query = toExploreQuery(request);
+            const { data, error } = await queryCirrusTable(dbApiClient, request.table, query);
+            if (error) {
+                const rejection = getQueryRejection(error);
+                if (!rejection) {
+                    return sendUpstreamErrorPage(res, `Failed to query ${request.table}`, error);
+                }
+                return res.status(rejection.status).send(renderExplorePage(request, { tables, error: rejection.message }));
+            }
+            res.send(renderExplorePage(request, {
+                tables,
+                rows: data.slice(0, request.pageSize),
+                hasNextPage: data.length > request.pageSize,
+                cirrusPath: `${config.settings.cirrusBasePath.replace(/\/+$/, '')}${toCirrusPath(request.table, query)}`
+            }));
+        } catch (error) {
+            sendErrorPage(res, error);
+        }
+    });
+
+    /**
+     * Downloads every row matching an explore query, up to MAX_EXPLORE_DOWNLOAD_ROWS
+     * @param {string} format - "csv" or "json"
+     * @returns {Function} - The Express handler
+     */
+    const handleExploreDownload = (format) => async (req, res) => {
+        if (!mayExplore(req)) {
+            return res.status(403).json({ error: 'Only administrators may explore Cirrus tables' });
+        }
+        try {
+            const request = parseExploreRequest(req.query);
+            if (!request.table) {
+                return res.status(400).json({ error: 'A table is required' });
+            }
+
+            const { data, truncated, error } = await readCirrusTable(dbApiClient, request.table, toExploreQuery(request, { paged: false }), MAX_EXPLORE_DOWNLOAD_ROWS);
+            if (error) {
+                const rejection = getQueryRejection(error);
+                return rejection ?
+                    res.status(rejection.status).json({ error: rejection.message }) :
+                    sendApiError(res, `Failed to query ${request.table}`, error);
+            }
+
+            // Tell the downloader when the file stops short of every matching row
+            res.set('X-Truncated', truncated ? 'true' : 'false');
+            res.attachment(`${request.table}.${format}`);
+            if (format === 'csv') {
+                const columns = getResultColumns(data, request.select).map(column => ({ key: column, header: column }));
+                const rows = data.map(row => Object.fromEntries(columns.map(({ key }) => [key, formatCell(row[key])])));
+                res.type('text/csv').send(`${toCsvLines(columns, rows).join('\r\n')}\r\n`);
+            } else {
+                res.json(data);
+            }
+        } catch (error) {
+            sendApiException(res, 'Failed to query Cirrus', error);
+        }
+    };
+
+    app.get('/explore.csv', handleExploreDownload('csv'));
+    app.get('/explore.json', handleExploreDownload('json'));
+
+    /**
+     * Keeps the token of every node in use renewed in the background, so requests rarely wait for one
+     */
+    const startTokenRenewal = () => {
+        renewTokens = true;
+        Object.values(nodeClients).forEach(({ stratoClient }) => stratoClient.startTokenRenewal());
+    };
+
+    return { app, takeSnapshot, startSnapshotSchedule, evaluateAlerts, startAlertSchedule, startTokenRenewal };
+};
+
+module.exports = {
+    createApp
+};
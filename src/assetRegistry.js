@@ -0,0 +1,279 @@
+/**
+ * Asset registry: per-asset decimals overrides, oracle price aliases, fixed-peg prices and
+ * display names, plus the list of trusted issuers whose tokens may be priced. Loaded from a
+ * YAML (or JSON) file so new tokens can be listed without code changes.
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { parseDecimal } = require('./decimal');
+
+const ALLOWED_FIELDS = ['decimals', 'oracleAlias', 'fixedPrice', 'displayName'];
+const ALLOWED_TOP_LEVEL_KEYS = ['assets', 'trustedIssuers'];
+
+/**
+ * Raised when the registry file cannot be read or does not pass validation
+ */
+class AssetRegistryError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+        this.name = 'AssetRegistryError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Validates a parsed registry document and normalizes its entries
+ * @param {Object} document - The parsed YAML/JSON document
+ * @returns {{entries: Object, trustedIssuers: Array<string>}} - Map of asset name to normalized entry, and the trusted issuers
+ * @throws {AssetRegistryError} If any entry is invalid
+ */
+const validateRegistry = (document) => {
+    const problems = [];
+
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        throw new AssetRegistryError('Asset registry must be a mapping with an "assets" key');
+    }
+
+    Object.keys(document)
+        .filter(key => !ALLOWED_TOP_LEVEL_KEYS.includes(key))
+        .forEach(key => problems.push(`unknown top-level key "${key}"`));
+
+    const trustedIssuers = [];
+    if (document.trustedIssuers !== undefined && document.trustedIssuers !== null) {
+        if (!Array.isArray(document.trustedIssuers)) {
+            problems.push('trustedIssuers must be a list of issuer common names or addresses');
+        } else {
+            document.trustedIssuers.forEach((issuer, index) => {
+                if (typeof issuer !== 'string' || issuer.trim() === '') {
+                    problems.push(`trustedIssuers[${index}] must be a non-empty string`);
+                } else {
+                    trustedIssuers.push(issuer.trim());
+                }
+            });
+        }
+    }
+
+    const assets = document.assets || {};
+    if (typeof assets !== 'object' || Array.isArray(assets)) {
+        throw new AssetRegistryError('Asset registry "assets" must be a mapping of asset name to settings');
+    }
+
+    const entries = Object.create(null);
+    Object.entries(assets).forEach(([name, settings]) => {
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            problems.push(`${name}: settings must be a mapping`);
+            return;
+        }
+
+        Object.keys(settings)
+            .filter(field => !ALLOWED_FIELDS.includes(field))
+            .forEach(field => problems.push(`${name}: unknown field "${field}"`));
+
+        const entry = {};
+
+        if (settings.decimals !== undefined) {
+            if (!Number.isInteger(settings.decimals) || settings.decimals < 0 || settings.decimals > 77) {
+                problems.push(`${name}: decimals must be an integer between 0 and 77`);
+            } else {
+                entry.decimals = settings.decimals;
+            }
+        }
+
+        if (settings.oracleAlias !== undefined) {
+            if (typeof settings.oracleAlias !== 'string' || settings.oracleAlias.trim() === '') {
+                problems.push(`${name}: oracleAlias must be a non-empty string`);
+            } else {
+                entry.oracleAlias = settings.oracleAlias;
+            }
+        }
+
+        if (settings.fixedPrice !== undefined) {
+            // Prices are kept as strings so they go through exact decimal arithmetic
+            const price = String(settings.fixedPrice);
+            const parsed = parseDecimal(price);
+            if (!parsed || parsed.units < 0n) {
+                problems.push(`${name}: fixedPrice must be a non-negative decimal, got "${price}"`);
+            } else {
+                entry.fixedPrice = price;
+            }
+        }
+
+        if (entry.oracleAlias && entry.fixedPrice) {
+            problems.push(`${name}: oracleAlias and fixedPrice cannot both be set`);
+        }
+
+        if (settings.displayName !== undefined) {
+            if (typeof settings.displayName !== 'string' || settings.displayName.trim() === '') {
+                problems.push(`${name}: displayName must be a non-empty string`);
+            } else {
+                entry.displayName = settings.displayName;
+            }
+        }
+
+        entries[name] = entry;
+    });
+
+    if (problems.length > 0) {
+        throw new AssetRegistryError('Invalid asset registry', problems);
+    }
+
+    return { entries, trustedIssuers };
+};
+
+/**
+ * Reads and validates a registry file
+ * @param {string} filePath - Path to the YAML or JSON registry file
+ * @returns {{entries: Object, trustedIssuers: Array<string>}} - The validated registry contents
+ * @throws {AssetRegistryError} If the file is missing, unparsable or invalid
+ */
+const loadRegistryFile = (filePath) => {
+    let document;
+    try {
+        // JSON is valid YAML, so one parser handles both formats
+        document = yaml.load(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new AssetRegistryError(`Failed to read asset registry ${filePath}: ${error.message}`);
+    }
+
+    return validateRegistry(document);
+};
+
+/**
+ * Creates an asset registry backed by a file
+ * @param {string} filePath - Path to the YAML or JSON registry file
+ * @param {Object} [logger] - Where reloads and warnings go; needs `log` and `error`
+ * @returns {Object} - The registry
+ * @throws {AssetRegistryError} If the initial load fails, so a bad file stops startup
+ */
+const createAssetRegistry = (filePath, logger = console) => {
+    let { entries, trustedIssuers } = loadRegistryFile(filePath);
+    let watching = false;
+
+    const warnIfUnverified = () => {
+        if (trustedIssuers.length === 0) {
+            logger.error('No trustedIssuers configured: tokens whose name collides with another contract or whose issuer is unknown are left unpriced', { file: filePath });
+        }
+    };
+    warnIfUnverified();
+
+    /**
+     * Re-reads the registry file. On failure the previous entries stay in effect.
+     * @returns {boolean} - True if the new file was applied
+     */
+    const reload = () => {
+        try {
+            ({ entries, trustedIssuers } = loadRegistryFile(filePath));
+            logger.log('Asset registry reloaded', { file: filePath, assets: Object.keys(entries).length });
+            warnIfUnverified();
+            return true;
+        } catch (error) {
+            logger.error('Keeping previous asset registry', { file: filePath, error: error.message });
+            return false;
+        }
+    };
+
+    /**
+     * Reloads the registry whenever the file changes on disk
+     * @param {number} interval - Polling interval in milliseconds
+     */
+    const watch = (interval = 2000) => {
+        if (watching) {
+            return;
+        }
+        watching = true;
+        fs.watchFile(filePath, { interval }, (current, previous) => {
+            if (current.mtimeMs !== previous.mtimeMs) {
+                reload();
+            }
+        });
+    };
+
+    const unwatch = () => {
+        if (watching) {
+            fs.unwatchFile(filePath);
+            watching = false;
+        }
+    };
+
+    /**
+     * Returns the decimals to use for an asset: the registry override if any, else the on-chain value
+     * @param {string} assetName - The asset name
+     * @param {number|string|null} originalDecimals - The decimals reported by Cirrus
+     */
+    const getDecimals = (assetName, originalDecimals) => {
+        const entry = entries[assetName];
+        return entry && entry.decimals !== undefined ? entry.decimals : originalDecimals;
+    };
+
+    /**
+     * Returns the display name for an asset, defaulting to the asset name itself
+     * @param {string} assetName - The asset name
+     */
+    const getDisplayName = (assetName) => {
+        const entry = entries[assetName];
+        return entry && entry.displayName ? entry.displayName : assetName;
+    };
+
+    /**
+     * Whether a trusted issuer list is configured; without one, groupAssets trusts only names no other contract uses
+     */
+    const isIssuerVerificationEnabled = () => trustedIssuers.length > 0;
+
+    /**
+     * Checks an issuer (creator common name or address) against the trusted issuer list
+     * @param {string|null|undefined} issuer - The issuer to check
+     * @returns {boolean} - True if trusted, or if no trusted issuers are configured
+     */
+    const isTrustedIssuer = (issuer) => {
+        if (!isIssuerVerificationEnabled()) {
+            return true;
+        }
+        if (!issuer) {
+            return false;
+        }
+        const normalized = String(issuer).toLowerCase();
+        return trustedIssuers.some(trusted => trusted.toLowerCase() === normalized);
+    };
+
+    /**
+     * Adds aliased and fixed-peg prices to a map of oracle prices
+     * @param {Object} oraclePrices - Map of oracle asset name to consensus price string (or price details)
+     * @param {Function} [makeFixed] - Builds the map value for a fixed-peg price string
+     * @returns {Object} - A new map including registry-derived prices
+     */
+    const applyPriceMappings = (oraclePrices, makeFixed = (price) => price) => {
+        const prices = Object.assign(Object.create(null), oraclePrices);
+
+        Object.entries(entries).forEach(([name, entry]) => {
+            if (entry.oracleAlias && oraclePrices[entry.oracleAlias]) {
+                prices[name] = oraclePrices[entry.oracleAlias];
+            } else if (entry.fixedPrice) {
+                prices[name] = makeFixed(entry.fixedPrice);
+            }
+        });
+
+        return prices;
+    };
+
+    return {
+        filePath,
+        reload,
+        watch,
+        unwatch,
+        getDecimals,
+        getDisplayName,
+        applyPriceMappings,
+        isIssuerVerificationEnabled,
+        isTrustedIssuer,
+        getEntries: () => ({ ...entries }),
+        getTrustedIssuers: () => [...trustedIssuers]
+    };
+};
+
+module.exports = {
+    AssetRegistryError,
+    validateRegistry,
+    loadRegistryFile,
+    createAssetRegistry
+};
@@ -0,0 +1,301 @@
+/**
+ * Browser sign-in with the OAuth authorization-code flow, so each visitor sees their own
+ * portfolio. The visitor's common name is read from the claims of the token issued at sign-in
+ * and kept in a server-side session referenced by an HTTP-only cookie.
+ *
+ * - GET  /api/v1/authentication/login    - redirects to the OAuth provider (`?returnTo=/path` to come back to a page)
+ * - GET  <path of redirectUri>           - the OAuth callback; starts the session
+ * - GET|POST /api/v1/authentication/logout - ends the session and signs out at the provider
+ *
+ * Visitors may only view their own portfolio; the common names in `adminCommonNames` may view any.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { validateCommonName } = require('./owners');
+const { renderErrorPage } = require('./views');
+
+const LOGIN_PATH = '/api/v1/authentication/login';
+const LOGOUT_PATH = '/api/v1/authentication/logout';
+
+// How long a visitor has to complete the sign-in at the OAuth provider
+const LOGIN_TIMEOUT_MINUTES = 10;
+
+/**
+ * Raised when a visitor asks for a portfolio they may not view
+ */
+class ForbiddenOwnerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ForbiddenOwnerError';
+    }
+}
+
+/**
+ * Raised when the sign-in cannot be completed
+ */
+class LoginError extends Error {
+    constructor(message, status = 400, cause) {
+        super(message);
+        this.name = 'LoginError';
+        this.status = status;
+        this.cause = cause;
+    }
+}
+
+/**
+ * Parses a Cookie header
+ * @param {string} [header] - The header value
+ * @returns {Object} - Cookie values by name
+ */
+const parseCookies = (header = '') => {
+    const cookies = {};
+    header.split(';').forEach(part => {
+        const separator = part.indexOf('=');
+        if (separator > 0) {
+            const name = part.slice(0, separator).trim();
+            try {
+                cookies[name] = decodeURIComponent(part.slice(separator + 1).trim());
+            } catch (error) {
+                // Ignore cookies that are not ours and not URI-encoded
+            }
+        }
+    });
+    return cookies;
+};
+
+/**
+ * Reads the claims of a JWT. The signature is not checked: tokens are only read straight from
+ * the OAuth provider's token endpoint, never from the browser.
+ * @param {string} token - The JWT
+ * @returns {Object} - The claims
+ * @throws {LoginError} If the token is not a JWT
+ */
+const decodeTokenClaims = (token) => {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        throw new LoginError('The access token is not a JWT');
+    }
+    try {
+        return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new LoginError('The access token claims cannot be read', 400, error);
+    }
+};
+
+/**
+ * Keeps only local paths to return to after sign-in, so the login cannot redirect off-site
+ * @param {*} value - The requested path
+ * @returns {string} - The path, or "/" when it is not a local path
+ */
+const getSafeReturnPath = (value) => {
+    return typeof value === 'string' && /^\/(?![/\\])/.test(value) ? value : '/';
+};
+
+/**
+ * Creates an in-memory store of entries that expire
+ * @param {Object} options - Store options
+ * @param {number} options.maxAgeMs - Lifetime of an entry
+ * @param {Function} [options.now] - Clock, in milliseconds
+ * @returns {{create: Function, get: Function, destroy: Function}} - The store
+ */
+const createExpiringStore = ({ maxAgeMs, now = () => Date.now() }) => {
+    const entries = new Map();
+
+    const removeExpired = () => {
+        const time = now();
+        entries.forEach((entry, id) => {
+            if (entry.expiresAt <= time) {
+                entries.delete(id);
+            }
+        });
+    };
+
+    return {
+        /**
+         * @param {Object} data - What to keep
+         * @returns {string} - A new unguessable id
+         */
+        create: (data) => {
+            removeExpired();
+            const id = crypto.randomBytes(32).toString('base64url');
+            entries.set(id, { data, expiresAt: now() + maxAgeMs });
+            return id;
+        },
+        /**
+         * @param {string} id - The id
+         * @returns {Object|null} - The data, or null when unknown or expired
+         */
+        get: (id) => {
+            const entry = id ? entries.get(id) : undefined;
+            if (!entry || entry.expiresAt <= now()) {
+                return null;
+            }
+            return entry.data;
+        },
+        destroy: (id) => {
+            entries.delete(id);
+        }
+    };
+};
+
+/**
+ * Creates browser sign-in for the application
+ * @param {Object} options - Authentication dependencies
+ * @param {Object} options.settings - The active profile's settings
+ * @param {Object} options.stratoClient - STRATO client of the active profile, providing the OAuth helper
+ * @param {Object} [options.logger] - Where sign-in failures are logged; needs `log` and `error`
+ * @returns {{router: Router, requireVisitor: Function, authorizeOwners: Function, isAdmin: Function}} - The sign-in routes, the middleware that requires a session, and the access checks
+ */
+const createAuthentication = ({ settings, stratoClient, logger = console }) => {
+    const { redirectUri, commonNameClaim, adminCommonNames, sessionMaxAgeMinutes } = settings;
+    const { appTokenCookieName } = stratoClient.oauthInit;
+    const loginCookieName = `${appTokenCookieName}_login`;
+    const callbackPath = new URL(redirectUri).pathname;
+
+    const sessionMaxAgeMs = sessionMaxAgeMinutes * 60 * 1000;
+    const sessions = createExpiringStore({ maxAgeMs: sessionMaxAgeMs });
+    const pendingLogins = createExpiringStore({ maxAgeMs: LOGIN_TIMEOUT_MINUTES * 60 * 1000 });
+
+    // Cookies are only sent over https when the application is served over https
+    const cookieOptions = {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: redirectUri.startsWith('https:'),
+        path: '/'
+    };
+
+    const router = express.Router();
+
+    router.get(LOGIN_PATH, async (req, res) => {
+        try {
+            const oauth = await stratoClient.getOAuth();
+            const state = pendingLogins.create({ returnTo: getSafeReturnPath(req.query.returnTo) });
+
+            // Our own state parameter ties the callback to this browser
+            const signinUrl = new URL(oauth.getSigninURL());
+            signinUrl.searchParams.set('state', state);
+
+            res.cookie(loginCookieName, state, { ...cookieOptions, maxAge: LOGIN_TIMEOUT_MINUTES * 60 * 1000 });
+            res.redirect(signinUrl.toString());
+        } catch (error) {
+            logger.error('Failed to start sign-in', { error: error.message });
+            res.status(502).send(renderErrorPage(502, 'Sign-in is unavailable: the OAuth provider could not be reached.'));
+        }
+    });
+
+    router.get(callbackPath, async (req, res) => {
+        const { code, state, error: providerError } = req.query;
+        const cookieState = parseCookies(req.headers.cookie)[loginCookieName];
+        res.clearCookie(loginCookieName, cookieOptions);
+
+        try {
+            if (providerError) {
+                throw new LoginError(`The OAuth provider refused the sign-in: ${providerError}`);
+            }
+            const pending = typeof state === 'string' && state === cookieState ? pendingLogins.get(state) : null;
+            if (!pending) {
+                throw new LoginError('The sign-in request is unknown or has expired; please sign in again');
+            }
+            pendingLogins.destroy(state);
+            if (typeof code !== 'string' || code === '') {
+                throw new LoginError('The OAuth provider did not return an authorization code');
+            }
+
+            const oauth = await stratoClient.getOAuth();
+            let tokenObj;
+            try {
+                tokenObj = await oauth.getAccessTokenByAuthCode(code);
+            } catch (error) {
+                throw new LoginError('The authorization code could not be exchanged for a token', 502, error);
+            }
+
+            const claims = decodeTokenClaims(tokenObj.token[stratoClient.oauthInit.tokenField]);
+            let commonName;
+            try {
+                commonName = validateCommonName(claims[commonNameClaim]);
+            } catch (error) {
+                throw new LoginError(`The token has no usable "${commonNameClaim}" claim`, 403, error);
+            }
+
+            const sessionId = sessions.create({ commonName, signedInAt: new Date().toISOString() });
+            res.cookie(appTokenCookieName, sessionId, { ...cookieOptions, maxAge: sessionMaxAgeMs });
+            logger.log('Signed in', { commonName });
+            res.redirect(pending.returnTo);
+        } catch (error) {
+            logger.error('Sign-in failed', { error: error.message });
+            const status = error instanceof LoginError ? error.status : 500;
+            res.status(status).send(renderErrorPage(status, `Sign-in failed: ${error.message}`));
+        }
+    });
+
+    const logout = async (req, res) => {
+        const sessionId = parseCookies(req.headers.cookie)[appTokenCookieName];
+        if (sessionId) {
+            sessions.destroy(sessionId);
+        }
+        res.clearCookie(appTokenCookieName, cookieOptions);
+
+        // Also end the session at the OAuth provider, which then sends the browser to logoutRedirectUri
+        try {
+            const oauth = await stratoClient.getOAuth();
+            res.redirect(oauth.getLogOutUrl());
+        } catch (error) {
+            logger.error('Failed to sign out at the OAuth provider', { error: error.message });
+            res.redirect('/');
+        }
+    };
+    router.get(LOGOUT_PATH, logout);
+    router.post(LOGOUT_PATH, logout);
+
+    /**
+     * Whether a common name may view every portfolio
+     * @param {string} commonName - The visitor's common name
+     * @returns {boolean} - True for administrators
+     */
+    const isAdmin = (commonName) => adminCommonNames.includes(commonName);
+
+    /**
+     * Express middleware: attaches the signed-in visitor as `req.visitor`. Without a session,
+     * pages redirect to the sign-in and API requests get 401.
+     */
+    const requireVisitor = (req, res, next) => {
+        const session = sessions.get(parseCookies(req.headers.cookie)[appTokenCookieName]);
+        if (session) {
+            req.visitor = { commonName: session.commonName, isAdmin: isAdmin(session.commonName) };
+            return next();
+        }
+
+        if (req.method === 'GET' && !req.path.startsWith('/api/')) {
+            return res.redirect(`${LOGIN_PATH}?returnTo=${encodeURIComponent(req.originalUrl)}`);
+        }
+        res.status(401).json({ error: 'Sign-in required', login: LOGIN_PATH });
+    };
+
+    /**
+     * Checks that a visitor may view the given owners' portfolios
+     * @param {{commonName: string, isAdmin: boolean}} visitor - The signed-in visitor
+     * @param {Array<string>} owners - Validated owner common names
+     * @throws {ForbiddenOwnerError} If the visitor asks for someone else's portfolio without being an administrator
+     */
+    const authorizeOwners = (visitor, owners) => {
+        const forbidden = visitor.isAdmin ? [] : owners.filter(owner => owner !== visitor.commonName);
+        if (forbidden.length > 0) {
+            throw new ForbiddenOwnerError(`${visitor.commonName} may not view the portfolio of ${forbidden.join(', ')}`);
+        }
+    };
+
+    return { router, requireVisitor, authorizeOwners, isAdmin };
+};
+
+module.exports = {
+    LOGIN_PATH,
+    LOGOUT_PATH,
+    ForbiddenOwnerError,
+    LoginError,
+    parseCookies,
+    decodeTokenClaims,
+    getSafeReturnPath,
+    createExpiringStore,
+    createAuthentication
+};
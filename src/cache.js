@@ -0,0 +1,126 @@
+/**
+ * In-memory response cache for upstream queries.
+ *
+ * A result is served from the cache until its TTL passes. For `staleMs` after that it is still
+ * served, marked stale, while a single background request fetches a new one
+ * (stale-while-revalidate). Concurrent requests for a key that is not cached share one fetch.
+ * Failed fetches are never cached.
+ */
+
+/**
+ * Creates a cache
+ * @param {Object} [options] - Cache options
+ * @param {Object} [options.logger] - Where failed background refreshes are logged; needs `error`
+ * @param {Function} [options.now] - Clock, in milliseconds
+ * @returns {{get: Function, clear: Function, getStatus: Function}} - The cache
+ */
+const createCache = ({ logger = console, now = () => Date.now() } = {}) => {
+    const entries = new Map();
+    const pending = new Map();
+    let hits = 0;
+    let staleHits = 0;
+    let misses = 0;
+    // Bumped by clear(), so fetches started before it are neither shared nor stored
+    let generation = 0;
+
+    const removeExpired = () => {
+        const time = now();
+        entries.forEach((entry, key) => {
+            if (entry.staleUntil <= time) {
+                entries.delete(key);
+            }
+        });
+    };
+
+    /**
+     * Fetches a value, sharing the request with concurrent callers of the same key
+     * @returns {Promise<Object>} - The new entry
+     */
+    const load = (key, loader, { ttlMs, staleMs }) => {
+        if (!pending.has(key)) {
+            const startedIn = generation;
+            const request = (async () => {
+                try {
+                    const value = await loader();
+                    const fetchedAt = now();
+                    const entry = { value, fetchedAt, expiresAt: fetchedAt + ttlMs, staleUntil: fetchedAt + ttlMs + staleMs };
+                    if (ttlMs > 0 && startedIn === generation) {
+                        removeExpired();
+                        entries.set(key, entry);
+                    }
+                    return entry;
+                } finally {
+                    if (pending.get(key) === request) {
+                        pending.delete(key);
+                    }
+                }
+            })();
+            pending.set(key, request);
+        }
+        return pending.get(key);
+    };
+
+    const describe = (entry, stale) => ({ value: entry.value, fetchedAt: entry.fetchedAt, stale });
+
+    /**
+     * Returns the cached value for a key, fetching it when it is missing or too old
+     * @param {string} key - Identifies the query
+     * @param {Function} loader - Fetches the value; a rejection is passed to the caller and not cached
+     * @param {Object} options - Freshness of this kind of value
+     * @param {number} options.ttlMs - How long a value is served as fresh; 0 disables caching
+     * @param {number} [options.staleMs] - How long after that a value is served while it is refreshed
+     * @returns {Promise<{value: *, fetchedAt: number, stale: boolean}>} - The value, when it was fetched, and whether it is being refreshed
+     */
+    const get = async (key, loader, { ttlMs, staleMs = 0 }) => {
+        const entry = entries.get(key);
+        const time = now();
+
+        if (entry && time < entry.expiresAt) {
+            hits += 1;
+            return describe(entry, false);
+        }
+        if (entry && time < entry.staleUntil) {
+            staleHits += 1;
+            load(key, loader, { ttlMs, staleMs }).catch((error) => {
+                logger.error('Failed to refresh cached value', { key, error: error.message });
+            });
+            return describe(entry, true);
+        }
+
+        misses += 1;
+        return describe(await load(key, loader, { ttlMs, staleMs }), false);
+    };
+
+    /**
+     * Discards every cached value, so the next request for each key fetches it again
+     */
+    const clear = () => {
+        generation += 1;
+        entries.clear();
+        pending.clear();
+    };
+
+    /**
+     * Reports the cache usage for diagnostics
+     * @returns {{entries: number, hits: number, staleHits: number, misses: number}} - Entry count and lookups since start
+     */
+    const getStatus = () => ({ entries: entries.size, hits, staleHits, misses });
+
+    return { get, clear, getStatus };
+};
+
+/**
+ * Combines the freshness of the cached results a response is built from
+ * @param {Array<{fetchedAt: number, stale: boolean}>} sources - The cached results
+ * @returns {{fetchedAt: number, lastFetchedAt: number, stale: boolean}} - When the oldest and newest were fetched, and whether any is being refreshed
+ */
+const combineFreshness = (sources) => ({
+    fetchedAt: Math.min(...sources.map(({ fetchedAt }) => fetchedAt)),
+    lastFetchedAt: Math.max(...sources.map(({ fetchedAt }) => fetchedAt)),
+    stale: sources.some(({ stale }) => stale)
+});
+
+module.exports = {
+    createCache,
+    combineFreshness
+};
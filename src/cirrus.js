@@ -0,0 +1,134 @@
+/**
+ * Paginated access to Cirrus (PostgREST) tables.
+ *
+ * Cirrus caps the rows returned by a single request, so large tables are walked with
+ * `limit`/`offset` pages, a few pages in flight at a time once the table is known to span several.
+ */
+
+const { buildCirrusQuery, validateTableName } = require('./cirrusQuery');
+
+const DEFAULT_PAGE_SIZE = 500;
+const DEFAULT_CONCURRENCY = 4;
+
+// Columns needed from each table; selecting only these keeps responses small
+const ASSET_COLUMNS = ['address', 'root', 'originAddress', 'creator', 'name', 'quantity', 'decimals', 'ownerCommonName'];
+const ORACLE_COLUMNS = ['address', 'creator', 'name', 'consensusPrice', 'block_timestamp'];
+const SALE_COLUMNS = ['address', 'assetToBeSold', 'price', 'quantity', 'isOpen', 'block_timestamp'];
+const TRANSFER_EVENT_COLUMNS = ['address', 'assetName', 'oldOwnerCommonName', 'newOwnerCommonName', 'quantity', 'price', 'transferDate', 'block_timestamp'];
+
+/**
+ * Streams a Cirrus table page by page, in order. The first page is fetched alone; once a page
+ * shows how many rows Cirrus returns per request, up to `concurrency` pages are fetched ahead.
+ * Cirrus may return fewer rows than the `limit` asked for, so offsets follow the rows actually
+ * returned and the table ends at a page shorter than that, or at an empty page.
+ * @param {AxiosInstance} apiClient - The Cirrus API client
+ * @param {string} table - The table name, e.g. "BlockApps-Mercata-Asset"
+ * @param {Object} options - Query options
+ * @param {Array<Object>} [options.filters] - Filters built with `where` from cirrusQuery, e.g. [where('ownerCommonName', 'eq', 'alice')]
+ * @param {Array<string>|null} [options.select] - Columns to return; omit for every column
+ * @param {string} [options.order] - Sort order; offsets are only stable with a total order, e.g. "address.asc"
+ * @param {number} [options.pageSize] - Rows per request
+ * @param {number} [options.concurrency] - Maximum requests in flight
+ * @yields {Object} - The axios response for each non-empty page, in offset order; the first page even if empty
+ */
+async function* streamCirrusTable(apiClient, table, options = {}) {
+    const {
+        filters = [],
+        select,
+        order,
+        pageSize = DEFAULT_PAGE_SIZE,
+        concurrency = DEFAULT_CONCURRENCY
+    } = options;
+
+    const path = `/${encodeURIComponent(validateTableName(table))}`;
+    // Cancels pages fetched ahead that turn out to be past the end, so they are not retried or counted as failures
+    const controller = new AbortController();
+    const fetchPage = (offset) => {
+        const request = apiClient.get(path, {
+            params: buildCirrusQuery({ filters, select, order, limit: pageSize, offset }),
+            signal: controller.signal
+        });
+        // Pages prefetched past the end may never be awaited; don't let them reject unhandled
+        request.catch(() => {});
+        return request;
+    };
+
+    const inFlight = [];
+    let nextOffset = 0;
+    // Rows Cirrus returns for a full page: the page size, or less if it caps responses
+    let rowsPerPage = null;
+
+    const fetchAhead = (count) => {
+        while (inFlight.length < count) {
+            inFlight.push(fetchPage(nextOffset));
+            nextOffset += rowsPerPage;
+        }
+    };
+
+    try {
+        const first = await fetchPage(0);
+        const firstRows = Array.isArray(first.data) ? first.data : [];
+        yield first;
+        if (firstRows.length === 0) {
+            return;
+        }
+
+        rowsPerPage = firstRows.length;
+        nextOffset = rowsPerPage;
+        // A full first page means Cirrus honours the page size and more rows are likely; a short one
+        // is either the whole table or a cap, which the next page tells apart
+        fetchAhead(rowsPerPage === pageSize ? concurrency : 1);
+
+        while (inFlight.length > 0) {
+            const response = await inFlight.shift();
+            const rows = Array.isArray(response.data) ? response.data : [];
+            if (rows.length === 0) {
+                return;
+            }
+
+            yield response;
+
+            // A page shorter than the ones before it is the end of the table
+            if (rows.length < rowsPerPage) {
+                return;
+            }
+            fetchAhead(concurrency);
+        }
+    } finally {
+        controller.abort();
+    }
+}
+
+/**
+ * Fetches every row of a Cirrus table matching the given filters
+ * @param {AxiosInstance} apiClient - The Cirrus API client
+ * @param {string} table - The table name
+ * @param {Object} options - Query options, as for streamCirrusTable
+ * @returns {Promise<{result: Object, data: Array, pageCount: number}>} - The last page's response, all rows, and the number of pages fetched
+ */
+const fetchCirrusTable = async (apiClient, table, options = {}) => {
+    const data = [];
+    let result = null;
+    let pageCount = 0;
+
+    for await (const response of streamCirrusTable(apiClient, table, options)) {
+        if (Array.isArray(response.data)) {
+            data.push(...response.data);
+        }
+        result = response;
+        pageCount += 1;
+    }
+
+    return { result, data, pageCount };
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    DEFAULT_CONCURRENCY,
+    ASSET_COLUMNS,
+    ORACLE_COLUMNS,
+    TRANSFER_EVENT_COLUMNS,
+    SALE_COLUMNS,
+    streamCirrusTable,
+    fetchCirrusTable
+};
@@ -0,0 +1,188 @@
+/**
+ * PostgREST query building for Cirrus: filters, column selection, ordering and paging.
+ *
+ * Table and column names are checked against what Cirrus generates, and filter values are
+ * encoded so that no value can change the meaning of a query: list values that contain
+ * PostgREST's reserved characters are quoted, and the query string is percent-encoded.
+ */
+
+// Operators accepted in filters; `like` takes `*` as its wildcard
+const FILTER_OPERATORS = ['eq', 'gt', 'lt', 'in', 'like'];
+const ORDER_DIRECTIONS = ['asc', 'desc'];
+
+// Cirrus names tables "<org>-<app>-<contract>", and event tables "<contract>.<event>"
+const TABLE_NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_-]*(\.[A-Za-z0-9_][A-Za-z0-9_-]*)*$/;
+const MAX_TABLE_NAME_LENGTH = 200;
+const COLUMN_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,62}$/;
+
+// Characters with a meaning inside a PostgREST list; values containing them are quoted
+const RESERVED_LIST_CHARACTERS = /[,.:()"\\\s]/;
+
+/**
+ * Raised when a table, column, filter, order or page is not a valid Cirrus query
+ */
+class InvalidQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidQueryError';
+    }
+}
+
+/**
+ * Validates a Cirrus table name
+ * @param {string} table - e.g. "BlockApps-Mercata-Asset" or "BlockApps-Mercata-Asset.ItemTransfers"
+ * @returns {string} - The trimmed table name
+ * @throws {InvalidQueryError} If the name is not one Cirrus could have generated
+ */
+const validateTableName = (table) => {
+    const trimmed = typeof table === 'string' ? table.trim() : '';
+    if (trimmed.length > MAX_TABLE_NAME_LENGTH || !TABLE_NAME_PATTERN.test(trimmed)) {
+        throw new InvalidQueryError('Invalid table name: use letters, digits, "_", "-" and "." between names');
+    }
+    return trimmed;
+};
+
+/**
+ * Validates a column name
+ * @param {string} column - e.g. "ownerCommonName"
+ * @returns {string} - The trimmed column name
+ * @throws {InvalidQueryError} If the name is not a plain identifier
+ */
+const validateColumnName = (column) => {
+    const trimmed = typeof column === 'string' ? column.trim() : '';
+    if (!COLUMN_NAME_PATTERN.test(trimmed)) {
+        throw new InvalidQueryError(`Invalid column name "${String(column)}": use letters, digits and "_"`);
+    }
+    return trimmed;
+};
+
+/**
+ * Reads a filter value as the text PostgREST compares against
+ * @param {string|number|boolean|bigint} value - The value
+ * @returns {string} - The value as text
+ * @throws {InvalidQueryError} If the value is missing or not a scalar
+ */
+const toFilterText = (value) => {
+    if (!['string', 'number', 'boolean', 'bigint'].includes(typeof value)) {
+        throw new InvalidQueryError('Filter values must be strings, numbers or booleans');
+    }
+    return String(value);
+};
+
+/**
+ * Quotes a value for a PostgREST list if it contains reserved characters
+ * @param {string} value - The value as text
+ * @returns {string} - e.g. `alice` or `"Smith, J."`
+ */
+const quoteListValue = (value) => (RESERVED_LIST_CHARACTERS.test(value) || value === '' ?
+    `"${value.replace(/["\\]/g, '\\$&')}"` :
+    value);
+
+/**
+ * Creates a filter on one column
+ * @param {string} column - The column to filter on
+ * @param {string} operator - One of FILTER_OPERATORS
+ * @param {string|number|boolean|Array} value - The value to compare with; an array of values for `in`
+ * @returns {{column: string, operator: string, value: string}} - The filter, with its value encoded for PostgREST, e.g. "in.(a,b)"
+ * @throws {InvalidQueryError} If the column, operator or value is invalid
+ */
+const where = (column, operator, value) => {
+    const name = validateColumnName(column);
+    if (!FILTER_OPERATORS.includes(operator)) {
+        throw new InvalidQueryError(`Unknown filter operator "${String(operator)}": use one of ${FILTER_OPERATORS.join(', ')}`);
+    }
+    if (operator === 'in') {
+        if (!Array.isArray(value) || value.length === 0) {
+            throw new InvalidQueryError(`The "in" filter on ${name} needs at least one value`);
+        }
+        return { column: name, operator, value: `in.(${value.map(item => quoteListValue(toFilterText(item))).join(',')})` };
+    }
+    // Everything after the operator is the value, so no quoting is needed outside lists
+    return { column: name, operator, value: `${operator}.${toFilterText(value)}` };
+};
+
+/**
+ * Parses a sort order
+ * @param {string|Array<string>} order - e.g. "block_timestamp.desc,address" or ["block_timestamp.desc", "address"]
+ * @returns {Array<{column: string, direction: string}>} - The validated terms; direction defaults to "asc"
+ * @throws {InvalidQueryError} If a column or direction is invalid
+ */
+const parseOrder = (order) => (Array.isArray(order) ? order : String(order).split(','))
+    .map(term => term.trim())
+    .filter(term => term !== '')
+    .map(term => {
+        const [column, direction = 'asc', ...rest] = term.split('.');
+        if (!ORDER_DIRECTIONS.includes(direction) || rest.length > 0) {
+            throw new InvalidQueryError(`Invalid sort order "${term}": use "column", "column.asc" or "column.desc"`);
+        }
+        return { column: validateColumnName(column), direction };
+    });
+
+/**
+ * Validates a row count or offset
+ * @param {*} value - The number
+ * @param {string} name - What it is, for the error message
+ * @param {number} min - The smallest accepted value
+ * @returns {number} - The number
+ * @throws {InvalidQueryError} If it is not a whole number of at least `min`
+ */
+const toCount = (value, name, min) => {
+    const number = Number(value);
+    if (!Number.isSafeInteger(number) || number < min) {
+        throw new InvalidQueryError(`${name} must be a whole number of at least ${min}`);
+    }
+    return number;
+};
+
+/**
+ * Builds the query string parameters for a Cirrus request
+ * @param {Object} [query] - The query
+ * @param {Array<Object>} [query.filters] - Filters from `where`; several may apply to one column
+ * @param {Array<string>|null} [query.select] - Columns to return; omit for every column
+ * @param {string|Array<string>} [query.order] - Sort order, as for parseOrder
+ * @param {number|null} [query.limit] - Maximum rows to return
+ * @param {number|null} [query.offset] - Rows to skip
+ * @returns {URLSearchParams} - The parameters, in a stable order
+ * @throws {InvalidQueryError} If any part of the query is invalid
+ */
+const buildCirrusQuery = ({ filters = [], select = null, order = [], limit = null, offset = null } = {}) => {
+    const params = new URLSearchParams();
+    filters.forEach(({ column, value }) => params.append(validateColumnName(column), value));
+    if (select && select.length > 0) {
+        params.append('select', select.map(validateColumnName).join(','));
+    }
+    const terms = parseOrder(order);
+    if (terms.length > 0) {
+        params.append('order', terms.map(({ column, direction }) => `${column}.${direction}`).join(','));
+    }
+    if (limit !== null && limit !== undefined) {
+        params.append('limit', String(toCount(limit, 'limit', 1)));
+    }
+    if (offset !== null && offset !== undefined) {
+        params.append('offset', String(toCount(offset, 'offset', 0)));
+    }
+    return params;
+};
+
+/**
+ * Builds the path of a Cirrus request, relative to the Cirrus API base URL
+ * @param {string} table - The table name
+ * @param {Object} [query] - The query, as for buildCirrusQuery
+ * @returns {string} - e.g. "/BlockApps-Mercata-Asset?ownerCommonName=eq.alice&limit=10"
+ */
+const toCirrusPath = (table, query = {}) => {
+    const search = buildCirrusQuery(query).toString();
+    return `/${encodeURIComponent(validateTableName(table))}${search ? `?${search}` : ''}`;
+};
+
+module.exports = {
+    FILTER_OPERATORS,
+    ORDER_DIRECTIONS,
+    InvalidQueryError,
+    validateTableName,
+    validateColumnName,
+    where,
+    parseOrder,
+    buildCirrusQuery,
+    toCirrusPath
+};
@@ -0,0 +1,379 @@
+/**
+ * Command-line interface: prints a portfolio, the oracle prices or one asset's tokens as a
+ * table, JSON or CSV, without starting the web server. Failures map onto distinct exit
+ * codes so the command can be used from cron jobs and shell pipelines.
+ */
+
+const util = require('util');
+const { buildPortfolio, valueTokens } = require('./portfolio');
+const { createAssetRegistry, AssetRegistryError } = require('./assetRegistry');
+const { ConfigError, loadConfig } = require('./config');
+const { createStratoClient, isAuthenticationFailure } = require('./strato');
+const { buildExport, escapeCsvValue, toCsv } = require('./export');
+const { InvalidOwnerError, validateCommonName } = require('./owners');
+const { calculateActualValue, formatAssetWorth } = require('./views');
+const { formatDecimal, toDecimalString } = require('./decimal');
+
+const EXIT_CODES = {
+    OK: 0,
+    FAILURE: 1,     // unexpected error
+    USAGE: 2,       // bad command, option or owner name
+    CONFIG: 3,      // credentials.yaml or assets.yaml missing or invalid
+    AUTH: 4,        // no OAuth token, or the node rejected it
+    API: 5,         // Cirrus unreachable or returned an error
+    NOT_FOUND: 6    // the requested asset is not held by the owner
+};
+
+const FORMATS = ['table', 'json', 'csv'];
+
+const USAGE = `Usage: strato-assets <command> [options]
+
+Commands:
+  portfolio             Holdings and total value of an owner
+  prices                Latest oracle price per asset
+  asset <name>          Tokens making up one holding, by asset name or origin address
+
+Options:
+  --owner <commonName>  Owner to query (default: userCommonName from credentials.yaml)
+  --format <format>     table, json or csv (default: table)
+  --tokens              portfolio only: one CSV row per token instead of per holding
+  --credentials <path>  Credentials file (default: $STRATO_CREDENTIALS_FILE or ./credentials.yaml)
+  --profile <name>      Configured profile (node) to query (default: $STRATO_PROFILE)
+  --registry <path>     Asset registry file (default: ./assets.yaml)
+  --verbose             Log OAuth and API progress to stderr
+  --help                Show this help
+
+Exit codes:
+  0 success, 1 unexpected error, 2 usage error, 3 configuration error,
+  4 authentication failure, 5 API failure, 6 asset not found`;
+
+/**
+ * An error that ends the command with a specific exit code
+ */
+class CliError extends Error {
+    constructor(message, exitCode) {
+        super(message);
+        this.name = 'CliError';
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * Turns a failed STRATO request into a CliError with the matching exit code
+ * @param {string} message - Description of what failed
+ * @param {Error} error - The request error
+ * @returns {CliError} - The error to throw
+ */
+const toRequestError = (message, error) => {
+    if (isAuthenticationFailure(error)) {
+        return new CliError(`${message}: authentication failed (${error.message})`, EXIT_CODES.AUTH);
+    }
+    return new CliError(`${message}: ${error.message}`, EXIT_CODES.API);
+};
+
+/**
+ * Renders rows as a plain-text table with padded columns
+ * @param {Array<{key: string, header: string, align?: string}>} columns - Column definitions; align "right" for numbers
+ * @param {Array<Object>} rows - The rows
+ * @returns {string} - The table, one line per row after the header
+ */
+const formatTable = (columns, rows) => {
+    const cells = rows.map(row => columns.map(column => {
+        const value = row[column.key];
+        return value === undefined || value === null ? '' : String(value);
+    }));
+    const widths = columns.map((column, index) =>
+        Math.max(column.header.length, ...cells.map(row => row[index].length))
+    );
+    const formatLine = (values) => values
+        .map((value, index) => columns[index].align === 'right' ? value.padStart(widths[index]) : value.padEnd(widths[index]))
+        .join('  ')
+        .trimEnd();
+
+    return [
+        formatLine(columns.map(column => column.header)),
+        formatLine(widths.map(width => '-'.repeat(width))),
+        ...cells.map(formatLine)
+    ].join('\n');
+};
+
+/**
+ * Renders rows as CSV
+ * @param {Array<{key: string, header: string}>} columns - Column definitions
+ * @param {Array<Object>} rows - The rows
+ * @returns {string} - The CSV document
+ */
+const formatCsv = (columns, rows) => [
+    columns.map(column => escapeCsvValue(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escapeCsvValue(row[column.key])).join(','))
+].join('\r\n') + '\r\n';
+
+/**
+ * Serializes a value as indented JSON, with BigInt raw quantities as exact strings
+ */
+const formatJson = (value) => JSON.stringify(value, (key, item) => typeof item === 'bigint' ? item.toString() : item, 2) + '\n';
+
+/**
+ * Short flags for an asset's name collision, issuer and price status
+ * @param {Object} asset - A valued asset group
+ * @returns {string} - Comma-separated notes, empty when there is nothing to flag
+ */
+const getAssetNotes = (asset) => [
+    asset.nameCollision && 'name collision',
+    !asset.verified && 'unverified issuer',
+    asset.priceInfo && asset.priceInfo.stale && 'stale price',
+    asset.priceInfo && asset.priceInfo.disputed && 'disputed price'
+].filter(Boolean).join(', ');
+
+const formatQuantity = (asset) => asset.decimals !== undefined && asset.decimals !== null ?
+    calculateActualValue(asset.totalQuantity, asset.decimals) :
+    asset.totalQuantity.toString();
+
+const formatWorth = (asset, worth = asset.worth) => {
+    if (worth === null) {
+        return '';
+    }
+    return asset.estimate ? `~${formatAssetWorth(worth)}` : formatAssetWorth(worth);
+};
+
+/**
+ * Renders a portfolio as a holdings table followed by the Total Value lines
+ * @param {Object} portfolio - The portfolio as returned by buildPortfolio
+ * @returns {string} - The text output
+ */
+const formatPortfolioTable = (portfolio) => {
+    const { totals } = portfolio;
+    const money = (value) => formatDecimal(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const lines = [
+        `Owner: ${portfolio.owner} (${portfolio.assets.length} assets across ${portfolio.tokenCount} tokens)`,
+        ''
+    ];
+
+    if (portfolio.assets.length > 0) {
+        lines.push(formatTable([
+            { key: 'name', header: 'Asset' },
+            { key: 'tokenCount', header: 'Tokens', align: 'right' },
+            { key: 'quantity', header: 'Quantity', align: 'right' },
+            { key: 'price', header: 'Price (USD)', align: 'right' },
+            { key: 'worth', header: 'Worth (USD)', align: 'right' },
+            { key: 'notes', header: 'Notes' }
+        ], portfolio.assets.map(asset => ({
+            name: asset.displayName,
+            tokenCount: asset.tokenCount,
+            quantity: formatQuantity(asset),
+            price: asset.price || '',
+            worth: formatWorth(asset),
+            notes: getAssetNotes(asset)
+        }))), '');
+    }
+
+    lines.push('Total Value');
+    lines.push(`  ${totals.fungible.tokenCount} fungible tokens: $${money(totals.fungible.value)}`);
+    if (totals.estimated.tokenCount > 0) {
+        lines.push(`  ${totals.estimated.tokenCount} tokens with stale or disputed prices: ~$${money(totals.estimated.value)} (estimate, not included above)`);
+    }
+    lines.push(`  ${totals.nonFungible.tokenCount} non-fungible tokens: (unknown value)`);
+    lines.push(`  ${totals.cata.tokenCount} CATA tokens: ${formatDecimal(totals.cata.quantity, { minimumFractionDigits: 2, maximumFractionDigits: 6 })} CATA`);
+    if (totals.unverified.tokenCount > 0) {
+        lines.push(`  ${totals.unverified.tokenCount} tokens from unverified issuers: (not valued)`);
+    }
+
+    return lines.join('\n') + '\n';
+};
+
+const PRICE_COLUMNS = [
+    { key: 'asset', header: 'Asset' },
+    { key: 'price', header: 'Price (USD)', align: 'right' },
+    { key: 'updatedAt', header: 'Updated At' },
+    { key: 'sources', header: 'Sources', align: 'right' },
+    { key: 'spreadPercent', header: 'Spread %', align: 'right' },
+    { key: 'status', header: 'Status' }
+];
+
+/**
+ * Flattens the oracle prices into one row per asset
+ * @param {Object} latestPrices - Map of asset name to price
+ * @param {Object} priceDetails - Map of asset name to price details
+ * @returns {Array<Object>} - Rows sorted by asset name
+ */
+const getPriceRows = (latestPrices, priceDetails) => Object.keys(latestPrices)
+    .sort((a, b) => a.localeCompare(b))
+    .map(asset => {
+        const details = priceDetails[asset] || {};
+        return {
+            asset,
+            price: latestPrices[asset],
+            updatedAt: details.fixed ? 'fixed' : details.updatedAt || '',
+            sources: details.sources ? details.sources.length : '',
+            spreadPercent: details.spreadPercent || '',
+            status: [details.stale && 'stale', details.disputed && 'disputed'].filter(Boolean).join(', ') || 'ok'
+        };
+    });
+
+const TOKEN_COLUMNS = [
+    { key: 'key', header: 'Origin / Group' },
+    { key: 'name', header: 'Name' },
+    { key: 'address', header: 'Token Address' },
+    { key: 'quantity', header: 'Quantity', align: 'right' },
+    { key: 'worth', header: 'Worth (USD)', align: 'right' }
+];
+
+/**
+ * Finds the holdings matching an asset name, display name or group key
+ * @param {Array<Object>} assets - Valued asset groups
+ * @param {string} name - What the user asked for
+ * @returns {Array<Object>} - Matching groups; several when contracts share a name
+ */
+const findAssets = (assets, name) => {
+    const byKey = assets.filter(asset => asset.key === name);
+    if (byKey.length > 0) {
+        return byKey;
+    }
+    const lowered = name.toLowerCase();
+    return assets.filter(asset =>
+        asset.name.toLowerCase() === lowered || asset.displayName.toLowerCase() === lowered
+    );
+};
+
+/**
+ * Runs the command line
+ * @param {Array<string>} argv - Arguments after the executable, e.g. ["portfolio", "--format", "json"]
+ * @param {Object} [io] - Output streams and environment
+ * @param {Writable} [io.stdout] - Where results are written
+ * @param {Writable} [io.stderr] - Where errors and progress are written
+ * @param {Object} [io.env] - Environment variables for the configuration
+ * @returns {Promise<number>} - The exit code
+ */
+const runCli = async (argv, { stdout = process.stdout, stderr = process.stderr, env = process.env } = {}) => {
+    try {
+        let parsed;
+        try {
+            parsed = util.parseArgs({
+                args: argv,
+                allowPositionals: true,
+                options: {
+                    owner: { type: 'string' },
+                    format: { type: 'string', default: 'table' },
+                    tokens: { type: 'boolean', default: false },
+                    credentials: { type: 'string' },
+                    profile: { type: 'string' },
+                    registry: { type: 'string', default: './assets.yaml' },
+                    verbose: { type: 'boolean', default: false },
+                    help: { type: 'boolean', default: false }
+                }
+            });
+        } catch (error) {
+            throw new CliError(error.message, EXIT_CODES.USAGE);
+        }
+
+        const { values: options, positionals } = parsed;
+        const [command, ...commandArgs] = positionals;
+
+        if (options.help) {
+            stdout.write(`${USAGE}\n`);
+            return EXIT_CODES.OK;
+        }
+        if (!['portfolio', 'prices', 'asset'].includes(command)) {
+            throw new CliError(command ? `Unknown command "${command}"` : 'No command given', EXIT_CODES.USAGE);
+        }
+        if (command === 'asset' ? commandArgs.length !== 1 : commandArgs.length !== 0) {
+            throw new CliError(command === 'asset' ? 'Usage: strato-assets asset <name>' : `Unexpected argument "${commandArgs[0]}"`, EXIT_CODES.USAGE);
+        }
+        if (!FORMATS.includes(options.format)) {
+            throw new CliError(`Unknown format "${options.format}", expected one of ${FORMATS.join(', ')}`, EXIT_CODES.USAGE);
+        }
+
+        // Progress messages would corrupt JSON or CSV on stdout, so they go to stderr and only on request
+        const writeLog = (...args) => stderr.write(`${util.format(...args)}\n`);
+        const logger = options.verbose ? { log: writeLog, error: writeLog } : { log: () => {}, error: () => {} };
+
+        const { settings } = loadConfig({ filePath: options.credentials, env, profile: options.profile });
+        const registry = createAssetRegistry(options.registry);
+        const owner = validateCommonName(options.owner !== undefined ? options.owner : settings.userCommonName);
+
+        const { getAssetsForCommonNameUser, getOracleValues, createCirrusClient } = createStratoClient(settings, logger);
+        const dbApiClient = createCirrusClient();
+
+        const { latestPrices, priceDetails, error: oracleError } = await getOracleValues(dbApiClient, registry);
+        if (oracleError) {
+            throw toRequestError('Failed to fetch oracle prices', oracleError);
+        }
+
+        if (command === 'prices') {
+            const rows = getPriceRows(latestPrices, priceDetails);
+            if (options.format === 'json') {
+                stdout.write(formatJson({ prices: latestPrices, details: priceDetails }));
+            } else if (options.format === 'csv') {
+                stdout.write(formatCsv(PRICE_COLUMNS, rows));
+            } else {
+                stdout.write(`${formatTable(PRICE_COLUMNS, rows)}\n`);
+            }
+            return EXIT_CODES.OK;
+        }
+
+        const { data: assetData, error: assetError } = await getAssetsForCommonNameUser(dbApiClient, owner);
+        if (assetError) {
+            throw toRequestError(`Failed to fetch assets for ${owner}`, assetError);
+        }
+        const portfolio = buildPortfolio(owner, assetData, latestPrices, registry, priceDetails);
+
+        if (command === 'portfolio') {
+            if (options.format === 'json') {
+                const { tokenCount, assets, totals } = portfolio;
+                stdout.write(formatJson({ owner, tokenCount, assets, totals }));
+            } else if (options.format === 'csv') {
+                stdout.write(toCsv(buildExport(portfolio, latestPrices, { perToken: options.tokens })));
+            } else {
+                stdout.write(formatPortfolioTable(portfolio));
+            }
+            return EXIT_CODES.OK;
+        }
+
+        // asset <name>
+        const [assetName] = commandArgs;
+        const matches = findAssets(portfolio.assets, assetName);
+        if (matches.length === 0) {
+            throw new CliError(`No asset "${assetName}" found for owner ${owner}`, EXIT_CODES.NOT_FOUND);
+        }
+
+        if (options.format === 'json') {
+            stdout.write(formatJson({
+                owner,
+                assets: matches.map(asset => ({ ...asset, tokens: valueTokens(asset) }))
+            }));
+            return EXIT_CODES.OK;
+        }
+
+        const rows = matches.flatMap(asset => valueTokens(asset).map(({ token, quantity, worth }) => ({
+            key: asset.key,
+            name: asset.displayName,
+            address: token.address || '',
+            quantity: options.format === 'csv' ? toDecimalString(quantity) : formatDecimal(quantity, { minimumFractionDigits: 2, maximumFractionDigits: 6 }),
+            worth: options.format === 'csv' ? (worth !== null ? toDecimalString(worth) : '') : formatWorth(asset, worth)
+        })));
+        stdout.write(options.format === 'csv' ? formatCsv(TOKEN_COLUMNS, rows) : `${formatTable(TOKEN_COLUMNS, rows)}\n`);
+        return EXIT_CODES.OK;
+    } catch (error) {
+        let exitCode = EXIT_CODES.FAILURE;
+        if (error instanceof CliError) {
+            exitCode = error.exitCode;
+        } else if (error instanceof InvalidOwnerError) {
+            exitCode = EXIT_CODES.USAGE;
+        } else if (error instanceof ConfigError || error instanceof AssetRegistryError) {
+            exitCode = EXIT_CODES.CONFIG;
+        }
+
+        stderr.write(`strato-assets: ${error.message}\n`);
+        if (exitCode === EXIT_CODES.USAGE) {
+            stderr.write(`Run "strato-assets --help" for usage.\n`);
+        }
+        return exitCode;
+    }
+};
+
+module.exports = {
+    EXIT_CODES,
+    CliError,
+    formatTable,
+    runCli
+};
@@ -0,0 +1,400 @@
+/**
+ * Configuration: the STRATO node, OAuth client and default owner, plus the optional server,
+ * snapshot and oracle settings.
+ *
+ * Settings come from credentials.yaml and environment variables. Top-level keys of the file
+ * are shared defaults; a `profiles` mapping can describe several nodes (e.g. testnet and
+ * mainnet), each overriding any of them. For profile P a setting is taken from, in order of
+ * precedence:
+ *
+ *   1. STRATO_<P>_<SETTING>, e.g. STRATO_TESTNET_CLIENT_SECRET
+ *   2. profiles.P in credentials.yaml
+ *   3. STRATO_<SETTING>, e.g. STRATO_CLIENT_SECRET
+ *   4. the top level of credentials.yaml
+ *   5. the built-in default
+ *
+ * The active profile is chosen with `--profile`, STRATO_PROFILE or the file's `profile` key;
+ * without one the top-level settings are used as the "default" profile.
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const {
+    DEFAULT_OPENID_DISCOVERY_URL,
+    DEFAULT_REDIRECT_URI,
+    DEFAULT_LOGOUT_REDIRECT_URI,
+    DEFAULT_CIRRUS_BASE_PATH,
+    DEFAULT_ASSET_CACHE_TTL_SECONDS,
+    DEFAULT_ORACLE_CACHE_TTL_SECONDS,
+    DEFAULT_CACHE_STALE_SECONDS
+} = require('./strato');
+const { DEFAULT_STALE_AFTER_MINUTES, DEFAULT_MAX_SPREAD_PERCENT } = require('./oracle');
+const {
+    DEFAULT_RETRIES,
+    DEFAULT_RETRY_BASE_DELAY_MS,
+    DEFAULT_CIRCUIT_FAILURE_THRESHOLD,
+    DEFAULT_CIRCUIT_RESET_SECONDS
+} = require('./resilience');
+const { DEFAULT_LIVE_UPDATE_INTERVAL_SECONDS } = require('./live');
+const { COST_BASIS_METHODS, DEFAULT_COST_BASIS_METHOD } = require('./pnl');
+const { DEFAULT_NFT_SALE_MAX_AGE_DAYS } = require('./nft');
+const { validateCommonName, parseOwnerList } = require('./owners');
+
+const DEFAULT_CREDENTIALS_FILE = './credentials.yaml';
+const DEFAULT_PROFILE = 'default';
+
+const PROFILE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,62}$/;
+
+// Every setting, its type, default and environment variable suffix
+const SETTINGS = {
+    clientUrl: { type: 'string', required: true, env: 'CLIENT_URL' },
+    clientId: { type: 'string', required: true, env: 'CLIENT_ID' },
+    clientSecret: { type: 'string', required: true, env: 'CLIENT_SECRET' },
+    userCommonName: { type: 'commonName', required: true, env: 'USER_COMMON_NAME' },
+    openIdDiscoveryUrl: { type: 'url', default: DEFAULT_OPENID_DISCOVERY_URL, env: 'OPENID_DISCOVERY_URL' },
+    redirectUri: { type: 'url', default: DEFAULT_REDIRECT_URI, env: 'REDIRECT_URI' },
+    logoutRedirectUri: { type: 'url', default: DEFAULT_LOGOUT_REDIRECT_URI, env: 'LOGOUT_REDIRECT_URI' },
+    cirrusBasePath: { type: 'path', default: DEFAULT_CIRRUS_BASE_PATH, env: 'CIRRUS_BASE_PATH' },
+    port: { type: 'integer', min: 0, max: 65535, default: 3000, env: 'PORT' },
+    snapshotIntervalMinutes: { type: 'number', min: 0, default: 60, env: 'SNAPSHOT_INTERVAL_MINUTES' },
+    oracleStaleAfterMinutes: { type: 'number', min: 0, default: DEFAULT_STALE_AFTER_MINUTES, env: 'ORACLE_STALE_AFTER_MINUTES' },
+    oracleMaxSpreadPercent: { type: 'number', min: 0, default: DEFAULT_MAX_SPREAD_PERCENT, env: 'ORACLE_MAX_SPREAD_PERCENT' },
+    requestRetries: { type: 'integer', min: 0, max: 10, default: DEFAULT_RETRIES, env: 'REQUEST_RETRIES' },
+    retryBaseDelayMs: { type: 'integer', min: 0, max: 60000, default: DEFAULT_RETRY_BASE_DELAY_MS, env: 'RETRY_BASE_DELAY_MS' },
+    circuitFailureThreshold: { type: 'integer', min: 1, max: 1000, default: DEFAULT_CIRCUIT_FAILURE_THRESHOLD, env: 'CIRCUIT_FAILURE_THRESHOLD' },
+    circuitResetSeconds: { type: 'number', min: 0, default: DEFAULT_CIRCUIT_RESET_SECONDS, env: 'CIRCUIT_RESET_SECONDS' },
+    tokenCacheFile: { type: 'string', env: 'TOKEN_CACHE_FILE' },
+    tokenCacheSecret: { type: 'string', minLength: 16, requiredWith: 'tokenCacheFile', env: 'TOKEN_CACHE_SECRET' },
+    browserLogin: { type: 'boolean', default: false, env: 'BROWSER_LOGIN' },
+    commonNameClaim: { type: 'string', default: 'preferred_username', env: 'COMMON_NAME_CLAIM' },
+    adminCommonNames: { type: 'commonNameList', default: [], env: 'ADMIN_COMMON_NAMES' },
+    sessionMaxAgeMinutes: { type: 'number', min: 1, default: 480, env: 'SESSION_MAX_AGE_MINUTES' },
+    assetCacheTtlSeconds: { type: 'number', min: 0, default: DEFAULT_ASSET_CACHE_TTL_SECONDS, env: 'ASSET_CACHE_TTL_SECONDS' },
+    oracleCacheTtlSeconds: { type: 'number', min: 0, default: DEFAULT_ORACLE_CACHE_TTL_SECONDS, env: 'ORACLE_CACHE_TTL_SECONDS' },
+    cacheStaleSeconds: { type: 'number', min: 0, default: DEFAULT_CACHE_STALE_SECONDS, env: 'CACHE_STALE_SECONDS' },
+    liveUpdateIntervalSeconds: { type: 'number', min: 0, default: DEFAULT_LIVE_UPDATE_INTERVAL_SECONDS, env: 'LIVE_UPDATE_INTERVAL_SECONDS' },
+    alertRulesFile: { type: 'string', env: 'ALERT_RULES_FILE' },
+    alertIntervalMinutes: { type: 'number', min: 0, default: 5, env: 'ALERT_INTERVAL_MINUTES' },
+    allowTransfers: { type: 'boolean', default: false, env: 'ALLOW_TRANSFERS' },
+    costBasisMethod: { type: 'string', values: COST_BASIS_METHODS, default: DEFAULT_COST_BASIS_METHOD, env: 'COST_BASIS_METHOD' },
+    nftSaleMaxAgeDays: { type: 'number', min: 0, default: DEFAULT_NFT_SALE_MAX_AGE_DAYS, env: 'NFT_SALE_MAX_AGE_DAYS' },
+    // With browser login on, /metrics must not be the one way to reach the node without signing in
+    metricsToken: { type: 'string', minLength: 16, requiredWith: 'browserLogin', env: 'METRICS_TOKEN' }
+};
+
+const TOP_LEVEL_KEYS = [...Object.keys(SETTINGS), 'profiles', 'profile'];
+
+/**
+ * Raised when the configuration is missing, unparsable or invalid
+ */
+class ConfigError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Raised when a requested profile is not configured
+ */
+class UnknownProfileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UnknownProfileError';
+    }
+}
+
+/**
+ * Builds the environment variable name for a setting
+ * @param {string} key - The setting name
+ * @param {string|null} [profile] - Profile name for a profile-specific variable
+ * @returns {string} - e.g. "STRATO_CLIENT_ID" or "STRATO_TESTNET_CLIENT_ID"
+ */
+const getEnvName = (key, profile = null) => {
+    const prefix = profile ? `STRATO_${profile.toUpperCase().replace(/-/g, '_')}_` : 'STRATO_';
+    return `${prefix}${SETTINGS[key].env}`;
+};
+
+/**
+ * Reads the settings given by environment variables
+ * @param {Object} env - The environment
+ * @param {string|null} profile - Profile name for profile-specific variables, or null for the shared ones
+ * @returns {Object} - Settings found, as strings
+ */
+const readEnvSettings = (env, profile) => {
+    const settings = {};
+    Object.keys(SETTINGS).forEach(key => {
+        const value = env[getEnvName(key, profile)];
+        if (value !== undefined && value !== '') {
+            settings[key] = value;
+        }
+    });
+    return settings;
+};
+
+/**
+ * Checks and normalizes one setting value
+ * @param {string} key - The setting name
+ * @param {*} value - The raw value from the file or environment
+ * @returns {{value: *, problem: string|null}} - The normalized value, or a description of what is wrong
+ */
+const validateSetting = (key, value) => {
+    const { type, min, max, minLength, values } = SETTINGS[key];
+
+    if (type === 'integer' || type === 'number') {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number) || (type === 'integer' && !Number.isInteger(number))) {
+            return { value, problem: `${key} must be ${type === 'integer' ? 'an integer' : 'a number'}, got ${JSON.stringify(value)}` };
+        }
+        if ((min !== undefined && number < min) || (max !== undefined && number > max)) {
+            const range = max !== undefined ? `between ${min} and ${max}` : `at least ${min}`;
+            return { value, problem: `${key} must be ${range}, got ${number}` };
+        }
+        return { value: number, problem: null };
+    }
+
+    if (type === 'boolean') {
+        if (typeof value === 'boolean') {
+            return { value, problem: null };
+        }
+        if (typeof value === 'string' && /^(true|false)$/i.test(value.trim())) {
+            return { value: value.trim().toLowerCase() === 'true', problem: null };
+        }
+        return { value, problem: `${key} must be true or false, got ${JSON.stringify(value)}` };
+    }
+
+    if (type === 'commonNameList') {
+        // A YAML list, or a comma-separated string from the environment; may be empty
+        const isEmpty = (Array.isArray(value) && value.length === 0) || (typeof value === 'string' && value.trim() === '');
+        if (isEmpty) {
+            return { value: [], problem: null };
+        }
+        try {
+            return { value: parseOwnerList(value), problem: null };
+        } catch (error) {
+            return { value, problem: `${key}: ${error.message}` };
+        }
+    }
+
+    if (typeof value !== 'string' || value.trim() === '') {
+        return { value, problem: `${key} must be a non-empty string` };
+    }
+
+    if (values !== undefined && !values.includes(value)) {
+        return { value, problem: `${key} must be one of ${values.join(', ')}, got "${value}"` };
+    }
+    if (minLength !== undefined && value.length < minLength) {
+        return { value, problem: `${key} must be at least ${minLength} characters long` };
+    }
+    if (type === 'url' && !/^https?:\/\/[^/]/i.test(value)) {
+        return { value, problem: `${key} must be an http or https URL, got "${value}"` };
+    }
+    if (type === 'path' && !value.startsWith('/')) {
+        return { value, problem: `${key} must be a path starting with "/", got "${value}"` };
+    }
+    if (type === 'commonName') {
+        try {
+            validateCommonName(value);
+        } catch (error) {
+            return { value, problem: `${key}: ${error.message}` };
+        }
+    }
+
+    return { value, problem: null };
+};
+
+/**
+ * Whether a setting that another depends on is in use: given, and not switched off
+ * @param {*} value - The raw setting value
+ * @returns {boolean} - False when missing, false or "false"
+ */
+const isSettingInUse = (value) => value !== undefined && value !== null && value !== false &&
+    !(typeof value === 'string' && /^false$/i.test(value.trim()));
+
+/**
+ * Merges setting layers (lowest precedence first), applies defaults and validates the result
+ * @param {Array<Object>} layers - Setting layers
+ * @param {string|null} profile - The profile being built, or null for the default profile
+ * @param {Array<string>} problems - Collects problems found
+ * @returns {Object} - The complete settings
+ */
+const buildSettings = (layers, profile, problems) => {
+    const label = profile ? `profile "${profile}"` : 'settings';
+    const merged = Object.assign({}, ...layers);
+    const settings = {};
+
+    Object.entries(SETTINGS).forEach(([key, definition]) => {
+        if (merged[key] === undefined || merged[key] === null) {
+            if (definition.required || (definition.requiredWith && isSettingInUse(merged[definition.requiredWith]))) {
+                const envNames = profile ? `${getEnvName(key)} or ${getEnvName(key, profile)}` : getEnvName(key);
+                const condition = definition.requiredWith ? ` when ${definition.requiredWith} is set` : '';
+                problems.push(`${label}: ${key} is required${condition} (set it in the credentials file or ${envNames})`);
+            } else {
+                settings[key] = definition.default;
+            }
+            return;
+        }
+
+        const { value, problem } = validateSetting(key, merged[key]);
+        if (problem) {
+            problems.push(`${label}: ${problem}`);
+        }
+        settings[key] = value;
+    });
+
+    return settings;
+};
+
+/**
+ * Keeps only the known settings of a mapping, reporting the rest
+ * @param {Object} mapping - Settings from the file
+ * @param {string} label - Where the mapping is, for error messages
+ * @param {Array<string>} problems - Collects problems found
+ * @returns {Object} - The known settings
+ */
+const pickSettings = (mapping, label, problems) => {
+    const picked = {};
+    Object.entries(mapping).forEach(([key, value]) => {
+        if (SETTINGS[key]) {
+            picked[key] = value;
+        } else {
+            problems.push(`${label}: unknown setting "${key}"`);
+        }
+    });
+    return picked;
+};
+
+/**
+ * Resolves the configuration from a parsed credentials document and the environment
+ * @param {Object} document - The parsed credentials file; {} when there is none
+ * @param {Object} [options] - Resolution options
+ * @param {Object} [options.env] - Environment variables
+ * @param {string} [options.profile] - Profile to activate, overriding STRATO_PROFILE and the file's `profile`
+ * @param {string} [options.source] - Name of the credentials file, for error messages
+ * @returns {{profile: string, settings: Object, profiles: Object, source: string}} - The active profile name and settings, and the settings of every profile
+ * @throws {ConfigError} If any setting is missing or invalid
+ */
+const resolveConfig = (document, { env = {}, profile, source = 'credentials' } = {}) => {
+    const problems = [];
+
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+        throw new ConfigError(`${source} must be a mapping of settings`);
+    }
+
+    Object.keys(document)
+        .filter(key => !TOP_LEVEL_KEYS.includes(key))
+        .forEach(key => problems.push(`unknown setting "${key}"`));
+    const { profiles: profileDocuments = {}, profile: fileProfile } = document;
+    const shared = Object.fromEntries(Object.entries(document).filter(([key]) => SETTINGS[key]));
+
+    const profileOverrides = {};
+    if (profileDocuments === null || typeof profileDocuments !== 'object' || Array.isArray(profileDocuments)) {
+        problems.push('profiles must be a mapping of profile name to settings');
+    } else {
+        Object.entries(profileDocuments).forEach(([name, settings]) => {
+            if (!PROFILE_NAME_PATTERN.test(name) || name === DEFAULT_PROFILE) {
+                problems.push(`profile name "${name}" must be letters, digits, "_" or "-", and not "${DEFAULT_PROFILE}"`);
+            } else if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+                problems.push(`profile "${name}": settings must be a mapping`);
+            } else {
+                profileOverrides[name] = pickSettings(settings, `profile "${name}"`, problems);
+            }
+        });
+    }
+
+    if (fileProfile !== undefined && typeof fileProfile !== 'string') {
+        problems.push('profile must be the name of a profile');
+    }
+
+    const activeProfile = profile || env.STRATO_PROFILE || fileProfile || DEFAULT_PROFILE;
+    if (activeProfile !== DEFAULT_PROFILE && !profileOverrides[activeProfile]) {
+        const known = Object.keys(profileOverrides);
+        problems.push(`unknown profile "${activeProfile}"${known.length > 0 ? ` (configured: ${known.join(', ')})` : ' (no profiles are configured)'}`);
+    }
+
+    const sharedEnv = readEnvSettings(env, null);
+    const profiles = {};
+
+    // The default profile is only built when it is the active one: with named profiles the
+    // top level may hold nothing but shared settings
+    const profileNames = activeProfile === DEFAULT_PROFILE ?
+        [DEFAULT_PROFILE, ...Object.keys(profileOverrides)] :
+        Object.keys(profileOverrides);
+    profileNames.forEach(name => {
+        const layers = name === DEFAULT_PROFILE ?
+            [shared, sharedEnv] :
+            [shared, sharedEnv, profileOverrides[name], readEnvSettings(env, name)];
+        profiles[name] = buildSettings(layers, name === DEFAULT_PROFILE ? null : name, problems);
+    });
+
+    if (problems.length > 0) {
+        const hint = activeProfile === DEFAULT_PROFILE && Object.keys(profileOverrides).length > 0 ?
+            ' (no profile selected: use --profile or STRATO_PROFILE to choose one)' :
+            '';
+        throw new ConfigError(`Invalid configuration in ${source}${hint}`, problems);
+    }
+
+    return { profile: activeProfile, settings: profiles[activeProfile], profiles, source };
+};
+
+/**
+ * Loads the configuration from the credentials file and the environment. The file may be
+ * absent when every required setting is given by environment variables.
+ * @param {Object} [options] - Load options
+ * @param {string} [options.filePath] - Credentials file; defaults to STRATO_CREDENTIALS_FILE or ./credentials.yaml
+ * @param {Object} [options.env] - Environment variables
+ * @param {string} [options.profile] - Profile to activate
+ * @returns {{profile: string, settings: Object, profiles: Object, source: string}} - As for resolveConfig
+ * @throws {ConfigError} If the file cannot be parsed or the settings are invalid
+ */
+const loadConfig = ({ filePath, env = process.env, profile } = {}) => {
+    const source = filePath || env.STRATO_CREDENTIALS_FILE || DEFAULT_CREDENTIALS_FILE;
+
+    let document = {};
+    try {
+        document = yaml.load(fs.readFileSync(source, 'utf8')) || {};
+    } catch (error) {
+        // Without the file, the settings must all come from the environment
+        if (error.code !== 'ENOENT') {
+            throw new ConfigError(`Failed to read credentials ${source}: ${error.message}`);
+        }
+        if (Object.keys(readEnvSettings(env, null)).length === 0) {
+            throw new ConfigError(`Failed to read credentials ${source}: file not found and no STRATO_* environment variables are set`);
+        }
+    }
+
+    return resolveConfig(document, { env, profile, source });
+};
+
+/**
+ * Parses a comma-separated list of configured profile names, e.g. "mainnet,testnet"
+ * @param {Object} config - The configuration from loadConfig
+ * @param {string} value - The list
+ * @returns {Array<string>} - The profile names, without duplicates
+ * @throws {UnknownProfileError} If a name is not a configured profile
+ */
+const parseProfileList = (config, value) => {
+    const names = [...new Set(String(value).split(',').map(name => name.trim()).filter(Boolean))];
+    if (names.length === 0) {
+        throw new UnknownProfileError('At least one profile is required');
+    }
+    names.forEach(name => {
+        if (!config.profiles[name]) {
+            throw new UnknownProfileError(`Unknown profile "${name}" (configured: ${Object.keys(config.profiles).join(', ')})`);
+        }
+    });
+    return names;
+};
+
+module.exports = {
+    DEFAULT_CREDENTIALS_FILE,
+    DEFAULT_PROFILE,
+    SETTINGS,
+    ConfigError,
+    UnknownProfileError,
+    getEnvName,
+    resolveConfig,
+    loadConfig,
+    parseProfileList
+};
@@ -0,0 +1,295 @@
+/**
+ * Exact fixed-point decimal arithmetic built on BigInt.
+ *
+ * A decimal is a plain object `{ units, scale }` representing `units / 10^scale`, so an
+ * 18-decimal token quantity read from Cirrus can be carried through sums and price
+ * multiplication without ever going through a JS number.
+ */
+
+const TEN = 10n;
+
+// Bound on the digits and exponent of a parsed string, so a value like "1e-100000000" from a
+// query string is rejected instead of tying up the event loop computing a huge power of ten
+const MAX_PARSED_DIGITS = 1000;
+
+/**
+ * Creates a decimal value. Decimals serialize to their exact string form in JSON.
+ * @param {bigint} units - The unscaled integer value
+ * @param {number} scale - The number of digits after the decimal point
+ * @returns {{units: bigint, scale: number}} - The decimal
+ */
+const makeDecimal = (units, scale = 0) => ({
+    units,
+    scale,
+    toJSON() {
+        return toDecimalString(this);
+    }
+});
+
+const ZERO = makeDecimal(0n, 0);
+
+/**
+ * Parses a raw on-chain integer quantity (as returned by Cirrus) into a BigInt
+ * @param {string|number|bigint|null|undefined} value - The raw quantity
+ * @returns {bigint} - The quantity, or 0n when it is missing or not an integer
+ */
+const parseRawQuantity = (value) => {
+    if (typeof value === 'bigint') {
+        return value;
+    }
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? BigInt(Math.trunc(value)) : 0n;
+    }
+    if (typeof value !== 'string') {
+        return 0n;
+    }
+
+    const trimmed = value.trim();
+    if (/^-?\d+$/.test(trimmed)) {
+        return BigInt(trimmed);
+    }
+
+    // Fall back to decimal parsing for values like "1e+21", dropping any fraction
+    const parsed = parseDecimal(trimmed);
+    return parsed ? truncate(parsed) : 0n;
+};
+
+/**
+ * Parses a decimal string such as an oracle `consensusPrice` ("1834.25", "1e-7")
+ * @param {string|number} value - The value to parse
+ * @returns {{units: bigint, scale: number}|null} - The decimal, or null if the value is not a number or has
+ *     more than MAX_PARSED_DIGITS digits or exponent
+ */
+const parseDecimal = (value) => {
+    if (typeof value === 'bigint') {
+        return makeDecimal(value, 0);
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) {
+            return null;
+        }
+        value = value.toString();
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/.exec(value.trim());
+    if (!match || (match[2] === '' && !match[3])) {
+        return null;
+    }
+
+    const [, sign, intPart, fracPart = '', exponentPart] = match;
+    const exponent = exponentPart ? parseInt(exponentPart, 10) : 0;
+    if (intPart.length + fracPart.length > MAX_PARSED_DIGITS || Math.abs(exponent) > MAX_PARSED_DIGITS) {
+        return null;
+    }
+    let units = BigInt((intPart || '0') + fracPart);
+    let scale = fracPart.length - exponent;
+
+    if (scale < 0) {
+        units *= TEN ** BigInt(-scale);
+        scale = 0;
+    }
+
+    return makeDecimal(sign === '-' ? -units : units, scale);
+};
+
+/**
+ * Scales a raw integer quantity by the asset's decimals
+ * @param {bigint|string|number} raw - The raw on-chain quantity
+ * @param {number|string|null|undefined} decimals - The asset's decimals; missing means 0
+ * @returns {{units: bigint, scale: number}} - The human-readable quantity
+ */
+const fromRaw = (raw, decimals) => {
+    const scale = parseInt(decimals, 10);
+    return makeDecimal(parseRawQuantity(raw), Number.isNaN(scale) || scale < 0 ? 0 : scale);
+};
+
+/**
+ * Scales a human-readable quantity to the raw on-chain integer, the inverse of fromRaw
+ * @param {{units: bigint, scale: number}} value - The quantity, e.g. 1.5
+ * @param {number} decimals - The asset's decimals
+ * @returns {bigint|null} - The raw quantity, or null if the value has more fractional digits than the asset
+ */
+const toRaw = (value, decimals) => {
+    if (value.scale <= decimals) {
+        return unitsAtScale(value, decimals);
+    }
+    const divisor = TEN ** BigInt(value.scale - decimals);
+    return value.units % divisor === 0n ? value.units / divisor : null;
+};
+
+/**
+ * Brings a decimal to a larger scale without changing its value
+ * @param {{units: bigint, scale: number}} value - The decimal
+ * @param {number} scale - The target scale, which must not be smaller than the current one
+ * @returns {bigint} - The units at the target scale
+ */
+const unitsAtScale = (value, scale) => value.units * TEN ** BigInt(scale - value.scale);
+
+/**
+ * Adds two decimals exactly
+ * @returns {{units: bigint, scale: number}} - a + b
+ */
+const add = (a, b) => {
+    const scale = Math.max(a.scale, b.scale);
+    return makeDecimal(unitsAtScale(a, scale) + unitsAtScale(b, scale), scale);
+};
+
+/**
+ * Subtracts one decimal from another exactly
+ * @returns {{units: bigint, scale: number}} - a - b
+ */
+const subtract = (a, b) => add(a, makeDecimal(-b.units, b.scale));
+
+/**
+ * Sums a list of decimals exactly
+ * @param {Array<{units: bigint, scale: number}>} values - The decimals to sum
+ * @returns {{units: bigint, scale: number}} - The total, ZERO for an empty list
+ */
+const sum = (values) => values.reduce(add, ZERO);
+
+/**
+ * Multiplies two decimals exactly, e.g. a quantity by an oracle price
+ * @returns {{units: bigint, scale: number}} - a * b
+ */
+const multiply = (a, b) => makeDecimal(a.units * b.units, a.scale + b.scale);
+
+/**
+ * Divides one decimal by another, rounding the result half away from zero
+ * @param {{units: bigint, scale: number}} a - The dividend
+ * @param {{units: bigint, scale: number}} b - The divisor, which must not be zero
+ * @param {number} places - Number of fractional digits to keep in the result
+ * @returns {{units: bigint, scale: number}} - a / b
+ * @throws {RangeError} If b is zero
+ */
+const divide = (a, b, places) => {
+    if (b.units === 0n) {
+        throw new RangeError('Division by zero');
+    }
+
+    // a / b = (a.units * 10^b.scale) / (b.units * 10^a.scale), kept to `places` digits
+    const numerator = a.units * TEN ** BigInt(b.scale + places);
+    const denominator = b.units * TEN ** BigInt(a.scale);
+    const negative = (numerator < 0n) !== (denominator < 0n);
+    const absNumerator = numerator < 0n ? -numerator : numerator;
+    const absDenominator = denominator < 0n ? -denominator : denominator;
+
+    let quotient = absNumerator / absDenominator;
+    if ((absNumerator % absDenominator) * 2n >= absDenominator) {
+        quotient += 1n;
+    }
+
+    return makeDecimal(negative ? -quotient : quotient, places);
+};
+
+/**
+ * Compares two decimals
+ * @returns {number} - -1, 0 or 1
+ */
+const compare = (a, b) => {
+    const scale = Math.max(a.scale, b.scale);
+    const left = unitsAtScale(a, scale);
+    const right = unitsAtScale(b, scale);
+    return left < right ? -1 : left > right ? 1 : 0;
+};
+
+const isZero = (value) => value.units === 0n;
+
+/**
+ * Drops the fractional part of a decimal
+ * @returns {bigint} - The integer part, truncated towards zero
+ */
+const truncate = (value) => value.units / TEN ** BigInt(value.scale);
+
+/**
+ * Rounds a decimal to a number of fractional digits, half away from zero
+ * @param {{units: bigint, scale: number}} value - The decimal
+ * @param {number} places - Number of digits to keep after the decimal point
+ * @returns {{units: bigint, scale: number}} - The rounded decimal at the given scale
+ */
+const round = (value, places) => {
+    if (value.scale <= places) {
+        return makeDecimal(unitsAtScale(value, places), places);
+    }
+
+    const divisor = TEN ** BigInt(value.scale - places);
+    const negative = value.units < 0n;
+    const magnitude = negative ? -value.units : value.units;
+    let quotient = magnitude / divisor;
+    if ((magnitude % divisor) * 2n >= divisor) {
+        quotient += 1n;
+    }
+
+    return makeDecimal(negative ? -quotient : quotient, places);
+};
+
+/**
+ * Splits a decimal into its sign, integer digits and fractional digits
+ */
+const toParts = (value) => {
+    const negative = value.units < 0n;
+    const digits = (negative ? -value.units : value.units).toString().padStart(value.scale + 1, '0');
+    const splitAt = digits.length - value.scale;
+
+    return {
+        negative,
+        integer: digits.substring(0, splitAt),
+        fraction: digits.substring(splitAt)
+    };
+};
+
+/**
+ * Renders a decimal as an exact plain string without trailing zeros ("1234.5", "0.000001")
+ * @param {{units: bigint, scale: number}} value - The decimal
+ * @returns {string} - The exact value
+ */
+const toDecimalString = (value) => {
+    const { negative, integer, fraction } = toParts(value);
+    const trimmedFraction = fraction.replace(/0+$/, '');
+    const result = trimmedFraction ? `${integer}.${trimmedFraction}` : integer;
+    return negative && (integer !== '0' || trimmedFraction) ? `-${result}` : result;
+};
+
+/**
+ * Formats a decimal for display with thousands separators, matching the
+ * `toLocaleString(undefined, { minimumFractionDigits, maximumFractionDigits })` output
+ * the page used before, but without losing precision
+ * @param {{units: bigint, scale: number}} value - The decimal
+ * @param {{minimumFractionDigits: number, maximumFractionDigits: number}} options - Fraction digit bounds
+ * @returns {string} - The formatted value, e.g. "1,234.50"
+ */
+const formatDecimal = (value, { minimumFractionDigits = 0, maximumFractionDigits = 3 } = {}) => {
+    const { negative, integer, fraction } = toParts(round(value, maximumFractionDigits));
+
+    let shownFraction = fraction;
+    while (shownFraction.length > minimumFractionDigits && shownFraction.endsWith('0')) {
+        shownFraction = shownFraction.slice(0, -1);
+    }
+
+    const groupedInteger = integer.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    const result = shownFraction ? `${groupedInteger}.${shownFraction}` : groupedInteger;
+    const isNegativeZero = /^[0.,]*$/.test(result);
+    return negative && !isNegativeZero ? `-${result}` : result;
+};
+
+module.exports = {
+    ZERO,
+    makeDecimal,
+    parseRawQuantity,
+    parseDecimal,
+    fromRaw,
+    toRaw,
+    add,
+    subtract,
+    sum,
+    multiply,
+    divide,
+    compare,
+    isZero,
+    truncate,
+    round,
+    toDecimalString,
+    formatDecimal
+};
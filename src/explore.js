@@ -0,0 +1,170 @@
+/**
+ * The Cirrus table explorer: reads the explore form into a query for any table, and builds the
+ * links for paging and downloads.
+ *
+ * The form sends the table, repeated `column`, `operator` and `value` fields (one of each per
+ * filter), `select` and `order` as comma-separated lists, a page size and a 1-based page number.
+ * Values of an `in` filter are separated by commas.
+ */
+
+const { FILTER_OPERATORS, InvalidQueryError, validateTableName, validateColumnName, where, parseOrder } = require('./cirrusQuery');
+
+const DEFAULT_EXPLORE_PAGE_SIZE = 50;
+const MAX_EXPLORE_PAGE_SIZE = 500;
+// Downloads walk every page, so they stop here
+const MAX_EXPLORE_DOWNLOAD_ROWS = 10000;
+// Filters in one query, which keeps the request URL short
+const MAX_EXPLORE_FILTERS = 20;
+
+/**
+ * Reads a form field that may be sent once or repeated
+ * @param {*} value - The parsed query string value
+ * @returns {Array<string>} - The values
+ */
+const toList = (value) => (Array.isArray(value) ? value : [value]).filter(item => typeof item === 'string');
+
+/**
+ * Reads a whole number form field
+ * @param {*} value - The field value
+ * @param {string} name - The field, for the error message
+ * @param {number} fallback - The value when the field is empty
+ * @param {number} min - The smallest accepted value
+ * @param {number} max - The largest accepted value
+ * @returns {number} - The number
+ * @throws {InvalidQueryError} If it is not a whole number in range
+ */
+const readNumber = (value, name, fallback, min, max) => {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isSafeInteger(number) || number < min || number > max) {
+        throw new InvalidQueryError(`${name} must be a whole number from ${min} to ${max}`);
+    }
+    return number;
+};
+
+/**
+ * Reads the explore form from a request's query string
+ * @param {Object} query - The parsed query string
+ * @returns {{table: string|null, filters: Array<{column: string, operator: string, value: string}>, select: Array<string>, order: Array<{column: string, direction: string}>, pageSize: number, page: number}} - The validated request; table is null until one is picked
+ * @throws {InvalidQueryError} If any field is invalid
+ */
+const parseExploreRequest = (query) => {
+    const [tableField = ''] = toList(query.table);
+    const table = tableField.trim() === '' ? null : validateTableName(tableField);
+
+    const columns = toList(query.column);
+    const operators = toList(query.operator);
+    const values = toList(query.value);
+    // Rows left blank on the form are ignored
+    const filters = columns
+        .map((column, index) => ({ column: column.trim(), operator: operators[index] || 'eq', value: values[index] || '' }))
+        .filter(({ column }) => column !== '');
+    if (filters.length > MAX_EXPLORE_FILTERS) {
+        throw new InvalidQueryError(`At most ${MAX_EXPLORE_FILTERS} filters can be applied at once`);
+    }
+    filters.forEach(({ column, operator }) => {
+        validateColumnName(column);
+        if (!FILTER_OPERATORS.includes(operator)) {
+            throw new InvalidQueryError(`Unknown filter operator "${operator}": use one of ${FILTER_OPERATORS.join(', ')}`);
+        }
+    });
+
+    const [selectField = ''] = toList(query.select);
+    const select = selectField.split(',').map(column => column.trim()).filter(column => column !== '').map(validateColumnName);
+    const [orderField = ''] = toList(query.order);
+
+    return {
+        table,
+        filters,
+        select,
+        order: parseOrder(orderField),
+        pageSize: readNumber(toList(query.limit)[0], 'Page size', DEFAULT_EXPLORE_PAGE_SIZE, 1, MAX_EXPLORE_PAGE_SIZE),
+        page: readNumber(toList(query.page)[0], 'Page', 1, 1, Number.MAX_SAFE_INTEGER)
+    };
+};
+
+/**
+ * Builds the Cirrus query for an explore request
+ * @param {Object} request - From parseExploreRequest
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.paged] - Limit the query to the request's page, plus one row to tell whether there is a next one
+ * @returns {{filters: Array<Object>, select: Array<string>|null, order: Array<string>, limit: number|null, offset: number|null}} - The query, as for buildCirrusQuery
+ * @throws {InvalidQueryError} If a filter value is invalid
+ */
+const toExploreQuery = ({ filters, select, order, pageSize, page }, { paged = true } = {}) => ({
+    filters: filters.map(({ column, operator, value }) => where(
+        column,
+        operator,
+        operator === 'in' ? value.split(',').map(item => item.trim()) : value
+    )),
+    select: select.length > 0 ? select : null,
+    order: order.map(({ column, direction }) => `${column}.${direction}`),
+    limit: paged ? pageSize + 1 : null,
+    offset: paged ? (page - 1) * pageSize : null
+});
+
+/**
+ * Builds a link to the explorer, or one of its downloads, for a request
+ * @param {Object} request - From parseExploreRequest
+ * @param {Object} [overrides] - Fields to change, e.g. { page: 2 }
+ * @param {string} [path] - "/explore", "/explore.csv" or "/explore.json"
+ * @returns {string} - The relative URL
+ */
+const getExploreUrl = (request, overrides = {}, path = '/explore') => {
+    const { table, filters, select, order, pageSize, page } = { ...request, ...overrides };
+    const params = new URLSearchParams();
+    params.append('table', table || '');
+    filters.forEach(({ column, operator, value }) => {
+        params.append('column', column);
+        params.append('operator', operator);
+        params.append('value', value);
+    });
+    if (select.length > 0) {
+        params.append('select', select.join(','));
+    }
+    if (order.length > 0) {
+        params.append('order', order.map(({ column, direction }) => `${column}.${direction}`).join(','));
+    }
+    if (pageSize !== DEFAULT_EXPLORE_PAGE_SIZE) {
+        params.append('limit', String(pageSize));
+    }
+    if (page !== 1 && path === '/explore') {
+        params.append('page', String(page));
+    }
+    return `${path}?${params.toString()}`;
+};
+
+/**
+ * Lists the columns of some rows: the selected ones, or every key in the order first seen
+ * @param {Array<Object>} rows - The rows
+ * @param {Array<string>} select - The selected columns, if any
+ * @returns {Array<string>} - The column names
+ */
+const getResultColumns = (rows, select) => (select.length > 0 ?
+    select :
+    [...new Set(rows.flatMap(row => Object.keys(row)))]);
+
+/**
+ * Formats a cell for display or CSV: objects and arrays as JSON, missing values as empty
+ * @param {*} value - The cell value
+ * @returns {string} - The text
+ */
+const formatCell = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+module.exports = {
+    DEFAULT_EXPLORE_PAGE_SIZE,
+    MAX_EXPLORE_PAGE_SIZE,
+    MAX_EXPLORE_DOWNLOAD_ROWS,
+    parseExploreRequest,
+    toExploreQuery,
+    getExploreUrl,
+    getResultColumns,
+    formatCell
+};
@@ -0,0 +1,283 @@
+/**
+ * Portfolio exports: holdings, the Total Value summary, cost basis and P&L, and the price
+ * snapshot used, rendered as CSV, JSON or XLSX for reporting.
+ */
+
+const ExcelJS = require('exceljs');
+const { toDecimalString } = require('./decimal');
+const { valueTokens } = require('./portfolio');
+const { serializeProfitAndLoss } = require('./pnl');
+
+const HOLDING_COLUMNS = [
+    { key: 'name', header: 'Name' },
+    { key: 'key', header: 'Origin / Group' },
+    { key: 'tokenCount', header: 'Token Count' },
+    { key: 'rawQuantity', header: 'Raw Quantity' },
+    { key: 'quantity', header: 'Quantity' },
+    { key: 'decimals', header: 'Decimals' },
+    { key: 'price', header: 'Oracle Price (USD)' },
+    { key: 'worth', header: 'Worth (USD)' },
+    { key: 'estimate', header: 'Estimate' },
+    { key: 'verified', header: 'Verified Issuer' }
+];
+
+const TOKEN_COLUMNS = [
+    { key: 'name', header: 'Name' },
+    { key: 'key', header: 'Origin / Group' },
+    { key: 'address', header: 'Token Address' },
+    { key: 'rawQuantity', header: 'Raw Quantity' },
+    { key: 'quantity', header: 'Quantity' },
+    { key: 'decimals', header: 'Decimals' },
+    { key: 'price', header: 'Oracle Price (USD)' },
+    { key: 'worth', header: 'Worth (USD)' },
+    { key: 'estimate', header: 'Estimate' },
+    { key: 'verified', header: 'Verified Issuer' }
+];
+
+const SUMMARY_COLUMNS = [
+    { key: 'category', header: 'Category' },
+    { key: 'tokenCount', header: 'Token Count' },
+    { key: 'amount', header: 'Amount' },
+    { key: 'unit', header: 'Unit' }
+];
+
+const PNL_COLUMNS = [
+    { key: 'name', header: 'Asset' },
+    { key: 'quantity', header: 'Quantity' },
+    { key: 'costBasis', header: 'Cost Basis (USD)' },
+    { key: 'unknownCostQuantity', header: 'Quantity of Unknown Cost' },
+    { key: 'marketValue', header: 'Market Value (USD)' },
+    { key: 'unrealized', header: 'Unrealized Gain (USD)' },
+    { key: 'realized', header: 'Realized Gain (USD)' },
+    { key: 'proceeds', header: 'Sale Proceeds (USD)' },
+    { key: 'complete', header: 'Complete' },
+    { key: 'notes', header: 'Notes' }
+];
+
+const PRICE_COLUMNS = [
+    { key: 'asset', header: 'Asset' },
+    { key: 'price', header: 'Price (USD)' }
+];
+
+/**
+ * Builds the data shared by every export format
+ * @param {Object} portfolio - The portfolio as returned by buildPortfolio
+ * @param {Object} latestPrices - Map of asset name to the price used for the valuation
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.perToken] - Export one row per token instead of one row per holding
+ * @param {Date} [options.generatedAt] - Timestamp of the export
+ * @param {Object} [options.pnl] - Cost basis and P&L from buildProfitAndLoss, if it is to be included
+ * @returns {Object} - Metadata, holding (or token) rows, summary rows, P&L rows and the price snapshot
+ */
+const buildExport = (portfolio, latestPrices, { perToken = false, generatedAt = new Date(), pnl = null } = {}) => {
+    const holdingRows = portfolio.assets.map(asset => ({
+        name: asset.name,
+        key: asset.key,
+        tokenCount: asset.tokenCount,
+        rawQuantity: asset.totalQuantity.toString(),
+        quantity: toDecimalString(asset.quantity),
+        decimals: asset.decimals !== undefined && asset.decimals !== null ? String(asset.decimals) : '',
+        price: asset.price || '',
+        worth: asset.worth !== null ? toDecimalString(asset.worth) : '',
+        estimate: asset.estimate ? 'yes' : 'no',
+        verified: asset.verified ? 'yes' : 'no'
+    }));
+
+    const tokenRows = perToken ? portfolio.assets.flatMap(asset =>
+        valueTokens(asset).map(({ token, quantity, worth }) => ({
+            name: asset.name,
+            key: asset.key,
+            address: token.address || '',
+            rawQuantity: token.quantity !== undefined && token.quantity !== null ? String(token.quantity) : '',
+            quantity: toDecimalString(quantity),
+            decimals: asset.decimals !== undefined && asset.decimals !== null ? String(asset.decimals) : '',
+            price: asset.price || '',
+            worth: worth !== null ? toDecimalString(worth) : '',
+            estimate: asset.estimate ? 'yes' : 'no',
+            verified: asset.verified ? 'yes' : 'no'
+        }))
+    ) : null;
+
+    // Mirrors the rows of the "Total Value" card
+    const { totals } = portfolio;
+    const summaryRows = [
+        { category: 'Fungible tokens', tokenCount: totals.fungible.tokenCount, amount: toDecimalString(totals.fungible.value), unit: 'USD' },
+        { category: 'Stale or disputed prices (estimate)', tokenCount: totals.estimated.tokenCount, amount: toDecimalString(totals.estimated.value), unit: 'USD' },
+        { category: 'Non-fungible tokens (unknown value)', tokenCount: totals.nonFungible.tokenCount, amount: '', unit: '' },
+        ...(totals.nftEstimate ? [
+            { category: 'Estimated NFT value (marketplace)', tokenCount: totals.nftEstimate.tokenCount, amount: toDecimalString(totals.nftEstimate.value), unit: 'USD' }
+        ] : []),
+        { category: 'CATA tokens', tokenCount: totals.cata.tokenCount, amount: toDecimalString(totals.cata.quantity), unit: 'CATA' },
+        { category: 'Unverified issuers (not valued)', tokenCount: totals.unverified.tokenCount, amount: '', unit: '' }
+    ];
+
+    // One row per asset and a total, amounts exact; the JSON export also carries the lots
+    const toAmount = (value) => value ? toDecimalString(value) : '';
+    const pnlRows = pnl ? [
+        ...pnl.assets.map(asset => ({
+            name: asset.name,
+            quantity: toAmount(asset.quantity),
+            costBasis: toAmount(asset.costBasis),
+            unknownCostQuantity: toAmount(asset.unknownCostQuantity),
+            marketValue: toAmount(asset.marketValue),
+            unrealized: toAmount(asset.unrealized),
+            realized: toAmount(asset.realized),
+            proceeds: toAmount(asset.proceeds),
+            complete: asset.complete ? 'yes' : 'no',
+            notes: asset.problems.join('; ')
+        })),
+        {
+            name: 'Total',
+            quantity: '',
+            costBasis: toAmount(pnl.totals.costBasis),
+            unknownCostQuantity: '',
+            marketValue: toAmount(pnl.totals.marketValue),
+            unrealized: toAmount(pnl.totals.unrealized),
+            realized: toAmount(pnl.totals.realized),
+            proceeds: toAmount(pnl.totals.proceeds),
+            complete: pnl.totals.complete ? 'yes' : 'no',
+            notes: ''
+        }
+    ] : null;
+
+    const priceRows = Object.keys(latestPrices)
+        .sort((a, b) => a.localeCompare(b))
+        .map(asset => ({ asset, price: latestPrices[asset] }));
+
+    return {
+        owner: portfolio.owner,
+        generatedAt: generatedAt.toISOString(),
+        perToken,
+        holdingColumns: perToken ? TOKEN_COLUMNS : HOLDING_COLUMNS,
+        holdingRows: perToken ? tokenRows : holdingRows,
+        summaryRows,
+        costBasisMethod: pnl ? pnl.method : null,
+        pnlRows,
+        pnl,
+        priceRows
+    };
+};
+
+/**
+ * Escapes a value for CSV. Values that a spreadsheet would treat as a formula are prefixed
+ * with a quote, since asset names come from the chain and anyone can choose them.
+ * @param {*} value - The cell value
+ * @returns {string} - The escaped cell
+ */
+const escapeCsvValue = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Renders a table as CSV lines
+ * @param {Array<{key: string, header: string}>} columns - Column definitions
+ * @param {Array<Object>} rows - The rows
+ * @returns {Array<string>} - The header line followed by one line per row
+ */
+const toCsvLines = (columns, rows) => [
+    columns.map(column => escapeCsvValue(column.header)).join(','),
+    ...rows.map(row => columns.map(column => escapeCsvValue(row[column.key])).join(','))
+];
+
+/**
+ * Lists an export's metadata as field/value rows
+ * @param {Object} data - The export from buildExport
+ * @returns {Array<{field: string, value: string}>} - The rows
+ */
+const getInfoRows = (data) => [
+    { field: 'Owner', value: data.owner },
+    { field: 'Generated At', value: data.generatedAt },
+    { field: 'Rows', value: data.perToken ? 'per token' : 'per holding' },
+    ...(data.costBasisMethod ? [{ field: 'Cost Basis Method', value: data.costBasisMethod }] : [])
+];
+
+/**
+ * Renders an export as CSV: metadata, holdings, summary, P&L and prices, separated by blank lines
+ * @param {Object} data - The export from buildExport
+ * @returns {string} - The CSV document
+ */
+const toCsv = (data) => {
+    return [
+        ...toCsvLines([{ key: 'field', header: 'Field' }, { key: 'value', header: 'Value' }], getInfoRows(data)),
+        '',
+        ...toCsvLines(data.holdingColumns, data.holdingRows),
+        '',
+        ...toCsvLines(SUMMARY_COLUMNS, data.summaryRows),
+        '',
+        ...(data.pnlRows ? [...toCsvLines(PNL_COLUMNS, data.pnlRows), ''] : []),
+        ...toCsvLines(PRICE_COLUMNS, data.priceRows)
+    ].join('\r\n') + '\r\n';
+};
+
+/**
+ * Renders an export as a JSON document
+ * @param {Object} data - The export from buildExport
+ * @returns {Object} - The JSON-serializable export
+ */
+const toJsonExport = (data) => ({
+    owner: data.owner,
+    generatedAt: data.generatedAt,
+    rows: data.perToken ? 'token' : 'holding',
+    holdings: data.holdingRows,
+    summary: data.summaryRows,
+    ...(data.pnl ? { pnl: serializeProfitAndLoss(data.pnl) } : {}),
+    prices: Object.fromEntries(data.priceRows.map(({ asset, price }) => [asset, price]))
+});
+
+/**
+ * Adds a worksheet with a header row and the given rows
+ */
+const addSheet = (workbook, name, columns, rows) => {
+    const sheet = workbook.addWorksheet(name);
+    sheet.columns = columns.map(({ key, header }) => ({ key, header, width: Math.max(14, header.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    rows.forEach(row => sheet.addRow(row));
+    return sheet;
+};
+
+/**
+ * Renders an export as an XLSX workbook. Quantities and prices are written as text so
+ * no precision is lost to spreadsheet floating point.
+ * @param {Object} data - The export from buildExport
+ * @returns {Promise<Buffer>} - The workbook file contents
+ */
+const toXlsx = async (data) => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date(data.generatedAt);
+
+    addSheet(workbook, data.perToken ? 'Tokens' : 'Holdings', data.holdingColumns, data.holdingRows);
+    addSheet(workbook, 'Summary', SUMMARY_COLUMNS, data.summaryRows);
+    if (data.pnlRows) {
+        addSheet(workbook, 'P&L', PNL_COLUMNS, data.pnlRows);
+    }
+    addSheet(workbook, 'Prices', PRICE_COLUMNS, data.priceRows);
+    addSheet(workbook, 'Info', [{ key: 'field', header: 'Field' }, { key: 'value', header: 'Value' }], getInfoRows(data));
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+/**
+ * Builds a download file name for an export
+ * @param {Object} data - The export from buildExport
+ * @param {string} extension - File extension without the dot
+ * @returns {string} - e.g. "portfolio-alice-2025-04-10T12-00-00Z.csv"
+ */
+const getExportFileName = (data, extension) => {
+    const owner = data.owner.replace(/[^A-Za-z0-9._-]+/g, '_');
+    const timestamp = data.generatedAt.replace(/:/g, '-').replace(/\.\d+Z$/, 'Z');
+    return `portfolio-${owner}-${timestamp}${data.perToken ? '-tokens' : ''}.${extension}`;
+};
+
+module.exports = {
+    buildExport,
+    escapeCsvValue,
+    toCsvLines,
+    toCsv,
+    toJsonExport,
+    toXlsx,
+    getExportFileName
+};
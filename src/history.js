@@ -0,0 +1,211 @@
+/**
+ * Portfolio history: snapshots of holdings and prices appended to a local JSONL file,
+ * with helpers to compare snapshots and compute day/week/month changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ZERO, parseDecimal, subtract, multiply, divide, isZero } = require('./decimal');
+
+const HUNDRED = parseDecimal('100');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Look-back windows shown as change figures on the history page
+const CHANGE_PERIODS = [
+    { label: 'day', ms: DAY_MS },
+    { label: 'week', ms: 7 * DAY_MS },
+    { label: 'month', ms: 30 * DAY_MS }
+];
+
+/**
+ * Builds a snapshot record from a portfolio
+ * @param {Object} portfolio - The portfolio as returned by buildPortfolio
+ * @param {Object} latestPrices - Map of asset name to price used for the valuation
+ * @param {string} trigger - What caused the snapshot: "scheduled" or "manual"
+ * @param {Date} takenAt - When the snapshot was taken
+ * @returns {Object} - A JSON-serializable snapshot
+ */
+const createSnapshot = (portfolio, latestPrices, trigger, takenAt = new Date()) => {
+    return {
+        id: crypto.randomUUID(),
+        takenAt: takenAt.toISOString(),
+        owner: portfolio.owner,
+        trigger,
+        totals: {
+            fungibleValue: portfolio.totals.fungible.value.toJSON(),
+            fungibleTokenCount: portfolio.totals.fungible.tokenCount,
+            estimatedValue: portfolio.totals.estimated.value.toJSON(),
+            estimatedTokenCount: portfolio.totals.estimated.tokenCount,
+            nonFungibleTokenCount: portfolio.totals.nonFungible.tokenCount,
+            cataQuantity: portfolio.totals.cata.quantity.toJSON(),
+            cataTokenCount: portfolio.totals.cata.tokenCount
+        },
+        assets: portfolio.assets.map(asset => ({
+            key: asset.key,
+            name: asset.name,
+            tokenCount: asset.tokenCount,
+            quantity: asset.quantity.toJSON(),
+            price: asset.price,
+            estimate: asset.estimate,
+            worth: asset.worth !== null ? asset.worth.toJSON() : null
+        })),
+        prices: { ...latestPrices }
+    };
+};
+
+/**
+ * Creates a snapshot store backed by a JSONL file (one snapshot per line)
+ * @param {string} filePath - Path to the JSONL file; its directory is created if needed
+ * @param {Object} [logger] - Where unreadable lines are reported; needs `error`
+ * @returns {Object} - The store
+ */
+const createSnapshotStore = (filePath, logger = console) => {
+    /**
+     * Appends a snapshot to the store
+     * @param {Object} snapshot - The snapshot to save
+     * @returns {Promise<Object>} - The saved snapshot
+     */
+    const append = async (snapshot) => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, `${JSON.stringify(snapshot)}\n`, 'utf8');
+        return snapshot;
+    };
+
+    /**
+     * Reads snapshots, oldest first
+     * @param {Object} [filter] - Optional filters
+     * @param {string} [filter.owner] - Only snapshots for this owner
+     * @returns {Promise<Array<Object>>} - The matching snapshots
+     */
+    const list = async ({ owner } = {}) => {
+        let content;
+        try {
+            content = await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const snapshots = [];
+        content.split('\n').forEach((line, index) => {
+            if (line.trim() === '') {
+                return;
+            }
+            try {
+                snapshots.push(JSON.parse(line));
+            } catch (error) {
+                // A partially written last line shouldn't make the whole history unreadable
+                logger.error('Skipping unreadable snapshot', { file: filePath, line: index + 1, error: error.message });
+            }
+        });
+
+        return snapshots
+            .filter(snapshot => owner === undefined || snapshot.owner === owner)
+            .sort((a, b) => a.takenAt.localeCompare(b.takenAt));
+    };
+
+    /**
+     * Finds a snapshot by id
+     * @param {string} id - The snapshot id
+     * @returns {Promise<Object|null>} - The snapshot, or null if there is none with that id
+     */
+    const get = async (id) => {
+        const snapshots = await list();
+        return snapshots.find(snapshot => snapshot.id === id) || null;
+    };
+
+    return { filePath, append, list, get };
+};
+
+/**
+ * Computes the change between two values given as decimal strings
+ * @param {string|null} from - The earlier value
+ * @param {string|null} to - The later value
+ * @returns {{from: string|null, to: string|null, change: string, percent: string|null}} - Absolute change and percent change to 2 places
+ */
+const computeChange = (from, to) => {
+    const fromValue = from !== null && from !== undefined ? parseDecimal(from) : ZERO;
+    const toValue = to !== null && to !== undefined ? parseDecimal(to) : ZERO;
+    const change = subtract(toValue, fromValue);
+
+    return {
+        from: from !== undefined ? from : null,
+        to: to !== undefined ? to : null,
+        change: change.toJSON(),
+        percent: isZero(fromValue) ? null : divide(multiply(change, HUNDRED), fromValue, 2).toJSON()
+    };
+};
+
+/**
+ * Compares two snapshots asset by asset
+ * @param {Object} from - The earlier snapshot
+ * @param {Object} to - The later snapshot
+ * @returns {Object} - Total value change and per-asset quantity and worth changes
+ */
+const diffSnapshots = (from, to) => {
+    const keys = [...new Set([...from.assets, ...to.assets].map(asset => asset.key))];
+    const byKey = (snapshot) => Object.fromEntries(snapshot.assets.map(asset => [asset.key, asset]));
+    const fromAssets = byKey(from);
+    const toAssets = byKey(to);
+
+    const assets = keys.map(key => {
+        const before = fromAssets[key] || null;
+        const after = toAssets[key] || null;
+        return {
+            key,
+            name: (after || before).name,
+            status: !before ? 'added' : !after ? 'removed' : 'present',
+            quantity: computeChange(before ? before.quantity : '0', after ? after.quantity : '0'),
+            price: { from: before ? before.price : null, to: after ? after.price : null },
+            worth: computeChange(before ? before.worth : null, after ? after.worth : null)
+        };
+    }).sort((a, b) => a.name.localeCompare(b.name) || a.key.localeCompare(b.key));
+
+    return {
+        from: { id: from.id, takenAt: from.takenAt },
+        to: { id: to.id, takenAt: to.takenAt },
+        owner: to.owner,
+        totalValue: computeChange(from.totals.fungibleValue, to.totals.fungibleValue),
+        assets
+    };
+};
+
+/**
+ * Computes the day, week and month change of total value relative to the latest snapshot
+ * @param {Array<Object>} snapshots - Snapshots for one owner, oldest first
+ * @returns {Array<{period: string, since: string|null, change: Object|null}>} - One entry per period; change is null without a snapshot old enough
+ */
+const computePeriodChanges = (snapshots) => {
+    const latest = snapshots[snapshots.length - 1];
+
+    return CHANGE_PERIODS.map(({ label, ms }) => {
+        if (!latest) {
+            return { period: label, since: null, change: null };
+        }
+
+        // Use the most recent snapshot taken at least one period before the latest one
+        const cutoff = new Date(latest.takenAt).getTime() - ms;
+        const reference = [...snapshots].reverse().find(snapshot => new Date(snapshot.takenAt).getTime() <= cutoff);
+        if (!reference) {
+            return { period: label, since: null, change: null };
+        }
+
+        return {
+            period: label,
+            since: reference.takenAt,
+            change: computeChange(reference.totals.fungibleValue, latest.totals.fungibleValue)
+        };
+    });
+};
+
+module.exports = {
+    CHANGE_PERIODS,
+    createSnapshot,
+    createSnapshotStore,
+    computeChange,
+    diffSnapshots,
+    computePeriodChanges
+};
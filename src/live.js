@@ -0,0 +1,143 @@
+/**
+ * Live portfolio updates over Server-Sent Events.
+ *
+ * While at least one page is subscribed to an owner, a poller re-reads that owner's holdings and
+ * the oracle prices and pushes what changed: re-rendered asset cards and the "Total Value" card.
+ * A new subscriber first receives every card, so it can catch up with changes made since its
+ * page was rendered. Polls go through the Cirrus cache, so many subscribers cost no more than one.
+ */
+
+const DEFAULT_LIVE_UPDATE_INTERVAL_SECONDS = 15;
+
+/**
+ * Serializes an event payload; raw quantities are BigInt
+ * @param {Object} payload - The event data
+ * @returns {string} - JSON with BigInt values as strings
+ */
+const toEventData = (payload) => JSON.stringify(payload, (key, value) => typeof value === 'bigint' ? value.toString() : value);
+
+/**
+ * Formats one Server-Sent Event
+ * @param {string} event - The event name
+ * @param {Object} payload - The event data
+ * @returns {string} - The event in text/event-stream format
+ */
+const formatEvent = (event, payload) => `event: ${event}\ndata: ${toEventData(payload)}\n\n`;
+
+/**
+ * Compares two views of a portfolio
+ * @param {{totals: string, assets: Map<string, Object>}|null} previous - The last view sent, or null for none
+ * @param {{totals: string, assets: Map<string, Object>}} current - The new view
+ * @returns {{totals: string|null, assets: Array<Object>, added: Array<string>, removed: Array<string>}} - What changed
+ */
+const diffViews = (previous, current) => {
+    const previousAssets = previous ? previous.assets : new Map();
+    return {
+        totals: !previous || previous.totals !== current.totals ? current.totals : null,
+        assets: [...current.assets.values()].filter(asset => {
+            const before = previousAssets.get(asset.key);
+            return !before || before.html !== asset.html;
+        }),
+        added: previous ? [...current.assets.keys()].filter(key => !previousAssets.has(key)) : [],
+        removed: [...previousAssets.keys()].filter(key => !current.assets.has(key))
+    };
+};
+
+/**
+ * Creates the live update hub
+ * @param {Object} options - Hub dependencies
+ * @param {Function} options.loadPortfolio - Resolves to an owner's portfolio; rejects with the upstream error when it cannot be fetched
+ * @param {Function} options.renderView - Renders a portfolio as {totals: html, assets: [{key, html, ...}]}
+ * @param {Function} options.describeError - Turns a failed poll into the payload of an "upstream-error" event
+ * @param {number} [options.intervalMs] - Delay between polls of an owner
+ * @param {Object} [options.logger] - Where failed polls are logged; needs `error`
+ * @returns {{subscribe: Function, getStatus: Function}} - The hub
+ */
+const createLiveUpdates = (options) => {
+    const {
+        loadPortfolio,
+        renderView,
+        describeError,
+        intervalMs = DEFAULT_LIVE_UPDATE_INTERVAL_SECONDS * 1000,
+        logger = console
+    } = options;
+
+    // One watcher per owner with subscribers
+    const watchers = new Map();
+
+    const broadcast = (watcher, text) => {
+        watcher.subscribers.forEach(send => send(text));
+    };
+
+    /**
+     * Reads the owner's portfolio and pushes the changes, then plans the next poll
+     * @param {string} owner - The owner common name
+     * @param {Object} watcher - The owner's watcher
+     */
+    const poll = async (owner, watcher) => {
+        try {
+            const portfolio = await loadPortfolio(owner);
+            const rendered = renderView(portfolio);
+            const view = { totals: rendered.totals, assets: new Map(rendered.assets.map(asset => [asset.key, asset])) };
+
+            const changes = diffViews(watcher.view, view);
+            watcher.view = view;
+            if (changes.totals !== null || changes.assets.length > 0 || changes.removed.length > 0) {
+                broadcast(watcher, formatEvent('portfolio', { owner, at: new Date().toISOString(), ...changes }));
+            } else {
+                // Keeps proxies from closing an idle connection
+                broadcast(watcher, ': no changes\n\n');
+            }
+        } catch (error) {
+            logger.error('Live update failed', { owner, error: error.message });
+            broadcast(watcher, formatEvent('upstream-error', describeError(error)));
+        }
+
+        if (watchers.get(owner) === watcher) {
+            watcher.timer = setTimeout(() => poll(owner, watcher), intervalMs);
+        }
+    };
+
+    /**
+     * Subscribes to an owner's changes, starting the owner's poller if needed
+     * @param {string} owner - A validated owner common name
+     * @param {Function} send - Writes text to the subscriber's event stream
+     * @returns {Function} - Ends the subscription; the poller stops with the last one
+     */
+    const subscribe = (owner, send) => {
+        let watcher = watchers.get(owner);
+        if (!watcher) {
+            watcher = { subscribers: new Set(), view: null, timer: null };
+            watchers.set(owner, watcher);
+            poll(owner, watcher);
+        } else if (watcher.view) {
+            send(formatEvent('portfolio', { owner, at: new Date().toISOString(), ...diffViews(null, watcher.view) }));
+        }
+        watcher.subscribers.add(send);
+
+        return () => {
+            watcher.subscribers.delete(send);
+            if (watcher.subscribers.size === 0 && watchers.get(owner) === watcher) {
+                clearTimeout(watcher.timer);
+                watchers.delete(owner);
+            }
+        };
+    };
+
+    /**
+     * Reports the watched owners for diagnostics
+     * @returns {{owners: Array<{owner: string, subscribers: number}>}} - Each watched owner and its subscriber count
+     */
+    const getStatus = () => ({
+        owners: [...watchers.entries()].map(([owner, { subscribers }]) => ({ owner, subscribers: subscribers.size }))
+    });
+
+    return { subscribe, getStatus };
+};
+
+module.exports = {
+    DEFAULT_LIVE_UPDATE_INTERVAL_SECONDS,
+    formatEvent,
+    diffViews,
+    createLiveUpdates
+};
@@ -0,0 +1,98 @@
+/**
+ * Structured logging: one JSON object per line, carrying the ID of the request being handled.
+ *
+ * Loggers keep the `{log, error}` shape every module accepts, so console or a test's quiet logger
+ * can stand in. Messages take an optional object of fields, e.g.
+ * `logger.error('Cirrus query failed', { table, error: error.message })`.
+ *
+ * The request ID is kept in async context from the moment a request arrives, so it is known in
+ * route handlers, the API client interceptors and anything they await, without being passed along.
+ */
+
+const util = require('util');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Incoming X-Request-Id headers are reused only if they look like an ID, so logs cannot be forged
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Returns the ID of the request whose handling is running
+ * @returns {string|null} - The request ID, or null outside a request (e.g. background schedules)
+ */
+const getRequestId = () => {
+    const store = requestContext.getStore();
+    return store ? store.requestId : null;
+};
+
+/**
+ * Runs a function as part of a request, so logs and upstream calls made from it carry its ID
+ * @param {string} requestId - The request ID
+ * @param {Function} fn - The function
+ * @returns {*} - What the function returns
+ */
+const runWithRequestId = (requestId, fn) => requestContext.run({ requestId }, fn);
+
+/**
+ * Picks the ID for an incoming request: the caller's X-Request-Id if acceptable, else a new one
+ * @param {string|undefined} header - The X-Request-Id header
+ * @returns {string} - The request ID
+ */
+const resolveRequestId = (header) => (typeof header === 'string' && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID());
+
+/**
+ * Whether a value is a plain object of log fields
+ * @param {*} value - The value
+ * @returns {boolean} - True for plain objects
+ */
+const isFields = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Creates a logger that writes JSON lines: {time, level, msg, requestId, ...fields}
+ * @param {Object} [options] - Logger options
+ * @param {{write: Function}} [options.stream] - Where lines are written
+ * @param {Object} [options.fields] - Fields added to every line, e.g. { profile: 'mainnet' }
+ * @param {Function} [options.now] - Clock, in milliseconds
+ * @returns {{log: Function, error: Function, child: Function}} - `log` and `error` take a message and optional fields; `child` returns a logger with more fixed fields
+ */
+const createLogger = ({ stream = process.stdout, fields = {}, now = () => Date.now() } = {}) => {
+    // Console-style calls, with values other than a fields object after the message, are
+    // formatted into the message
+    const write = (level, message, ...rest) => {
+        const extra = rest.length === 1 && isFields(rest[0]) ? rest[0] : {};
+        const text = rest.length === 1 && isFields(rest[0]) ? String(message) : util.format(message, ...rest);
+        const requestId = getRequestId();
+        const entry = {
+            time: new Date(now()).toISOString(),
+            level,
+            msg: text,
+            ...(requestId ? { requestId } : {}),
+            ...fields,
+            ...extra
+        };
+        // Errors don't serialize to JSON on their own
+        Object.keys(entry).forEach(key => {
+            if (entry[key] instanceof Error) {
+                entry[key] = entry[key].message;
+            }
+        });
+        stream.write(`${JSON.stringify(entry)}\n`);
+    };
+
+    return {
+        log: (message, ...rest) => write('info', message, ...rest),
+        error: (message, ...rest) => write('error', message, ...rest),
+        child: (more) => createLogger({ stream, fields: { ...fields, ...more }, now })
+    };
+};
+
+module.exports = {
+    REQUEST_ID_HEADER,
+    getRequestId,
+    runWithRequestId,
+    resolveRequestId,
+    createLogger
+};
@@ -0,0 +1,172 @@
+/**
+ * Prometheus metrics: counters, gauges and histograms kept in memory and rendered in the text
+ * exposition format for `/metrics`.
+ *
+ * Collectors registered with `addCollector` run on each scrape, for values read from elsewhere
+ * (token state, cache statistics, the portfolio) rather than counted as they happen.
+ */
+
+// Upper bounds of the latency histogram buckets, in seconds
+const DEFAULT_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+/**
+ * Escapes a label value for the exposition format
+ * @param {*} value - The value
+ * @returns {string} - The escaped value
+ */
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Formats a set of labels
+ * @param {Object} labels - Label names and values
+ * @returns {string} - e.g. `{api="cirrus",status="200"}`, or empty without labels
+ */
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    return entries.length > 0 ? `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}` : '';
+};
+
+/**
+ * Formats a sample value
+ * @param {number} value - The value
+ * @returns {string} - The value, with Prometheus's spelling of infinities and NaN
+ */
+const formatValue = (value) => {
+    if (Number.isNaN(value)) {
+        return 'NaN';
+    }
+    if (!Number.isFinite(value)) {
+        return value > 0 ? '+Inf' : '-Inf';
+    }
+    return String(value);
+};
+
+/**
+ * Creates a metrics registry
+ * @returns {{counter: Function, gauge: Function, histogram: Function, addCollector: Function, render: Function}} - The registry
+ */
+const createMetricsRegistry = () => {
+    const metrics = new Map();
+    const collectors = [];
+
+    // Registers a metric, or returns the one already registered under the name
+    const register = (name, help, type, create) => {
+        if (!METRIC_NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid metric name "${name}"`);
+        }
+        if (!metrics.has(name)) {
+            metrics.set(name, { name, help, type, series: new Map(), ...create() });
+        }
+        return metrics.get(name);
+    };
+
+    // A metric's series for some labels, created on first use
+    const getSeries = (metric, labels, initial) => {
+        const key = formatLabels(labels);
+        if (!metric.series.has(key)) {
+            metric.series.set(key, { labels, ...initial() });
+        }
+        return metric.series.get(key);
+    };
+
+    /**
+     * Creates a counter
+     * @param {string} name - e.g. "strato_upstream_requests_total"
+     * @param {string} help - What it counts
+     * @returns {{inc: Function, set: Function}} - inc(labels, amount = 1), and set(labels, value) for counts kept elsewhere
+     */
+    const counter = (name, help) => {
+        const metric = register(name, help, 'counter', () => ({}));
+        return {
+            inc: (labels = {}, amount = 1) => {
+                getSeries(metric, labels, () => ({ value: 0 })).value += amount;
+            },
+            set: (labels, value) => {
+                getSeries(metric, labels, () => ({ value: 0 })).value = value;
+            }
+        };
+    };
+
+    /**
+     * Creates a gauge
+     * @param {string} name - e.g. "strato_portfolio_value_usd"
+     * @param {string} help - What it measures
+     * @returns {{set: Function, reset: Function}} - set(labels, value), and reset() to drop every series
+     */
+    const gauge = (name, help) => {
+        const metric = register(name, help, 'gauge', () => ({}));
+        return {
+            set: (labels, value) => {
+                getSeries(metric, labels, () => ({ value: 0 })).value = value;
+            },
+            reset: () => metric.series.clear()
+        };
+    };
+
+    /**
+     * Creates a histogram
+     * @param {string} name - e.g. "strato_upstream_request_duration_seconds"
+     * @param {string} help - What it measures
+     * @param {Array<number>} [buckets] - Bucket upper bounds, ascending
+     * @returns {{observe: Function}} - observe(labels, value)
+     */
+    const histogram = (name, help, buckets = DEFAULT_DURATION_BUCKETS) => {
+        const metric = register(name, help, 'histogram', () => ({ buckets }));
+        return {
+            observe: (labels, value) => {
+                const series = getSeries(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+                metric.buckets.forEach((bound, index) => {
+                    if (value <= bound) {
+                        series.counts[index] += 1;
+                    }
+                });
+                series.sum += value;
+                series.count += 1;
+            }
+        };
+    };
+
+    /**
+     * Adds a function run before each render, to set gauges from current state
+     * @param {Function} collect - May be async; failures are left to the collector to report
+     */
+    const addCollector = (collect) => {
+        collectors.push(collect);
+    };
+
+    /**
+     * Renders every metric in the Prometheus text exposition format
+     * @returns {Promise<string>} - The exposition
+     */
+    const render = async () => {
+        await Promise.all(collectors.map(collect => collect()));
+
+        const lines = [];
+        metrics.forEach(metric => {
+            lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            metric.series.forEach(series => {
+                if (metric.type !== 'histogram') {
+                    lines.push(`${metric.name}${formatLabels(series.labels)} ${formatValue(series.value)}`);
+                    return;
+                }
+                metric.buckets.forEach((bound, index) => {
+                    lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+                });
+                lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+                lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+                lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+            });
+        });
+        return `${lines.join('\n')}\n`;
+    };
+
+    return { counter, gauge, histogram, addCollector, render };
+};
+
+module.exports = {
+    DEFAULT_DURATION_BUCKETS,
+    createMetricsRegistry
+};
@@ -0,0 +1,189 @@
+/**
+ * Non-fungible items: metadata and images from the asset records, and estimated values from
+ * marketplace data.
+ *
+ * An item is every token sharing an origin address (its editions). Its value per unit comes
+ * from the last sale of any edition, taken from the ItemTransfers events that carry a price,
+ * and from the lowest open listing in the BlockApps-Mercata-Sale table. The confidence label
+ * says how much evidence there is:
+ *
+ *   high   - a recent sale and a listing by someone else; the lower of the two is used
+ *   medium - a recent sale, or a listing by someone else, but not both
+ *   low    - only an older sale, or only the owner's own listing
+ *
+ * Items with none of these stay unvalued. Estimates are totalled apart from oracle values.
+ */
+
+const { ZERO, parseDecimal, add, multiply, compare } = require('./decimal');
+const { parseBlockTimestamp } = require('./oracle');
+const { CATA_ASSET_NAME } = require('./portfolio');
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+// Default age after which a sale no longer counts as recent
+const DEFAULT_NFT_SALE_MAX_AGE_DAYS = 90;
+
+/**
+ * Whether a valued asset group is a non-fungible item: from a verified issuer, not CATA, and
+ * without an oracle price
+ * @param {Object} asset - A valued asset group from valuePortfolio
+ * @returns {boolean} - True for the groups counted as non-fungible tokens in the totals
+ */
+const isNonFungible = (asset) => asset.verified && asset.name !== CATA_ASSET_NAME && asset.worth === null;
+
+/**
+ * Reads the image URLs of an asset record. Cirrus may return `images` as an array or as a JSON
+ * or comma-separated string; only http and https URLs are kept, so a record cannot inject
+ * script or data URLs into the page.
+ * @param {Object} record - A full row from the BlockApps-Mercata-Asset table
+ * @returns {Array<string>} - The image URLs
+ */
+const parseImageUrls = (record) => {
+    let images = record.images !== undefined && record.images !== null ? record.images : record.image;
+    if (typeof images === 'string') {
+        const text = images.trim();
+        try {
+            images = text.startsWith('[') ? JSON.parse(text) : text.split(',');
+        } catch (error) {
+            images = [];
+        }
+    }
+    return (Array.isArray(images) ? images : [images])
+        .filter(url => typeof url === 'string' && /^https?:\/\/[^\s"'<>]+$/i.test(url.trim()))
+        .map(url => url.trim());
+};
+
+/**
+ * Collects an item's description and images across its tokens
+ * @param {Object} asset - An asset group; its tokens should be full records
+ * @returns {{description: string|null, images: Array<string>}} - The first description and every distinct image
+ */
+const getItemMetadata = (asset) => {
+    const withDescription = asset.tokens.find(token => typeof token.description === 'string' && token.description.trim() !== '');
+    return {
+        description: withDescription ? withDescription.description.trim() : null,
+        images: [...new Set(asset.tokens.flatMap(parseImageUrls))]
+    };
+};
+
+/**
+ * Estimates one item's value from its marketplace data
+ * @param {Object} asset - The owner's valued asset group
+ * @param {Object} market - Marketplace data for the item's editions
+ * @param {Map<string, Object>} market.editionsByAddress - Asset rows of every edition, by token address
+ * @param {Array} market.listings - Open Sale rows for those editions
+ * @param {Array} market.events - ItemTransfers rows for those editions
+ * @param {Object} options - Valuation options
+ * @param {Array<string>} options.owners - The owners, whose own listings are weaker evidence
+ * @param {number} options.now - Current time in milliseconds
+ * @param {number} options.saleMaxAgeDays - Age after which a sale no longer counts as recent
+ * @returns {Object|null} - {unitPrice, value, confidence, basis, lastSale, lowestListing, listingCount}, or null without any evidence
+ */
+const valueItem = (asset, { editionsByAddress, listings, events }, { owners, now, saleMaxAgeDays }) => {
+    const offers = listings
+        .map(listing => {
+            const edition = editionsByAddress.get(listing.assetToBeSold);
+            const price = listing.price !== undefined && listing.price !== null ? parseDecimal(listing.price) : null;
+            return price && compare(price, ZERO) > 0 && edition ? { price, seller: edition.ownerCommonName || null } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => compare(a.price, b.price));
+    const lowestListing = offers.find(({ seller }) => !owners.includes(seller)) || null;
+    const ownListing = offers.find(({ seller }) => owners.includes(seller)) || null;
+
+    const sales = events
+        .map(event => ({
+            price: event.price !== undefined && event.price !== null ? parseDecimal(event.price) : null,
+            time: parseBlockTimestamp(event.block_timestamp)
+        }))
+        .filter(({ price, time }) => price && compare(price, ZERO) > 0 && time !== null)
+        .sort((a, b) => b.time - a.time);
+    const lastSale = sales[0] || null;
+    const recentSale = lastSale && now - lastSale.time <= saleMaxAgeDays * 24 * 60 * 60 * 1000 ? lastSale : null;
+
+    let estimate = null;
+    if (recentSale && lowestListing) {
+        const lower = compare(recentSale.price, lowestListing.price) <= 0 ? recentSale.price : lowestListing.price;
+        estimate = { unitPrice: lower, confidence: 'high', basis: 'lower of the last sale and the lowest listing' };
+    } else if (recentSale) {
+        estimate = { unitPrice: recentSale.price, confidence: 'medium', basis: 'last sale' };
+    } else if (lowestListing) {
+        estimate = { unitPrice: lowestListing.price, confidence: 'medium', basis: 'lowest listing' };
+    } else if (lastSale) {
+        estimate = { unitPrice: lastSale.price, confidence: 'low', basis: `last sale, over ${saleMaxAgeDays} days ago` };
+    } else if (ownListing) {
+        estimate = { unitPrice: ownListing.price, confidence: 'low', basis: 'the owner\'s own listing' };
+    }
+    if (!estimate) {
+        return null;
+    }
+
+    return {
+        ...estimate,
+        value: multiply(asset.quantity, estimate.unitPrice),
+        lastSale: lastSale ? { price: lastSale.price, at: new Date(lastSale.time).toISOString() } : null,
+        lowestListing: lowestListing ? { price: lowestListing.price, seller: lowestListing.seller } : null,
+        listingCount: offers.length
+    };
+};
+
+/**
+ * Values a portfolio's non-fungible items from marketplace data and adds the estimates to it
+ * @param {Object} portfolio - The portfolio as returned by buildPortfolio
+ * @param {{editions: Array, listings: Array, events: Array}} marketData - From the STRATO client's getMarketplaceData for the items' origin addresses
+ * @param {Object} [options] - Valuation options
+ * @param {number} [options.now] - Current time in milliseconds
+ * @param {number} [options.saleMaxAgeDays] - Age after which a sale no longer counts as recent
+ * @param {Array<string>} [options.owners] - Whose listings count as the owner's own; the portfolio's owner by default, every owner for a consolidated portfolio
+ * @returns {Object} - The portfolio with `nftValuation` on each non-fungible asset (null if unvalued) and `totals.nftEstimate`: {tokenCount, itemCount, value, confidence: {high, medium, low}}
+ */
+const applyNftValuations = (portfolio, { editions, listings, events }, { now = Date.now(), saleMaxAgeDays = DEFAULT_NFT_SALE_MAX_AGE_DAYS, owners = [portfolio.owner] } = {}) => {
+    const editionsByAddress = new Map(editions.map(edition => [edition.address, edition]));
+    const nftEstimate = { tokenCount: 0, itemCount: 0, value: ZERO, confidence: { high: 0, medium: 0, low: 0 } };
+
+    const assets = portfolio.assets.map(asset => {
+        if (!isNonFungible(asset)) {
+            return asset;
+        }
+        const origin = asset.originAddress;
+        const itemAddresses = new Set(editions
+            .filter(edition => (edition.originAddress || edition.root) === origin)
+            .map(({ address }) => address));
+
+        const valuation = origin ? valueItem(asset, {
+            editionsByAddress,
+            listings: listings.filter(listing => itemAddresses.has(listing.assetToBeSold)),
+            events: events.filter(event => itemAddresses.has(event.address))
+        }, { owners, now, saleMaxAgeDays }) : null;
+
+        if (valuation) {
+            nftEstimate.tokenCount += asset.tokenCount;
+            nftEstimate.itemCount += 1;
+            nftEstimate.value = add(nftEstimate.value, valuation.value);
+            nftEstimate.confidence[valuation.confidence] += 1;
+        }
+        return { ...asset, nftValuation: valuation };
+    });
+
+    return { ...portfolio, assets, totals: { ...portfolio.totals, nftEstimate } };
+};
+
+/**
+ * Lists the origin addresses of a portfolio's non-fungible items, for getMarketplaceData
+ * @param {Object} portfolio - The portfolio as returned by buildPortfolio
+ * @returns {Array<string>} - The distinct origin addresses
+ */
+const getNonFungibleOrigins = (portfolio) => [...new Set(portfolio.assets
+    .filter(asset => isNonFungible(asset) && asset.originAddress)
+    .map(asset => asset.originAddress))];
+
+module.exports = {
+    CONFIDENCE_LEVELS,
+    DEFAULT_NFT_SALE_MAX_AGE_DAYS,
+    isNonFungible,
+    parseImageUrls,
+    getItemMetadata,
+    valueItem,
+    applyNftValuations,
+    getNonFungibleOrigins
+};
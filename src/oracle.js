@@ -0,0 +1,153 @@
+/**
+ * Oracle price selection: picks the latest consensus price per asset by block timestamp,
+ * keeps each source's latest price and the spread between sources, and flags prices that
+ * are stale or disputed.
+ *
+ * Every OracleService contract reporting a price is treated as one source, identified by
+ * its creator (or address when the creator is unknown).
+ */
+
+const { ZERO, parseDecimal, subtract, multiply, divide, compare, isZero } = require('./decimal');
+
+const HUNDRED = parseDecimal('100');
+
+// Defaults used when credentials.yaml does not set oracleStaleAfterMinutes / oracleMaxSpreadPercent
+const DEFAULT_STALE_AFTER_MINUTES = 60;
+const DEFAULT_MAX_SPREAD_PERCENT = 5;
+
+/**
+ * Parses a Cirrus block timestamp ("2025-04-10 12:34:56 UTC") or ISO string
+ * @param {string|null|undefined} value - The timestamp
+ * @returns {number|null} - Milliseconds since the epoch, or null if missing or unparsable
+ */
+const parseBlockTimestamp = (value) => {
+    if (!value) {
+        return null;
+    }
+    const normalized = String(value).trim()
+        .replace(/^(\d{4}-\d{2}-\d{2}) (\d)/, '$1T$2')
+        .replace(/ UTC$/, 'Z');
+    const time = Date.parse(normalized);
+    return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Summarizes raw OracleService rows into one price per asset
+ * @param {Array} rows - Rows from the BlockApps-Mercata-OracleService table
+ * @param {Object} [options] - Freshness options
+ * @param {number} [options.now] - Current time in milliseconds
+ * @param {number} [options.staleAfterMinutes] - Age after which a price is stale
+ * @param {number} [options.maxSpreadPercent] - Spread between sources above which a price is disputed
+ * @returns {{latestPrices: Object, priceDetails: Object}} - Map of asset name to consensus price string, and map of asset name to price details
+ */
+const summarizeOraclePrices = (rows, options = {}) => {
+    const {
+        now = Date.now(),
+        staleAfterMinutes = DEFAULT_STALE_AFTER_MINUTES,
+        maxSpreadPercent = DEFAULT_MAX_SPREAD_PERCENT
+    } = options;
+    const staleAfterMs = staleAfterMinutes * 60 * 1000;
+    const maxSpread = parseDecimal(maxSpreadPercent);
+
+    // Latest report per asset and source. Rows without a timestamp fall back to table order.
+    // Keyed by asset names from the chain, so without a prototype for them to collide with
+    const reportsByAsset = Object.create(null);
+    rows.forEach((row, index) => {
+        const price = row.consensusPrice !== undefined && row.consensusPrice !== null ? parseDecimal(row.consensusPrice) : null;
+        if (!row.name || !price) {
+            return;
+        }
+
+        const source = row.creator || row.address || 'unknown';
+        const report = {
+            source,
+            address: row.address || null,
+            price: String(row.consensusPrice),
+            updatedAt: parseBlockTimestamp(row.block_timestamp),
+            order: index
+        };
+
+        const sources = reportsByAsset[row.name] = reportsByAsset[row.name] || Object.create(null);
+        const existing = sources[source];
+        if (!existing || (report.updatedAt || 0) > (existing.updatedAt || 0) ||
+            ((report.updatedAt || 0) === (existing.updatedAt || 0) && report.order > existing.order)) {
+            sources[source] = report;
+        }
+    });
+
+    const latestPrices = Object.create(null);
+    const priceDetails = Object.create(null);
+
+    Object.entries(reportsByAsset).forEach(([name, sourceMap]) => {
+        const reports = Object.values(sourceMap).sort((a, b) =>
+            (b.updatedAt || 0) - (a.updatedAt || 0) || b.order - a.order
+        );
+        const latest = reports[0];
+        const ageSeconds = latest.updatedAt !== null ? Math.max(0, Math.floor((now - latest.updatedAt) / 1000)) : null;
+        // A price with no timestamp can't be shown to be fresh
+        const stale = latest.updatedAt === null || now - latest.updatedAt > staleAfterMs;
+
+        // Spread across the sources that are themselves fresh
+        const freshReports = reports.filter(report => report.updatedAt !== null && now - report.updatedAt <= staleAfterMs);
+        const spreadReports = freshReports.length > 0 ? freshReports : reports;
+        const values = spreadReports.map(report => parseDecimal(report.price));
+        const high = values.reduce((max, value) => compare(value, max) > 0 ? value : max, values[0]);
+        const low = values.reduce((min, value) => compare(value, min) < 0 ? value : min, values[0]);
+        const spread = subtract(high, low);
+        const consensus = parseDecimal(latest.price);
+        const spreadPercent = isZero(consensus) ? ZERO : divide(multiply(spread, HUNDRED), consensus, 2);
+        const disputed = spreadReports.length > 1 && compare(spreadPercent, maxSpread) > 0;
+
+        latestPrices[name] = latest.price;
+        priceDetails[name] = {
+            price: latest.price,
+            updatedAt: latest.updatedAt !== null ? new Date(latest.updatedAt).toISOString() : null,
+            ageSeconds,
+            stale,
+            disputed,
+            spread: spread.toJSON(),
+            spreadPercent: spreadPercent.toJSON(),
+            sources: reports.map(({ source, address, price, updatedAt }) => ({
+                source,
+                address,
+                price,
+                updatedAt: updatedAt !== null ? new Date(updatedAt).toISOString() : null
+            }))
+        };
+    });
+
+    return { latestPrices, priceDetails };
+};
+
+/**
+ * Builds the price details for a fixed-peg price from the asset registry
+ * @param {string} price - The pegged price
+ * @returns {Object} - Price details that are never stale or disputed
+ */
+const fixedPriceDetails = (price) => ({
+    price,
+    fixed: true,
+    updatedAt: null,
+    ageSeconds: null,
+    stale: false,
+    disputed: false,
+    spread: '0',
+    spreadPercent: '0',
+    sources: []
+});
+
+/**
+ * Whether a price should be treated as an estimate rather than counted in the Total Value
+ * @param {Object|undefined} details - Price details for an asset
+ * @returns {boolean} - True for stale or disputed prices
+ */
+const isEstimatedPrice = (details) => Boolean(details && (details.stale || details.disputed));
+
+module.exports = {
+    DEFAULT_STALE_AFTER_MINUTES,
+    DEFAULT_MAX_SPREAD_PERCENT,
+    parseBlockTimestamp,
+    summarizeOraclePrices,
+    fixedPriceDetails,
+    isEstimatedPrice
+};
@@ -0,0 +1,68 @@
+/**
+ * Owner common name handling: validation and parsing of owner lists
+ */
+
+// Common names are user-chosen; allow the characters STRATO accepts and nothing that could
+// change the meaning of a PostgREST filter or break out of HTML
+const COMMON_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 ._@-]{0,99}$/;
+
+// Upper bound on owners in one multi-owner view, since each owner costs a Cirrus request
+const MAX_OWNERS = 25;
+
+/**
+ * Raised when an owner common name or owner list is not acceptable
+ */
+class InvalidOwnerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidOwnerError';
+    }
+}
+
+/**
+ * Validates a single owner common name
+ * @param {string} commonName - The common name to validate
+ * @returns {string} - The trimmed common name
+ * @throws {InvalidOwnerError} If the name is empty or contains disallowed characters
+ */
+const validateCommonName = (commonName) => {
+    const trimmed = typeof commonName === 'string' ? commonName.trim() : '';
+    if (!COMMON_NAME_PATTERN.test(trimmed)) {
+        throw new InvalidOwnerError(
+            'Invalid owner common name: use 1-100 letters, digits, spaces, ".", "_", "@" or "-"'
+        );
+    }
+    return trimmed;
+};
+
+/**
+ * Parses a list of owners from a comma-separated string or an array of strings
+ * @param {string|Array<string>} value - e.g. "alice,bob" or ["alice", "bob"]
+ * @returns {Array<string>} - Validated, de-duplicated common names in their original order
+ * @throws {InvalidOwnerError} If the list is empty, too long, or contains an invalid name
+ */
+const parseOwnerList = (value) => {
+    const parts = (Array.isArray(value) ? value : [value])
+        .filter(part => typeof part === 'string')
+        .flatMap(part => part.split(','))
+        .map(part => part.trim())
+        .filter(part => part !== '');
+
+    const owners = [...new Set(parts.map(validateCommonName))];
+
+    if (owners.length === 0) {
+        throw new InvalidOwnerError('At least one owner common name is required');
+    }
+    if (owners.length > MAX_OWNERS) {
+        throw new InvalidOwnerError(`At most ${MAX_OWNERS} owners can be queried at once`);
+    }
+
+    return owners;
+};
+
+module.exports = {
+    MAX_OWNERS,
+    InvalidOwnerError,
+    validateCommonName,
+    parseOwnerList
+};
@@ -0,0 +1,388 @@
+/**
+ * Cost basis and profit and loss, reconstructed from the ItemTransfers events the Mercata
+ * asset contracts emit.
+ *
+ * Every transfer to the owner opens a lot. A transfer with a price is a purchase at that
+ * price; one without (a gift, a payout, a move between accounts) is valued at the oracle
+ * price of its time. Transfers from the owner close lots, first in first out or against the
+ * running average cost. Only sales, transfers out with a price, realize a gain; other
+ * transfers out take their cost basis with them. Holdings the history cannot explain, such
+ * as minted tokens, form lots of unknown cost, and the asset is reported as incomplete.
+ */
+
+const { ZERO, parseRawQuantity, parseDecimal, fromRaw, add, subtract, sum, multiply, divide, isZero, toDecimalString } = require('./decimal');
+const { parseBlockTimestamp } = require('./oracle');
+
+const COST_BASIS_METHODS = ['fifo', 'average'];
+const DEFAULT_COST_BASIS_METHOD = 'fifo';
+
+// Fractional digits kept for average costs
+const AVERAGE_COST_PLACES = 18;
+
+// How a lot was opened
+const LOT_SOURCES = {
+    PURCHASE: 'purchase',
+    TRANSFER: 'transfer',
+    AVERAGE: 'average',
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * Raised when a requested cost basis method is not one of COST_BASIS_METHODS
+ */
+class InvalidCostBasisMethodError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidCostBasisMethodError';
+    }
+}
+
+/**
+ * Validates a cost basis method, e.g. from a `method` query parameter
+ * @param {string} method - The method
+ * @returns {string} - The method
+ * @throws {InvalidCostBasisMethodError} If it is not "fifo" or "average"
+ */
+const validateCostBasisMethod = (method) => {
+    if (!COST_BASIS_METHODS.includes(method)) {
+        throw new InvalidCostBasisMethodError(`Cost basis method must be one of ${COST_BASIS_METHODS.join(', ')}`);
+    }
+    return method;
+};
+
+/**
+ * Collects every oracle report per asset as a price series, including the registry's
+ * oracle aliases and fixed pegs
+ * @param {Array} oracleRows - Rows from the BlockApps-Mercata-OracleService table
+ * @param {Object} registry - The asset registry
+ * @returns {Object} - Map of asset name to reports [{time, price}], oldest first
+ */
+const buildPriceHistory = (oracleRows, registry) => {
+    const series = {};
+    oracleRows.forEach(row => {
+        const time = parseBlockTimestamp(row.block_timestamp);
+        const price = row.consensusPrice !== undefined && row.consensusPrice !== null ? parseDecimal(row.consensusPrice) : null;
+        if (!row.name || !price || time === null) {
+            return;
+        }
+        (series[row.name] = series[row.name] || []).push({ time, price: String(row.consensusPrice) });
+    });
+    Object.values(series).forEach(reports => reports.sort((a, b) => a.time - b.time));
+
+    // A fixed peg holds at every time
+    return registry.applyPriceMappings(series, (price) => [{ time: -Infinity, price }]);
+};
+
+/**
+ * Looks up the price an asset had at a given time: the last report at or before it
+ * @param {Object} history - Price series from buildPriceHistory
+ * @param {string} assetName - The asset name
+ * @param {number|null} time - Milliseconds since the epoch
+ * @returns {string|null} - The price, or null if nothing was reported by then
+ */
+const getHistoricalPrice = (history, assetName, time) => {
+    const reports = history[assetName];
+    if (!reports || time === null) {
+        return null;
+    }
+    let price = null;
+    for (const report of reports) {
+        if (report.time > time) {
+            break;
+        }
+        price = report.price;
+    }
+    return price;
+};
+
+/**
+ * Reads the owner's side of ItemTransfers event rows, oldest first. Transfers from the
+ * owner to themselves change nothing and are left out.
+ * @param {Array} rows - Event rows from the BlockApps-Mercata-Asset.ItemTransfers table
+ * @param {string} owner - The owner common name
+ * @returns {Array<{assetName: string, address: string|null, direction: string, counterparty: string|null, rawQuantity: bigint, price: string|null, time: number|null}>} - The owner's transfers
+ */
+const readTransferEvents = (rows, owner) => {
+    const events = [];
+    rows.forEach((row, index) => {
+        const incoming = row.newOwnerCommonName === owner;
+        const outgoing = row.oldOwnerCommonName === owner;
+        const rawQuantity = parseRawQuantity(row.quantity);
+        if (incoming === outgoing || !row.assetName || rawQuantity <= 0n) {
+            return;
+        }
+
+        const price = row.price !== undefined && row.price !== null ? parseDecimal(row.price) : null;
+        const blockTime = parseBlockTimestamp(row.block_timestamp);
+        const transferDate = parseInt(row.transferDate, 10);
+        events.push({
+            assetName: row.assetName,
+            address: row.address || null,
+            direction: incoming ? 'in' : 'out',
+            counterparty: (incoming ? row.oldOwnerCommonName : row.newOwnerCommonName) || null,
+            rawQuantity,
+            price: price && !isZero(price) ? String(row.price) : null,
+            time: blockTime !== null ? blockTime : transferDate > 0 ? transferDate * 1000 : null,
+            order: index
+        });
+    });
+
+    // Events without a time keep their table order after the dated ones
+    const sortTime = (event) => event.time !== null ? event.time : Infinity;
+    return events
+        .sort((a, b) => sortTime(a) - sortTime(b) || a.order - b.order)
+        .map(({ order, ...event }) => event);
+};
+
+/**
+ * Replays one asset's transfers into lots and realized gains
+ * @param {Array} events - The asset's transfers from readTransferEvents, oldest first
+ * @param {Object} options - Accounting options
+ * @param {string} options.method - "fifo" or "average"
+ * @param {number|null} options.decimals - The asset's decimals
+ * @param {bigint} options.heldQuantity - The raw quantity held now, which the lots are reconciled with
+ * @param {Function} options.priceAt - Returns the asset's oracle price string at a time, or null
+ * @returns {{lots: Array, realized: Object, proceeds: Object, transferredOutCost: Object, problems: Array<string>}} - Open lots, realized gain, sale proceeds and the cost basis transferred away, as exact decimals
+ */
+const reconstructLots = (events, { method, decimals, heldQuantity, priceAt }) => {
+    const lots = [];
+    const problems = [];
+    let realized = ZERO;
+    let proceeds = ZERO;
+    let transferredOutCost = ZERO;
+    let unmatched = 0n;
+    let unknownCostSold = 0n;
+
+    const toQuantity = (raw) => fromRaw(raw, decimals);
+
+    const acquire = (rawQuantity, unitCostValue, source, acquiredAt) => {
+        const unitCost = unitCostValue ? parseDecimal(unitCostValue) : null;
+        const cost = unitCost ? multiply(toQuantity(rawQuantity), unitCost) : null;
+
+        // Average cost keeps one pool of known cost, with any units of unknown cost kept apart
+        const pool = method === 'average' ? lots.find(lot => unitCost ? lot.cost !== null : lot.cost === null) : null;
+        if (!pool) {
+            const lot = { acquiredAt, rawQuantity, unitCost, cost, source: method === 'average' && unitCost ? LOT_SOURCES.AVERAGE : source };
+            // Known cost is drawn down first under average cost
+            if (method === 'average' && unitCost) {
+                lots.unshift(lot);
+            } else {
+                lots.push(lot);
+            }
+            return;
+        }
+        pool.rawQuantity += rawQuantity;
+        if (unitCost) {
+            pool.cost = add(pool.cost, cost);
+            pool.unitCost = divide(pool.cost, toQuantity(pool.rawQuantity), AVERAGE_COST_PLACES);
+        }
+    };
+
+    // An average lot gives up its cost in proportion, so the rounded unit cost never accumulates
+    const takeCost = (lot, taken) => method === 'average' ?
+        divide(multiply(lot.cost, fromRaw(taken, 0)), fromRaw(lot.rawQuantity, 0), AVERAGE_COST_PLACES) :
+        multiply(toQuantity(taken), lot.unitCost);
+
+    const dispose = (rawQuantity) => {
+        let remaining = rawQuantity;
+        let cost = ZERO;
+        let unknown = 0n;
+
+        while (remaining > 0n && lots.length > 0) {
+            const lot = lots[0];
+            const taken = lot.rawQuantity < remaining ? lot.rawQuantity : remaining;
+            if (lot.cost === null) {
+                unknown += taken;
+            } else {
+                const takenCost = taken === lot.rawQuantity ? lot.cost : takeCost(lot, taken);
+                cost = add(cost, takenCost);
+                lot.cost = subtract(lot.cost, takenCost);
+            }
+            lot.rawQuantity -= taken;
+            remaining -= taken;
+            if (lot.rawQuantity === 0n) {
+                lots.shift();
+            }
+        }
+
+        unmatched += remaining;
+        return { cost, unknown: unknown + remaining };
+    };
+
+    events.forEach(event => {
+        if (event.direction === 'in') {
+            const marketPrice = event.price ? null : priceAt(event.time);
+            const source = event.price ? LOT_SOURCES.PURCHASE : marketPrice ? LOT_SOURCES.TRANSFER : LOT_SOURCES.UNKNOWN;
+            acquire(event.rawQuantity, event.price || marketPrice, source, event.time);
+            return;
+        }
+
+        const { cost, unknown } = dispose(event.rawQuantity);
+        if (!event.price) {
+            transferredOutCost = add(transferredOutCost, cost);
+            return;
+        }
+        // A sale realizes a gain on the units whose cost is known
+        const price = parseDecimal(event.price);
+        proceeds = add(proceeds, multiply(toQuantity(event.rawQuantity), price));
+        realized = add(realized, subtract(multiply(toQuantity(event.rawQuantity - unknown), price), cost));
+        unknownCostSold += unknown;
+    });
+
+    if (lots.some(lot => lot.cost === null && lot.acquiredAt !== null)) {
+        problems.push('Some transfers in happened before the oracle reported a price, so their cost is unknown');
+    }
+    if (unmatched > 0n) {
+        problems.push(`${toDecimalString(toQuantity(unmatched))} left before the history shows it arriving`);
+    }
+    if (unknownCostSold > 0n) {
+        problems.push(`Realized gain leaves out ${toDecimalString(toQuantity(unknownCostSold))} sold at unknown cost`);
+    }
+
+    // Reconcile with what the owner holds now
+    const lotQuantity = lots.reduce((total, lot) => total + lot.rawQuantity, 0n);
+    if (heldQuantity > lotQuantity) {
+        acquire(heldQuantity - lotQuantity, null, LOT_SOURCES.UNKNOWN, null);
+        problems.push(`${toDecimalString(toQuantity(heldQuantity - lotQuantity))} held has no transfer history (minted, or older than the event table), so its cost is unknown`);
+    } else if (heldQuantity < lotQuantity) {
+        const { cost } = dispose(lotQuantity - heldQuantity);
+        transferredOutCost = add(transferredOutCost, cost);
+        problems.push(`The history shows ${toDecimalString(toQuantity(lotQuantity - heldQuantity))} more than is held now; it was removed at cost`);
+    }
+
+    return { lots, realized, proceeds, transferredOutCost, problems };
+};
+
+/**
+ * Works out cost basis and gains for an owner's portfolio. Assets are matched by name; the
+ * assets covered are the priced holdings and everything the owner has transferred. Holdings
+ * from unverified issuers, and transfers of their tokens, are left out.
+ * @param {Object} portfolio - The owner's portfolio as returned by buildPortfolio
+ * @param {Array} eventRows - The owner's rows from the BlockApps-Mercata-Asset.ItemTransfers table
+ * @param {Array} oracleRows - Every row of the BlockApps-Mercata-OracleService table
+ * @param {Object} registry - The asset registry
+ * @param {Object} [options] - Accounting options
+ * @param {string} [options.method] - "fifo" (default) or "average"
+ * @returns {{owner: string, method: string, assets: Array, totals: Object}} - Per-asset and total cost basis, market value, unrealized and realized gains, as exact decimals
+ */
+const buildProfitAndLoss = (portfolio, eventRows, oracleRows, registry, { method = DEFAULT_COST_BASIS_METHOD } = {}) => {
+    const history = buildPriceHistory(oracleRows, registry);
+    const verified = portfolio.assets.filter(asset => asset.verified);
+    const unverifiedAddresses = new Set(portfolio.assets
+        .filter(asset => !asset.verified)
+        .flatMap(asset => asset.tokens.map(token => token.address)));
+
+    const events = readTransferEvents(eventRows, portfolio.owner)
+        .filter(event => !unverifiedAddresses.has(event.address));
+    const names = new Set([
+        ...verified.filter(asset => asset.price).map(asset => asset.name),
+        ...events.map(event => event.assetName)
+    ]);
+
+    const assets = [...names].sort((a, b) => a.localeCompare(b)).map(name => {
+        const holdings = verified.filter(asset => asset.name === name);
+        const decimals = holdings.length > 0 ? holdings[0].decimals : registry.getDecimals(name, null);
+        const heldQuantity = holdings.reduce((total, asset) => total + asset.totalQuantity, 0n);
+        const price = holdings.length > 0 ? holdings[0].price : null;
+        const assetEvents = events.filter(event => event.assetName === name);
+
+        const { lots, realized, proceeds, transferredOutCost, problems } = reconstructLots(assetEvents, {
+            method,
+            decimals,
+            heldQuantity,
+            priceAt: (time) => getHistoricalPrice(history, name, time)
+        });
+
+        const knownLots = lots.filter(lot => lot.cost !== null);
+        const knownQuantity = fromRaw(knownLots.reduce((total, lot) => total + lot.rawQuantity, 0n), decimals);
+        const unknownCostQuantity = fromRaw(lots.filter(lot => lot.cost === null).reduce((total, lot) => total + lot.rawQuantity, 0n), decimals);
+        const costBasis = sum(knownLots.map(lot => lot.cost));
+        const marketValue = price ? multiply(knownQuantity, parseDecimal(price)) : null;
+        if (!price && heldQuantity > 0n) {
+            problems.push('No current price, so the unrealized gain is unknown');
+        }
+
+        return {
+            name,
+            displayName: registry.getDisplayName(name),
+            decimals,
+            quantity: fromRaw(heldQuantity, decimals),
+            price,
+            costBasis,
+            unknownCostQuantity,
+            marketValue,
+            unrealized: marketValue ? subtract(marketValue, costBasis) : null,
+            realized,
+            proceeds,
+            transferredOutCost,
+            lots: lots.map(lot => ({
+                acquiredAt: lot.acquiredAt !== null ? new Date(lot.acquiredAt).toISOString() : null,
+                quantity: fromRaw(lot.rawQuantity, decimals),
+                unitCost: lot.unitCost,
+                cost: lot.cost,
+                source: lot.source
+            })),
+            transferCount: assetEvents.length,
+            complete: problems.length === 0,
+            problems
+        };
+    });
+
+    const totals = {
+        costBasis: sum(assets.map(asset => asset.costBasis)),
+        marketValue: sum(assets.filter(asset => asset.marketValue).map(asset => asset.marketValue)),
+        unrealized: sum(assets.filter(asset => asset.unrealized).map(asset => asset.unrealized)),
+        realized: sum(assets.map(asset => asset.realized)),
+        proceeds: sum(assets.map(asset => asset.proceeds)),
+        complete: assets.every(asset => asset.complete)
+    };
+
+    return { owner: portfolio.owner, method, assets, totals };
+};
+
+/**
+ * Renders P&L decimals as exact strings for JSON consumers
+ * @param {Object} pnl - The result of buildProfitAndLoss
+ * @returns {Object} - The same data with every amount as a string
+ */
+const serializeProfitAndLoss = (pnl) => {
+    const toAmount = (value) => value ? toDecimalString(value) : null;
+    return {
+        owner: pnl.owner,
+        method: pnl.method,
+        assets: pnl.assets.map(asset => ({
+            ...asset,
+            quantity: toAmount(asset.quantity),
+            costBasis: toAmount(asset.costBasis),
+            unknownCostQuantity: toAmount(asset.unknownCostQuantity),
+            marketValue: toAmount(asset.marketValue),
+            unrealized: toAmount(asset.unrealized),
+            realized: toAmount(asset.realized),
+            proceeds: toAmount(asset.proceeds),
+            transferredOutCost: toAmount(asset.transferredOutCost),
+            lots: asset.lots.map(lot => ({ ...lot, quantity: toAmount(lot.quantity), unitCost: toAmount(lot.unitCost), cost: toAmount(lot.cost) }))
+        })),
+        totals: {
+            costBasis: toAmount(pnl.totals.costBasis),
+            marketValue: toAmount(pnl.totals.marketValue),
+            unrealized: toAmount(pnl.totals.unrealized),
+            realized: toAmount(pnl.totals.realized),
+            proceeds: toAmount(pnl.totals.proceeds),
+            complete: pnl.totals.complete
+        }
+    };
+};
+
+module.exports = {
+    COST_BASIS_METHODS,
+    DEFAULT_COST_BASIS_METHOD,
+    LOT_SOURCES,
+    InvalidCostBasisMethodError,
+    validateCostBasisMethod,
+    buildPriceHistory,
+    getHistoricalPrice,
+    readTransferEvents,
+    reconstructLots,
+    buildProfitAndLoss,
+    serializeProfitAndLoss
+};
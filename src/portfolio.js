@@ -0,0 +1,251 @@
+/**
+ * Portfolio aggregation: groups raw Cirrus asset rows and values them against oracle prices.
+ * Shared by the HTML page and the JSON API so both always show the same numbers.
+ */
+
+const { ZERO, parseRawQuantity, parseDecimal, fromRaw, add, multiply } = require('./decimal');
+const { isEstimatedPrice } = require('./oracle');
+
+// Asset that is counted separately from the fungible / non-fungible totals
+const CATA_ASSET_NAME = 'CATA';
+
+/**
+ * Returns the key an asset row is grouped under: its origin (or root) contract address when
+ * known, so unrelated contracts that share a name are kept apart, otherwise its name
+ * @param {Object} asset - A raw asset row
+ * @returns {string} - The group key
+ */
+const getAssetGroupKey = (asset) => {
+    return asset.originAddress || asset.root || asset.name || asset.id || 'Unnamed Asset';
+};
+
+/**
+ * Reads a name-keyed map without falling through to Object.prototype, since asset names come
+ * from the chain and may be e.g. "constructor"
+ * @param {Object} map - Map of asset name to value
+ * @param {string} name - The asset name
+ * @returns {*} - The value, or null if the map has none for the name
+ */
+const getOwn = (map, name) => (Object.prototype.hasOwnProperty.call(map, name) ? map[name] : null);
+
+/**
+ * Groups asset rows by origin address and sums their raw quantities exactly as BigInt.
+ * Groups whose name is shared with another group are flagged as name collisions, and each
+ * group records its issuers and whether they are all trusted. While no trusted issuers are
+ * configured, groups with an unknown issuer or a colliding name are not trusted.
+ * @param {Array} assetData - Raw rows from the BlockApps-Mercata-Asset table
+ * @param {Object} registry - The asset registry providing decimals overrides, display names and trusted issuers
+ * @returns {{assetGroups: Object, sortedAssets: Array}} - Groups keyed by group key, and the same groups sorted alphabetically
+ */
+const groupAssets = (assetData, registry) => {
+    // Keys come from the chain, so the maps have no prototype for them to collide with
+    const assetGroups = Object.create(null);
+
+    // Group assets by origin and sum quantities
+    assetData.forEach(asset => {
+        const key = getAssetGroupKey(asset);
+        const name = asset.name || asset.id || 'Unnamed Asset';
+        const quantity = parseRawQuantity(asset.quantity);
+
+        if (!assetGroups[key]) {
+            assetGroups[key] = {
+                key,
+                name,
+                displayName: registry.getDisplayName(name),
+                originAddress: asset.originAddress || asset.root || null,
+                issuers: [],
+                verified: false,
+                nameCollision: false,
+                totalQuantity: 0n,
+                tokenCount: 0,
+                decimals: registry.getDecimals(name, asset.decimals),
+                tokens: [] // Array to store individual token details
+            };
+        }
+
+        const group = assetGroups[key];
+        if (asset.creator && !group.issuers.includes(asset.creator)) {
+            group.issuers.push(asset.creator);
+        }
+        group.totalQuantity += quantity;
+        group.tokenCount += 1;
+        group.tokens.push(asset);
+    });
+
+    // Flag names used by more than one group, and check every group's issuers
+    const groupsByName = Object.create(null);
+    Object.values(assetGroups).forEach(group => {
+        groupsByName[group.name] = (groupsByName[group.name] || 0) + 1;
+    });
+    Object.values(assetGroups).forEach(group => {
+        group.nameCollision = groupsByName[group.name] > 1;
+        // Without a trusted list, a name is only trusted while no other contract claims it
+        group.verified = group.issuers.length > 0 && (registry.isIssuerVerificationEnabled() ?
+            group.issuers.every(registry.isTrustedIssuer) :
+            !group.nameCollision);
+    });
+
+    // Convert to array and sort alphabetically by name, then key
+    const sortedAssets = Object.values(assetGroups).sort((a, b) =>
+        a.name.localeCompare(b.name) || a.key.localeCompare(b.key)
+    );
+
+    return { assetGroups, sortedAssets };
+};
+
+/**
+ * Values each asset group against the latest oracle prices and computes the portfolio totals.
+ * Only groups from trusted issuers are priced or counted as CATA; the rest are reported as unverified.
+ * Worth based on a stale or disputed price is an estimate and is totalled separately.
+ * @param {Array} sortedAssets - Asset groups as returned by groupAssets
+ * @param {Object} latestPrices - Map of asset name to consensus price string
+ * @param {Object} [priceDetails] - Map of asset name to price freshness details from summarizeOraclePrices
+ * @returns {{assets: Array, totals: Object}} - Per-asset quantity and worth as exact decimals, and the fungible, estimated, non-fungible, CATA and unverified totals
+ */
+const valuePortfolio = (sortedAssets, latestPrices, priceDetails = {}) => {
+    const totals = {
+        fungible: { tokenCount: 0, value: ZERO },
+        estimated: { tokenCount: 0, value: ZERO },
+        nonFungible: { tokenCount: 0 },
+        cata: { tokenCount: 0, quantity: ZERO },
+        unverified: { tokenCount: 0, assetCount: 0 }
+    };
+
+    const assets = sortedAssets.map(asset => {
+        const oraclePrice = getOwn(latestPrices, asset.name) || null;
+        // Never price a token from an unknown issuer just because it borrowed a priced asset's name
+        const price = asset.verified ? oraclePrice : null;
+        const priceValue = price ? parseDecimal(price) : null;
+        const quantity = fromRaw(asset.totalQuantity, asset.decimals);
+        const worth = priceValue ? multiply(quantity, priceValue) : null;
+        const priceInfo = price ? getOwn(priceDetails, asset.name) : null;
+        const estimate = isEstimatedPrice(priceInfo);
+
+        if (!asset.verified) {
+            totals.unverified.tokenCount += asset.tokenCount;
+            totals.unverified.assetCount += 1;
+        } else if (asset.name === CATA_ASSET_NAME) {
+            // CATA is counted separately, by quantity rather than value
+            totals.cata.tokenCount += asset.tokenCount;
+            totals.cata.quantity = add(totals.cata.quantity, quantity);
+        } else if (worth && estimate) {
+            // Priced, but the price is stale or disputed so it isn't counted as a firm value
+            totals.estimated.tokenCount += asset.tokenCount;
+            totals.estimated.value = add(totals.estimated.value, worth);
+        } else if (worth) {
+            // This is a fungible token with a price oracle
+            totals.fungible.tokenCount += asset.tokenCount;
+            totals.fungible.value = add(totals.fungible.value, worth);
+        } else {
+            // This is a non-fungible token without a price oracle
+            totals.nonFungible.tokenCount += asset.tokenCount;
+        }
+
+        return {
+            ...asset,
+            quantity,
+            price,
+            priceInfo,
+            priceWithheld: !asset.verified && oraclePrice !== null,
+            estimate,
+            worth
+        };
+    });
+
+    return { assets, totals };
+};
+
+/**
+ * Values the individual token rows that make up a valued asset group
+ * @param {Object} asset - A valued asset group from valuePortfolio
+ * @returns {Array<{token: Object, quantity: Object, worth: Object|null}>} - Each raw token row with its scaled quantity and worth
+ */
+const valueTokens = (asset) => {
+    const priceValue = asset.price ? parseDecimal(asset.price) : null;
+
+    return asset.tokens.map(token => {
+        const quantity = fromRaw(token.quantity, asset.decimals);
+        return { token, quantity, worth: priceValue ? multiply(quantity, priceValue) : null };
+    });
+};
+
+/**
+ * Builds the full portfolio for an owner from raw asset rows and oracle prices
+ * @param {string} owner - The owner common name the assets belong to
+ * @param {Array} assetData - Raw rows from the BlockApps-Mercata-Asset table
+ * @param {Object} latestPrices - Map of asset name to consensus price string
+ * @param {Object} registry - The asset registry
+ * @param {Object} [priceDetails] - Map of asset name to price freshness details
+ * @returns {{owner: string, tokenCount: number, assetGroups: Object, assets: Array, totals: Object}}
+ */
+const buildPortfolio = (owner, assetData, latestPrices, registry, priceDetails = {}) => {
+    const { assetGroups, sortedAssets } = groupAssets(assetData, registry);
+    const { assets, totals } = valuePortfolio(sortedAssets, latestPrices, priceDetails);
+
+    return {
+        owner,
+        tokenCount: assetData.length,
+        assetGroups,
+        assets,
+        totals
+    };
+};
+
+/**
+ * Builds portfolios for several owners plus a consolidated portfolio across all of them
+ * @param {Array<{owner: string, assetData: Array}>} ownerAssets - Raw asset rows per owner
+ * @param {Object} latestPrices - Map of asset name to consensus price string
+ * @param {Object} registry - The asset registry
+ * @param {Object} [priceDetails] - Map of asset name to price freshness details
+ * @returns {{owners: Array, consolidated: Object}} - One portfolio per owner, and the combined portfolio
+ */
+const buildMultiOwnerPortfolio = (ownerAssets, latestPrices, registry, priceDetails = {}) => {
+    const owners = ownerAssets.map(({ owner, assetData }) =>
+        buildPortfolio(owner, assetData, latestPrices, registry, priceDetails)
+    );
+    const consolidated = buildPortfolio(
+        ownerAssets.map(({ owner }) => owner).join(', '),
+        ownerAssets.flatMap(({ assetData }) => assetData),
+        latestPrices,
+        registry,
+        priceDetails
+    );
+
+    return { owners, consolidated };
+};
+
+/**
+ * Adds up portfolio totals
+ * @param {Array<Object>} totalsList - Totals as returned by valuePortfolio
+ * @returns {Object} - The combined totals
+ */
+const sumTotals = (totalsList) => totalsList.reduce((combined, totals) => ({
+    fungible: {
+        tokenCount: combined.fungible.tokenCount + totals.fungible.tokenCount,
+        value: add(combined.fungible.value, totals.fungible.value)
+    },
+    estimated: {
+        tokenCount: combined.estimated.tokenCount + totals.estimated.tokenCount,
+        value: add(combined.estimated.value, totals.estimated.value)
+    },
+    nonFungible: { tokenCount: combined.nonFungible.tokenCount + totals.nonFungible.tokenCount },
+    cata: {
+        tokenCount: combined.cata.tokenCount + totals.cata.tokenCount,
+        quantity: add(combined.cata.quantity, totals.cata.quantity)
+    },
+    unverified: {
+        tokenCount: combined.unverified.tokenCount + totals.unverified.tokenCount,
+        assetCount: combined.unverified.assetCount + totals.unverified.assetCount
+    }
+}), valuePortfolio([], {}).totals);
+
+module.exports = {
+    CATA_ASSET_NAME,
+    getAssetGroupKey,
+    groupAssets,
+    valuePortfolio,
+    valueTokens,
+    buildPortfolio,
+    buildMultiOwnerPortfolio,
+    sumTotals
+};
@@ -0,0 +1,171 @@
+/**
+ * Failure handling for requests to a STRATO node: retries with exponential backoff and
+ * jitter, and a circuit breaker that stops calling a node that keeps failing.
+ *
+ * The circuit breaker is closed while requests succeed. After `failureThreshold` failures in
+ * a row it opens and requests fail immediately with CircuitOpenError. Once `resetTimeoutMs`
+ * has passed it lets one trial request through (half-open): success closes it again, failure
+ * re-opens it.
+ */
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_BASE_DELAY_MS = 200;
+const DEFAULT_RETRY_MAX_DELAY_MS = 5000;
+const DEFAULT_CIRCUIT_FAILURE_THRESHOLD = 5;
+const DEFAULT_CIRCUIT_RESET_SECONDS = 30;
+
+// Requests that can be repeated without side effects
+const IDEMPOTENT_METHODS = ['get', 'head', 'options'];
+
+// Connection failures worth retrying; timeouts (ECONNABORTED) are not, as each already took the full timeout
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'ERR_NETWORK'];
+
+const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+/**
+ * Raised instead of sending a request while the circuit breaker is open
+ */
+class CircuitOpenError extends Error {
+    constructor(message, retryAfterMs) {
+        super(message);
+        this.name = 'CircuitOpenError';
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Whether a failed request may succeed when sent again: a 5xx response or a connection failure
+ * @param {Error} error - The axios error
+ * @returns {boolean} - True for transient failures
+ */
+const isTransientFailure = (error) => {
+    if (!error || !error.isAxiosError) {
+        return false;
+    }
+    if (error.response) {
+        return error.response.status >= 500;
+    }
+    return RETRYABLE_NETWORK_CODES.includes(error.code);
+};
+
+/**
+ * Whether a failed request should be retried: a transient failure of an idempotent request
+ * @param {Error} error - The axios error
+ * @returns {boolean} - True if the request can safely be sent again
+ */
+const isRetryableError = (error) => {
+    const method = error && error.config && error.config.method ? error.config.method.toLowerCase() : 'get';
+    return IDEMPOTENT_METHODS.includes(method) && isTransientFailure(error);
+};
+
+/**
+ * Computes the delay before a retry: exponential backoff with full jitter
+ * @param {number} attempt - The retry number, starting at 1
+ * @param {Object} [options] - Backoff options
+ * @param {number} [options.baseDelayMs] - Upper bound of the first delay
+ * @param {number} [options.maxDelayMs] - Upper bound of any delay
+ * @param {Function} [options.random] - Source of random numbers in [0, 1)
+ * @returns {number} - Milliseconds to wait
+ */
+const getRetryDelay = (attempt, { baseDelayMs = DEFAULT_RETRY_BASE_DELAY_MS, maxDelayMs = DEFAULT_RETRY_MAX_DELAY_MS, random = Math.random } = {}) => {
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    return Math.floor(random() * ceiling);
+};
+
+/**
+ * Creates a circuit breaker
+ * @param {Object} [options] - Breaker options
+ * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit
+ * @param {number} [options.resetTimeoutMs] - How long the circuit stays open before a trial request
+ * @param {Function} [options.now] - Clock, in milliseconds
+ * @returns {Object} - The breaker
+ */
+const createCircuitBreaker = (options = {}) => {
+    const {
+        failureThreshold = DEFAULT_CIRCUIT_FAILURE_THRESHOLD,
+        resetTimeoutMs = DEFAULT_CIRCUIT_RESET_SECONDS * 1000,
+        now = Date.now
+    } = options;
+
+    let state = CIRCUIT_STATES.CLOSED;
+    let consecutiveFailures = 0;
+    let openedAt = null;
+    let trialInFlight = false;
+
+    /**
+     * Checks whether a request may be sent, moving an expired open circuit to half-open
+     * @throws {CircuitOpenError} If the circuit is open, or half-open with its trial request in flight
+     */
+    const beforeRequest = () => {
+        if (state === CIRCUIT_STATES.OPEN) {
+            const retryAfterMs = openedAt + resetTimeoutMs - now();
+            if (retryAfterMs > 0) {
+                throw new CircuitOpenError(`Circuit open after ${consecutiveFailures} consecutive failures`, retryAfterMs);
+            }
+            state = CIRCUIT_STATES.HALF_OPEN;
+        }
+        if (state === CIRCUIT_STATES.HALF_OPEN) {
+            if (trialInFlight) {
+                throw new CircuitOpenError('Circuit half-open, waiting for the trial request', resetTimeoutMs);
+            }
+            trialInFlight = true;
+        }
+    };
+
+    const recordSuccess = () => {
+        state = CIRCUIT_STATES.CLOSED;
+        consecutiveFailures = 0;
+        openedAt = null;
+        trialInFlight = false;
+    };
+
+    const recordFailure = () => {
+        consecutiveFailures += 1;
+        trialInFlight = false;
+        if (state === CIRCUIT_STATES.HALF_OPEN || consecutiveFailures >= failureThreshold) {
+            state = CIRCUIT_STATES.OPEN;
+            openedAt = now();
+        }
+    };
+
+    /**
+     * Frees the trial slot of a half-open circuit if its request was cancelled or could not be sent, without judging the node
+     */
+    const recordCancelled = () => {
+        trialInFlight = false;
+    };
+
+    /**
+     * Reports the breaker state for diagnostics
+     * @returns {{state: string, consecutiveFailures: number, openedAt: number|null}} - The current state
+     */
+    const getStatus = () => ({ state, consecutiveFailures, openedAt });
+
+    return { beforeRequest, recordSuccess, recordFailure, recordCancelled, getStatus };
+};
+
+/**
+ * Waits for the given time
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+    DEFAULT_RETRIES,
+    DEFAULT_RETRY_BASE_DELAY_MS,
+    DEFAULT_RETRY_MAX_DELAY_MS,
+    DEFAULT_CIRCUIT_FAILURE_THRESHOLD,
+    DEFAULT_CIRCUIT_RESET_SECONDS,
+    CIRCUIT_STATES,
+    CircuitOpenError,
+    isTransientFailure,
+    isRetryableError,
+    getRetryDelay,
+    createCircuitBreaker,
+    sleep
+};
@@ -0,0 +1,793 @@
+/**
+ * STRATO node access shared by the web server and the command line: OAuth client-credentials
+ * login through the token manager, the Cirrus API client with retries and circuit breaking, and the
+ * asset and oracle queries with their response cache.
+ */
+
+const axios = require('axios');
+const { oauthUtil } = require('blockapps-rest');
+const { ASSET_COLUMNS, ORACLE_COLUMNS, TRANSFER_EVENT_COLUMNS, SALE_COLUMNS, streamCirrusTable, fetchCirrusTable } = require('./cirrus');
+const {
+    DEFAULT_STALE_AFTER_MINUTES,
+    DEFAULT_MAX_SPREAD_PERCENT,
+    summarizeOraclePrices,
+    fixedPriceDetails
+} = require('./oracle');
+const {
+    DEFAULT_RETRIES,
+    DEFAULT_RETRY_BASE_DELAY_MS,
+    DEFAULT_RETRY_MAX_DELAY_MS,
+    DEFAULT_CIRCUIT_FAILURE_THRESHOLD,
+    DEFAULT_CIRCUIT_RESET_SECONDS,
+    CIRCUIT_STATES,
+    CircuitOpenError,
+    isTransientFailure,
+    isRetryableError,
+    getRetryDelay,
+    createCircuitBreaker,
+    sleep
+} = require('./resilience');
+const { TOKEN_LIFETIME_RESERVE_SECONDS, createEncryptedTokenStore, createTokenManager } = require('./tokenManager');
+const { createCache, combineFreshness } = require('./cache');
+const { where, toCirrusPath } = require('./cirrusQuery');
+const { REQUEST_ID_HEADER, getRequestId } = require('./logger');
+
+const DEFAULT_OPENID_DISCOVERY_URL = "https://keycloak.blockapps.net/auth/realms/mercata/.well-known/openid-configuration";
+const DEFAULT_REDIRECT_URI = "http://localhost/api/v1/authentication/callback";
+const DEFAULT_LOGOUT_REDIRECT_URI = "http://localhost";
+const DEFAULT_CIRRUS_BASE_PATH = "/cirrus/search";
+
+// Holdings change with transfers, oracle prices on the order of minutes
+const DEFAULT_ASSET_CACHE_TTL_SECONDS = 30;
+const DEFAULT_ORACLE_CACHE_TTL_SECONDS = 60;
+const DEFAULT_CACHE_STALE_SECONDS = 300;
+// Tables only appear when contracts are uploaded
+const TABLE_LIST_CACHE_TTL_SECONDS = 300;
+
+// Transactions are submitted through the STRATO API and their results read from the bloc API
+const TRANSACTION_PATH = '/strato/v2.3/transaction';
+const TRANSACTION_RESULTS_PATH = '/bloc/v2.2/transactions/results';
+
+// Gas settings sent with every transaction
+const DEFAULT_TX_PARAMS = { gasLimit: 32100000000, gasPrice: 1 };
+
+const ASSET_TABLE = 'BlockApps-Mercata-Asset';
+const ORACLE_TABLE = 'BlockApps-Mercata-OracleService';
+// Cirrus indexes each contract event in a table of its own, named "<contract>.<event>"
+const TRANSFER_EVENT_TABLE = 'BlockApps-Mercata-Asset.ItemTransfers';
+const SALE_TABLE = 'BlockApps-Mercata-Sale';
+
+// Values per `in.(...)` filter, which keeps request URLs well within server limits
+const IN_FILTER_CHUNK_SIZE = 50;
+
+// How a failed upstream request is reported to our own clients
+const UPSTREAM_STATES = {
+    UNAVAILABLE: 'unavailable',
+    TIMEOUT: 'timeout',
+    CIRCUIT_OPEN: 'circuit_open',
+    AUTHENTICATION_FAILED: 'authentication_failed'
+};
+
+/**
+ * Raised when an OAuth token cannot be obtained
+ */
+class AuthenticationError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'AuthenticationError';
+        this.cause = cause;
+    }
+}
+
+/**
+ * Whether a failed request was caused by authentication: no token could be obtained,
+ * or the node rejected the one we sent
+ * @param {Error} error - The error from a request
+ * @returns {boolean} - True for authentication failures
+ */
+const isAuthenticationFailure = (error) => {
+    if (error instanceof AuthenticationError) {
+        return true;
+    }
+    const status = error && error.response && error.response.status;
+    return status === 401 || status === 403;
+};
+
+/**
+ * Whether an error came from talking to the STRATO node or its OAuth provider, rather than
+ * from our own code
+ * @param {Error} error - The error
+ * @returns {boolean} - True for upstream failures
+ */
+const isUpstreamFailure = (error) => {
+    return error instanceof CircuitOpenError || error instanceof AuthenticationError || Boolean(error && error.isAxiosError);
+};
+
+/**
+ * Classifies a failed upstream request
+ * @param {Error} error - The error from a request
+ * @returns {{state: string, status: number, retryAfterSeconds: number|null}} - The upstream state, the HTTP status to answer with, and when to retry for an open circuit
+ */
+const describeUpstreamFailure = (error) => {
+    if (error instanceof CircuitOpenError) {
+        return { state: UPSTREAM_STATES.CIRCUIT_OPEN, status: 503, retryAfterSeconds: Math.max(1, Math.ceil(error.retryAfterMs / 1000)) };
+    }
+    if (isAuthenticationFailure(error)) {
+        return { state: UPSTREAM_STATES.AUTHENTICATION_FAILED, status: 502, retryAfterSeconds: null };
+    }
+    if (error && error.code === 'ECONNABORTED') {
+        return { state: UPSTREAM_STATES.TIMEOUT, status: 504, retryAfterSeconds: null };
+    }
+    return { state: UPSTREAM_STATES.UNAVAILABLE, status: 502, retryAfterSeconds: null };
+};
+
+/**
+ * Serializes a transaction request body. BigInt arguments become plain JSON integers, so
+ * 18-decimal quantities reach the node exactly instead of being rounded through a JS number.
+ * @param {Object} body - The body
+ * @returns {string} - The JSON text
+ */
+const serializeTransactionBody = (body) => JSON.stringify(body, (key, value) => (typeof value === 'bigint' ? `\u0000${value}` : value))
+    .replace(/"\\u0000(\d+)"/g, '$1');
+
+/**
+ * Builds the base URL of a STRATO node
+ * @param {string} clientUrl - A host such as "node.example.com", or a full URL such as "http://localhost:8080"
+ * @returns {string} - The base URL without a trailing slash; plain hosts use https
+ */
+const getNodeUrl = (clientUrl) => {
+    const url = /^https?:\/\//i.test(clientUrl) ? clientUrl : `https://${clientUrl}`;
+    return url.replace(/\/+$/, '');
+};
+
+/**
+ * Creates a client for a STRATO node
+ * @param {Object} config - Connection settings, as found in credentials.yaml
+ * @param {string} config.clientUrl - Host (and optional port) of the STRATO node, or its full URL
+ * @param {string} config.clientId - OAuth client id
+ * @param {string} config.clientSecret - OAuth client secret
+ * @param {string} [config.openIdDiscoveryUrl] - OpenID discovery document of the OAuth provider
+ * @param {string} [config.redirectUri] - OAuth redirect URI registered for the client
+ * @param {string} [config.logoutRedirectUri] - Where the OAuth provider sends users after logout
+ * @param {string} [config.cirrusBasePath] - Path of the Cirrus search API on the node
+ * @param {number} [config.oracleStaleAfterMinutes] - Age after which an oracle price is stale
+ * @param {number} [config.oracleMaxSpreadPercent] - Spread between oracle sources above which a price is disputed
+ * @param {number} [config.requestRetries] - Retries of a Cirrus request after a 5xx response or connection failure
+ * @param {number} [config.retryBaseDelayMs] - Upper bound of the first retry delay; later ones double it
+ * @param {number} [config.circuitFailureThreshold] - Consecutive failures after which requests to the node are paused
+ * @param {number} [config.circuitResetSeconds] - How long requests stay paused before a trial request
+ * @param {string} [config.tokenCacheFile] - Encrypted file that keeps the token across restarts
+ * @param {string} [config.tokenCacheSecret] - Passphrase for the token cache file
+ * @param {number} [config.assetCacheTtlSeconds] - How long asset rows are served from the cache; 0 disables it
+ * @param {number} [config.oracleCacheTtlSeconds] - How long oracle rows are served from the cache; 0 disables it
+ * @param {number} [config.cacheStaleSeconds] - How long expired rows are still served while they are refreshed
+ * @param {Object} [logger] - Where progress messages go; needs `log` and `error`
+ * @param {Object} [options] - Instrumentation
+ * @param {Object|null} [options.metrics] - Registry from createMetricsRegistry that records the latency and status of every request to the node and its OAuth provider
+ * @returns {Object} - The client
+ */
+const createStratoClient = (config, logger = console, { metrics = null } = {}) => {
+    const {
+        clientUrl,
+        clientId,
+        clientSecret,
+        openIdDiscoveryUrl = DEFAULT_OPENID_DISCOVERY_URL,
+        redirectUri = DEFAULT_REDIRECT_URI,
+        logoutRedirectUri = DEFAULT_LOGOUT_REDIRECT_URI,
+        cirrusBasePath = DEFAULT_CIRRUS_BASE_PATH,
+        oracleStaleAfterMinutes = DEFAULT_STALE_AFTER_MINUTES,
+        oracleMaxSpreadPercent = DEFAULT_MAX_SPREAD_PERCENT,
+        requestRetries = DEFAULT_RETRIES,
+        retryBaseDelayMs = DEFAULT_RETRY_BASE_DELAY_MS,
+        circuitFailureThreshold = DEFAULT_CIRCUIT_FAILURE_THRESHOLD,
+        circuitResetSeconds = DEFAULT_CIRCUIT_RESET_SECONDS,
+        tokenCacheFile,
+        tokenCacheSecret,
+        assetCacheTtlSeconds = DEFAULT_ASSET_CACHE_TTL_SECONDS,
+        oracleCacheTtlSeconds = DEFAULT_ORACLE_CACHE_TTL_SECONDS,
+        cacheStaleSeconds = DEFAULT_CACHE_STALE_SECONDS
+    } = config;
+
+    // OAuth configuration
+    const oauthInit = {
+        appTokenCookieName: "asset_framework_session",
+        appTokenCookieMaxAge: 7776000000,
+        openIdDiscoveryUrl,
+        clientId,
+        clientSecret,
+        scope: "email openid",
+        tokenField: "access_token",
+        redirectUri,
+        logoutRedirectUri
+    };
+
+    // Latency and outcome of each request, labelled with the node and which of its APIs was called
+    const nodeLabel = getNodeUrl(clientUrl);
+    const upstreamRequests = metrics ? metrics.counter('strato_upstream_requests_total', 'Requests to STRATO nodes and their OAuth provider, by API and response status') : null;
+    const upstreamDuration = metrics ? metrics.histogram('strato_upstream_request_duration_seconds', 'Latency of requests to STRATO nodes and their OAuth provider') : null;
+
+    /**
+     * Records a finished request in the metrics
+     * @param {string} api - "cirrus", "strato" (transactions) or "oauth"
+     * @param {number} startedAt - When the request was sent, in milliseconds
+     * @param {Object|null} response - The response, if any arrived
+     * @param {Error} [error] - The failure, when no response arrived
+     */
+    const recordUpstreamRequest = (api, startedAt, response, error) => {
+        if (!metrics) {
+            return;
+        }
+        let status = 'error';
+        if (response && response.status) {
+            status = String(response.status);
+        } else if (error && error.code === 'ECONNABORTED') {
+            status = 'timeout';
+        }
+        upstreamRequests.inc({ node: nodeLabel, api, status });
+        upstreamDuration.observe({ node: nodeLabel, api }, (Date.now() - startedAt) / 1000);
+    };
+
+    // Shared by every API client of this node, so a failing node is paused as a whole
+    const circuitBreaker = createCircuitBreaker({
+        failureThreshold: circuitFailureThreshold,
+        resetTimeoutMs: circuitResetSeconds * 1000
+    });
+
+    // OAuth discovery happens once per client; a failed attempt is retried on the next call
+    let oauthPromise = null;
+
+    /**
+     * Returns the initialized blockapps-rest OAuth helper for this client
+     * @returns {Promise<Object>} - The oauthUtil instance
+     */
+    const getOAuth = () => {
+        if (!oauthPromise) {
+            // init fetches the discovery document synchronously and throws rather than rejecting
+            oauthPromise = (async () => oauthUtil.init(oauthInit))().catch((error) => {
+                oauthPromise = null;
+                throw error;
+            });
+        }
+        return oauthPromise;
+    };
+
+    /**
+     * Requests a new token using the client id and secret
+     * @returns {Promise<{token: string, expiresAt: number}>} - The token and its expiry in seconds since the epoch
+     * @throws {AuthenticationError} If the token retrieval process fails.
+     */
+    const fetchClientToken = async () => {
+        const startedAt = Date.now();
+        try {
+            const oauth = await getOAuth();
+            const tokenObj = await oauth.getAccessTokenByClientSecret(
+                clientId,
+                clientSecret
+            );
+            recordUpstreamRequest('oauth', startedAt, { status: 200 });
+
+            const token = tokenObj.token[oauthInit.tokenField];
+            const expiresAt = Math.floor(tokenObj.token.expires_at / 1000);
+            logger.log('Fetched a new OAuth token', { node: nodeLabel, expiresAt: new Date(expiresAt * 1000).toISOString() });
+            return { token, expiresAt };
+        } catch (error) {
+            recordUpstreamRequest('oauth', startedAt, error.response || null, error);
+            logger.error('Failed to fetch an OAuth token', { node: nodeLabel, error: error.message });
+            throw new AuthenticationError("Failed to fetch user OAuth token", error);
+        }
+    };
+
+    // Tokens are issued by the OAuth provider per client, so that pair identifies a cached token
+    const tokenManager = createTokenManager({
+        fetchToken: fetchClientToken,
+        cacheKey: `${openIdDiscoveryUrl} ${clientId}`,
+        store: tokenCacheFile ? createEncryptedTokenStore(tokenCacheFile, tokenCacheSecret) : null,
+        logger
+    });
+
+    // Token refreshes and the circuit state are read from their owners on each scrape
+    if (metrics) {
+        const tokenRefreshes = metrics.counter('strato_oauth_token_refreshes_total', 'OAuth token refreshes, by outcome');
+        const tokenExpiry = metrics.gauge('strato_oauth_token_expires_in_seconds', 'Seconds until the cached OAuth token expires');
+        const circuitOpen = metrics.gauge('strato_circuit_open', 'Whether requests to the node are paused because it has been failing (1) or not (0)');
+        metrics.addCollector(() => {
+            const { refreshCount, refreshFailureCount, expiresInSeconds } = tokenManager.getStatus();
+            tokenRefreshes.set({ node: nodeLabel, outcome: 'success' }, refreshCount);
+            tokenRefreshes.set({ node: nodeLabel, outcome: 'failure' }, refreshFailureCount);
+            if (expiresInSeconds !== null) {
+                tokenExpiry.set({ node: nodeLabel }, expiresInSeconds);
+            }
+            circuitOpen.set({ node: nodeLabel }, circuitBreaker.getStatus().state === CIRCUIT_STATES.OPEN ? 1 : 0);
+        });
+    }
+
+    /**
+     * Retrieves the user token, either from cache or by requesting a new one.
+     * @returns {Promise<string>} - The OAuth token
+     * @throws {AuthenticationError} If the token retrieval process fails.
+     */
+    const getUserToken = () => tokenManager.getToken();
+
+    /**
+     * Discards a token the node rejected, so the next request fetches a new one
+     * @param {string} [token] - The rejected token
+     */
+    const invalidateUserToken = (token) => tokenManager.invalidate(token);
+
+    /**
+     * Function to create an Axios API client. Requests pass the circuit breaker, are retried
+     * with backoff after 5xx responses and connection failures, and are replayed once with a
+     * new token when the node answers 401. Each request carries the ID of the request being
+     * handled, and is recorded in the metrics.
+     * @param {string} baseURL - The base URL for the API
+     * @param {string} [api] - Which API of the node this is, for the metrics: "cirrus" or "strato"
+     * @returns {AxiosInstance} Configured Axios client
+     */
+    const createAxiosApiClient = (baseURL, api = 'cirrus') => {
+        const client = axios.create({
+            baseURL,
+            headers: {
+                Accept: "application/json",
+                "Content-Type": "application/json",
+            },
+            timeout: 60000, // Timeout set to 60 seconds
+        });
+
+        // Request interceptor to attach Authorization token
+        client.interceptors.request.use(
+            async (requestConfig) => {
+                let token;
+                try {
+                    token = await getUserToken();
+                } catch (error) {
+                    // A retry or replay holds the breaker's slot, which a missing token says nothing about
+                    if (requestConfig.retryAttempt || requestConfig.tokenRefreshed) {
+                        circuitBreaker.recordCancelled();
+                    }
+                    throw error;
+                }
+                requestConfig.headers.Authorization = `Bearer ${token}`;
+                const requestId = getRequestId();
+                if (requestId) {
+                    requestConfig.headers[REQUEST_ID_HEADER] = requestId;
+                }
+                // Timed from here, so the latency is the node's and not the token's
+                requestConfig.startedAt = Date.now();
+                // Retries and replays belong to a request the breaker already let through
+                if (!requestConfig.retryAttempt && !requestConfig.tokenRefreshed) {
+                    circuitBreaker.beforeRequest();
+                }
+                return requestConfig;
+            },
+            (error) => {
+                return Promise.reject(error);
+            }
+        );
+
+        // Response interceptor to refresh rejected tokens, retry transient failures and track node health
+        client.interceptors.response.use(
+            (response) => {
+                recordUpstreamRequest(api, response.config.startedAt, response);
+                circuitBreaker.recordSuccess();
+                return response;
+            },
+            async (error) => {
+                // Failures before the request was sent (no token, open circuit) are passed on as they are
+                if (!error.isAxiosError || !error.config) {
+                    return Promise.reject(error);
+                }
+
+                // Requests cancelled by the caller, e.g. pages fetched ahead past the end of a table, say nothing about the node
+                if (axios.isCancel(error)) {
+                    circuitBreaker.recordCancelled();
+                    return Promise.reject(error);
+                }
+
+                const requestConfig = error.config;
+                recordUpstreamRequest(api, requestConfig.startedAt, error.response || null, error);
+                if (error.response && error.response.status === 401 && !requestConfig.tokenRefreshed) {
+                    logger.log('Token rejected by the node, fetching a new one', { url: requestConfig.url });
+                    invalidateUserToken(String(requestConfig.headers.Authorization || '').replace(/^Bearer /, ''));
+                    return client.request({ ...requestConfig, tokenRefreshed: true });
+                }
+
+                const attempt = (requestConfig.retryAttempt || 0) + 1;
+                if (isRetryableError(error) && attempt <= requestRetries) {
+                    const delay = getRetryDelay(attempt, { baseDelayMs: retryBaseDelayMs, maxDelayMs: DEFAULT_RETRY_MAX_DELAY_MS });
+                    logger.log('Retrying request', { url: requestConfig.url, delayMs: delay, attempt, retries: requestRetries, error: error.message });
+                    await sleep(delay);
+                    return client.request({ ...requestConfig, retryAttempt: attempt });
+                }
+
+                // Only the final outcome counts towards the breaker; any answer shows the node is up
+                if (isTransientFailure(error) || error.code === 'ECONNABORTED') {
+                    circuitBreaker.recordFailure();
+                } else {
+                    circuitBreaker.recordSuccess();
+                }
+                return Promise.reject(error);
+            }
+        );
+
+        return client;
+    };
+
+    // Query results of this node, with each table's own TTL
+    const cirrusCache = createCache({ logger });
+    const cacheTtlSeconds = {
+        [ASSET_TABLE]: assetCacheTtlSeconds,
+        [ORACLE_TABLE]: oracleCacheTtlSeconds,
+        // Transfers change holdings, so their events go stale with the asset table
+        [TRANSFER_EVENT_TABLE]: assetCacheTtlSeconds,
+        [SALE_TABLE]: assetCacheTtlSeconds
+    };
+
+    /**
+     * Fetches every matching row of a Cirrus table through the cache
+     * @param {AxiosInstance} apiClient - The API client to use for the request
+     * @param {string} table - The table name
+     * @param {Object} options - Query options, as for fetchCirrusTable
+     * @returns {Promise<{result: Object, data: Array, freshness: {fetchedAt: number, stale: boolean}}>} - The last page's response, all rows, and when they were fetched and whether they are being refreshed
+     */
+    const fetchCachedTable = async (apiClient, table, options) => {
+        const { value, fetchedAt, stale } = await cirrusCache.get(
+            `${table} ${JSON.stringify(options)}`,
+            () => fetchCirrusTable(apiClient, table, options),
+            { ttlMs: cacheTtlSeconds[table] * 1000, staleMs: cacheStaleSeconds * 1000 }
+        );
+        return { result: value.result, data: value.data, freshness: { fetchedAt, stale } };
+    };
+
+    /**
+     * Fetches the rows of a Cirrus table whose column holds one of the given values, through the
+     * cache, with one `in.(...)` query per chunk of values
+     * @param {AxiosInstance} apiClient - The API client to use for the request
+     * @param {string} table - The table name
+     * @param {string} column - The column to filter on
+     * @param {Array<string>} values - The accepted values; addresses or names
+     * @param {Object} options - Query options, as for fetchCirrusTable
+     * @returns {Promise<{data: Array, freshness: Array<Object>}>} - All matching rows, and the freshness of each query
+     */
+    const fetchCachedTableIn = async (apiClient, table, column, values, options) => {
+        const chunks = [];
+        for (let start = 0; start < values.length; start += IN_FILTER_CHUNK_SIZE) {
+            chunks.push(values.slice(start, start + IN_FILTER_CHUNK_SIZE));
+        }
+        const results = await Promise.all(chunks.map(chunk => fetchCachedTable(apiClient, table, {
+            ...options,
+            filters: [...(options.filters || []), where(column, 'in', chunk)]
+        })));
+        return { data: results.flatMap(({ data }) => data), freshness: results.map(({ freshness }) => freshness) };
+    };
+
+    /**
+     * Fetches asset data for a given owner common name user, walking every page of results
+     * @param {AxiosInstance} apiClient - The API client to use for the request
+     * @param {string} ownerCommonName - The owner common name to search for
+     * @param {Object} [options] - Request options
+     * @param {Array<string>|null} [options.select] - Columns to fetch; null for the full raw records
+     * @returns {Promise<{result: Object|null, data: Array, freshness: Object|null, error: Error|null}>} - The last page's API result, asset data, its freshness from the cache, and any request error
+     */
+    const getAssetsForCommonNameUser = async (apiClient, ownerCommonName, { select = ASSET_COLUMNS } = {}) => {
+        let result = null;
+        let data = [];
+        let freshness = null;
+        let error = null;
+
+        try {
+            ({ result, data, freshness } = await fetchCachedTable(apiClient, ASSET_TABLE, {
+                filters: [where('ownerCommonName', 'eq', ownerCommonName)],
+                select,
+                order: 'address.asc'
+            }));
+        } catch (err) {
+            logger.error('Failed to fetch assets', { table: ASSET_TABLE, error: err.message });
+            error = err;
+        }
+
+        return { result, data, freshness, error };
+    };
+
+    /**
+     * Fetches oracle values from the Oracle Service and returns the latest price for each unique asset,
+     * selected by block timestamp, along with each price's sources, spread and staleness
+     * @param {AxiosInstance} apiClient - The API client to use for the request
+     * @param {Object} registry - The asset registry providing oracle aliases and fixed-peg prices
+     * @returns {Promise<{result: Object|null, data: Array, latestPrices: Object, priceDetails: Object, freshness: Object|null, error: Error|null}>} - The API result, raw oracle data, processed latest prices, price details, the data's freshness from the cache, and any request error
+     */
+    const getOracleValues = async (apiClient, registry) => {
+        let result = null;
+        let data = [];
+        let latestPrices = {};
+        let priceDetails = {};
+        let freshness = null;
+        let error = null;
+
+        try {
+            ({ result, data, freshness } = await fetchCachedTable(apiClient, ORACLE_TABLE, {
+                select: ORACLE_COLUMNS,
+                order: 'block_timestamp.asc,address.asc'
+            }));
+
+            // Keep the latest price per asset by block timestamp, with its sources and freshness
+            const summary = summarizeOraclePrices(data, {
+                staleAfterMinutes: oracleStaleAfterMinutes,
+                maxSpreadPercent: oracleMaxSpreadPercent
+            });
+
+            // Apply the registry's oracle aliases and fixed-peg prices
+            latestPrices = registry.applyPriceMappings(summary.latestPrices);
+            priceDetails = registry.applyPriceMappings(summary.priceDetails, fixedPriceDetails);
+        } catch (err) {
+            logger.error('Failed to fetch oracle prices', { table: ORACLE_TABLE, error: err.message });
+            error = err;
+        }
+
+        return { result, data, latestPrices, priceDetails, freshness, error };
+    };
+
+    /**
+     * Fetches every ItemTransfers event to or from an owner, the history behind cost basis and P&L
+     * @param {AxiosInstance} apiClient - The API client to use for the request
+     * @param {string} ownerCommonName - The owner common name
+     * @returns {Promise<{data: Array, freshness: Object|null, error: Error|null}>} - Transfers in followed by transfers out, the combined freshness of both queries, and any request error
+     */
+    const getTransferEvents = async (apiClient, ownerCommonName) => {
+        let data = [];
+        let freshness = null;
+        let error = null;
+
+        try {
+            const [incoming, outgoing] = await Promise.all(['newOwnerCommonName', 'oldOwnerCommonName'].map(column =>
+                fetchCachedTable(apiClient, TRANSFER_EVENT_TABLE, {
+                    filters: [where(column, 'eq', ownerCommonName)],
+                    select: TRANSFER_EVENT_COLUMNS,
+                    order: 'block_timestamp.asc,address.asc'
+                })
+            ));
+            data = [...incoming.data, ...outgoing.data];
+            freshness = combineFreshness([incoming.freshness, outgoing.freshness]);
+        } catch (err) {
+            logger.error('Failed to fetch transfer events', { table: TRANSFER_EVENT_TABLE, error: err.message });
+            error = err;
+        }
+
+        return { data, freshness, error };
+    };
+
+    /**
+     * Fetches what the marketplace knows about some items: every edition (token) of each item,
+     * the open sale listings of those editions, and their transfer events, which carry the sale prices
+     * @param {AxiosInstance} apiClient - The API client to use for the request
+     * @param {Array<string>} originAddresses - The items' origin addresses
+     * @returns {Promise<{editions: Array, listings: Array, events: Array, freshness: Object|null, error: Error|null}>} - Asset rows, open BlockApps-Mercata-Sale rows and ItemTransfers rows, their combined freshness (null when nothing was asked), and any request error
+     */
+    const getMarketplaceData = async (apiClient, originAddresses) => {
+        let editions = [];
+        let listings = [];
+        let events = [];
+        let freshness = null;
+        let error = null;
+
+        try {
+            const editionResult = await fetchCachedTableIn(apiClient, ASSET_TABLE, 'originAddress', originAddresses, {
+                select: ASSET_COLUMNS,
+                order: 'address.asc'
+            });
+            editions = editionResult.data;
+            const addresses = editions.map(({ address }) => address);
+            const [listingResult, eventResult] = await Promise.all([
+                fetchCachedTableIn(apiClient, SALE_TABLE, 'assetToBeSold', addresses, {
+                    filters: [where('isOpen', 'eq', true)],
+                    select: SALE_COLUMNS,
+                    order: 'address.asc'
+                }),
+                fetchCachedTableIn(apiClient, TRANSFER_EVENT_TABLE, 'address', addresses, {
+                    select: TRANSFER_EVENT_COLUMNS,
+                    order: 'block_timestamp.asc,address.asc'
+                })
+            ]);
+            listings = listingResult.data;
+            events = eventResult.data;
+
+            const sources = [...editionResult.freshness, ...listingResult.freshness, ...eventResult.freshness];
+            freshness = sources.length > 0 ? combineFreshness(sources) : null;
+        } catch (err) {
+            logger.error('Failed to fetch marketplace data', { table: SALE_TABLE, error: err.message });
+            error = err;
+        }
+
+        return { editions, listings, events, freshness, error };
+    };
+
+    /**
+     * Lists the tables of the Cirrus search API, from the OpenAPI description PostgREST serves at its root
+     * @param {AxiosInstance} apiClient - The API client to use for the request
+     * @returns {Promise<{tables: Array<string>, error: Error|null}>} - The table names, sorted, and any request error
+     */
+    const listCirrusTables = async (apiClient) => {
+        let tables = [];
+        let error = null;
+
+        try {
+            ({ value: tables } = await cirrusCache.get(
+                'tables',
+                async () => {
+                    const response = await apiClient.get('/');
+                    const paths = response.data && response.data.paths ? Object.keys(response.data.paths) : [];
+                    return paths.filter(path => /^\/[^/]+$/.test(path)).map(path => path.slice(1)).sort();
+                },
+                { ttlMs: TABLE_LIST_CACHE_TTL_SECONDS * 1000, staleMs: cacheStaleSeconds * 1000 }
+            ));
+        } catch (err) {
+            logger.error('Failed to list Cirrus tables', { error: err.message });
+            error = err;
+        }
+
+        return { tables, error };
+    };
+
+    /**
+     * Reads one page of any Cirrus table, bypassing the cache so the rows are current
+     * @param {AxiosInstance} apiClient - The API client to use for the request
+     * @param {string} table - The table name
+     * @param {Object} query - The query, as for buildCirrusQuery; its limit and offset select the page
+     * @returns {Promise<{data: Array, error: Error|null}>} - The rows and any request error
+     * @throws {InvalidQueryError} If the table name or query is invalid
+     */
+    const queryCirrusTable = async (apiClient, table, query) => {
+        const path = toCirrusPath(table, query);
+        let data = [];
+        let error = null;
+
+        try {
+            const response = await apiClient.get(path);
+            data = Array.isArray(response.data) ? response.data : [];
+        } catch (err) {
+            logger.error('Failed to query Cirrus', { table, error: err.message });
+            error = err;
+        }
+
+        return { data, error };
+    };
+
+    /**
+     * Checks that Cirrus answers, with the cheapest query there is: one oracle row, uncached
+     * @param {AxiosInstance} apiClient - The API client to use for the request
+     * @returns {Promise<{error: Error|null}>} - Any request error
+     */
+    const checkCirrus = async (apiClient) => {
+        try {
+            await apiClient.get(toCirrusPath(ORACLE_TABLE, { select: ['address'], limit: 1 }));
+            return { error: null };
+        } catch (err) {
+            logger.error('Cirrus check failed', { error: err.message });
+            return { error: err };
+        }
+    };
+
+    /**
+     * Reads every matching row of any Cirrus table, up to a limit, for downloads
+     * @param {AxiosInstance} apiClient - The API client to use for the request
+     * @param {string} table - The table name
+     * @param {Object} query - Filters, columns and order, as for streamCirrusTable
+     * @param {number} maxRows - The most rows to return
+     * @returns {Promise<{data: Array, truncated: boolean, error: Error|null}>} - The rows, whether more matched, and any request error
+     */
+    const readCirrusTable = async (apiClient, table, { filters, select, order }, maxRows) => {
+        const data = [];
+        let truncated = false;
+        let error = null;
+
+        try {
+            for await (const response of streamCirrusTable(apiClient, table, { filters, select, order })) {
+                data.push(...(Array.isArray(response.data) ? response.data : []));
+                if (data.length > maxRows) {
+                    truncated = true;
+                    data.length = maxRows;
+                    break;
+                }
+            }
+        } catch (err) {
+            logger.error('Failed to read Cirrus table', { table, error: err.message });
+            error = err;
+        }
+
+        return { data, truncated, error };
+    };
+
+    /**
+     * Submits contract calls without waiting for them to be mined
+     * @param {AxiosInstance} apiClient - An API client for the node itself, from createStratoApiClient
+     * @param {Array<Object>} txs - The calls, e.g. [{type: 'FUNCTION', payload: {contractName, contractAddress, method, args}}]
+     * @returns {Promise<{results: Array<{hash: string, status: string}>, error: Error|null}>} - One result per call, and any request error
+     */
+    const submitTransactions = async (apiClient, txs) => {
+        let results = [];
+        let error = null;
+
+        try {
+            // Not retried by the API client: a repeated POST could send the calls twice
+            const response = await apiClient.post(TRANSACTION_PATH, serializeTransactionBody({ txs, txParams: DEFAULT_TX_PARAMS }), {
+                params: { resolve: false }
+            });
+            results = response.data;
+        } catch (err) {
+            logger.error('Failed to submit transactions', { error: err.message });
+            error = err;
+        }
+
+        return { results, error };
+    };
+
+    /**
+     * Reads the current status of submitted transactions
+     * @param {AxiosInstance} apiClient - An API client for the node itself, from createStratoApiClient
+     * @param {Array<string>} hashes - The transaction hashes
+     * @returns {Promise<{results: Array<{hash: string, status: string}>, error: Error|null}>} - One result per hash, in order, and any request error
+     */
+    const getTransactionResults = async (apiClient, hashes) => {
+        let results = [];
+        let error = null;
+
+        try {
+            const response = await apiClient.post(TRANSACTION_RESULTS_PATH, hashes, { params: { resolve: false } });
+            results = response.data;
+        } catch (err) {
+            logger.error('Failed to read transaction results', { error: err.message });
+            error = err;
+        }
+
+        return { results, error };
+    };
+
+    return {
+        oauthInit,
+        getOAuth,
+        getUserToken,
+        invalidateUserToken,
+        getTokenStatus: tokenManager.getStatus,
+        startTokenRenewal: tokenManager.startBackgroundRenewal,
+        stopTokenRenewal: tokenManager.stopBackgroundRenewal,
+        createAxiosApiClient,
+        getCircuitStatus: circuitBreaker.getStatus,
+        getAssetsForCommonNameUser,
+        getOracleValues,
+        getTransferEvents,
+        getMarketplaceData,
+        listCirrusTables,
+        queryCirrusTable,
+        readCirrusTable,
+        checkCirrus,
+        submitTransactions,
+        getTransactionResults,
+        // Discards cached query results, so the next queries go to the node
+        clearCache: cirrusCache.clear,
+        getCacheStatus: cirrusCache.getStatus,
+        // Client for the Cirrus search API of this node
+        createCirrusClient: () => createAxiosApiClient(`${getNodeUrl(clientUrl)}${cirrusBasePath.replace(/\/+$/, '')}`, 'cirrus'),
+        // Client for the STRATO and bloc APIs of this node, used for transactions
+        createStratoApiClient: () => createAxiosApiClient(getNodeUrl(clientUrl), 'strato')
+    };
+};
+
+module.exports = {
+    TOKEN_LIFETIME_RESERVE_SECONDS,
+    DEFAULT_OPENID_DISCOVERY_URL,
+    DEFAULT_REDIRECT_URI,
+    DEFAULT_LOGOUT_REDIRECT_URI,
+    DEFAULT_CIRRUS_BASE_PATH,
+    DEFAULT_ASSET_CACHE_TTL_SECONDS,
+    DEFAULT_ORACLE_CACHE_TTL_SECONDS,
+    DEFAULT_CACHE_STALE_SECONDS,
+    TRANSACTION_PATH,
+    TRANSACTION_RESULTS_PATH,
+    UPSTREAM_STATES,
+    AuthenticationError,
+    isAuthenticationFailure,
+    isUpstreamFailure,
+    describeUpstreamFailure,
+    serializeTransactionBody,
+    getNodeUrl,
+    createStratoClient
+};
@@ -0,0 +1,350 @@
+/**
+ * OAuth token management: one cached token per client, refreshed by a single request however
+ * many callers need it at once, renewed in the background before it expires, and optionally
+ * kept in an encrypted file so restarts and command-line runs can reuse it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TOKEN_LIFETIME_RESERVE_SECONDS = 120; // Reserve 2 minutes for token expiration check
+
+// Background renewal starts this long before the token would enter the reserve
+const RENEW_AHEAD_SECONDS = 60;
+// Delay before another background attempt after a failed renewal
+const RENEWAL_RETRY_SECONDS = 30;
+
+const TOKEN_CACHE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Raised when the token cache file exists but cannot be decrypted or parsed
+ */
+class TokenCacheError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TokenCacheError';
+    }
+}
+
+/**
+ * Creates a token store backed by a file encrypted with AES-256-GCM. The key is derived from
+ * the secret with scrypt, so the file is useless without it.
+ * @param {string} filePath - The cache file
+ * @param {string} secret - Passphrase the encryption key is derived from
+ * @returns {{load: Function, save: Function, remove: Function}} - The store
+ */
+const createEncryptedTokenStore = (filePath, secret) => {
+    const derivedKeys = new Map();
+
+    const getKey = (salt) => {
+        const saltKey = salt.toString('base64');
+        if (!derivedKeys.has(saltKey)) {
+            derivedKeys.set(saltKey, crypto.scryptSync(secret, salt, 32));
+        }
+        return derivedKeys.get(saltKey);
+    };
+
+    /**
+     * Reads every cached entry
+     * @returns {{salt: Buffer|null, entries: Object}} - The file's salt and entries; empty when there is no file
+     * @throws {TokenCacheError} If the file cannot be decrypted, e.g. because the secret changed
+     */
+    const readFile = () => {
+        let contents;
+        try {
+            contents = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { salt: null, entries: {} };
+            }
+            throw new TokenCacheError(`Failed to read token cache ${filePath}: ${error.message}`);
+        }
+
+        try {
+            const { version, salt, iv, tag, data } = JSON.parse(contents);
+            if (version !== TOKEN_CACHE_VERSION) {
+                throw new Error(`unsupported version ${version}`);
+            }
+            const saltBuffer = Buffer.from(salt, 'base64');
+            const decipher = crypto.createDecipheriv(CIPHER, getKey(saltBuffer), Buffer.from(iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(tag, 'base64'));
+            const plaintext = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+            return { salt: saltBuffer, entries: JSON.parse(plaintext.toString('utf8')) };
+        } catch (error) {
+            throw new TokenCacheError(`Failed to decrypt token cache ${filePath}: ${error.message}`);
+        }
+    };
+
+    /**
+     * Encrypts and writes the entries, replacing the file atomically
+     * @param {Buffer|null} salt - The existing salt, or null to create one
+     * @param {Object} entries - Cached tokens by key
+     */
+    const writeFile = (salt, entries) => {
+        const fileSalt = salt || crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(CIPHER, getKey(fileSalt), iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(entries), 'utf8'), cipher.final()]);
+
+        const contents = JSON.stringify({
+            version: TOKEN_CACHE_VERSION,
+            salt: fileSalt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        });
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, contents, { mode: 0o600 });
+        fs.renameSync(tempPath, filePath);
+    };
+
+    /**
+     * Updates the file, starting afresh when the existing one cannot be decrypted
+     * @param {Function} update - Receives the entries and changes them in place
+     */
+    const updateFile = (update) => {
+        let current;
+        try {
+            current = readFile();
+        } catch (error) {
+            current = { salt: null, entries: {} };
+        }
+        update(current.entries);
+        writeFile(current.salt, current.entries);
+    };
+
+    return {
+        /**
+         * @param {string} key - Cache key
+         * @returns {{token: string, expiresAt: number}|null} - The cached token, if any
+         * @throws {TokenCacheError} If the file cannot be decrypted
+         */
+        load: (key) => readFile().entries[key] || null,
+        /**
+         * @param {string} key - Cache key
+         * @param {{token: string, expiresAt: number}} entry - The token and its expiry in seconds since the epoch
+         */
+        save: (key, entry) => updateFile((entries) => {
+            entries[key] = entry;
+        }),
+        /**
+         * @param {string} key - Cache key
+         */
+        remove: (key) => updateFile((entries) => {
+            delete entries[key];
+        })
+    };
+};
+
+/**
+ * Creates a token manager
+ * @param {Object} options - Manager options
+ * @param {Function} options.fetchToken - Requests a new token; resolves to {token, expiresAt} with expiresAt in seconds since the epoch
+ * @param {string} options.cacheKey - Identifies the client's token in the store
+ * @param {Object|null} [options.store] - Persistent store from createEncryptedTokenStore
+ * @param {Object} [options.logger] - Where progress messages go; needs `log` and `error`
+ * @param {number} [options.reserveSeconds] - Tokens expiring within this many seconds are not used
+ * @param {Function} [options.now] - Clock, in milliseconds
+ * @returns {Object} - The manager
+ */
+const createTokenManager = (options) => {
+    const {
+        fetchToken,
+        cacheKey,
+        store = null,
+        logger = console,
+        reserveSeconds = TOKEN_LIFETIME_RESERVE_SECONDS,
+        now = () => Date.now()
+    } = options;
+
+    let cached = null;
+    let source = null;
+    let storeLoaded = false;
+    let refreshing = null;
+    let lastRefreshAt = null;
+    let lastError = null;
+    let refreshCount = 0;
+    let refreshFailureCount = 0;
+    let renewInBackground = false;
+    let renewalTimer = null;
+
+    const currentSeconds = () => Math.floor(now() / 1000);
+    const isUsable = (entry) => Boolean(entry && entry.token && entry.expiresAt > currentSeconds() + reserveSeconds);
+
+    /**
+     * Reads the persisted token once, on first use
+     */
+    const loadFromStore = () => {
+        if (storeLoaded || !store) {
+            return;
+        }
+        storeLoaded = true;
+        try {
+            const entry = store.load(cacheKey);
+            if (isUsable(entry)) {
+                cached = entry;
+                source = 'cache file';
+                logger.log('Using OAuth token from the token cache file', { expiresAt: new Date(entry.expiresAt * 1000).toISOString() });
+                scheduleRenewal();
+            }
+        } catch (error) {
+            logger.error('Failed to read token cache', { error: error.message });
+        }
+    };
+
+    const clearRenewal = () => {
+        if (renewalTimer) {
+            clearTimeout(renewalTimer);
+            renewalTimer = null;
+        }
+    };
+
+    /**
+     * Seconds until the cached token should be renewed: before it enters the reserve
+     * @returns {number} - The delay, 0 or less when it is already due
+     */
+    const getRenewalDelay = () => (cached ? cached.expiresAt - reserveSeconds - RENEW_AHEAD_SECONDS - currentSeconds() : 0);
+
+    /**
+     * Plans the next background renewal for the cached token, if background renewal is on
+     * @param {number} [delaySeconds] - Delay to use instead of the one derived from the expiry
+     */
+    const scheduleRenewal = (delaySeconds) => {
+        clearRenewal();
+        if (!renewInBackground) {
+            return;
+        }
+        const delay = delaySeconds !== undefined ? delaySeconds : getRenewalDelay();
+        renewalTimer = setTimeout(() => {
+            renewalTimer = null;
+            refresh().catch(() => {
+                // Keep trying while the current token is usable; afterwards callers refresh on demand
+                if (isUsable(cached)) {
+                    scheduleRenewal(RENEWAL_RETRY_SECONDS);
+                }
+            });
+        }, Math.max(0, delay) * 1000);
+        // Never keep the process alive just to renew a token
+        renewalTimer.unref();
+    };
+
+    /**
+     * Fetches a new token. Concurrent callers share one request.
+     * @returns {Promise<string>} - The new token
+     */
+    const refresh = () => {
+        if (!refreshing) {
+            refreshing = (async () => {
+                try {
+                    const entry = await fetchToken();
+                    cached = entry;
+                    source = 'OAuth provider';
+                    lastRefreshAt = now();
+                    lastError = null;
+                    refreshCount += 1;
+                    if (store) {
+                        try {
+                            store.save(cacheKey, entry);
+                        } catch (error) {
+                            logger.error('Failed to write token cache', { error: error.message });
+                        }
+                    }
+                    if (isUsable(entry)) {
+                        // A token issued with little more than the reserve left is due at once; renewing
+                        // it no sooner than half its lifetime keeps short-lived tokens from looping
+                        const lifetime = entry.expiresAt - currentSeconds();
+                        scheduleRenewal(Math.max(getRenewalDelay(), RENEWAL_RETRY_SECONDS, Math.floor(lifetime / 2)));
+                    }
+                    return entry.token;
+                } catch (error) {
+                    lastError = { message: error.message, at: now() };
+                    refreshFailureCount += 1;
+                    throw error;
+                } finally {
+                    refreshing = null;
+                }
+            })();
+        }
+        return refreshing;
+    };
+
+    /**
+     * Returns a token that is valid beyond the reserve, refreshing it if needed
+     * @returns {Promise<string>} - The OAuth token
+     */
+    const getToken = async () => {
+        loadFromStore();
+        // Not logged: the cached token is used for every request
+        if (isUsable(cached)) {
+            return cached.token;
+        }
+        return refresh();
+    };
+
+    /**
+     * Discards a token the node rejected. Tokens other than the cached one are ignored, so a
+     * late rejection cannot discard a token that was refreshed in the meantime.
+     * @param {string} [token] - The rejected token; omit to discard whatever is cached
+     */
+    const invalidate = (token) => {
+        if (!cached || (token !== undefined && cached.token !== token)) {
+            return;
+        }
+        cached = null;
+        source = null;
+        clearRenewal();
+        if (store) {
+            try {
+                store.remove(cacheKey);
+            } catch (error) {
+                logger.error('Failed to write token cache', { error: error.message });
+            }
+        }
+    };
+
+    /**
+     * Renews the token in the background from now on, fetching one right away if none is cached
+     */
+    const startBackgroundRenewal = () => {
+        renewInBackground = true;
+        loadFromStore();
+        scheduleRenewal(isUsable(cached) ? undefined : 0);
+    };
+
+    const stopBackgroundRenewal = () => {
+        renewInBackground = false;
+        clearRenewal();
+    };
+
+    /**
+     * Reports the token state for diagnostics; never includes the token itself
+     * @returns {Object} - The status
+     */
+    const getStatus = () => ({
+        hasToken: isUsable(cached),
+        source,
+        expiresAt: cached ? new Date(cached.expiresAt * 1000).toISOString() : null,
+        expiresInSeconds: cached ? cached.expiresAt - currentSeconds() : null,
+        refreshing: refreshing !== null,
+        refreshCount,
+        refreshFailureCount,
+        lastRefreshAt: lastRefreshAt !== null ? new Date(lastRefreshAt).toISOString() : null,
+        lastRefreshError: lastError ? { message: lastError.message, at: new Date(lastError.at).toISOString() } : null,
+        backgroundRenewal: renewInBackground,
+        persistent: store !== null
+    });
+
+    return { getToken, refresh, invalidate, startBackgroundRenewal, stopBackgroundRenewal, getStatus };
+};
+
+module.exports = {
+    TOKEN_LIFETIME_RESERVE_SECONDS,
+    RENEW_AHEAD_SECONDS,
+    TokenCacheError,
+    createEncryptedTokenStore,
+    createTokenManager
+};
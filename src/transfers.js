@@ -0,0 +1,432 @@
+/**
+ * Asset transfers through the STRATO transaction API.
+ *
+ * A transfer moves a quantity of one asset holding to another account. Holdings are made of
+ * several token contracts, so the quantity is taken from the largest tokens first and each one
+ * gets its own `transfer` call; all calls go to the node in a single request. Submitted
+ * transfers are kept in a JSONL file together with every status change, so their outcome can
+ * be followed after a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseRawQuantity, parseDecimal, fromRaw, toRaw, toDecimalString } = require('./decimal');
+
+// Contract and method called on each token, as deployed by the Mercata marketplace
+const ASSET_CONTRACT_NAME = 'Asset';
+const TRANSFER_METHOD = 'transfer';
+
+const TRANSFER_STATUSES = {
+    PENDING: 'Pending',
+    SUCCESS: 'Success',
+    FAILURE: 'Failure',
+    // The submission failed in a way that leaves open whether the node received it
+    UNKNOWN: 'Unknown'
+};
+
+const ADDRESS_PATTERN = /^(?:0x)?([0-9a-fA-F]{40})$/;
+
+/**
+ * Raised when a transfer request cannot be carried out as given
+ */
+class TransferError extends Error {
+    constructor(message, problems = []) {
+        super(problems.length > 0 ? `${message}:\n  - ${problems.join('\n  - ')}` : message);
+        this.name = 'TransferError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Normalizes an account address
+ * @param {*} value - e.g. "0xAbC...", with or without the 0x prefix
+ * @returns {string|null} - 40 lowercase hex digits, or null if it is not an address
+ */
+const parseAddress = (value) => {
+    const match = ADDRESS_PATTERN.exec(typeof value === 'string' ? value.trim() : '');
+    return match ? match[1].toLowerCase() : null;
+};
+
+/**
+ * Splits a raw quantity across an asset's tokens, largest first, so as few calls as possible are needed
+ * @param {Object} asset - A valued asset group
+ * @param {bigint} rawQuantity - The raw quantity to transfer, at most the group's total
+ * @returns {Array<{address: string, rawQuantity: bigint}>} - The tokens to transfer from and how much from each
+ */
+const allocateTokens = (asset, rawQuantity) => {
+    const tokens = asset.tokens
+        .map(token => ({ address: token.address, available: parseRawQuantity(token.quantity) }))
+        .filter(({ available }) => available > 0n)
+        .sort((a, b) => (a.available < b.available ? 1 : a.available > b.available ? -1 : a.address.localeCompare(b.address)));
+
+    const allocations = [];
+    let remaining = rawQuantity;
+    for (const { address, available } of tokens) {
+        if (remaining === 0n) {
+            break;
+        }
+        const taken = available < remaining ? available : remaining;
+        allocations.push({ address, rawQuantity: taken });
+        remaining -= taken;
+    }
+    return allocations;
+};
+
+/**
+ * Validates a transfer request against the holding and works out the calls it needs
+ * @param {Object} asset - The valued asset group to transfer from
+ * @param {Object} request - The request
+ * @param {string} request.to - The recipient account address
+ * @param {string} request.quantity - The quantity in whole units, e.g. "1.5"
+ * @returns {Object} - The preview: recipient, quantity and raw quantity, the per-token allocations and the quantity left
+ * @throws {TransferError} If the recipient, quantity or balance is not acceptable; every problem is listed
+ */
+const buildTransferPreview = (asset, { to, quantity }) => {
+    const problems = [];
+    const decimals = asset.decimals || 0;
+
+    const recipient = parseAddress(to);
+    if (!recipient) {
+        problems.push('recipient must be an account address of 40 hexadecimal digits');
+    } else if (asset.tokens.some(token => token.address === recipient)) {
+        problems.push('recipient is one of the tokens being transferred, not an account');
+    }
+
+    const amount = typeof quantity === 'string' && quantity.trim() !== '' ? parseDecimal(quantity) : null;
+    const rawQuantity = amount ? toRaw(amount, decimals) : null;
+    if (!amount || amount.units <= 0n) {
+        problems.push('quantity must be a number greater than 0');
+    } else if (rawQuantity === null) {
+        problems.push(`quantity has more than the ${decimals} decimal place${decimals !== 1 ? 's' : ''} ${asset.name} supports`);
+    } else if (rawQuantity > asset.totalQuantity) {
+        problems.push(`quantity is more than the ${toDecimalString(asset.quantity)} held`);
+    }
+
+    if (problems.length > 0) {
+        throw new TransferError('Invalid transfer', problems);
+    }
+
+    return {
+        asset: { key: asset.key, name: asset.name, displayName: asset.displayName, decimals },
+        recipient,
+        quantity: fromRaw(rawQuantity, decimals),
+        rawQuantity,
+        allocations: allocateTokens(asset, rawQuantity).map(allocation => ({
+            ...allocation,
+            quantity: fromRaw(allocation.rawQuantity, decimals)
+        })),
+        remaining: fromRaw(asset.totalQuantity - rawQuantity, decimals)
+    };
+};
+
+/**
+ * Builds the contract calls for a preview
+ * @param {Object} preview - From buildTransferPreview
+ * @returns {Array<Object>} - One `transfer` call per allocation, as the STRATO transaction API takes them
+ */
+const buildTransferTransactions = (preview) => preview.allocations.map(({ address, rawQuantity }) => ({
+    type: 'FUNCTION',
+    payload: {
+        contractName: ASSET_CONTRACT_NAME,
+        contractAddress: address,
+        method: TRANSFER_METHOD,
+        args: { newOwner: preview.recipient, quantity: rawQuantity }
+    }
+}));
+
+/**
+ * Combines the statuses of a transfer's calls
+ * @param {Array<{status: string}>} results - Per-call results from the node
+ * @returns {string} - Failure if any call failed, Success once every call succeeded, otherwise Pending
+ */
+const summarizeTransactionResults = (results) => {
+    if (results.some(({ status }) => status === TRANSFER_STATUSES.FAILURE)) {
+        return TRANSFER_STATUSES.FAILURE;
+    }
+    if (results.length > 0 && results.every(({ status }) => status === TRANSFER_STATUSES.SUCCESS)) {
+        return TRANSFER_STATUSES.SUCCESS;
+    }
+    return TRANSFER_STATUSES.PENDING;
+};
+
+/**
+ * Keeps what a transfer needs from the node's per-call results
+ * @param {Array<Object>} results - Results from the transaction API
+ * @returns {Array<{hash: string, status: string, error: string|null}>} - One entry per call
+ */
+const toCallResults = (results) => results.map(result => ({
+    hash: result.hash,
+    status: result.status,
+    error: result.status === TRANSFER_STATUSES.FAILURE ?
+        String((result.txResult && result.txResult.message) || result.error || 'Transaction failed') :
+        null
+}));
+
+// ==========================================
+// Transfer log
+// ==========================================
+
+/**
+ * Creates a store of transfers backed by a JSONL file. A transfer is recorded when it is
+ * submitted and each status change is appended as its own line.
+ * @param {string} filePath - Path to the JSONL file; its directory is created if needed
+ * @param {Object} [logger] - Where unreadable lines are reported; needs `error`
+ * @returns {{filePath: string, append: Function, recordStatus: Function, get: Function, list: Function}} - The store
+ */
+const createTransferStore = (filePath, logger = console) => {
+    const appendLine = async (record) => {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.appendFile(filePath, `${JSON.stringify(record)}\n`, 'utf8');
+    };
+
+    /**
+     * Reads every transfer with its latest status, oldest first
+     * @returns {Promise<Array<Object>>} - The transfers
+     */
+    const readAll = async () => {
+        let content;
+        try {
+            content = await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const transfers = new Map();
+        content.split('\n').forEach((line, index) => {
+            if (line.trim() === '') {
+                return;
+            }
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch (error) {
+                logger.error('Skipping unreadable transfer record', { file: filePath, line: index + 1, error: error.message });
+                return;
+            }
+            const { kind, transferId, ...fields } = record;
+            if (kind === 'transfer') {
+                transfers.set(fields.id, fields);
+            } else if (kind === 'status' && transfers.has(transferId)) {
+                transfers.set(transferId, { ...transfers.get(transferId), ...fields });
+            }
+        });
+        return [...transfers.values()];
+    };
+
+    /**
+     * @param {Object} transfer - The transfer to save
+     * @returns {Promise<Object>} - The saved transfer
+     */
+    const append = async (transfer) => {
+        await appendLine({ kind: 'transfer', ...transfer });
+        return transfer;
+    };
+
+    /**
+     * @param {string} transferId - The transfer
+     * @param {{status: string, calls: Array<Object>, updatedAt: string}} update - Its new status
+     */
+    const recordStatus = (transferId, update) => appendLine({ kind: 'status', transferId, ...update });
+
+    /**
+     * @param {string} id - A transfer id
+     * @returns {Promise<Object|null>} - The transfer, or null if there is none with that id
+     */
+    const get = async (id) => (await readAll()).find(transfer => transfer.id === id) || null;
+
+    /**
+     * Reads the latest transfers, newest first
+     * @param {Object} [filter] - Optional filters
+     * @param {string} [filter.owner] - Only transfers from this owner
+     * @param {string} [filter.requestId] - Only the transfer submitted for this request
+     * @param {number} [filter.limit] - At most this many transfers
+     * @returns {Promise<Array<Object>>} - The transfers
+     */
+    const list = async ({ owner, requestId, limit = 100 } = {}) => (await readAll())
+        .reverse()
+        .filter(transfer => owner === undefined || transfer.owner === owner)
+        .filter(transfer => requestId === undefined || transfer.requestId === requestId)
+        .slice(0, limit);
+
+    return { filePath, append, recordStatus, get, list };
+};
+
+// ==========================================
+// Submission and status
+// ==========================================
+
+/**
+ * Creates the transfer service for one STRATO node
+ * @param {Object} options - Service dependencies
+ * @param {Function} options.submitTransactions - The STRATO client's submitTransactions
+ * @param {Function} options.getTransactionResults - The STRATO client's getTransactionResults
+ * @param {Object} options.store - Transfer store from createTransferStore
+ * @param {Function} [options.onSettled] - Called with a transfer once it succeeds or fails, e.g. to drop cached holdings
+ * @param {Function} [options.now] - Clock, in milliseconds
+ * @returns {{submit: Function, refresh: Function, findSubmitted: Function}} - The service
+ */
+const createTransferService = (options) => {
+    const {
+        submitTransactions,
+        getTransactionResults,
+        store,
+        onSettled = () => {},
+        now = () => Date.now()
+    } = options;
+
+    // One status check per transfer at a time, however many pages are polling it
+    const refreshing = new Map();
+    // One submission per request id at a time, so a double-clicked confirm waits for the first
+    const submitting = new Map();
+
+    const isSettled = (status) => status === TRANSFER_STATUSES.SUCCESS || status === TRANSFER_STATUSES.FAILURE;
+
+    /**
+     * Submits a previewed transfer. A request id already submitted, or still being submitted,
+     * returns that transfer instead, so a resubmitted form never sends the calls twice.
+     * @param {string} owner - The owner the tokens belong to
+     * @param {Object} preview - From buildTransferPreview
+     * @param {string} requestId - Identifies the form or API request the transfer came from
+     * @returns {Promise<Object>} - The transfer with its status
+     */
+    const submit = async (owner, preview, requestId) => {
+        if (submitting.has(requestId)) {
+            return submitting.get(requestId);
+        }
+
+        const pending = (async () => {
+            const [existing] = await store.list({ requestId });
+            if (existing) {
+                return existing;
+            }
+
+            return send(owner, preview, requestId);
+        })().finally(() => {
+            submitting.delete(requestId);
+        });
+        submitting.set(requestId, pending);
+        return pending;
+    };
+
+    /**
+     * Sends a transfer's calls to the node and records the outcome
+     * @param {string} owner - The owner the tokens belong to
+     * @param {Object} preview - From buildTransferPreview
+     * @param {string} requestId - Identifies the form or API request the transfer came from
+     * @returns {Promise<Object>} - The recorded transfer
+     */
+    const send = async (owner, preview, requestId) => {
+        const submittedAt = new Date(now()).toISOString();
+        const { results, error } = await submitTransactions(buildTransferTransactions(preview));
+        let status;
+        let calls = [];
+        let submissionError = null;
+        if (error) {
+            // Without an answer from the node the calls may still have been received
+            status = error.response ? TRANSFER_STATUSES.FAILURE : TRANSFER_STATUSES.UNKNOWN;
+            submissionError = error.response ?
+                `The node rejected the transaction: ${error.message}` :
+                `The node did not confirm the submission (${error.message}); check the holdings before trying again`;
+        } else {
+            calls = toCallResults(results);
+            status = summarizeTransactionResults(calls);
+        }
+
+        const transfer = await store.append({
+            id: crypto.randomUUID(),
+            requestId,
+            owner,
+            asset: preview.asset,
+            recipient: preview.recipient,
+            quantity: toDecimalString(preview.quantity),
+            rawQuantity: preview.rawQuantity.toString(),
+            allocations: preview.allocations.map(({ address, rawQuantity, quantity }) => ({
+                address,
+                rawQuantity: rawQuantity.toString(),
+                quantity: toDecimalString(quantity)
+            })),
+            submittedAt,
+            status,
+            calls,
+            error: submissionError,
+            updatedAt: submittedAt
+        });
+        if (isSettled(status)) {
+            onSettled(transfer);
+        }
+        return transfer;
+    };
+
+    /**
+     * Asks the node for the status of a pending transfer and records any change
+     * @param {string} id - The transfer id
+     * @returns {Promise<Object|null>} - The transfer with its latest status, or null if there is none with that id
+     * @throws Will throw the upstream error if the node cannot be asked
+     */
+    const refresh = async (id) => {
+        if (refreshing.has(id)) {
+            return refreshing.get(id);
+        }
+
+        const pending = (async () => {
+            const transfer = await store.get(id);
+            if (!transfer || transfer.status !== TRANSFER_STATUSES.PENDING) {
+                return transfer;
+            }
+
+            const { results, error } = await getTransactionResults(transfer.calls.map(({ hash }) => hash));
+            if (error) {
+                throw error;
+            }
+            const calls = toCallResults(results);
+            const status = summarizeTransactionResults(calls);
+            if (status === transfer.status) {
+                return transfer;
+            }
+
+            const update = { status, calls, updatedAt: new Date(now()).toISOString() };
+            await store.recordStatus(id, update);
+            const updated = { ...transfer, ...update };
+            if (isSettled(status)) {
+                onSettled(updated);
+            }
+            return updated;
+        })().finally(() => {
+            refreshing.delete(id);
+        });
+        refreshing.set(id, pending);
+        return pending;
+    };
+
+    /**
+     * Finds the transfer submitted, or still being submitted, for a request id
+     * @param {string} requestId - The request id
+     * @returns {Promise<Object|null>} - The transfer, or null if nothing was submitted for it
+     */
+    const findSubmitted = async (requestId) => {
+        if (submitting.has(requestId)) {
+            return submitting.get(requestId);
+        }
+        const [existing] = await store.list({ requestId });
+        return existing || null;
+    };
+
+    return { submit, refresh, findSubmitted };
+};
+
+module.exports = {
+    ASSET_CONTRACT_NAME,
+    TRANSFER_METHOD,
+    TRANSFER_STATUSES,
+    TransferError,
+    parseAddress,
+    buildTransferPreview,
+    buildTransferTransactions,
+    summarizeTransactionResults,
+    createTransferStore,
+    createTransferService
+};
@@ -0,0 +1,1305 @@
+/**
+ * HTML rendering for the portfolio pages
+ */
+
+const { ZERO, fromRaw, subtract, compare, parseDecimal, formatDecimal, toDecimalString } = require('./decimal');
+const { CONFIDENCE_LEVELS } = require('./nft');
+const { FILTER_OPERATORS } = require('./cirrusQuery');
+const { MAX_EXPLORE_DOWNLOAD_ROWS, getExploreUrl, getResultColumns, formatCell } = require('./explore');
+
+// Smallest worth shown on an asset card, so dust balances don't read as $0.00
+const MIN_DISPLAYED_WORTH = parseDecimal('0.01');
+
+/**
+ * Escapes a value for safe inclusion in HTML text or attribute values
+ * @param {*} value - The value to escape
+ * @returns {string} - The escaped string
+ */
+const escapeHtml = (value) => {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+};
+
+// Helper function to safely format JSON for display
+const safelyFormatJSON = (obj) => {
+    try {
+        // Stringify the object with standard formatting
+        const jsonString = JSON.stringify(obj, null, 2);
+        
+        // Escape HTML characters
+        return escapeHtml(jsonString)
+            .replace(/\n/g, '<br>')
+            .replace(/\s{2}/g, '&nbsp;&nbsp;');
+    } catch (error) {
+        return `[Error formatting JSON: ${error.message}]`;
+    }
+};
+
+// Helper function to calculate actual value with proper decimal handling
+const calculateActualValue = (quantity, decimals) => {
+    // Scale with exact BigInt arithmetic so 18-decimal tokens keep every digit
+    return formatDecimal(fromRaw(quantity, decimals), { minimumFractionDigits: 2, maximumFractionDigits: 6 });
+};
+
+/**
+ * Formats a USD worth for an asset card, rounded to the nearest cent
+ * @param {{units: bigint, scale: number}} worth - The exact worth
+ * @returns {string} - The formatted worth; very small non-zero values show as 0.01 rather than 0.00
+ */
+const formatAssetWorth = (worth) => {
+    if (compare(worth, ZERO) > 0 && compare(worth, MIN_DISPLAYED_WORTH) < 0) {
+        return '0.01';
+    }
+    return formatDecimal(worth, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+};
+
+/**
+ * Formats a creation time from an asset record for display
+ * @param {string|number|null|undefined} value - Unix seconds, milliseconds, or a timestamp string
+ * @returns {string} - An ISO timestamp, the original string, or "-" when missing
+ */
+const formatTimestamp = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return '-';
+    }
+    if (/^\d+$/.test(String(value))) {
+        const number = Number(value);
+        // Treat values this large as milliseconds rather than seconds
+        const date = new Date(number > 1e12 ? number : number * 1000);
+        return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+    }
+    return String(value);
+};
+
+/**
+ * Builds the link to an asset's drill-down page
+ * @param {string} key - The asset group key
+ * @param {string} owner - The owner common name
+ * @returns {string} - The relative URL
+ */
+const getAssetUrl = (key, owner) => `/asset/${encodeURIComponent(key)}?owner=${encodeURIComponent(owner)}`;
+
+/**
+ * Renders warning badges for an asset group that shares its name with another, or comes from an untrusted issuer
+ * @param {Object} asset - An asset group
+ * @returns {string} - HTML for the badges, empty when there is nothing to flag
+ */
+const renderAssetBadges = (asset) => {
+    let badges = '';
+    if (asset.nameCollision) {
+        badges += '<span class="badge" title="Another contract in this portfolio uses the same name">name collision</span>';
+    }
+    if (!asset.verified) {
+        badges += '<span class="badge" title="Issuer is not in the trusted issuer list, so this token is not priced">unverified issuer</span>';
+    }
+    if (asset.priceInfo && asset.priceInfo.stale) {
+        badges += `<span class="badge" title="Price last updated ${escapeHtml(asset.priceInfo.updatedAt || 'at an unknown time')}">stale price</span>`;
+    }
+    if (asset.priceInfo && asset.priceInfo.disputed) {
+        badges += `<span class="badge" title="Oracle sources differ by ${escapeHtml(asset.priceInfo.spreadPercent)}%">disputed price</span>`;
+    }
+    return badges;
+};
+
+/**
+ * Wraps page content in the shared HTML document and styles
+ * @param {string} heading - The page heading (escaped here)
+ * @param {string} body - Already-rendered HTML for the page body
+ * @returns {string} - The complete HTML document
+ */
+const renderPage = (heading, body) => `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <title>STRATO REST API Sample</title>
+        <style>
+            body {
+                font-family: Arial, sans-serif;
+                line-height: 1.6;
+                margin: 0;
+                padding: 20px;
+                color: #333;
+            }
+            h1, h2, h3 {
+                color: #2c3e50;
+            }
+            .container {
+                max-width: 1200px;
+                margin: 0 auto;
+            }
+            .card {
+                background: #fff;
+                border-radius: 5px;
+                box-shadow: 0 2px 5px rgba(0,0,0,0.1);
+                padding: 20px;
+                margin-bottom: 20px;
+            }
+            .asset-card {
+                background: #f9f9f9;
+                border-left: 4px solid #3498db;
+                padding: 15px;
+                margin-bottom: 10px;
+                border-radius: 4px;
+            }
+            .asset-header {
+                display: flex;
+                justify-content: space-between;
+                margin-bottom: 10px;
+                font-weight: bold;
+            }
+            .asset-value {
+                background: #f0f8ff;
+                padding: 10px;
+                border-radius: 4px;
+                margin-top: 5px;
+            }
+            .asset-value p {
+                margin: 5px 0;
+            }
+            .asset-value p:last-child {
+                font-weight: bold;
+                color: #2980b9;
+            }
+            .oracle-table {
+                width: 100%;
+                border-collapse: collapse;
+                margin-top: 10px;
+            }
+            .oracle-table th, .oracle-table td {
+                padding: 10px;
+                text-align: left;
+                border-bottom: 1px solid #e0e0e0;
+            }
+            .oracle-table th {
+                background-color: #f5f5f5;
+                font-weight: bold;
+                color: #2c3e50;
+            }
+            .oracle-table tr:hover {
+                background-color: #f0f8ff;
+            }
+            .raw-record {
+                font-family: monospace;
+                font-size: 12px;
+                background: #f5f5f5;
+                padding: 10px;
+                border-radius: 4px;
+                overflow-x: auto;
+            }
+            .badge {
+                display: inline-block;
+                font-size: 12px;
+                font-weight: bold;
+                padding: 2px 6px;
+                margin-left: 6px;
+                border-radius: 3px;
+                background: #fdecea;
+                color: #c0392b;
+            }
+            .chart {
+                width: 100%;
+                height: auto;
+                background: #fafafa;
+                border: 1px solid #e0e0e0;
+                border-radius: 4px;
+            }
+            .change-up {
+                color: #27ae60;
+            }
+            .change-down {
+                color: #c0392b;
+            }
+            .mono {
+                font-family: monospace;
+                word-break: break-all;
+            }
+            .freshness {
+                color: #7f8c8d;
+                font-size: 14px;
+            }
+            .freshness button {
+                margin-left: 6px;
+            }
+            .live-status {
+                background: #fef5e7;
+                padding: 10px;
+                border-radius: 4px;
+            }
+            .changed {
+                animation: changed 3s ease-out;
+            }
+            .nft-grid {
+                display: grid;
+                grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+                gap: 15px;
+            }
+            .nft-item img {
+                width: 100%;
+                height: auto;
+                border-radius: 4px;
+            }
+            @keyframes changed {
+                from {
+                    background-color: #fff3b0;
+                }
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <h1>${escapeHtml(heading)}</h1>
+            ${body}
+        </div>
+    </body>
+    </html>
+`;
+
+/**
+ * Renders the "Total Value" card
+ * @param {Object} totals - Portfolio totals as returned by buildPortfolio
+ * @param {string} title - Card title
+ * @returns {string} - HTML for the card
+ */
+const renderTotalsCard = (totals, title = 'Total Value') => `
+    <div class="card" data-live="totals">
+        <h2>${escapeHtml(title)}</h2>
+        <table class="oracle-table">
+            <tbody>
+                <tr>
+                    <td>${totals.fungible.tokenCount} Fungible tokens</td>
+                    <td>worth $${formatDecimal(totals.fungible.value, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                </tr>
+                ${totals.estimated.tokenCount > 0 ? `
+                <tr>
+                    <td>${totals.estimated.tokenCount} tokens with stale or disputed prices</td>
+                    <td>~$${formatDecimal(totals.estimated.value, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (estimate, not included above)</td>
+                </tr>
+                ` : ''}
+                <tr>
+                    <td>${totals.nonFungible.tokenCount} non-fungible tokens</td>
+                    <td>(unknown value)</td>
+                </tr>
+                ${totals.nftEstimate && totals.nftEstimate.tokenCount > 0 ? `
+                <tr>
+                    <td>Estimated NFT value (${totals.nftEstimate.tokenCount} of them, from marketplace data)</td>
+                    <td>~$${formatDecimal(totals.nftEstimate.value, { minimumFractionDigits: 2, maximumFractionDigits: 2 })} (estimate, not included above)</td>
+                </tr>
+                ` : ''}
+                <tr>
+                    <td>${totals.cata.tokenCount} CATA tokens</td>
+                    <td>${formatDecimal(totals.cata.quantity, { minimumFractionDigits: 2, maximumFractionDigits: 6 })} CATA</td>
+                </tr>
+                ${totals.unverified.tokenCount > 0 ? `
+                <tr>
+                    <td>${totals.unverified.tokenCount} tokens from unverified issuers</td>
+                    <td>(not valued)</td>
+                </tr>
+                ` : ''}
+            </tbody>
+        </table>
+    </div>
+`;
+
+/**
+ * Renders a single asset summary line
+ * @param {Object} asset - A valued asset group
+ * @param {string|null} linkOwner - Owner to link the drill-down page for, or null for no link
+ * @returns {string} - HTML for the asset card
+ */
+const renderAssetCard = (asset, linkOwner) => {
+    // Format the basic asset information
+    const quantityDisplay = asset.decimals !== undefined && asset.decimals !== null ?
+        calculateActualValue(asset.totalQuantity, asset.decimals) :
+        asset.totalQuantity;
+
+    const nameDisplay = linkOwner ?
+        `<a href="${escapeHtml(getAssetUrl(asset.key, linkOwner))}">${escapeHtml(asset.displayName)}</a>` :
+        escapeHtml(asset.displayName);
+
+    let summary = `${nameDisplay}: ${quantityDisplay} (across ${asset.tokenCount} token${asset.tokenCount !== 1 ? 's' : ''})`;
+
+    // Add total value if oracle price exists; stale or disputed prices only give an estimate
+    if (asset.worth !== null) {
+        summary += asset.estimate ?
+            `, worth ~$${formatAssetWorth(asset.worth)} (estimate)` :
+            `, worth $${formatAssetWorth(asset.worth)}`;
+    }
+
+    return `
+        <div class="asset-card" data-asset-key="${escapeHtml(asset.key)}">
+            <div class="asset-header">
+                <span>${summary}${renderAssetBadges(asset)}</span>
+            </div>
+        </div>
+    `;
+};
+
+/**
+ * Renders the "Asset Breakdown" card for one portfolio
+ * @param {Object} portfolio - The portfolio as returned by buildPortfolio
+ * @param {Object|null} assetResult - The raw Cirrus response, used to report the status when nothing was found
+ * @param {string} title - Card title
+ * @param {string|null} linkOwner - Owner whose drill-down pages the cards link to; null for no links
+ * @returns {string} - HTML for the card
+ */
+const renderAssetBreakdown = (portfolio, assetResult, title = 'Asset Breakdown', linkOwner = portfolio.owner) => `
+    <div class="card">
+        <h2>${escapeHtml(title)}</h2>
+        ${portfolio.tokenCount > 0 ? `
+            <p>Found ${portfolio.assets.length} unique asset classes (across ${portfolio.tokenCount} tokens) for owner: ${escapeHtml(portfolio.owner)}</p>
+            ${portfolio.assets.map(asset => renderAssetCard(asset, linkOwner)).join('')}
+        ` : `
+            <p>No assets found from API for owner: ${escapeHtml(portfolio.owner)}</p>
+            <p>API Response Status: ${assetResult ? assetResult.status : 'No response'}</p>
+        `}
+    </div>
+`;
+
+/**
+ * Renders when the data on a page was fetched, with a button that fetches it again
+ * @param {{fetchedAt: number, stale: boolean, returnTo: string}} freshness - When the oldest data was fetched, whether it is being refreshed, and the page to come back to
+ * @returns {string} - HTML for the refresh control
+ */
+const renderRefreshControl = ({ fetchedAt, stale, returnTo }) => `
+    <form class="freshness" method="post" action="/refresh">
+        Data as of ${formatTimestamp(fetchedAt)}${stale ? ' (updating in the background)' : ''}
+        <input type="hidden" name="returnTo" value="${escapeHtml(returnTo)}">
+        <button type="submit">Refresh</button>
+    </form>
+`;
+
+/**
+ * Renders the parts of a portfolio page that live updates replace
+ * @param {Object} portfolio - The portfolio as returned by buildPortfolio
+ * @returns {{totals: string, assets: Array<{key: string, worth: Object|null, html: string}>}} - HTML of the "Total Value" card and of each asset card
+ */
+const renderLiveView = (portfolio) => ({
+    totals: renderTotalsCard(portfolio.totals),
+    assets: portfolio.assets.map(asset => ({
+        key: asset.key,
+        worth: asset.worth,
+        html: renderAssetCard(asset, portfolio.owner)
+    }))
+});
+
+/**
+ * Renders the script that applies live updates to the portfolio page: changed cards are replaced
+ * and highlighted. Added or removed holdings need a reload, which the page says.
+ * @param {string} url - The event stream
+ * @returns {string} - HTML for the status line and the script
+ */
+const renderLiveUpdatesScript = (url) => `
+    <p class="live-status" id="live-status" hidden></p>
+    <script>
+    (function () {
+        if (!window.EventSource) {
+            return;
+        }
+        var status = document.getElementById('live-status');
+        var holdingsChanged = false;
+        var show = function (message) {
+            status.textContent = message;
+            status.hidden = !message;
+        };
+        var replace = function (element, html) {
+            var template = document.createElement('template');
+            template.innerHTML = html.trim();
+            var updated = template.content.firstElementChild;
+            if (!element || element.textContent === updated.textContent) {
+                return;
+            }
+            updated.classList.add('changed');
+            element.replaceWith(updated);
+        };
+
+        var source = new EventSource(${JSON.stringify(url).replace(/</g, '\\u003c')});
+        source.addEventListener('portfolio', function (event) {
+            var changes = JSON.parse(event.data);
+            if (changes.totals) {
+                replace(document.querySelector('[data-live="totals"]'), changes.totals);
+            }
+            changes.assets.forEach(function (asset) {
+                replace(document.querySelector('[data-asset-key="' + CSS.escape(asset.key) + '"]'), asset.html);
+            });
+            holdingsChanged = holdingsChanged || changes.added.length > 0 || changes.removed.length > 0;
+            show(holdingsChanged ? 'Holdings were added or removed; reload the page to see them.' : '');
+        });
+        source.addEventListener('upstream-error', function (event) {
+            show('Live updates paused: ' + JSON.parse(event.data).error);
+        });
+    })();
+    </script>
+`;
+
+// How each cost basis method is named on the page
+const COST_BASIS_METHOD_LABELS = {
+    fifo: 'first in, first out',
+    average: 'average cost'
+};
+
+/**
+ * Formats a USD amount rounded to the cent, or "(unknown)"
+ * @param {{units: bigint, scale: number}|null} amount - The exact amount
+ * @returns {string} - e.g. "$1,234.50"
+ */
+const formatUsd = (amount) => amount ? `$${formatDecimal(amount, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : '(unknown)';
+
+/**
+ * Renders cost basis and gains per asset and in total, with what the history could not explain
+ * @param {Object|null} pnl - The result of buildProfitAndLoss, or null when it could not be built
+ * @param {string|null} error - Why the P&L is missing
+ * @returns {string} - HTML for the card
+ */
+const renderProfitAndLossCard = (pnl, error) => {
+    if (!pnl) {
+        return `
+            <div class="card">
+                <h2>Profit &amp; Loss</h2>
+                <p>Cost basis and gains are unavailable. ${escapeHtml(error || '')}</p>
+            </div>
+        `;
+    }
+
+    const renderGain = (gain) => gain ? renderChange({ change: toDecimalString(gain), percent: null }) : '(unknown)';
+    const incomplete = pnl.assets.filter(asset => !asset.complete);
+
+    return `
+        <div class="card">
+            <h2>Profit &amp; Loss (${escapeHtml(COST_BASIS_METHOD_LABELS[pnl.method] || pnl.method)})</h2>
+            ${pnl.assets.length === 0 ? '<p>No priced holdings or transfers yet.</p>' : `
+            <table class="oracle-table">
+                <thead>
+                    <tr>
+                        <th>Asset</th>
+                        <th>Quantity</th>
+                        <th>Cost basis</th>
+                        <th>Market value</th>
+                        <th>Unrealized</th>
+                        <th>Realized</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${pnl.assets.map(asset => `
+                        <tr>
+                            <td>${escapeHtml(asset.displayName)}${asset.complete ? '' : ' <span class="badge">incomplete</span>'}</td>
+                            <td>${formatDecimal(asset.quantity, { minimumFractionDigits: 2, maximumFractionDigits: 6 })}</td>
+                            <td>${formatUsd(asset.costBasis)}</td>
+                            <td>${formatUsd(asset.marketValue)}</td>
+                            <td>${renderGain(asset.unrealized)}</td>
+                            <td>${renderGain(asset.realized)}</td>
+                        </tr>
+                    `).join('')}
+                    <tr>
+                        <td><strong>Total</strong></td>
+                        <td></td>
+                        <td>${formatUsd(pnl.totals.costBasis)}</td>
+                        <td>${formatUsd(pnl.totals.marketValue)}</td>
+                        <td>${renderGain(pnl.totals.unrealized)}</td>
+                        <td>${renderGain(pnl.totals.realized)}</td>
+                    </tr>
+                </tbody>
+            </table>
+            `}
+            ${incomplete.length > 0 ? `
+            <p>Not included above:</p>
+            <ul>
+                ${incomplete.map(asset => asset.problems.map(problem => `<li>${escapeHtml(asset.displayName)}: ${escapeHtml(problem)}</li>`).join('')).join('')}
+            </ul>
+            ` : ''}
+        </div>
+    `;
+};
+
+/**
+ * Renders the portfolio page for a single owner
+ * @param {Object} portfolio - The portfolio as returned by buildPortfolio
+ * @param {Object|null} assetResult - The raw Cirrus response
+ * @param {string} heading - Page heading
+ * @param {Object} [options] - Page extras
+ * @param {{commonName: string}|null} [options.visitor] - The signed-in visitor, when browser login is on
+ * @param {{fetchedAt: number, stale: boolean, returnTo: string}|null} [options.freshness] - Age of the data, for the refresh control
+ * @param {string|null} [options.liveUpdatesUrl] - Event stream that keeps the page up to date, when live updates are on
+ * @param {Object|null} [options.pnl] - Cost basis and gains from buildProfitAndLoss
+ * @param {string|null} [options.pnlError] - Why the P&L could not be built
+ * @returns {string} - The complete HTML document
+ */
+const renderPortfolioPage = (portfolio, assetResult, heading = 'User Assets', { visitor = null, freshness = null, liveUpdatesUrl = null, pnl = null, pnlError = null } = {}) => renderPage(heading, `
+    ${visitor ? `
+    <p>Signed in as ${escapeHtml(visitor.commonName)} &middot; <a href="/api/v1/authentication/logout">Sign out</a></p>
+    ` : ''}
+    ${freshness ? renderRefreshControl(freshness) : ''}
+    <p>
+        <a href="/history?owner=${encodeURIComponent(portfolio.owner)}">Portfolio history &rarr;</a>
+        &middot; <a href="/nfts?owner=${encodeURIComponent(portfolio.owner)}">NFTs</a>
+        &middot; <a href="/alerts">Alerts</a>
+        ${!visitor || visitor.isAdmin ? '&middot; <a href="/explore">Explore Cirrus</a>' : ''}
+        &middot; Export:
+        <a href="/export.csv?owner=${encodeURIComponent(portfolio.owner)}">CSV</a>
+        <a href="/export.json?owner=${encodeURIComponent(portfolio.owner)}">JSON</a>
+        <a href="/export.xlsx?owner=${encodeURIComponent(portfolio.owner)}">XLSX</a>
+        (<a href="/export.csv?owner=${encodeURIComponent(portfolio.owner)}&amp;tokens=1">per token</a>)
+    </p>
+    ${renderTotalsCard(portfolio.totals)}
+    ${pnl || pnlError ? renderProfitAndLossCard(pnl, pnlError) : ''}
+    ${renderAssetBreakdown(portfolio, assetResult)}
+    ${liveUpdatesUrl ? renderLiveUpdatesScript(liveUpdatesUrl) : ''}
+`);
+
+/**
+ * Renders the consolidated page for several owners, followed by each owner's breakdown
+ * @param {Object} consolidated - Portfolio built from every owner's assets together
+ * @param {Array<{portfolio: Object, assetResult: Object|null}>} ownerPortfolios - Per-owner portfolios
+ * @returns {string} - The complete HTML document
+ */
+const renderMultiOwnerPage = (consolidated, ownerPortfolios) => renderPage('Consolidated Assets', `
+    ${renderTotalsCard(consolidated.totals, `Total Value (${ownerPortfolios.length} owners)`)}
+    ${renderAssetBreakdown(consolidated, null, 'Consolidated Asset Breakdown', null)}
+    ${ownerPortfolios.map(({ portfolio, assetResult }) => `
+        ${renderTotalsCard(portfolio.totals, `Total Value: ${portfolio.owner}`)}
+        ${renderAssetBreakdown(portfolio, assetResult, `Asset Breakdown: ${portfolio.owner}`)}
+    `).join('')}
+`);
+
+/**
+ * Renders one owner's holdings on several STRATO nodes: the combined totals of the nodes that
+ * answered, then each node's totals and breakdown, or the reason it failed
+ * @param {string} owner - The owner common name
+ * @param {Object} totals - Combined totals of the successful nodes
+ * @param {Array<{profile: string, clientUrl: string, portfolio: Object|null, assetResult: Object|null, failure: string|null, error: Error|null}>} nodes - Per-node results
+ * @returns {string} - The complete HTML document
+ */
+const renderMultiNodePage = (owner, totals, nodes) => {
+    const available = nodes.filter(({ portfolio }) => portfolio).length;
+
+    return renderPage(`Assets: ${owner} on ${nodes.length} nodes`, `
+        ${renderTotalsCard(totals, `Total Value (${available} of ${nodes.length} nodes)`)}
+        ${nodes.map(({ profile, clientUrl, portfolio, assetResult, failure, error }) => portfolio ? `
+            ${renderTotalsCard(portfolio.totals, `Total Value: ${profile} (${clientUrl})`)}
+            ${renderAssetBreakdown(portfolio, assetResult, `Asset Breakdown: ${profile}`, null)}
+        ` : `
+            <div class="card">
+                <h2>${escapeHtml(profile)} (${escapeHtml(clientUrl)})</h2>
+                <p>${escapeHtml(failure)}: ${escapeHtml(error.message)}</p>
+                <p>This node is not included in the total above.</p>
+            </div>
+        `).join('')}
+    `);
+};
+
+/**
+ * Renders an asset's oracle price freshness, spread and individual source prices
+ * @param {Object} priceInfo - Price details from summarizeOraclePrices
+ * @returns {string} - HTML for the card
+ */
+const renderPriceSourcesCard = (priceInfo) => `
+    <div class="card">
+        <h2>Oracle Price</h2>
+        ${priceInfo.fixed ? '<p>Fixed-peg price from the asset registry.</p>' : `
+            <p>
+                Last updated: ${escapeHtml(priceInfo.updatedAt || 'unknown')}${priceInfo.stale ? ' <span class="badge">stale</span>' : ''}
+                &middot; Spread between sources: ${escapeHtml(priceInfo.spreadPercent)}%${priceInfo.disputed ? ' <span class="badge">disputed</span>' : ''}
+            </p>
+            <table class="oracle-table">
+                <thead>
+                    <tr>
+                        <th>Source</th>
+                        <th>Price</th>
+                        <th>Updated</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${priceInfo.sources.map(source => `
+                        <tr>
+                            <td class="mono">${escapeHtml(source.source)}</td>
+                            <td>$${escapeHtml(source.price)}</td>
+                            <td>${escapeHtml(source.updatedAt || 'unknown')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `}
+    </div>
+`;
+
+/**
+ * Renders the form that starts a transfer; it leads to the preview
+ * @param {Object} asset - The valued asset group to transfer from
+ * @param {{to: string, quantity: string}} [values] - Values to fill in
+ * @returns {string} - HTML for the form
+ */
+const renderTransferForm = (asset, { to = '', quantity = '' } = {}) => `
+    <form method="get" action="/transfers/preview">
+        <input type="hidden" name="key" value="${escapeHtml(asset.key)}">
+        <p><label>Recipient address <input name="to" value="${escapeHtml(to)}" size="44" placeholder="40 hexadecimal digits" required></label></p>
+        <p>
+            <label>Quantity <input name="quantity" value="${escapeHtml(quantity)}" inputmode="decimal" required></label>
+            of ${escapeHtml(toDecimalString(asset.quantity))} held
+        </p>
+        <p><button type="submit">Preview transfer</button></p>
+    </form>
+`;
+
+/**
+ * Renders the drill-down page listing every token that makes up an asset holding
+ * @param {string} owner - The owner common name
+ * @param {Object} asset - A valued asset group
+ * @param {Array<{token: Object, quantity: Object, worth: Object|null}>} tokens - The group's tokens, valued by valueTokens
+ * @param {Object} [options] - Page extras
+ * @param {boolean} [options.transferable] - Show the transfer form
+ * @returns {string} - The complete HTML document
+ */
+const renderAssetDetailPage = (owner, asset, tokens, { transferable = false } = {}) => renderPage(asset.displayName, `
+    <p><a href="/owner/${encodeURIComponent(owner)}">&larr; All assets for ${escapeHtml(owner)}</a></p>
+    <div class="card">
+        <h2>Summary${renderAssetBadges(asset)}</h2>
+        <div class="asset-value">
+            <p>Owner: ${escapeHtml(owner)}</p>
+            <p>Origin: <span class="mono">${escapeHtml(asset.originAddress || '(unknown, grouped by name)')}</span></p>
+            <p>Issuers: ${asset.issuers.length > 0 ? escapeHtml(asset.issuers.join(', ')) : '(unknown)'}</p>
+            <p>Tokens: ${asset.tokenCount}</p>
+            <p>Decimals: ${asset.decimals !== undefined && asset.decimals !== null ? escapeHtml(asset.decimals) : '-'}</p>
+            <p>Oracle price: ${asset.price !== null ? `$${escapeHtml(asset.price)}` : asset.priceWithheld ? '(withheld: unverified issuer)' : '(none)'}</p>
+            <p>Total quantity: ${escapeHtml(toDecimalString(asset.quantity))}${asset.worth !== null ? `, worth ${asset.estimate ? '~' : ''}$${formatAssetWorth(asset.worth)}${asset.estimate ? ' (estimate)' : ''}` : ''}</p>
+        </div>
+    </div>
+    ${asset.priceInfo ? renderPriceSourcesCard(asset.priceInfo) : ''}
+    ${transferable ? `
+    <div class="card">
+        <h2>Transfer</h2>
+        ${renderTransferForm(asset)}
+        <p><a href="/transfers">Recent transfers</a></p>
+    </div>
+    ` : ''}
+    <div class="card">
+        <h2>Tokens</h2>
+        <table class="oracle-table">
+            <thead>
+                <tr>
+                    <th>Address</th>
+                    <th>Quantity</th>
+                    <th>Decimals</th>
+                    <th>Origin</th>
+                    <th>Created</th>
+                    <th>Worth</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${tokens.map(({ token, quantity, worth }) => `
+                    <tr>
+                        <td class="mono">${escapeHtml(token.address || '-')}</td>
+                        <td>${escapeHtml(toDecimalString(quantity))}</td>
+                        <td>${escapeHtml(token.decimals !== undefined && token.decimals !== null ? token.decimals : '-')}</td>
+                        <td class="mono">${escapeHtml(token.originAddress || '-')}</td>
+                        <td>${escapeHtml(formatTimestamp(token.createdDate || token.block_timestamp))}</td>
+                        <td>${worth !== null ? `$${formatAssetWorth(worth)}` : '(unknown)'}</td>
+                    </tr>
+                    <tr>
+                        <td colspan="6">
+                            <details>
+                                <summary>Raw Cirrus record</summary>
+                                <div class="raw-record">${safelyFormatJSON(token)}</div>
+                            </details>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    </div>
+`);
+
+/**
+ * Renders an NFT's marketplace estimate with its confidence label and the evidence behind it
+ * @param {Object|null} valuation - The item's valuation from applyNftValuations
+ * @returns {string} - HTML for the estimate
+ */
+const renderNftValuation = (valuation) => {
+    if (!valuation) {
+        return '<p>Estimated value: (unknown, no sales or listings)</p>';
+    }
+    const evidence = [];
+    if (valuation.lastSale) {
+        evidence.push(`last sold for ${formatUsd(valuation.lastSale.price)} at ${escapeHtml(valuation.lastSale.at)}`);
+    }
+    if (valuation.lowestListing) {
+        evidence.push(`listed from ${formatUsd(valuation.lowestListing.price)} by ${escapeHtml(valuation.lowestListing.seller || 'an unknown seller')}`);
+    }
+    return `
+        <p>Estimated value: ~${formatUsd(valuation.value)} <span class="badge" title="Based on the ${escapeHtml(valuation.basis)}">${escapeHtml(valuation.confidence)} confidence</span></p>
+        <p class="freshness">Based on the ${escapeHtml(valuation.basis)}${evidence.length > 0 ? `; ${evidence.join('; ')}` : ''}</p>
+    `;
+};
+
+/**
+ * Renders the gallery of an owner's non-fungible items with their images and estimates
+ * @param {string} owner - The owner common name
+ * @param {Array<Object>} items - Items as built by the /nfts route: asset fields, description, images and valuation
+ * @param {Object} [options] - Page extras
+ * @param {Object|null} [options.nftEstimate] - Estimated total from applyNftValuations
+ * @param {string|null} [options.marketError] - Why the items could not be valued
+ * @returns {string} - The complete HTML document
+ */
+const renderNftGalleryPage = (owner, items, { nftEstimate = null, marketError = null } = {}) => renderPage(`NFTs: ${owner}`, `
+    <p><a href="/owner/${encodeURIComponent(owner)}">&larr; All assets for ${escapeHtml(owner)}</a></p>
+    ${marketError ? `<p class="live-status">Estimates are unavailable. ${escapeHtml(marketError)}</p>` : ''}
+    ${nftEstimate && nftEstimate.itemCount > 0 ? `
+    <p>Estimated value of ${nftEstimate.itemCount} of ${items.length} items: ~${formatUsd(nftEstimate.value)}
+        (${CONFIDENCE_LEVELS.map(level => `${nftEstimate.confidence[level]} ${level}`).join(', ')} confidence)</p>
+    ` : ''}
+    <div class="card">
+        <h2>Non-fungible Items</h2>
+        ${items.length === 0 ? `<p>No non-fungible items found for owner: ${escapeHtml(owner)}</p>` : `
+        <div class="nft-grid">
+            ${items.map(item => `
+                <div class="asset-card nft-item" data-asset-key="${escapeHtml(item.key)}">
+                    ${item.images.length > 0 ? `<img src="${escapeHtml(item.images[0])}" alt="${escapeHtml(item.displayName)}" loading="lazy">` : ''}
+                    <h3><a href="${escapeHtml(getAssetUrl(item.key, owner))}">${escapeHtml(item.displayName)}</a></h3>
+                    ${item.description ? `<p>${escapeHtml(item.description)}</p>` : ''}
+                    <p>Quantity: ${escapeHtml(toDecimalString(item.quantity))}${item.tokenCount > 1 ? ` (across ${item.tokenCount} tokens)` : ''}</p>
+                    ${marketError ? '' : renderNftValuation(item.valuation)}
+                </div>
+            `).join('')}
+        </div>
+        `}
+    </div>
+`);
+
+/**
+ * Renders one filter row of the explore form
+ * @param {{column: string, operator: string, value: string}} filter - The filter; empty for a new one
+ * @returns {string} - HTML for the row
+ */
+const renderExploreFilter = ({ column, operator, value }) => `
+    <p>
+        <input type="text" name="column" value="${escapeHtml(column)}" placeholder="column" aria-label="Column">
+        <select name="operator" aria-label="Operator">
+            ${FILTER_OPERATORS.map(name => `<option value="${name}"${name === operator ? ' selected' : ''}>${name}</option>`).join('')}
+        </select>
+        <input type="text" name="value" value="${escapeHtml(value)}" placeholder="value" aria-label="Value">
+    </p>
+`;
+
+/**
+ * Renders the Cirrus table explorer: the query form and, once a table is picked, one page of its rows
+ * @param {Object} request - The explore request from parseExploreRequest
+ * @param {Object} [options] - Page contents
+ * @param {Array<string>} [options.tables] - Table names to suggest
+ * @param {Array<Object>|null} [options.rows] - The page's rows, or null before a query is run
+ * @param {boolean} [options.hasNextPage] - Whether more rows match
+ * @param {string|null} [options.cirrusPath] - The Cirrus request the page was read with
+ * @param {string|null} [options.error] - Why the query failed
+ * @returns {string} - The complete HTML document
+ */
+const renderExplorePage = (request, { tables = [], rows = null, hasNextPage = false, cirrusPath = null, error = null } = {}) => {
+    const columns = rows ? getResultColumns(rows, request.select) : [];
+    const firstRow = (request.page - 1) * request.pageSize + 1;
+
+    return renderPage('Explore Cirrus', `
+    <form class="card" method="get" action="/explore">
+        <h2>Query</h2>
+        <p>
+            <label>Table <input type="text" name="table" list="cirrus-tables" value="${escapeHtml(request.table || '')}" size="50" required></label>
+            <datalist id="cirrus-tables">
+                ${tables.map(table => `<option value="${escapeHtml(table)}">`).join('')}
+            </datalist>
+        </p>
+        <h3>Filters</h3>
+        ${[...request.filters, { column: '', operator: 'eq', value: '' }].map(renderExploreFilter).join('')}
+        <p>Use <code>*</code> as the wildcard of <code>like</code>, and separate the values of <code>in</code> with commas.</p>
+        <p><label>Columns <input type="text" name="select" value="${escapeHtml(request.select.join(','))}" placeholder="all; or e.g. address,name" size="50"></label></p>
+        <p><label>Order <input type="text" name="order" value="${escapeHtml(request.order.map(({ column, direction }) => `${column}.${direction}`).join(','))}" placeholder="e.g. block_timestamp.desc,address" size="50"></label></p>
+        <p><label>Rows per page <input type="number" name="limit" value="${request.pageSize}" min="1"></label></p>
+        <p><button type="submit">Run query</button></p>
+    </form>
+    ${error ? `<p class="live-status">${escapeHtml(error)}</p>` : ''}
+    ${rows ? `
+    <div class="card">
+        <h2>${escapeHtml(request.table)}</h2>
+        ${cirrusPath ? `<p class="mono">GET ${escapeHtml(cirrusPath)}</p>` : ''}
+        <p>
+            ${rows.length > 0 ? `Rows ${firstRow}&ndash;${firstRow + rows.length - 1}` : 'No rows'}
+            ${request.page > 1 ? `&middot; <a href="${escapeHtml(getExploreUrl(request, { page: request.page - 1 }))}">&larr; Previous</a>` : ''}
+            ${hasNextPage ? `&middot; <a href="${escapeHtml(getExploreUrl(request, { page: request.page + 1 }))}">Next &rarr;</a>` : ''}
+            &middot; Download all matching rows (up to ${MAX_EXPLORE_DOWNLOAD_ROWS.toLocaleString('en-US')}):
+            <a href="${escapeHtml(getExploreUrl(request, {}, '/explore.csv'))}">CSV</a>
+            <a href="${escapeHtml(getExploreUrl(request, {}, '/explore.json'))}">JSON</a>
+        </p>
+        ${request.order.length === 0 ? '<p class="freshness">Without an order, Cirrus may return rows in a different order on each page.</p>' : ''}
+        ${rows.length > 0 ? `
+        <table class="oracle-table">
+            <thead>
+                <tr>${columns.map(column => `<th>${escapeHtml(column)}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>${columns.map(column => `<td class="mono">${escapeHtml(formatCell(row[column]))}</td>`).join('')}</tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ` : ''}
+    </div>
+    ` : ''}
+`);
+};
+
+/**
+ * Renders a line chart as inline SVG
+ * @param {Array<{time: number, value: number}>} points - Data points, oldest first; values are only used for plotting
+ * @param {Object} [options] - Chart options
+ * @param {number} [options.width] - Width in SVG units
+ * @param {number} [options.height] - Height in SVG units
+ * @param {string} [options.label] - Accessible label
+ * @returns {string} - The SVG markup, or a note when there are fewer than two points
+ */
+const renderLineChart = (points, { width = 800, height = 240, label = 'Chart' } = {}) => {
+    if (points.length < 2) {
+        return '<p>At least two snapshots are needed to draw a chart.</p>';
+    }
+
+    const padding = 40;
+    const times = points.map(point => point.time);
+    const values = points.map(point => point.value);
+    const minTime = Math.min(...times);
+    const maxTime = Math.max(...times);
+    const minValue = Math.min(...values);
+    const maxValue = Math.max(...values);
+    const timeRange = maxTime - minTime || 1;
+    const valueRange = maxValue - minValue || 1;
+
+    const x = (time) => padding + ((time - minTime) / timeRange) * (width - 2 * padding);
+    const y = (value) => height - padding - ((value - minValue) / valueRange) * (height - 2 * padding);
+    const polyline = points.map(point => `${x(point.time).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+
+    return `
+        <svg class="chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(label)}">
+            <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" stroke="#ccc" />
+            <line x1="${padding}" y1="${padding}" x2="${padding}" y2="${height - padding}" stroke="#ccc" />
+            <polyline fill="none" stroke="#3498db" stroke-width="2" points="${polyline}" />
+            <text x="${padding}" y="${padding - 10}" font-size="12" fill="#666">${escapeHtml(maxValue.toLocaleString())}</text>
+            <text x="${padding}" y="${height - padding + 16}" font-size="12" fill="#666">${escapeHtml(minValue.toLocaleString())}</text>
+            <text x="${padding}" y="${height - 8}" font-size="12" fill="#666">${escapeHtml(new Date(minTime).toISOString())}</text>
+            <text x="${width - padding}" y="${height - 8}" font-size="12" fill="#666" text-anchor="end">${escapeHtml(new Date(maxTime).toISOString())}</text>
+        </svg>
+    `;
+};
+
+/**
+ * Formats a change figure, e.g. "+$12.34 (+1.5%)"
+ * @param {{change: string, percent: string|null}} change - A change as computed by computeChange
+ * @param {boolean} isMoney - Whether to show the value as dollars
+ * @returns {string} - HTML for the change, colored by direction
+ */
+const renderChange = ({ change, percent }, isMoney = true) => {
+    const value = parseDecimal(change);
+    const direction = compare(value, ZERO);
+    const sign = direction > 0 ? '+' : direction < 0 ? '-' : '';
+    const magnitude = formatDecimal(direction < 0 ? subtract(ZERO, value) : value, { minimumFractionDigits: 2, maximumFractionDigits: isMoney ? 2 : 6 });
+    const percentText = percent !== null ? ` (${direction > 0 ? '+' : ''}${escapeHtml(percent)}%)` : '';
+    const className = direction > 0 ? 'change-up' : direction < 0 ? 'change-down' : '';
+
+    return `<span class="${className}">${sign}${isMoney ? '$' : ''}${magnitude}${percentText}</span>`;
+};
+
+/**
+ * Renders the portfolio history page: period changes, total value chart, per-asset quantity charts and the snapshot list
+ * @param {string} owner - The owner common name
+ * @param {Array<Object>} snapshots - The owner's snapshots, oldest first
+ * @param {Array<Object>} periodChanges - Day/week/month changes from computePeriodChanges
+ * @returns {string} - The complete HTML document
+ */
+const renderHistoryPage = (owner, snapshots, periodChanges) => {
+    const toTime = (snapshot) => new Date(snapshot.takenAt).getTime();
+    const totalPoints = snapshots.map(snapshot => ({
+        time: toTime(snapshot),
+        value: Number(snapshot.totals.fungibleValue)
+    }));
+
+    // Every asset that appears in any snapshot, with its quantity over time (0 when not held)
+    const assetNames = {};
+    snapshots.forEach(snapshot => snapshot.assets.forEach(asset => {
+        assetNames[asset.key] = asset.name;
+    }));
+    const assetSeries = Object.entries(assetNames)
+        .sort(([keyA, nameA], [keyB, nameB]) => nameA.localeCompare(nameB) || keyA.localeCompare(keyB))
+        .map(([key, name]) => ({
+            key,
+            name,
+            points: snapshots.map(snapshot => {
+                const asset = snapshot.assets.find(candidate => candidate.key === key);
+                return { time: toTime(snapshot), value: asset ? Number(asset.quantity) : 0 };
+            })
+        }));
+
+    const ownerQuery = `owner=${encodeURIComponent(owner)}`;
+
+    return renderPage(`Portfolio History: ${owner}`, `
+        <p><a href="/owner/${encodeURIComponent(owner)}">&larr; Current assets for ${escapeHtml(owner)}</a></p>
+        <div class="card">
+            <h2>Change in Total Value</h2>
+            <table class="oracle-table">
+                <tbody>
+                    ${periodChanges.map(({ period, since, change }) => `
+                        <tr>
+                            <td>Past ${escapeHtml(period)}</td>
+                            <td>${change ? `${renderChange(change)} since ${escapeHtml(since)}` : '(not enough history)'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <form method="post" action="/history/snapshots?${escapeHtml(ownerQuery)}">
+                <p><button type="submit">Take snapshot now</button></p>
+            </form>
+        </div>
+        <div class="card">
+            <h2>Total Value</h2>
+            ${renderLineChart(totalPoints, { label: 'Total value over time' })}
+        </div>
+        <div class="card">
+            <h2>Quantity by Asset</h2>
+            ${assetSeries.length > 0 ? assetSeries.map(series => `
+                <h3>${escapeHtml(series.name)} <span class="mono">${escapeHtml(series.key !== series.name ? series.key : '')}</span></h3>
+                ${renderLineChart(series.points, { height: 160, label: `${series.name} quantity over time` })}
+            `).join('') : '<p>No snapshots yet.</p>'}
+        </div>
+        <div class="card">
+            <h2>Snapshots</h2>
+            ${snapshots.length >= 2 ? `
+                <form method="get" action="/api/v1/history/diff">
+                    <p>
+                        Compare
+                        <select name="from">${snapshots.map((snapshot, index) => `<option value="${escapeHtml(snapshot.id)}"${index === snapshots.length - 2 ? ' selected' : ''}>${escapeHtml(snapshot.takenAt)}</option>`).join('')}</select>
+                        with
+                        <select name="to">${snapshots.map((snapshot, index) => `<option value="${escapeHtml(snapshot.id)}"${index === snapshots.length - 1 ? ' selected' : ''}>${escapeHtml(snapshot.takenAt)}</option>`).join('')}</select>
+                        <button type="submit">Diff</button>
+                    </p>
+                </form>
+            ` : ''}
+            <table class="oracle-table">
+                <thead>
+                    <tr>
+                        <th>Taken at</th>
+                        <th>Trigger</th>
+                        <th>Total value</th>
+                        <th>Assets</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${[...snapshots].reverse().map(snapshot => `
+                        <tr>
+                            <td>${escapeHtml(snapshot.takenAt)}</td>
+                            <td>${escapeHtml(snapshot.trigger)}</td>
+                            <td>$${formatDecimal(parseDecimal(snapshot.totals.fungibleValue), { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                            <td>${snapshot.assets.length}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `);
+};
+
+/**
+ * Renders the outcome of a firing's webhook deliveries
+ * @param {Array<Object>} deliveries - Delivery outcomes from the webhook sender
+ * @returns {string} - HTML
+ */
+const renderDeliveries = (deliveries) => {
+    if (deliveries.length === 0) {
+        return '(no webhooks)';
+    }
+    return deliveries.map(delivery => `
+        <div>
+            ${escapeHtml(delivery.webhook)}:
+            ${delivery.delivered ? 'delivered' : `<span class="badge">failed</span> ${escapeHtml(delivery.error || '')}`}
+            (${delivery.attempts} attempt${delivery.attempts !== 1 ? 's' : ''}${delivery.status ? `, HTTP ${delivery.status}` : ''})
+        </div>
+    `).join('');
+};
+
+/**
+ * Renders the alert rules and their recent firings
+ * @param {{rules: Array<Object>, status: Object|null, firings: Array<Object>}} alerts - Rules with their state, the last evaluation and firings newest first
+ * @param {Object} [options] - Rendering options
+ * @param {boolean} [options.canEvaluate] - Show the "Evaluate now" button
+ * @returns {string} - The complete HTML document
+ */
+const renderAlertsPage = ({ rules, status, firings }, { canEvaluate = false } = {}) => renderPage('Alerts', `
+    <div class="card">
+        <h2>Rules</h2>
+        ${status ? `
+            <p>
+                Last evaluated: ${escapeHtml(status.lastEvaluatedAt || 'never')}
+                ${status.errors.map(({ owner, error }) => `<br><span class="badge">failed</span> ${escapeHtml(owner)}: ${escapeHtml(error)}`).join('')}
+            </p>
+        ` : '<p>No alert rules are configured. Set <span class="mono">alertRulesFile</span> to enable alerts.</p>'}
+        ${rules.length > 0 ? `
+            <table class="oracle-table">
+                <thead>
+                    <tr>
+                        <th>Rule</th>
+                        <th>Owner</th>
+                        <th>Condition</th>
+                        <th>Webhooks</th>
+                        <th>State</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rules.map(rule => `
+                        <tr>
+                            <td>${escapeHtml(rule.name)}</td>
+                            <td>${escapeHtml(rule.owner)}</td>
+                            <td>${escapeHtml(rule.description)}</td>
+                            <td>${escapeHtml(rule.webhooks.join(', ') || '-')}</td>
+                            <td>${rule.active ? '<span class="badge">active</span>' : 'ok'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : ''}
+        ${canEvaluate ? `
+            <form method="post" action="/alerts/evaluate">
+                <p><button type="submit">Evaluate now</button></p>
+            </form>
+        ` : ''}
+    </div>
+    <div class="card">
+        <h2>Recent Firings</h2>
+        ${firings.length > 0 ? `
+            <table class="oracle-table">
+                <thead>
+                    <tr>
+                        <th>Fired at</th>
+                        <th>Rule</th>
+                        <th>Owner</th>
+                        <th>Message</th>
+                        <th>Webhooks</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${firings.map(firing => `
+                        <tr>
+                            <td>${escapeHtml(firing.firedAt)}</td>
+                            <td>${escapeHtml(firing.rule)}</td>
+                            <td>${escapeHtml(firing.owner)}</td>
+                            <td>${escapeHtml(firing.message)}</td>
+                            <td>${renderDeliveries(firing.deliveries)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '<p>No alerts have fired.</p>'}
+    </div>
+`);
+
+/**
+ * Renders the preview of a transfer with the button that submits it, or what is wrong with it
+ * @param {string} owner - The owner the tokens belong to
+ * @param {Object} asset - The valued asset group to transfer from
+ * @param {{key: string, to: string, quantity: string}} request - The values entered
+ * @param {Object} [options] - The outcome of the check
+ * @param {Object|null} [options.preview] - From buildTransferPreview, when the request is valid
+ * @param {string|null} [options.confirmation] - Issued with the preview and sent back to submit it; sending the form twice transfers once
+ * @param {Array<string>} [options.problems] - What is wrong with the request otherwise
+ * @returns {string} - The complete HTML document
+ */
+const renderTransferPreviewPage = (owner, asset, request, { preview = null, confirmation = null, problems = [] } = {}) => renderPage(`Transfer ${asset.displayName}`, `
+    <p><a href="${escapeHtml(getAssetUrl(asset.key, owner))}">&larr; ${escapeHtml(asset.displayName)} held by ${escapeHtml(owner)}</a></p>
+    ${preview ? `
+    <div class="card">
+        <h2>Preview</h2>
+        <table class="oracle-table">
+            <tbody>
+                <tr><td>From</td><td>${escapeHtml(owner)}</td></tr>
+                <tr><td>To</td><td class="mono">${escapeHtml(preview.recipient)}</td></tr>
+                <tr><td>Asset</td><td>${escapeHtml(asset.displayName)}${asset.displayName !== asset.name ? ` (${escapeHtml(asset.name)})` : ''}</td></tr>
+                <tr><td>Quantity</td><td>${escapeHtml(toDecimalString(preview.quantity))}</td></tr>
+                <tr><td>On-chain quantity</td><td class="mono">${escapeHtml(preview.rawQuantity.toString())} (${preview.asset.decimals} decimals)</td></tr>
+                <tr><td>Left afterwards</td><td>${escapeHtml(toDecimalString(preview.remaining))}</td></tr>
+            </tbody>
+        </table>
+        <h3>Calls</h3>
+        <table class="oracle-table">
+            <thead>
+                <tr>
+                    <th>Token</th>
+                    <th>Quantity</th>
+                    <th>On-chain quantity</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${preview.allocations.map(allocation => `
+                    <tr>
+                        <td class="mono">${escapeHtml(allocation.address)}</td>
+                        <td>${escapeHtml(toDecimalString(allocation.quantity))}</td>
+                        <td class="mono">${escapeHtml(allocation.rawQuantity.toString())}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <form method="post" action="/transfers">
+            <input type="hidden" name="key" value="${escapeHtml(asset.key)}">
+            <input type="hidden" name="to" value="${escapeHtml(request.to)}">
+            <input type="hidden" name="quantity" value="${escapeHtml(request.quantity)}">
+            <input type="hidden" name="confirmation" value="${escapeHtml(confirmation)}">
+            <p><button type="submit">Confirm transfer</button></p>
+        </form>
+    </div>
+    ` : `
+    <div class="card">
+        <h2>Transfer</h2>
+        <ul>${problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}</ul>
+        ${renderTransferForm(asset, request)}
+    </div>
+    `}
+`);
+
+/**
+ * Renders the script that checks a pending transfer and reloads the page once it has settled
+ * @param {string} url - The transfer's JSON status
+ * @returns {string} - HTML for the script
+ */
+const renderTransferStatusScript = (url) => `
+    <script>
+    (function () {
+        var check = function () {
+            fetch(${JSON.stringify(url).replace(/</g, '\\u003c')}, { headers: { Accept: 'application/json' } })
+                .then(function (response) {
+                    return response.ok ? response.json() : null;
+                })
+                .then(function (transfer) {
+                    if (transfer && transfer.status !== 'Pending') {
+                        window.location.reload();
+                    } else {
+                        setTimeout(check, 2000);
+                    }
+                })
+                .catch(function () {
+                    setTimeout(check, 5000);
+                });
+        };
+        setTimeout(check, 2000);
+    })();
+    </script>
+`;
+
+/**
+ * Renders a transfer's status badge
+ * @param {string} status - Pending, Success, Failure or Unknown
+ * @returns {string} - HTML
+ */
+const renderTransferStatus = (status) => (status === 'Success' ? escapeHtml(status) : `<span class="badge">${escapeHtml(status)}</span>`);
+
+/**
+ * Renders the result of a transfer
+ * @param {Object} transfer - The transfer from the transfer store
+ * @param {Object} [options] - Page extras
+ * @param {string|null} [options.statusUrl] - Checked until the transfer settles, while it is pending
+ * @param {string|null} [options.checkError] - Why its status could not be checked just now
+ * @returns {string} - The complete HTML document
+ */
+const renderTransferPage = (transfer, { statusUrl = null, checkError = null } = {}) => renderPage(`Transfer ${transfer.status === 'Pending' ? 'Pending' : transfer.status === 'Success' ? 'Complete' : 'Failed'}`, `
+    <p><a href="/transfers">&larr; All transfers</a> &middot; <a href="${escapeHtml(getAssetUrl(transfer.asset.key, transfer.owner))}">${escapeHtml(transfer.asset.displayName)} held by ${escapeHtml(transfer.owner)}</a></p>
+    <div class="card">
+        <h2>${escapeHtml(transfer.quantity)} ${escapeHtml(transfer.asset.displayName)} to <span class="mono">${escapeHtml(transfer.recipient)}</span></h2>
+        <p>Status: ${renderTransferStatus(transfer.status)}${transfer.status === 'Pending' ? ' (checking again every few seconds)' : ''}</p>
+        ${transfer.error ? `<p>${escapeHtml(transfer.error)}</p>` : ''}
+        ${checkError ? `<p>The status could not be checked: ${escapeHtml(checkError)}</p>` : ''}
+        <p>Submitted ${escapeHtml(transfer.submittedAt)}, last updated ${escapeHtml(transfer.updatedAt)}</p>
+        ${transfer.calls.length > 0 ? `
+        <table class="oracle-table">
+            <thead>
+                <tr>
+                    <th>Token</th>
+                    <th>Quantity</th>
+                    <th>Transaction</th>
+                    <th>Status</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${transfer.calls.map((call, index) => `
+                    <tr>
+                        <td class="mono">${escapeHtml(transfer.allocations[index] ? transfer.allocations[index].address : '-')}</td>
+                        <td>${escapeHtml(transfer.allocations[index] ? transfer.allocations[index].quantity : '-')}</td>
+                        <td class="mono">${escapeHtml(call.hash)}</td>
+                        <td>${renderTransferStatus(call.status)}${call.error ? ` ${escapeHtml(call.error)}` : ''}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ` : ''}
+    </div>
+    ${statusUrl ? renderTransferStatusScript(statusUrl) : ''}
+`);
+
+/**
+ * Renders the list of recent transfers
+ * @param {Array<Object>} transfers - Transfers, newest first
+ * @returns {string} - The complete HTML document
+ */
+const renderTransfersPage = (transfers) => renderPage('Transfers', `
+    <div class="card">
+        ${transfers.length > 0 ? `
+        <table class="oracle-table">
+            <thead>
+                <tr>
+                    <th>Submitted</th>
+                    <th>Asset</th>
+                    <th>Quantity</th>
+                    <th>To</th>
+                    <th>Status</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${transfers.map(transfer => `
+                    <tr>
+                        <td><a href="/transfers/${encodeURIComponent(transfer.id)}">${escapeHtml(transfer.submittedAt)}</a></td>
+                        <td>${escapeHtml(transfer.asset.displayName)}</td>
+                        <td>${escapeHtml(transfer.quantity)}</td>
+                        <td class="mono">${escapeHtml(transfer.recipient)}</td>
+                        <td>${renderTransferStatus(transfer.status)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ` : '<p>No transfers yet. Start one from an asset&rsquo;s page.</p>'}
+    </div>
+`);
+
+/**
+ * Renders a simple error page
+ * @param {number} status - HTTP status being returned
+ * @param {string} message - Error message (escaped here)
+ * @returns {string} - The complete HTML document
+ */
+const renderErrorPage = (status, message) => renderPage('Error', `
+    <div class="card">
+        <h2>${status}</h2>
+        <p>${escapeHtml(message)}</p>
+    </div>
+`);
+
+module.exports = {
+    escapeHtml,
+    safelyFormatJSON,
+    calculateActualValue,
+    formatAssetWorth,
+    renderPage,
+    renderTotalsCard,
+    renderAssetBreakdown,
+    renderLiveView,
+    renderPortfolioPage,
+    renderMultiOwnerPage,
+    renderMultiNodePage,
+    renderAssetDetailPage,
+    renderNftGalleryPage,
+    renderExplorePage,
+    renderHistoryPage,
+    renderAlertsPage,
+    renderTransferPreviewPage,
+    renderTransferPage,
+    renderTransfersPage,
+    renderErrorPage
+};
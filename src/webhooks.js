@@ -0,0 +1,121 @@
+/**
+ * Signed webhook delivery for alert firings.
+ *
+ * Each request is a JSON POST signed with HMAC-SHA256 over "<timestamp>.<body>" using the
+ * webhook's secret. Receivers check `X-Alert-Signature` against their copy of the secret and
+ * reject old `X-Alert-Timestamp` values to stop replays. Connection failures, 5xx and 429
+ * responses are retried with exponential backoff; other responses are final.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { DEFAULT_RETRY_BASE_DELAY_MS, DEFAULT_RETRY_MAX_DELAY_MS, getRetryDelay, sleep } = require('./resilience');
+
+const SIGNATURE_HEADER = 'X-Alert-Signature';
+const TIMESTAMP_HEADER = 'X-Alert-Timestamp';
+const DELIVERY_TIMEOUT_MS = 10000;
+
+/**
+ * Signs a webhook body
+ * @param {string} secret - The webhook's shared secret
+ * @param {number} timestamp - Seconds since the epoch, sent as X-Alert-Timestamp
+ * @param {string} body - The exact request body
+ * @returns {string} - The X-Alert-Signature value, "sha256=<hex>"
+ */
+const signPayload = (secret, timestamp, body) => {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+};
+
+/**
+ * Checks a webhook signature, as a receiver would
+ * @param {string} secret - The shared secret
+ * @param {number|string} timestamp - The X-Alert-Timestamp value
+ * @param {string} body - The raw request body
+ * @param {string} signature - The X-Alert-Signature value
+ * @returns {boolean} - True if the signature matches
+ */
+const verifySignature = (secret, timestamp, body, signature) => {
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const actual = Buffer.from(String(signature || ''));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Whether a failed delivery may succeed when sent again
+ * @param {Error} error - The axios error
+ * @returns {boolean} - True for connection failures, 5xx and 429
+ */
+const isRetryableDelivery = (error) => {
+    if (!error.response) {
+        return true;
+    }
+    return error.response.status >= 500 || error.response.status === 429;
+};
+
+/**
+ * Creates a webhook sender
+ * @param {Object} [options] - Sender options
+ * @param {number} [options.baseDelayMs] - Upper bound of the first retry delay; later ones double it
+ * @param {Object} [options.httpClient] - Sends the requests; needs axios' `post`
+ * @param {Object} [options.logger] - Where delivery failures go; needs `log` and `error`
+ * @param {Function} [options.now] - Clock, in milliseconds
+ * @returns {{deliver: Function}} - The sender
+ */
+const createWebhookSender = (options = {}) => {
+    const {
+        baseDelayMs = DEFAULT_RETRY_BASE_DELAY_MS,
+        httpClient = axios,
+        logger = console,
+        now = () => Date.now()
+    } = options;
+
+    /**
+     * Posts a payload to a webhook, retrying transient failures
+     * @param {{name: string, url: string, secret: string, retries: number}} webhook - The webhook from the alert rules file
+     * @param {Object} payload - The JSON body
+     * @returns {Promise<{webhook: string, delivered: boolean, attempts: number, status: number|null, error: string|null, at: string}>} - The outcome; never rejects
+     */
+    const deliver = async (webhook, payload) => {
+        const body = JSON.stringify(payload);
+        let attempts = 0;
+
+        for (;;) {
+            attempts += 1;
+            // A fresh timestamp per attempt, so retries are not mistaken for replays
+            const timestamp = Math.floor(now() / 1000);
+            try {
+                const response = await httpClient.post(webhook.url, body, {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        [TIMESTAMP_HEADER]: String(timestamp),
+                        [SIGNATURE_HEADER]: signPayload(webhook.secret, timestamp, body)
+                    },
+                    timeout: DELIVERY_TIMEOUT_MS,
+                    // The body is already serialized and signed; send it exactly as it is
+                    transformRequest: [(data) => data]
+                });
+                return { webhook: webhook.name, delivered: true, attempts, status: response.status, error: null, at: new Date(now()).toISOString() };
+            } catch (error) {
+                const status = error.response ? error.response.status : null;
+                if (!isRetryableDelivery(error) || attempts > webhook.retries) {
+                    logger.error('Webhook delivery failed', { webhook: webhook.name, attempts, error: error.message });
+                    return { webhook: webhook.name, delivered: false, attempts, status, error: error.message, at: new Date(now()).toISOString() };
+                }
+                const delay = getRetryDelay(attempts, { baseDelayMs, maxDelayMs: DEFAULT_RETRY_MAX_DELAY_MS });
+                logger.log('Retrying webhook delivery', { webhook: webhook.name, delayMs: delay, attempt: attempts, retries: webhook.retries, error: error.message });
+                await sleep(delay);
+            }
+        }
+    };
+
+    return { deliver };
+};
+
+module.exports = {
+    SIGNATURE_HEADER,
+    TIMESTAMP_HEADER,
+    signPayload,
+    verifySignature,
+    createWebhookSender
+};
@@ -0,0 +1,243 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parseDecimal } = require('../src/decimal');
+const {
+    AlertRulesError,
+    parseDuration,
+    validateAlertRules,
+    loadAlertRules,
+    createFiringStore,
+    createAlertEngine
+} = require('../src/alerts');
+const { quietLogger, makeTempDir } = require('./helpers');
+
+const SECRET = 'webhook-secret-0123456789';
+const HOUR = 60 * 60 * 1000;
+
+const document = (rules, webhooks = { ops: { url: 'https://hooks.example.com/alerts', secret: SECRET } }) => ({ webhooks, rules });
+
+/**
+ * A portfolio with just what the rules read
+ */
+const portfolioOf = (value, assets, estimatedValue = '0') => ({
+    owner: 'alice',
+    totals: { fungible: { value: parseDecimal(value) }, estimated: { value: parseDecimal(estimatedValue) } },
+    assets: Object.entries(assets).map(([name, { addresses, stale = false }]) => ({
+        name,
+        tokens: addresses.map(address => ({ address })),
+        priceInfo: { stale }
+    }))
+});
+
+/**
+ * An engine over data the test changes between evaluations
+ */
+const createEngine = (t, rules, { snapshots = [] } = {}) => {
+    const clock = { time: Date.parse('2026-03-02T12:00:00Z') };
+    const source = {
+        portfolio: portfolioOf('1000', { ETHST: { addresses: ['a1'] } }),
+        latestPrices: { ETHST: '2000' },
+        priceDetails: { ETHST: { stale: false, updatedAt: '2026-03-02T11:59:00.000Z' } },
+        failure: null
+    };
+    const deliveries = [];
+    const firingStore = createFiringStore(path.join(makeTempDir(t), 'firings.jsonl'));
+    const engine = createAlertEngine({
+        alertRules: validateAlertRules(document(rules)),
+        defaultOwner: 'alice',
+        loadOwnerData: async () => {
+            if (source.failure) {
+                throw source.failure;
+            }
+            return { portfolio: source.portfolio, latestPrices: source.latestPrices, priceDetails: source.priceDetails };
+        },
+        snapshotStore: { list: async () => snapshots },
+        firingStore,
+        sender: {
+            deliver: async (webhook, payload) => {
+                deliveries.push({ webhook: webhook.name, payload });
+                return { webhook: webhook.name, delivered: true, attempts: 1, status: 200, error: null, at: new Date(clock.time).toISOString() };
+            }
+        },
+        logger: quietLogger,
+        now: () => clock.time
+    });
+    return { clock, source, deliveries, firingStore, engine };
+};
+
+test('durations are minutes, hours or days', () => {
+    assert.equal(parseDuration('30m'), 30 * 60 * 1000);
+    assert.equal(parseDuration('24h'), 24 * HOUR);
+    assert.equal(parseDuration('7d'), 7 * 24 * HOUR);
+    assert.equal(parseDuration('0h'), null);
+    assert.equal(parseDuration('1w'), null);
+});
+
+test('rules are validated and normalized', () => {
+    const { webhooks, rules } = validateAlertRules({
+        webhooks: { ops: { url: 'https://hooks.example.com/alerts', secretEnv: 'OPS_SECRET', retries: 5 } },
+        rules: [
+            { name: 'drop', type: 'totalValueDrop', percent: 10 },
+            { name: 'eth-low', type: 'priceBelow', asset: 'ETHST', price: 1800, owner: 'bob', webhooks: [] }
+        ]
+    }, { OPS_SECRET: SECRET });
+
+    assert.deepEqual(webhooks.ops, { name: 'ops', url: 'https://hooks.example.com/alerts', secret: SECRET, retries: 5 });
+    assert.deepEqual(rules, [
+        { name: 'drop', type: 'totalValueDrop', owner: null, webhooks: ['ops'], percent: 10, window: '24h' },
+        { name: 'eth-low', type: 'priceBelow', owner: 'bob', webhooks: [], asset: 'ETHST', price: '1800' }
+    ]);
+});
+
+test('every problem in the rules is reported', () => {
+    assert.throws(() => validateAlertRules({
+        webhooks: { ops: { url: 'ftp://example.com', secret: 'short' } },
+        rules: [
+            { name: 'a', type: 'priceBelow', asset: 'ETHST' },
+            { name: 'a', type: 'totalValueDrop', percent: 150, window: 'soon' },
+            { name: 'b', type: 'sometimes' },
+            { name: 'c', type: 'tokenReceived', webhooks: ['pager'], colour: 'red' }
+        ]
+    }, {}), (error) => {
+        assert.ok(error instanceof AlertRulesError);
+        assert.deepEqual(error.problems, [
+            'webhook ops: url must be an http or https URL',
+            'webhook ops: secret (or secretEnv) must be at least 16 characters long',
+            'rule a: price must be a non-negative decimal',
+            'rule a: the name is used by another rule',
+            'rule a: percent must be a number above 0 and at most 100',
+            'rule a: window must be a duration such as "30m", "24h" or "7d"',
+            'rule b: type must be one of totalValueDrop, tokenReceived, priceBelow, priceAbove, oracleStale',
+            'rule c: unknown field "colour" for type tokenReceived',
+            'rule c: unknown webhook "pager"'
+        ]);
+        return true;
+    });
+});
+
+test('rules files are read as YAML', (t) => {
+    const filePath = path.join(makeTempDir(t), 'alerts.yaml');
+    fs.writeFileSync(filePath, `webhooks:\n  ops:\n    url: https://hooks.example.com/alerts\n    secret: ${SECRET}\nrules:\n  - name: stale\n    type: oracleStale\n`);
+
+    assert.deepEqual(loadAlertRules(filePath).rules, [{ name: 'stale', type: 'oracleStale', owner: null, webhooks: ['ops'] }]);
+    assert.throws(() => loadAlertRules(path.join(path.dirname(filePath), 'missing.yaml')), AlertRulesError);
+});
+
+test('condition rules fire when the condition starts to hold and again only after it clears', async (t) => {
+    const { source, deliveries, firingStore, engine } = createEngine(t, [{ name: 'eth-low', type: 'priceBelow', asset: 'ETHST', price: '1800' }]);
+
+    assert.deepEqual(await engine.evaluate(), []);
+
+    source.latestPrices = { ETHST: '1750.5' };
+    const [firing] = await engine.evaluate();
+    assert.equal(firing.rule, 'eth-low');
+    assert.equal(firing.owner, 'alice');
+    assert.equal(firing.message, 'ETHST price 1750.5 is below 1800');
+    assert.equal(firing.deliveries[0].delivered, true);
+    assert.deepEqual(deliveries.map(({ webhook, payload }) => [webhook, payload.id]), [['ops', firing.id]]);
+    assert.equal(engine.getRules()[0].active, true);
+
+    assert.deepEqual(await engine.evaluate(), []);
+    source.latestPrices = { ETHST: '1900' };
+    assert.deepEqual(await engine.evaluate(), []);
+    source.latestPrices = { ETHST: '1700' };
+    assert.equal((await engine.evaluate()).length, 1);
+
+    const firings = await firingStore.list();
+    assert.equal(firings.length, 2);
+    assert.equal(firings[1].id, firing.id);
+    assert.equal(firings[1].deliveries[0].webhook, 'ops');
+});
+
+test('a firing that cannot be recorded fires again at the next evaluation', async (t) => {
+    const { source, firingStore, engine } = createEngine(t, [{ name: 'eth-low', type: 'priceBelow', asset: 'ETHST', price: '1800' }]);
+    const append = firingStore.append;
+    firingStore.append = async () => {
+        throw new Error('disk full');
+    };
+
+    source.latestPrices = { ETHST: '1750' };
+    assert.deepEqual(await engine.evaluate(), []);
+    assert.equal(engine.getRules()[0].active, false);
+
+    firingStore.append = append;
+    assert.equal((await engine.evaluate()).length, 1);
+    assert.equal(engine.getRules()[0].active, true);
+});
+
+test('new tokens fire once the holdings have been seen', async (t) => {
+    const { source, engine } = createEngine(t, [{ name: 'received', type: 'tokenReceived' }]);
+
+    assert.deepEqual(await engine.evaluate(), []);
+    source.portfolio = portfolioOf('1000', { ETHST: { addresses: ['a1', 'a9'] }, USDST: { addresses: ['u1'] } });
+
+    const [firing] = await engine.evaluate();
+    assert.equal(firing.message, 'alice received 2 new tokens: ETHST, USDST');
+    assert.deepEqual(firing.details.tokens, [{ address: 'a9', asset: 'ETHST' }, { address: 'u1', asset: 'USDST' }]);
+    assert.deepEqual(await engine.evaluate(), []);
+});
+
+test('value drops are measured against the snapshot from the start of the window', async (t) => {
+    const snapshots = [
+        { id: 's1', owner: 'alice', takenAt: '2026-03-01T06:00:00.000Z', totals: { fungibleValue: '1200' } },
+        { id: 's2', owner: 'alice', takenAt: '2026-03-01T11:00:00.000Z', totals: { fungibleValue: '1250' } },
+        { id: 's3', owner: 'alice', takenAt: '2026-03-02T06:00:00.000Z', totals: { fungibleValue: '900' } }
+    ];
+    const { source, engine } = createEngine(t, [{ name: 'drop', type: 'totalValueDrop', percent: 20, window: '24h' }], { snapshots });
+
+    source.portfolio = portfolioOf('1050', {});
+    assert.deepEqual(await engine.evaluate(), []);
+
+    source.portfolio = portfolioOf('1000', {});
+    const [firing] = await engine.evaluate();
+    assert.equal(firing.details.snapshotId, 's2');
+    assert.equal(firing.message, 'Total value of alice changed -20% in 24h, from $1,250.00 to $1,000.00');
+});
+
+test('value behind a price that went stale still counts towards the total', async (t) => {
+    const snapshots = [{ id: 's1', owner: 'alice', takenAt: '2026-03-01T06:00:00.000Z', totals: { fungibleValue: '1000', estimatedValue: '0' } }];
+    const { source, engine } = createEngine(t, [{ name: 'drop', type: 'totalValueDrop', percent: 20 }], { snapshots });
+
+    // Same holdings, but the ETHST price is now stale, so its worth is only estimated
+    source.portfolio = portfolioOf('100', { ETHST: { addresses: ['a1'], stale: true } }, '900');
+    assert.deepEqual(await engine.evaluate(), []);
+
+    source.portfolio = portfolioOf('100', { ETHST: { addresses: ['a1'], stale: true } }, '600');
+    const [firing] = await engine.evaluate();
+    assert.equal(firing.message, 'Total value of alice changed -30% in 24h, from $1,000.00 to $700.00');
+});
+
+test('owners of value-drop rules are the ones that need snapshots', async (t) => {
+    const { engine } = createEngine(t, [
+        { name: 'drop', type: 'totalValueDrop', percent: 20 },
+        { name: 'bob-drop', type: 'totalValueDrop', percent: 10, owner: 'bob' },
+        { name: 'carol-low', type: 'priceBelow', asset: 'ETHST', price: '1800', owner: 'carol' }
+    ]);
+
+    assert.deepEqual(engine.getHistoryOwners(), ['alice', 'bob']);
+});
+
+test('stale oracle prices of held assets fire', async (t) => {
+    const { source, engine } = createEngine(t, [{ name: 'stale', type: 'oracleStale' }, { name: 'usd-stale', type: 'oracleStale', asset: 'USDST' }]);
+
+    const firings = await engine.evaluate();
+    assert.deepEqual(firings.map(({ rule, message }) => [rule, message]), [['usd-stale', 'Oracle price stale or missing for USDST']]);
+
+    source.portfolio = portfolioOf('1000', { ETHST: { addresses: ['a1'], stale: true } });
+    assert.deepEqual((await engine.evaluate()).map(({ rule }) => rule), ['stale']);
+});
+
+test('owners whose data cannot be fetched are skipped without clearing their alerts', async (t) => {
+    const { source, engine } = createEngine(t, [{ name: 'eth-high', type: 'priceAbove', asset: 'ETHST', price: '1900' }]);
+
+    assert.equal((await engine.evaluate()).length, 1);
+    source.failure = new Error('node down');
+    assert.deepEqual(await engine.evaluate(), []);
+    assert.deepEqual(engine.getStatus().errors, [{ owner: 'alice', error: 'node down' }]);
+
+    source.failure = null;
+    assert.deepEqual(await engine.evaluate(), []);
+    assert.deepEqual(engine.getStatus().errors, []);
+});
@@ -0,0 +1,193 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createApp } = require('../src/app');
+const { createAssetRegistry } = require('../src/assetRegistry');
+const { createSnapshotStore } = require('../src/history');
+const { resolveConfig } = require('../src/config');
+const { LOGIN_PATH, LOGOUT_PATH, parseCookies, decodeTokenClaims, getSafeReturnPath } = require('../src/auth');
+const { REGISTRY_FIXTURE, quietLogger, startMock, makeTempDir, listen } = require('./helpers');
+
+// The OAuth provider sends the browser here; tests follow the redirect to the app themselves
+const REDIRECT_URI = 'http://app.test/api/v1/authentication/callback';
+const SESSION_COOKIE = 'asset_framework_session';
+
+const METRICS_TOKEN = 'metrics-token-0123456789';
+
+/**
+ * Starts the application with browser login against a fresh mock STRATO node
+ */
+const startApp = async (t, settings = {}) => {
+    const mock = await startMock();
+    const config = resolveConfig(mock.getCredentials({
+        snapshotIntervalMinutes: 0,
+        browserLogin: true,
+        metricsToken: METRICS_TOKEN,
+        redirectUri: REDIRECT_URI,
+        ...settings
+    }));
+    const { app } = createApp({
+        config,
+        assetRegistry: createAssetRegistry(REGISTRY_FIXTURE),
+        snapshotStore: createSnapshotStore(path.join(makeTempDir(t), 'history.jsonl')),
+        logger: quietLogger
+    });
+    const server = await listen(app);
+    t.after(async () => {
+        await server.close();
+        await mock.stop();
+    });
+    return { mock, url: server.url };
+};
+
+/**
+ * Reads a cookie set by a response
+ */
+const getSetCookie = (response, name) => {
+    const cookie = response.headers.getSetCookie().find(header => header.startsWith(`${name}=`));
+    return cookie ? cookie.split(';')[0] : null;
+};
+
+/**
+ * Goes through the sign-in as the mock's login user, following the redirects by hand
+ * @returns {Promise<{cookie: string|null, callback: Response}>} - The session cookie and the callback response
+ */
+const signIn = async (url, mock, commonName, returnTo = '/') => {
+    mock.state.loginCommonName = commonName;
+
+    const login = await fetch(`${url}${LOGIN_PATH}?returnTo=${encodeURIComponent(returnTo)}`, { redirect: 'manual' });
+    const loginCookie = getSetCookie(login, `${SESSION_COOKIE}_login`);
+    const authorize = await fetch(login.headers.get('location'), { redirect: 'manual' });
+
+    const callbackUrl = new URL(authorize.headers.get('location'));
+    const callback = await fetch(`${url}${callbackUrl.pathname}${callbackUrl.search}`, {
+        redirect: 'manual',
+        headers: { cookie: loginCookie }
+    });
+    return { cookie: getSetCookie(callback, SESSION_COOKIE), callback, callbackUrl };
+};
+
+test('visitors without a session are sent to sign in', async (t) => {
+    const { url } = await startApp(t);
+
+    const page = await fetch(`${url}/history?owner=alice`, { redirect: 'manual' });
+    assert.equal(page.status, 302);
+    assert.equal(page.headers.get('location'), `${LOGIN_PATH}?returnTo=${encodeURIComponent('/history?owner=alice')}`);
+
+    const api = await fetch(`${url}/api/v1/portfolio`);
+    assert.equal(api.status, 401);
+    assert.equal((await api.json()).login, LOGIN_PATH);
+
+    // Monitoring needs no session; the metrics need their own token
+    for (const monitoringPath of ['/healthz', '/readyz']) {
+        assert.equal((await fetch(`${url}${monitoringPath}`, { redirect: 'manual' })).status, 200, monitoringPath);
+    }
+    assert.equal((await fetch(`${url}/metrics`, { redirect: 'manual' })).status, 401);
+    assert.equal((await fetch(`${url}/metrics`, { headers: { authorization: `Bearer ${METRICS_TOKEN}` } })).status, 200);
+});
+
+test('signing in shows the visitor their own portfolio', async (t) => {
+    const { mock, url } = await startApp(t);
+
+    const { cookie, callback } = await signIn(url, mock, 'bob', '/api/v1/portfolio');
+    assert.equal(callback.status, 302);
+    assert.equal(callback.headers.get('location'), '/api/v1/portfolio');
+    assert.match(callback.headers.getSetCookie().find(header => header.startsWith(`${SESSION_COOKIE}=`)), /HttpOnly.*SameSite=Lax/i);
+
+    const portfolio = await (await fetch(`${url}/api/v1/portfolio`, { headers: { cookie } })).json();
+    assert.equal(portfolio.owner, 'bob');
+    assert.equal(portfolio.totals.fungible.value, '2.5');
+
+    const html = await (await fetch(url, { headers: { cookie } })).text();
+    assert.match(html, /Signed in as bob/);
+});
+
+test('visitors may not view other portfolios', async (t) => {
+    const { mock, url } = await startApp(t);
+    const { cookie } = await signIn(url, mock, 'bob');
+    const headers = { cookie };
+
+    assert.equal((await fetch(`${url}/owner/alice`, { headers })).status, 403);
+    assert.equal((await fetch(`${url}/owners/alice,bob`, { headers })).status, 403);
+    assert.equal((await fetch(`${url}/api/v1/portfolio?owner=alice`, { headers })).status, 403);
+    assert.equal((await fetch(`${url}/export.csv?owner=alice`, { headers })).status, 403);
+    assert.equal((await fetch(`${url}/api/v1/status`, { headers })).status, 403);
+    assert.equal((await fetch(`${url}/explore?table=BlockApps-Mercata-Asset`, { headers })).status, 403);
+    assert.equal((await fetch(`${url}/explore.csv?table=BlockApps-Mercata-Asset`, { headers })).status, 403);
+    assert.equal((await fetch(`${url}/owner/bob`, { headers })).status, 200);
+});
+
+test('visitors may not compare snapshots of other portfolios', async (t) => {
+    const { mock, url } = await startApp(t);
+    const alice = { cookie: (await signIn(url, mock, 'alice')).cookie };
+    const bob = { cookie: (await signIn(url, mock, 'bob')).cookie };
+
+    const take = async (headers) => (await (await fetch(`${url}/api/v1/history/snapshots`, { method: 'POST', headers })).json()).id;
+    const [first, second] = [await take(alice), await take(alice)];
+    const diffUrl = `${url}/api/v1/history/diff?from=${first}&to=${second}`;
+
+    assert.equal((await fetch(diffUrl, { headers: bob })).status, 403);
+    assert.equal((await fetch(diffUrl, { headers: alice })).status, 200);
+});
+
+test('administrators may view any portfolio', async (t) => {
+    const { mock, url } = await startApp(t, { adminCommonNames: ['carol'] });
+    const { cookie } = await signIn(url, mock, 'carol');
+
+    const response = await fetch(`${url}/api/v1/owners/alice,bob/portfolio`, { headers: { cookie } });
+    assert.equal(response.status, 200);
+    assert.equal((await fetch(`${url}/api/v1/status`, { headers: { cookie } })).status, 200);
+    assert.equal((await fetch(`${url}/explore?table=BlockApps-Mercata-Asset`, { headers: { cookie } })).status, 200);
+});
+
+test('callbacks without the matching login state are refused', async (t) => {
+    const { mock, url } = await startApp(t);
+    mock.state.loginCommonName = 'alice';
+
+    // A callback the browser did not start, e.g. a forged link
+    const login = await fetch(`${url}${LOGIN_PATH}`, { redirect: 'manual' });
+    const authorize = await fetch(login.headers.get('location'), { redirect: 'manual' });
+    const callbackUrl = new URL(authorize.headers.get('location'));
+    const forged = await fetch(`${url}${callbackUrl.pathname}${callbackUrl.search}`, { redirect: 'manual' });
+    assert.equal(forged.status, 400);
+    assert.equal(getSetCookie(forged, SESSION_COOKIE), null);
+
+    // A callback replayed after a successful sign-in
+    const { callbackUrl: used } = await signIn(url, mock, 'alice');
+    const replayed = await fetch(`${url}${used.pathname}${used.search}`, { redirect: 'manual' });
+    assert.equal(replayed.status, 400);
+
+    const refused = await fetch(`${url}${callbackUrl.pathname}?error=access_denied`, { redirect: 'manual' });
+    assert.equal(refused.status, 400);
+    assert.match(await refused.text(), /refused the sign-in: access_denied/);
+});
+
+test('signing out ends the session and the provider session', async (t) => {
+    const { mock, url } = await startApp(t, { logoutRedirectUri: 'http://app.test/' });
+    const { cookie } = await signIn(url, mock, 'alice');
+
+    const logout = await fetch(`${url}${LOGOUT_PATH}`, { redirect: 'manual', headers: { cookie } });
+    assert.equal(logout.status, 302);
+    const providerLogout = await fetch(logout.headers.get('location'), { redirect: 'manual' });
+    assert.equal(providerLogout.headers.get('location'), 'http://app.test/');
+    assert.equal(mock.state.logoutCount, 1);
+
+    assert.equal((await fetch(`${url}/api/v1/portfolio`, { headers: { cookie } })).status, 401);
+});
+
+test('return paths must stay on this site', () => {
+    assert.equal(getSafeReturnPath('/owner/alice?x=1'), '/owner/alice?x=1');
+    assert.equal(getSafeReturnPath('//evil.example.com/'), '/');
+    assert.equal(getSafeReturnPath('/\\evil.example.com/'), '/');
+    assert.equal(getSafeReturnPath('https://evil.example.com/'), '/');
+    assert.equal(getSafeReturnPath(['/a']), '/');
+});
+
+test('cookies and token claims are parsed', () => {
+    assert.deepEqual(parseCookies('a=1; b=x%20y; broken=%E0'), { a: '1', b: 'x y' });
+
+    const claims = { preferred_username: 'alice' };
+    const token = `e30.${Buffer.from(JSON.stringify(claims)).toString('base64url')}.sig`;
+    assert.deepEqual(decodeTokenClaims(token), claims);
+    assert.throws(() => decodeTokenClaims('opaque-token'), /not a JWT/);
+});
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCache, combineFreshness } = require('../src/cache');
+const { quietLogger } = require('./helpers');
+
+const TTL = { ttlMs: 1000, staleMs: 5000 };
+
+/**
+ * A loader stand-in returning numbered values, optionally held until released
+ */
+const createLoader = () => {
+    const loader = {
+        calls: 0,
+        failure: null,
+        gate: null,
+        load: async () => {
+            loader.calls += 1;
+            const call = loader.calls;
+            if (loader.gate) {
+                await loader.gate;
+            }
+            await new Promise(resolve => setImmediate(resolve));
+            if (loader.failure) {
+                throw loader.failure;
+            }
+            return `value-${call}`;
+        }
+    };
+    return loader;
+};
+
+/**
+ * A clock that only moves when told to
+ */
+const createClock = () => {
+    const clock = { time: 1000000, now: () => clock.time };
+    return clock;
+};
+
+test('values are served from the cache until their TTL passes', async () => {
+    const clock = createClock();
+    const loader = createLoader();
+    const cache = createCache({ now: clock.now, logger: quietLogger });
+
+    const first = await cache.get('key', loader.load, TTL);
+    clock.time += 999;
+    const second = await cache.get('key', loader.load, TTL);
+
+    assert.deepEqual(first, { value: 'value-1', fetchedAt: 1000000, stale: false });
+    assert.deepEqual(second, first);
+    assert.equal(loader.calls, 1);
+    assert.deepEqual(cache.getStatus(), { entries: 1, hits: 1, staleHits: 0, misses: 1 });
+});
+
+test('concurrent requests for a missing value share one fetch', async () => {
+    const loader = createLoader();
+    const cache = createCache({ logger: quietLogger });
+
+    const results = await Promise.all([1, 2, 3].map(() => cache.get('key', loader.load, TTL)));
+
+    assert.equal(loader.calls, 1);
+    assert.deepEqual(results.map(({ value }) => value), ['value-1', 'value-1', 'value-1']);
+});
+
+test('expired values are served stale while one background fetch replaces them', async () => {
+    const clock = createClock();
+    const loader = createLoader();
+    const cache = createCache({ now: clock.now, logger: quietLogger });
+    await cache.get('key', loader.load, TTL);
+
+    clock.time += 2000;
+    let release;
+    loader.gate = new Promise(resolve => { release = resolve; });
+    const stale = await cache.get('key', loader.load, TTL);
+    const againStale = await cache.get('key', loader.load, TTL);
+
+    assert.deepEqual(stale, { value: 'value-1', fetchedAt: 1000000, stale: true });
+    assert.equal(againStale.value, 'value-1');
+    assert.equal(loader.calls, 2);
+
+    release();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const fresh = await cache.get('key', loader.load, TTL);
+    assert.deepEqual(fresh, { value: 'value-2', fetchedAt: 1002000, stale: false });
+});
+
+test('values past the stale window are fetched before answering', async () => {
+    const clock = createClock();
+    const loader = createLoader();
+    const cache = createCache({ now: clock.now, logger: quietLogger });
+    await cache.get('key', loader.load, TTL);
+
+    clock.time += 6000;
+    const result = await cache.get('key', loader.load, TTL);
+
+    assert.deepEqual(result, { value: 'value-2', fetchedAt: 1006000, stale: false });
+});
+
+test('failed fetches are not cached and a failed background refresh keeps the stale value', async () => {
+    const clock = createClock();
+    const loader = createLoader();
+    const cache = createCache({ now: clock.now, logger: quietLogger });
+
+    loader.failure = new Error('node down');
+    await assert.rejects(cache.get('key', loader.load, TTL), /node down/);
+    loader.failure = null;
+    assert.equal((await cache.get('key', loader.load, TTL)).value, 'value-2');
+
+    clock.time += 2000;
+    loader.failure = new Error('node down');
+    assert.equal((await cache.get('key', loader.load, TTL)).value, 'value-2');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepEqual(await cache.get('key', loader.load, TTL), { value: 'value-2', fetchedAt: 1000000, stale: true });
+});
+
+test('a TTL of 0 disables caching', async () => {
+    const loader = createLoader();
+    const cache = createCache({ logger: quietLogger });
+
+    await cache.get('key', loader.load, { ttlMs: 0, staleMs: 5000 });
+    await cache.get('key', loader.load, { ttlMs: 0, staleMs: 5000 });
+
+    assert.equal(loader.calls, 2);
+    assert.equal(cache.getStatus().entries, 0);
+});
+
+test('clearing the cache discards values and fetches already in flight', async () => {
+    const loader = createLoader();
+    const cache = createCache({ logger: quietLogger });
+    await cache.get('key', loader.load, TTL);
+
+    cache.clear();
+    let release;
+    loader.gate = new Promise(resolve => { release = resolve; });
+    const pending = cache.get('key', loader.load, TTL);
+    cache.clear();
+    loader.gate = null;
+    const afterClear = await cache.get('key', loader.load, TTL);
+    release();
+
+    assert.equal((await pending).value, 'value-2');
+    assert.equal(afterClear.value, 'value-3');
+    assert.equal((await cache.get('key', loader.load, TTL)).value, 'value-3');
+});
+
+test('combineFreshness reports the oldest and newest fetch', () => {
+    assert.deepEqual(combineFreshness([
+        { fetchedAt: 2000, stale: false },
+        { fetchedAt: 1000, stale: true }
+    ]), { fetchedAt: 1000, lastFetchedAt: 2000, stale: true });
+});
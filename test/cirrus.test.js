@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fetchCirrusTable } = require('../src/cirrus');
+
+/**
+ * A Cirrus client stand-in over `rowCount` rows that returns at most `maxRows` per request
+ */
+const createClient = (rowCount, maxRows = Infinity) => {
+    const client = {
+        offsets: [],
+        signals: [],
+        get: async (path, { params, signal }) => {
+            const offset = Number(params.get('offset'));
+            const limit = Number(params.get('limit'));
+            client.offsets.push(offset);
+            client.signals.push(signal);
+            const end = Math.min(rowCount, offset + Math.min(limit, maxRows));
+            return { data: Array.from({ length: Math.max(0, end - offset) }, (_, index) => ({ id: offset + index })) };
+        }
+    };
+    return client;
+};
+
+test('a table that fits in one page is fetched without prefetching', async () => {
+    const client = createClient(3);
+    const { data, pageCount } = await fetchCirrusTable(client, 'BlockApps-Mercata-Asset', { pageSize: 10 });
+
+    assert.equal(data.length, 3);
+    assert.equal(pageCount, 1);
+    assert.deepEqual(client.offsets, [0, 3]);
+});
+
+test('pages follow the rows Cirrus returns when it caps responses below the page size', async () => {
+    const client = createClient(23, 4);
+    const { data } = await fetchCirrusTable(client, 'BlockApps-Mercata-Asset', { pageSize: 10, concurrency: 3 });
+
+    assert.deepEqual(data.map(({ id }) => id), Array.from({ length: 23 }, (_, index) => index));
+});
+
+test('full pages are fetched ahead and pages past the end are cancelled', async () => {
+    const client = createClient(25);
+    const { data, pageCount } = await fetchCirrusTable(client, 'BlockApps-Mercata-Asset', { pageSize: 10, concurrency: 3 });
+
+    assert.equal(data.length, 25);
+    assert.equal(pageCount, 3);
+    assert.deepEqual(client.offsets, [0, 10, 20, 30, 40]);
+    assert.ok(client.signals.every(signal => signal.aborted));
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { InvalidQueryError, validateTableName, where, parseOrder, buildCirrusQuery, toCirrusPath } = require('../src/cirrusQuery');
+
+test('filters are encoded so values cannot change the query', () => {
+    assert.equal(where('ownerCommonName', 'eq', 'alice').value, 'eq.alice');
+    // Outside lists everything after the operator is the value
+    assert.equal(where('name', 'eq', 'Smith, J. (Jr)').value, 'eq.Smith, J. (Jr)');
+    assert.equal(where('price', 'gt', 5).value, 'gt.5');
+    assert.equal(where('isOpen', 'eq', true).value, 'eq.true');
+    assert.equal(where('name', 'like', '*Gold*').value, 'like.*Gold*');
+    assert.equal(where('name', 'in', ['a1', 'b,c', 'say "hi"', 'back\\slash', '']).value, 'in.(a1,"b,c","say \\"hi\\"","back\\\\slash","")');
+
+    assert.throws(() => where('name', 'ilike', 'x'), InvalidQueryError);
+    assert.throws(() => where('name', 'in', []), InvalidQueryError);
+    assert.throws(() => where('name', 'eq', { or: 'x' }), InvalidQueryError);
+    assert.throws(() => where('name&or=(x)', 'eq', 'x'), InvalidQueryError);
+});
+
+test('queries are built with repeated columns, selection, order and paging, percent-encoded', () => {
+    const params = buildCirrusQuery({
+        filters: [where('block_timestamp', 'gt', '2025-01-01'), where('block_timestamp', 'lt', '2025-02-01'), where('name', 'eq', 'a&b=c')],
+        select: ['address', 'name'],
+        order: 'block_timestamp.desc,address',
+        limit: 10,
+        offset: 20
+    });
+
+    assert.deepEqual(params.getAll('block_timestamp'), ['gt.2025-01-01', 'lt.2025-02-01']);
+    assert.equal(params.toString(), 'block_timestamp=gt.2025-01-01&block_timestamp=lt.2025-02-01&name=eq.a%26b%3Dc&select=address%2Cname&order=block_timestamp.desc%2Caddress.asc&limit=10&offset=20');
+    assert.equal(buildCirrusQuery().toString(), '');
+
+    assert.throws(() => buildCirrusQuery({ limit: 0 }), InvalidQueryError);
+    assert.throws(() => buildCirrusQuery({ offset: -1 }), InvalidQueryError);
+    assert.throws(() => buildCirrusQuery({ select: ['address', 'name,other'] }), InvalidQueryError);
+    assert.throws(() => parseOrder('address.sideways'), InvalidQueryError);
+});
+
+test('table names are checked before they become part of a path', () => {
+    assert.equal(validateTableName(' BlockApps-Mercata-Asset.ItemTransfers '), 'BlockApps-Mercata-Asset.ItemTransfers');
+    for (const table of ['', '../admin', 'a/b', 'a?b', '.hidden', 'Asset..Event']) {
+        assert.throws(() => validateTableName(table), InvalidQueryError, table);
+    }
+
+    assert.equal(toCirrusPath('BlockApps-Mercata-Sale', { filters: [where('isOpen', 'eq', true)], limit: 5 }), '/BlockApps-Mercata-Sale?isOpen=eq.true&limit=5');
+});
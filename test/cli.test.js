@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXIT_CODES, formatTable, runCli } = require('../src/cli');
+const { REGISTRY_FIXTURE, startMock, makeTempDir, writeCredentials, createOutput } = require('./helpers');
+
+/**
+ * Runs the CLI against a mock STRATO node
+ * @returns {Promise<{exitCode: number, stdout: string, stderr: string, mock: Object}>}
+ */
+const run = async (t, args, { credentials = {}, configureMock = () => {} } = {}) => {
+    const mock = await startMock();
+    t.after(() => mock.stop());
+    configureMock(mock);
+
+    const credentialsPath = writeCredentials(makeTempDir(t), mock.getCredentials({ retryBaseDelayMs: 1, ...credentials }));
+    const stdout = createOutput();
+    const stderr = createOutput();
+    const exitCode = await runCli([...args, '--credentials', credentialsPath, '--registry', REGISTRY_FIXTURE], { stdout, stderr, env: {} });
+
+    return { exitCode, stdout: stdout.text, stderr: stderr.text, mock };
+};
+
+test('portfolio --format json matches the JSON API', async (t) => {
+    const { exitCode, stdout, stderr } = await run(t, ['portfolio', '--format', 'json']);
+
+    assert.equal(exitCode, EXIT_CODES.OK);
+    assert.equal(stderr, '');
+    const portfolio = JSON.parse(stdout);
+    assert.equal(portfolio.owner, 'alice');
+    assert.equal(portfolio.totals.fungible.value, '5717.75');
+});
+
+test('portfolio prints a table with the totals', async (t) => {
+    const { exitCode, stdout } = await run(t, ['portfolio', '--owner', 'bob']);
+
+    assert.equal(exitCode, EXIT_CODES.OK);
+    assert.match(stdout, /^Owner: bob \(1 assets across 1 tokens\)/);
+    assert.match(stdout, /USDST\s+1\s+2.50\s+1\s+2.50/);
+    assert.match(stdout, /1 fungible tokens: \$2.50/);
+});
+
+test('portfolio --format csv --tokens writes one row per token', async (t) => {
+    const { exitCode, stdout } = await run(t, ['portfolio', '--format', 'csv', '--tokens']);
+
+    assert.equal(exitCode, EXIT_CODES.OK);
+    assert.match(stdout, /^Field,Value\r\n/);
+    assert.equal((stdout.match(/^ETHST,\w+,a1\w+,/gm) || []).length, 2);
+});
+
+test('prices lists aliased and fixed prices', async (t) => {
+    const { exitCode, stdout } = await run(t, ['prices', '--format', 'csv']);
+
+    assert.equal(exitCode, EXIT_CODES.OK);
+    assert.match(stdout, /\r\nETHST,2010,[^,]+,2,0.5,ok\r\n/);
+    assert.match(stdout, /\r\nUSDST,1,fixed,0,0,ok\r\n/);
+});
+
+test('asset lists the tokens of a holding by name', async (t) => {
+    const { exitCode, stdout } = await run(t, ['asset', 'ethst']);
+
+    assert.equal(exitCode, EXIT_CODES.OK);
+    assert.match(stdout, /a100000000000000000000000000000000000001\s+1.50\s+3,015.00/);
+    assert.match(stdout, /a100000000000000000000000000000000000002\s+0.25\s+502.50/);
+});
+
+test('exit codes distinguish usage, not-found, auth and API failures', async (t) => {
+    assert.equal((await run(t, ['frobnicate'])).exitCode, EXIT_CODES.USAGE);
+    assert.equal((await run(t, ['portfolio', '--format', 'xml'])).exitCode, EXIT_CODES.USAGE);
+    assert.equal((await run(t, ['portfolio', '--owner', 'no;way'])).exitCode, EXIT_CODES.USAGE);
+    assert.equal((await run(t, ['asset', 'NOPE'])).exitCode, EXIT_CODES.NOT_FOUND);
+
+    const auth = await run(t, ['prices'], { credentials: { clientSecret: 'wrong' } });
+    assert.equal(auth.exitCode, EXIT_CODES.AUTH);
+    assert.match(auth.stderr, /authentication failed/);
+
+    const api = await run(t, ['portfolio'], { configureMock: (mock) => { mock.state.cirrusFailureStatus = 503; } });
+    assert.equal(api.exitCode, EXIT_CODES.API);
+    assert.equal(api.stdout, '');
+});
+
+test('a missing credentials file is a configuration error', async () => {
+    const stderr = createOutput();
+    const exitCode = await runCli(['prices', '--credentials', '/nonexistent/credentials.yaml'], { stdout: createOutput(), stderr, env: {} });
+
+    assert.equal(exitCode, EXIT_CODES.CONFIG);
+    assert.match(stderr.text, /Failed to read credentials/);
+});
+
+test('formatTable pads columns and right-aligns numbers', () => {
+    const table = formatTable(
+        [{ key: 'name', header: 'Name' }, { key: 'value', header: 'Value', align: 'right' }],
+        [{ name: 'a', value: '1' }, { name: 'longer', value: '1000' }]
+    );
+    assert.equal(table, 'Name    Value\n------  -----\na           1\nlonger   1000');
+});
+
+test('--profile selects the node to query', async (t) => {
+    const mock = await startMock();
+    t.after(() => mock.stop());
+
+    const credentialsPath = writeCredentials(makeTempDir(t), {
+        ...mock.getCredentials({ clientUrl: 'unreachable.invalid' }),
+        profiles: { local: { clientUrl: mock.getUrl() } }
+    });
+    const stdout = createOutput();
+    const exitCode = await runCli(['prices', '--format', 'json', '--profile', 'local', '--credentials', credentialsPath, '--registry', REGISTRY_FIXTURE], { stdout, stderr: createOutput(), env: {} });
+
+    assert.equal(exitCode, EXIT_CODES.OK);
+    assert.equal(JSON.parse(stdout.text).prices.ETH, '2010');
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ConfigError, UnknownProfileError, getEnvName, resolveConfig, loadConfig, parseProfileList } = require('../src/config');
+const { DEFAULT_CIRRUS_BASE_PATH } = require('../src/strato');
+const { makeTempDir, writeCredentials } = require('./helpers');
+
+const BASE = {
+    clientUrl: 'node.example.com',
+    clientId: 'client',
+    clientSecret: 'secret',
+    userCommonName: 'alice'
+};
+
+const PROFILES = {
+    ...BASE,
+    profiles: {
+        testnet: { clientUrl: 'testnet.example.com', openIdDiscoveryUrl: 'https://auth.example.com/testnet/.well-known/openid-configuration' },
+        mainnet: { clientUrl: 'mainnet.example.com', clientId: 'mainnet-client' }
+    }
+};
+
+test('missing settings fall back to the defaults', () => {
+    const { profile, settings } = resolveConfig(BASE);
+
+    assert.equal(profile, 'default');
+    assert.equal(settings.port, 3000);
+    assert.equal(settings.snapshotIntervalMinutes, 60);
+    assert.equal(settings.cirrusBasePath, DEFAULT_CIRRUS_BASE_PATH);
+});
+
+test('environment variables override the file and are coerced to their types', () => {
+    const { settings } = resolveConfig(BASE, {
+        env: { STRATO_CLIENT_SECRET: 'from-env', STRATO_PORT: '8080', STRATO_ORACLE_MAX_SPREAD_PERCENT: '2.5' }
+    });
+
+    assert.equal(settings.clientSecret, 'from-env');
+    assert.equal(settings.port, 8080);
+    assert.equal(settings.oracleMaxSpreadPercent, 2.5);
+});
+
+test('every problem is reported at once', () => {
+    assert.throws(
+        () => resolveConfig({ clientUrl: 'node.example.com', port: 'http', cirrusBasePath: 'cirrus', colour: 'blue' }, { source: 'test.yaml' }),
+        (error) => {
+            assert.ok(error instanceof ConfigError);
+            assert.match(error.message, /^Invalid configuration in test\.yaml/);
+            assert.deepEqual(error.problems, [
+                'unknown setting "colour"',
+                'settings: clientId is required (set it in the credentials file or STRATO_CLIENT_ID)',
+                'settings: clientSecret is required (set it in the credentials file or STRATO_CLIENT_SECRET)',
+                'settings: userCommonName is required (set it in the credentials file or STRATO_USER_COMMON_NAME)',
+                'settings: cirrusBasePath must be a path starting with "/", got "cirrus"',
+                'settings: port must be an integer, got "http"'
+            ]);
+            return true;
+        }
+    );
+});
+
+test('a token cache file needs a long enough secret', () => {
+    assert.throws(
+        () => resolveConfig({ ...BASE, tokenCacheFile: 'data/tokens.json' }),
+        /tokenCacheSecret is required when tokenCacheFile is set \(set it in the credentials file or STRATO_TOKEN_CACHE_SECRET\)/
+    );
+    assert.throws(
+        () => resolveConfig({ ...BASE, tokenCacheFile: 'data/tokens.json', tokenCacheSecret: 'short' }),
+        /tokenCacheSecret must be at least 16 characters long/
+    );
+    assert.equal(resolveConfig(BASE).settings.tokenCacheFile, undefined);
+});
+
+test('profiles inherit the shared settings and override them', () => {
+    const { profile, settings, profiles } = resolveConfig(PROFILES, { profile: 'mainnet' });
+
+    assert.equal(profile, 'mainnet');
+    assert.equal(settings.clientUrl, 'mainnet.example.com');
+    assert.equal(settings.clientId, 'mainnet-client');
+    assert.equal(settings.clientSecret, 'secret');
+    assert.equal(profiles.testnet.clientId, 'client');
+    assert.equal(profiles.testnet.openIdDiscoveryUrl, PROFILES.profiles.testnet.openIdDiscoveryUrl);
+});
+
+test('profile environment variables take precedence over the profile and shared settings', () => {
+    const env = {
+        STRATO_PROFILE: 'testnet',
+        STRATO_CLIENT_ID: 'shared-env',
+        STRATO_MAINNET_CLIENT_ID: 'mainnet-env'
+    };
+    const { profile, profiles } = resolveConfig(PROFILES, { env });
+
+    assert.equal(profile, 'testnet');
+    assert.equal(profiles.testnet.clientId, 'shared-env');
+    assert.equal(profiles.mainnet.clientId, 'mainnet-env');
+    assert.equal(getEnvName('clientId', 'main-net'), 'STRATO_MAIN_NET_CLIENT_ID');
+});
+
+test('an unknown profile is a configuration error', () => {
+    assert.throws(() => resolveConfig(PROFILES, { profile: 'devnet' }), /unknown profile "devnet" \(configured: testnet, mainnet\)/);
+});
+
+test('the file may be omitted when the environment supplies the settings', () => {
+    const env = {
+        STRATO_CLIENT_URL: 'node.example.com',
+        STRATO_CLIENT_ID: 'client',
+        STRATO_CLIENT_SECRET: 'secret',
+        STRATO_USER_COMMON_NAME: 'alice'
+    };
+    const { settings, source } = loadConfig({ filePath: '/nonexistent/credentials.yaml', env });
+
+    assert.equal(source, '/nonexistent/credentials.yaml');
+    assert.equal(settings.clientUrl, 'node.example.com');
+    assert.throws(() => loadConfig({ filePath: '/nonexistent/credentials.yaml', env: {} }), /file not found/);
+});
+
+test('STRATO_CREDENTIALS_FILE chooses the file', (t) => {
+    const filePath = writeCredentials(makeTempDir(t), PROFILES);
+    const { profile, source } = loadConfig({ env: { STRATO_CREDENTIALS_FILE: filePath, STRATO_PROFILE: 'mainnet' } });
+
+    assert.equal(path.resolve(source), filePath);
+    assert.equal(profile, 'mainnet');
+});
+
+test('parseProfileList accepts configured profiles only', () => {
+    const config = resolveConfig(PROFILES, { profile: 'testnet' });
+
+    assert.deepEqual(parseProfileList(config, 'mainnet, testnet,mainnet'), ['mainnet', 'testnet']);
+    assert.throws(() => parseProfileList(config, 'mainnet,default'), UnknownProfileError);
+});
+
+test('browser login settings are parsed from the environment', () => {
+    const { settings } = resolveConfig(BASE, {
+        env: { STRATO_BROWSER_LOGIN: 'true', STRATO_ADMIN_COMMON_NAMES: 'carol, dave', STRATO_METRICS_TOKEN: 'metrics-token-0123456789' }
+    });
+
+    assert.equal(settings.browserLogin, true);
+    assert.deepEqual(settings.adminCommonNames, ['carol', 'dave']);
+    assert.equal(settings.commonNameClaim, 'preferred_username');
+    assert.equal(resolveConfig(BASE).settings.browserLogin, false);
+    assert.equal(resolveConfig(BASE, { env: { STRATO_BROWSER_LOGIN: 'false' } }).settings.metricsToken, undefined);
+    assert.throws(() => resolveConfig({ ...BASE, browserLogin: true }), /metricsToken is required when browserLogin is set/);
+    assert.throws(() => resolveConfig(BASE, { env: { STRATO_BROWSER_LOGIN: 'yes' } }), /browserLogin must be true or false/);
+    assert.throws(() => resolveConfig({ ...BASE, adminCommonNames: 'carol;drop' }), /adminCommonNames/);
+});
+
+test('the cost basis method is one of the supported methods', () => {
+    assert.equal(resolveConfig(BASE).settings.costBasisMethod, 'fifo');
+    assert.equal(resolveConfig(BASE, { env: { STRATO_COST_BASIS_METHOD: 'average' } }).settings.costBasisMethod, 'average');
+    assert.throws(() => resolveConfig({ ...BASE, costBasisMethod: 'lifo' }), /costBasisMethod must be one of fifo, average, got "lifo"/);
+});
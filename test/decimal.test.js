@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    parseRawQuantity,
+    parseDecimal,
+    fromRaw,
+    toRaw,
+    add,
+    sum,
+    multiply,
+    divide,
+    compare,
+    round,
+    toDecimalString,
+    formatDecimal
+} = require('../src/decimal');
+
+test('parseRawQuantity reads integers beyond Number precision exactly', () => {
+    assert.equal(parseRawQuantity('123456789012345678901234567890'), 123456789012345678901234567890n);
+    assert.equal(parseRawQuantity(' 42 '), 42n);
+    assert.equal(parseRawQuantity(7), 7n);
+    assert.equal(parseRawQuantity(5n), 5n);
+});
+
+test('parseRawQuantity handles exponents, fractions and junk', () => {
+    assert.equal(parseRawQuantity('1e+21'), 1000000000000000000000n);
+    assert.equal(parseRawQuantity('12.9'), 12n);
+    assert.equal(parseRawQuantity('abc'), 0n);
+    assert.equal(parseRawQuantity(null), 0n);
+    assert.equal(parseRawQuantity(undefined), 0n);
+    assert.equal(parseRawQuantity(Infinity), 0n);
+});
+
+test('parseDecimal parses prices and rejects non-numbers', () => {
+    assert.equal(toDecimalString(parseDecimal('1834.25')), '1834.25');
+    assert.equal(toDecimalString(parseDecimal('1e-7')), '0.0000001');
+    assert.equal(toDecimalString(parseDecimal('2.5E3')), '2500');
+    assert.equal(toDecimalString(parseDecimal('-0.50')), '-0.5');
+    assert.equal(toDecimalString(parseDecimal('.5')), '0.5');
+    assert.equal(parseDecimal(''), null);
+    assert.equal(parseDecimal('.'), null);
+    assert.equal(parseDecimal('1,000'), null);
+    assert.equal(parseDecimal(NaN), null);
+    assert.equal(parseDecimal({}), null);
+});
+
+test('parseDecimal rejects exponents and digit runs too large to scale', () => {
+    assert.equal(parseDecimal('1e-100000000'), null);
+    assert.equal(parseDecimal('1e20000000'), null);
+    assert.equal(parseDecimal('9'.repeat(1001)), null);
+    assert.equal(toDecimalString(parseDecimal('1e1000')), `1${'0'.repeat(1000)}`);
+});
+
+test('fromRaw scales by decimals and treats missing or invalid decimals as 0', () => {
+    assert.equal(toDecimalString(fromRaw('1500000000000000000', 18)), '1.5');
+    assert.equal(toDecimalString(fromRaw('1', 18)), '0.000000000000000001');
+    assert.equal(toDecimalString(fromRaw('1500', '2')), '15');
+    assert.equal(toDecimalString(fromRaw('1500', null)), '1500');
+    assert.equal(toDecimalString(fromRaw('1500', -3)), '1500');
+    assert.equal(toDecimalString(fromRaw('1500', 'x')), '1500');
+});
+
+test('toRaw scales back to the on-chain integer and rejects digits the asset cannot hold', () => {
+    assert.equal(toRaw(parseDecimal('1.5'), 18), 1500000000000000000n);
+    assert.equal(toRaw(parseDecimal('15.00'), 0), 15n);
+    assert.equal(toRaw(parseDecimal('0.000000000000000001'), 18), 1n);
+    assert.equal(toRaw(parseDecimal('1.5'), 0), null);
+});
+
+test('arithmetic is exact where floating point is not', () => {
+    assert.equal(toDecimalString(add(parseDecimal('0.1'), parseDecimal('0.2'))), '0.3');
+    assert.equal(toDecimalString(sum([])), '0');
+    assert.equal(
+        toDecimalString(multiply(fromRaw('1234567890123456789', 18), parseDecimal('2000.5'))),
+        '2469.7530641919753063945'
+    );
+    assert.equal(compare(parseDecimal('1.10'), parseDecimal('1.1')), 0);
+    assert.equal(compare(parseDecimal('-2'), parseDecimal('1')), -1);
+});
+
+test('divide rounds half away from zero and rejects zero divisors', () => {
+    assert.equal(toDecimalString(divide(parseDecimal('2'), parseDecimal('3'), 4)), '0.6667');
+    assert.equal(toDecimalString(divide(parseDecimal('-1'), parseDecimal('8'), 2)), '-0.13');
+    assert.throws(() => divide(parseDecimal('1'), parseDecimal('0'), 2), RangeError);
+});
+
+test('round rounds half away from zero', () => {
+    assert.equal(toDecimalString(round(parseDecimal('2.345'), 2)), '2.35');
+    assert.equal(toDecimalString(round(parseDecimal('-2.345'), 2)), '-2.35');
+    assert.equal(toDecimalString(round(parseDecimal('2.344'), 2)), '2.34');
+});
+
+test('formatDecimal groups thousands and bounds fraction digits', () => {
+    assert.equal(formatDecimal(parseDecimal('1234567.891'), { minimumFractionDigits: 2, maximumFractionDigits: 2 }), '1,234,567.89');
+    assert.equal(formatDecimal(parseDecimal('5'), { minimumFractionDigits: 2, maximumFractionDigits: 6 }), '5.00');
+    assert.equal(formatDecimal(parseDecimal('-0.001'), { minimumFractionDigits: 2, maximumFractionDigits: 2 }), '0.00');
+});
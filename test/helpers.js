@@ -0,0 +1,115 @@
+/**
+ * Shared test setup: the mock STRATO node, temporary config files and a quiet logger.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { oauthUtil } = require('blockapps-rest');
+const { createMockServer } = require('../mock/server');
+
+const REGISTRY_FIXTURE = path.join(__dirname, 'fixtures', 'assets.yaml');
+
+// Keeps OAuth and API progress messages out of the test output
+const quietLogger = { log: () => {}, error: () => {} };
+
+// Running mocks by discovery URL
+const runningMocks = new Map();
+
+// blockapps-rest reads the discovery document with a synchronous request, which blocks this
+// process and so can never be answered by a mock running in it; the mock hands it over directly
+oauthUtil.prototype.getOpenIdConfig = function getOpenIdConfig() {
+    const mock = runningMocks.get(this.openIdDiscoveryUrl);
+    if (!mock) {
+        throw Object.assign(new Error(`connect ECONNREFUSED ${this.openIdDiscoveryUrl}`), { code: 'ECONNREFUSED' });
+    }
+    this.openIdConfig = mock.getDiscoveryDocument();
+    this.jwtAlgorithm = this.openIdConfig.id_token_signing_alg_values_supported;
+    this.issuer = this.openIdConfig.issuer;
+    this.logOutUrl = this.openIdConfig.end_session_endpoint;
+    this.keys = [];
+};
+
+/**
+ * Starts a mock STRATO node on a free port
+ * @param {Object} [options] - Options for createMockServer
+ * @returns {Promise<Object>} - The running mock
+ */
+const startMock = async (options) => {
+    const mock = createMockServer(options);
+    await mock.start();
+
+    const { openIdDiscoveryUrl } = mock.getCredentials();
+    runningMocks.set(openIdDiscoveryUrl, mock);
+    const stop = mock.stop;
+    mock.stop = () => {
+        runningMocks.delete(openIdDiscoveryUrl);
+        return stop();
+    };
+    return mock;
+};
+
+/**
+ * Creates a temporary directory that is removed when the test finishes
+ * @param {TestContext} t - The test context
+ * @returns {string} - The directory path
+ */
+const makeTempDir = (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'strato-assets-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+};
+
+/**
+ * Writes a credentials.yaml file
+ * @param {string} directory - Where to write it
+ * @param {Object} credentials - The settings
+ * @returns {string} - The file path
+ */
+const writeCredentials = (directory, credentials) => {
+    const filePath = path.join(directory, 'credentials.yaml');
+    fs.writeFileSync(filePath, yaml.dump(credentials), 'utf8');
+    return filePath;
+};
+
+/**
+ * Starts an Express app on a free port
+ * @param {Express} app - The app
+ * @returns {Promise<{url: string, close: Function}>} - Its base URL and a function to stop it
+ */
+const listen = (app) => new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+        resolve({
+            url: `http://127.0.0.1:${server.address().port}`,
+            close: () => new Promise(done => {
+                server.close(() => done());
+                server.closeAllConnections();
+            })
+        });
+    });
+});
+
+/**
+ * A writable stand-in for stdout/stderr that keeps what was written
+ */
+const createOutput = () => {
+    const output = {
+        text: '',
+        write: (chunk) => {
+            output.text += chunk;
+            return true;
+        }
+    };
+    return output;
+};
+
+module.exports = {
+    REGISTRY_FIXTURE,
+    quietLogger,
+    startMock,
+    makeTempDir,
+    writeCredentials,
+    listen,
+    createOutput
+};
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatEvent, diffViews, createLiveUpdates } = require('../src/live');
+const { quietLogger } = require('./helpers');
+
+const view = (totals, assets) => ({ totals, assets: new Map(Object.entries(assets).map(([key, html]) => [key, { key, html }])) });
+
+/**
+ * A hub over a portfolio the test changes between polls. Portfolios here are already views:
+ * {totals, assets: {key: html}}.
+ */
+const createHub = (options = {}) => {
+    const source = { portfolio: { totals: 'T1', assets: { ETH: 'eth-1', USD: 'usd-1' } }, failure: null, loads: 0 };
+    const hub = createLiveUpdates({
+        loadPortfolio: async (owner) => {
+            source.loads += 1;
+            if (source.failure) {
+                throw source.failure;
+            }
+            return { owner, ...source.portfolio };
+        },
+        renderView: ({ totals, assets }) => ({ totals, assets: Object.entries(assets).map(([key, html]) => ({ key, html })) }),
+        describeError: (error) => ({ error: error.message }),
+        intervalMs: 20,
+        logger: quietLogger,
+        ...options
+    });
+    return { source, hub };
+};
+
+/**
+ * Collects the events a subscriber receives
+ */
+const createSubscriber = () => {
+    const subscriber = {
+        events: [],
+        comments: 0,
+        send: (text) => {
+            const match = /^event: (.+)\ndata: (.+)\n\n$/.exec(text);
+            if (match) {
+                subscriber.events.push({ event: match[1], data: JSON.parse(match[2]) });
+            } else {
+                subscriber.comments += 1;
+            }
+        }
+    };
+    return subscriber;
+};
+
+const waitFor = async (condition) => {
+    for (let attempt = 0; attempt < 200 && !condition(); attempt += 1) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    assert.ok(condition(), 'condition not met in time');
+};
+
+test('events use the text/event-stream format', () => {
+    assert.equal(formatEvent('portfolio', { quantity: 10n }), 'event: portfolio\ndata: {"quantity":"10"}\n\n');
+});
+
+test('diffViews reports changed, added and removed cards', () => {
+    const changes = diffViews(view('T1', { ETH: 'a', USD: 'b', OLD: 'c' }), view('T1', { ETH: 'a2', USD: 'b', NEW: 'd' }));
+
+    assert.equal(changes.totals, null);
+    assert.deepEqual(changes.assets.map(({ key }) => key), ['ETH', 'NEW']);
+    assert.deepEqual(changes.added, ['NEW']);
+    assert.deepEqual(changes.removed, ['OLD']);
+
+    const initial = diffViews(null, view('T1', { ETH: 'a' }));
+    assert.equal(initial.totals, 'T1');
+    assert.deepEqual(initial.added, []);
+});
+
+test('subscribers get every card first and then only what changed', async () => {
+    const { source, hub } = createHub();
+    const first = createSubscriber();
+    const unsubscribe = hub.subscribe('alice', first.send);
+
+    await waitFor(() => first.events.length === 1);
+    assert.equal(first.events[0].event, 'portfolio');
+    assert.equal(first.events[0].data.totals, 'T1');
+    assert.deepEqual(first.events[0].data.assets.map(({ key }) => key), ['ETH', 'USD']);
+
+    source.portfolio = { totals: 'T2', assets: { ETH: 'eth-2', USD: 'usd-1' } };
+    await waitFor(() => first.events.length === 2);
+    assert.equal(first.events[1].data.totals, 'T2');
+    assert.deepEqual(first.events[1].data.assets, [{ key: 'ETH', html: 'eth-2' }]);
+
+    // A later subscriber catches up with the current state straight away
+    const second = createSubscriber();
+    const unsubscribeSecond = hub.subscribe('alice', second.send);
+    assert.equal(second.events.length, 1);
+    assert.equal(second.events[0].data.totals, 'T2');
+    assert.deepEqual(hub.getStatus(), { owners: [{ owner: 'alice', subscribers: 2 }] });
+
+    await waitFor(() => first.comments > 0);
+    unsubscribe();
+    unsubscribeSecond();
+});
+
+test('polling stops with the last subscriber', async () => {
+    const { source, hub } = createHub();
+    const subscriber = createSubscriber();
+    const unsubscribe = hub.subscribe('alice', subscriber.send);
+    await waitFor(() => source.loads >= 2);
+
+    unsubscribe();
+    const loads = source.loads;
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    assert.ok(source.loads <= loads + 1);
+    assert.deepEqual(hub.getStatus(), { owners: [] });
+});
+
+test('failed polls are reported and polling carries on', async () => {
+    const { source, hub } = createHub();
+    source.failure = new Error('node down');
+    const subscriber = createSubscriber();
+    const unsubscribe = hub.subscribe('alice', subscriber.send);
+
+    await waitFor(() => subscriber.events.length === 1);
+    assert.deepEqual(subscriber.events[0], { event: 'upstream-error', data: { error: 'node down' } });
+
+    source.failure = null;
+    await waitFor(() => subscriber.events.length === 2);
+    assert.equal(subscriber.events[1].event, 'portfolio');
+    unsubscribe();
+});
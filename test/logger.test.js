@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getRequestId, runWithRequestId, resolveRequestId, createLogger } = require('../src/logger');
+
+/**
+ * A stream that keeps the parsed lines written to it
+ */
+const createCapture = () => {
+    const capture = { lines: [], write: (text) => capture.lines.push(JSON.parse(text)) };
+    return capture;
+};
+
+test('log lines are JSON with fields and the current request ID', async () => {
+    const stream = createCapture();
+    const logger = createLogger({ stream, fields: { service: 'portfolio' }, now: () => Date.UTC(2025, 0, 2) });
+
+    logger.log('Started');
+    await runWithRequestId('req-1', async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        logger.error('Failed to fetch assets', { table: 'BlockApps-Mercata-Asset', error: new Error('timeout') });
+    });
+    logger.child({ node: 'https://node1' }).log('Retrying in %dms', 250);
+
+    assert.deepEqual(stream.lines, [
+        { time: '2025-01-02T00:00:00.000Z', level: 'info', msg: 'Started', service: 'portfolio' },
+        { time: '2025-01-02T00:00:00.000Z', level: 'error', msg: 'Failed to fetch assets', requestId: 'req-1', service: 'portfolio', table: 'BlockApps-Mercata-Asset', error: 'timeout' },
+        { time: '2025-01-02T00:00:00.000Z', level: 'info', msg: 'Retrying in 250ms', service: 'portfolio', node: 'https://node1' }
+    ]);
+    assert.equal(getRequestId(), null);
+});
+
+test('request IDs from callers are reused only when they look like IDs', () => {
+    assert.equal(resolveRequestId('abc-123.DEF_4'), 'abc-123.DEF_4');
+    for (const header of [undefined, '', 'two words', 'x'.repeat(129), 'id\n{"level":"info"}']) {
+        assert.match(resolveRequestId(header), /^[0-9a-f-]{36}$/, String(header));
+    }
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetricsRegistry } = require('../src/metrics');
+
+test('counters, gauges and histograms are rendered in the Prometheus text format', async () => {
+    const metrics = createMetricsRegistry();
+    const requests = metrics.counter('upstream_requests_total', 'Requests');
+    const duration = metrics.histogram('upstream_request_duration_seconds', 'Latency', [0.1, 1]);
+    const value = metrics.gauge('portfolio_value_usd', 'Value');
+
+    requests.inc({ api: 'cirrus', status: '200' });
+    requests.inc({ api: 'cirrus', status: '200' });
+    requests.inc({ api: 'oauth', status: 'timeout' });
+    duration.observe({ api: 'cirrus' }, 0.05);
+    duration.observe({ api: 'cirrus' }, 0.5);
+    value.set({ asset: 'say "GOLD"' }, 12.5);
+
+    assert.equal(await metrics.render(), [
+        '# HELP upstream_requests_total Requests',
+        '# TYPE upstream_requests_total counter',
+        'upstream_requests_total{api="cirrus",status="200"} 2',
+        'upstream_requests_total{api="oauth",status="timeout"} 1',
+        '# HELP upstream_request_duration_seconds Latency',
+        '# TYPE upstream_request_duration_seconds histogram',
+        'upstream_request_duration_seconds_bucket{api="cirrus",le="0.1"} 1',
+        'upstream_request_duration_seconds_bucket{api="cirrus",le="1"} 2',
+        'upstream_request_duration_seconds_bucket{api="cirrus",le="+Inf"} 2',
+        'upstream_request_duration_seconds_sum{api="cirrus"} 0.55',
+        'upstream_request_duration_seconds_count{api="cirrus"} 2',
+        '# HELP portfolio_value_usd Value',
+        '# TYPE portfolio_value_usd gauge',
+        'portfolio_value_usd{asset="say \\"GOLD\\""} 12.5',
+        ''
+    ].join('\n'));
+});
+
+test('collectors set values on each scrape and a metric is registered once per name', async () => {
+    const metrics = createMetricsRegistry();
+    let refreshes = 0;
+    metrics.addCollector(async () => {
+        metrics.counter('refreshes_total', 'Refreshes').set({}, refreshes);
+    });
+
+    refreshes = 3;
+    assert.match(await metrics.render(), /^refreshes_total 3$/m);
+    refreshes = 4;
+    assert.match(await metrics.render(), /^refreshes_total 4$/m);
+
+    assert.throws(() => metrics.gauge('not a name', 'Invalid'), /Invalid metric name/);
+});
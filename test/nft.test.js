@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAssetRegistry } = require('../src/assetRegistry');
+const { buildPortfolio } = require('../src/portfolio');
+const { toDecimalString } = require('../src/decimal');
+const { parseImageUrls, getItemMetadata, applyNftValuations, getNonFungibleOrigins } = require('../src/nft');
+const { REGISTRY_FIXTURE } = require('./helpers');
+
+const registry = createAssetRegistry(REGISTRY_FIXTURE);
+
+const NOW = Date.parse('2025-06-01T00:00:00Z');
+
+const artwork = (address, origin, owner = 'alice', extra = {}) => ({
+    address,
+    originAddress: origin,
+    creator: 'alice',
+    name: `Artwork ${origin}`,
+    quantity: '1',
+    decimals: 0,
+    ownerCommonName: owner,
+    ...extra
+});
+
+const sale = (address, price, date) => ({ address, price, block_timestamp: `${date} 00:00:00 UTC` });
+
+const listing = (assetToBeSold, price) => ({ assetToBeSold, price, isOpen: true });
+
+/**
+ * Values alice's copies of items o1 to o5, whose other editions are held by bob
+ */
+const valueArtworks = (listings, events) => {
+    const owned = ['o1', 'o2', 'o3', 'o4', 'o5'].map(origin => artwork(`a${origin}`, origin));
+    const editions = [...owned, ...owned.map(token => artwork(`b${token.originAddress}`, token.originAddress, 'bob'))];
+    const portfolio = buildPortfolio('alice', owned, {}, registry);
+    const valued = applyNftValuations(portfolio, { editions, listings, events }, { now: NOW, saleMaxAgeDays: 90 });
+    return {
+        valued,
+        byOrigin: new Map(valued.assets.map(asset => [asset.originAddress, asset.nftValuation]))
+    };
+};
+
+test('confidence depends on how recent and independent the marketplace evidence is', () => {
+    const { valued, byOrigin } = valueArtworks([
+        listing('bo1', '80'),
+        listing('bo2', '200'),
+        listing('ao4', '500')
+    ], [
+        sale('bo1', '100', '2025-05-01'),
+        sale('bo1', '60', '2025-01-01'),
+        sale('bo3', '40', '2024-01-01')
+    ]);
+
+    const summary = (origin) => {
+        const valuation = byOrigin.get(origin);
+        return valuation && [toDecimalString(valuation.unitPrice), valuation.confidence];
+    };
+    // A recent sale and another seller's listing: the lower of the two
+    assert.deepEqual(summary('o1'), ['80', 'high']);
+    assert.deepEqual(summary('o2'), ['200', 'medium']);
+    assert.deepEqual(summary('o3'), ['40', 'low']);
+    // The owner's own asking price is the weakest evidence
+    assert.deepEqual(summary('o4'), ['500', 'low']);
+    assert.equal(summary('o5'), null);
+
+    assert.equal(byOrigin.get('o1').lastSale.at, '2025-05-01T00:00:00.000Z');
+    assert.equal(toDecimalString(valued.totals.nftEstimate.value), '820');
+    assert.deepEqual(valued.totals.nftEstimate.confidence, { high: 1, medium: 1, low: 2 });
+    assert.equal(valued.totals.nftEstimate.itemCount, 4);
+    // Estimates are kept apart from the oracle-valued totals
+    assert.equal(valued.totals.nonFungible.tokenCount, 5);
+    assert.equal(toDecimalString(valued.totals.fungible.value), '0');
+});
+
+test('in a consolidated portfolio every owner\'s listing counts as their own', () => {
+    const owned = [artwork('ao1', 'o1'), artwork('bo1', 'o1', 'bob')];
+    const portfolio = buildPortfolio('alice, bob', owned, {}, registry);
+    const valued = applyNftValuations(portfolio, { editions: owned, listings: [listing('bo1', '300')], events: [] }, { now: NOW, owners: ['alice', 'bob'] });
+
+    const [{ nftValuation }] = valued.assets;
+    assert.equal(nftValuation.confidence, 'low');
+    assert.equal(nftValuation.lowestListing, null);
+});
+
+test('only items without an oracle price from verified issuers are valued', () => {
+    const portfolio = buildPortfolio('alice', [
+        artwork('a1', 'o1'),
+        artwork('f1', 'of1', 'alice', { creator: 'mallory' }),
+        { address: 'e1', originAddress: '0100000000000000000000000000000000000001', creator: 'BlockApps', name: 'ETHST', quantity: '1', decimals: 0, ownerCommonName: 'alice' }
+    ], { ETHST: '2000' }, registry);
+
+    assert.deepEqual(getNonFungibleOrigins(portfolio), ['o1']);
+    const valued = applyNftValuations(portfolio, {
+        editions: [artwork('a1', 'o1'), artwork('f1', 'of1', 'alice', { creator: 'mallory' })],
+        listings: [listing('f1', '999')],
+        events: [sale('a1', '10', '2025-05-01')]
+    }, { now: NOW });
+
+    assert.deepEqual(valued.assets.map(asset => asset.nftValuation === undefined ? 'skipped' : toDecimalString(asset.nftValuation.value)).sort(), ['10', 'skipped', 'skipped']);
+});
+
+test('image URLs are read from arrays and strings, and only http and https are kept', () => {
+    assert.deepEqual(parseImageUrls({ images: ['https://a.example/1.png', 'javascript:alert(1)'] }), ['https://a.example/1.png']);
+    assert.deepEqual(parseImageUrls({ images: '["http://a.example/2.png", "data:image/png;base64,AAAA"]' }), ['http://a.example/2.png']);
+    assert.deepEqual(parseImageUrls({ images: 'https://a.example/3.png, https://a.example/4.png' }), ['https://a.example/3.png', 'https://a.example/4.png']);
+    assert.deepEqual(parseImageUrls({ image: 'https://a.example/"onerror="x' }), []);
+    assert.deepEqual(parseImageUrls({ images: '[not json' }), []);
+    assert.deepEqual(parseImageUrls({}), []);
+
+    assert.deepEqual(getItemMetadata({
+        tokens: [
+            { images: ['https://a.example/1.png'] },
+            { description: '  A print  ', images: ['https://a.example/1.png', 'https://a.example/5.png'] }
+        ]
+    }), { description: 'A print', images: ['https://a.example/1.png', 'https://a.example/5.png'] });
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAssetRegistry } = require('../src/assetRegistry');
+const { buildPortfolio } = require('../src/portfolio');
+const {
+    InvalidCostBasisMethodError,
+    validateCostBasisMethod,
+    buildPriceHistory,
+    getHistoricalPrice,
+    readTransferEvents,
+    buildProfitAndLoss,
+    serializeProfitAndLoss
+} = require('../src/pnl');
+const { REGISTRY_FIXTURE } = require('./helpers');
+
+const ETHER = 1000000000000000000n;
+
+const registry = createAssetRegistry(REGISTRY_FIXTURE);
+
+const ORACLE_ROWS = [
+    { name: 'ETH', consensusPrice: '1000', block_timestamp: '2025-01-01 00:00:00 UTC' },
+    { name: 'ETH', consensusPrice: '2000', block_timestamp: '2025-03-01 00:00:00 UTC' },
+    { name: 'ETH', consensusPrice: '3000', block_timestamp: '2025-06-01 00:00:00 UTC' }
+];
+
+const ethToken = (address, quantity, creator = 'BlockApps') => ({
+    address,
+    originAddress: creator === 'BlockApps' ? '0100000000000000000000000000000000000001' : `0f${address}`,
+    creator,
+    name: 'ETHST',
+    quantity: quantity.toString(),
+    decimals: 18,
+    ownerCommonName: 'alice'
+});
+
+const transfer = (from, to, quantity, price, date, address = 'a1') => ({
+    address,
+    assetName: 'ETHST',
+    oldOwnerCommonName: from,
+    newOwnerCommonName: to,
+    quantity: quantity.toString(),
+    price,
+    block_timestamp: `${date} 00:00:00 UTC`
+});
+
+/**
+ * Bought 2 at 1000, received 1 when ETH was 2000, sold 1.5 at 2500; 1.5 left, priced at 3000
+ */
+const HISTORY = [
+    transfer('bob', 'alice', 2n * ETHER, '1000', '2025-01-15'),
+    transfer('carol', 'alice', ETHER, '0', '2025-04-01'),
+    transfer('alice', 'dave', 3n * ETHER / 2n, '2500', '2025-05-01')
+];
+
+const aliceEth = (tokens = [ethToken('a1', 3n * ETHER / 2n)]) => buildPortfolio('alice', tokens, { ETHST: '3000' }, registry);
+
+test('historical prices are the last report at or before the time, including aliases and pegs', () => {
+    const history = buildPriceHistory(ORACLE_ROWS, registry);
+
+    assert.equal(getHistoricalPrice(history, 'ETHST', Date.parse('2024-12-31T00:00:00Z')), null);
+    assert.equal(getHistoricalPrice(history, 'ETHST', Date.parse('2025-03-01T00:00:00Z')), '2000');
+    assert.equal(getHistoricalPrice(history, 'ETHST', Date.parse('2025-05-31T00:00:00Z')), '2000');
+    assert.equal(getHistoricalPrice(history, 'USDST', Date.parse('2020-01-01T00:00:00Z')), '1');
+    assert.equal(getHistoricalPrice(history, 'CATA', Date.parse('2025-05-31T00:00:00Z')), null);
+});
+
+test('transfer events are read from the owner\'s side, oldest first', () => {
+    const events = readTransferEvents([
+        HISTORY[2],
+        HISTORY[0],
+        transfer('alice', 'alice', ETHER, '0', '2025-02-01'),
+        { ...transfer('bob', 'alice', ETHER, null, '2025-01-01'), block_timestamp: null, transferDate: 0 }
+    ], 'alice');
+
+    assert.deepEqual(events.map(({ direction, counterparty, price }) => [direction, counterparty, price]), [
+        ['in', 'bob', '1000'],
+        ['out', 'dave', '2500'],
+        ['in', 'bob', null]
+    ]);
+    assert.equal(events[2].time, null);
+});
+
+test('FIFO sells the oldest lots first and values received tokens at the oracle price', () => {
+    const pnl = serializeProfitAndLoss(buildProfitAndLoss(aliceEth(), HISTORY, ORACLE_ROWS, registry, { method: 'fifo' }));
+    const [eth] = pnl.assets;
+
+    assert.equal(pnl.method, 'fifo');
+    assert.deepEqual(eth.lots.map(({ quantity, unitCost, source }) => [quantity, unitCost, source]), [
+        ['0.5', '1000', 'purchase'],
+        ['1', '2000', 'transfer']
+    ]);
+    assert.equal(eth.costBasis, '2500');
+    assert.equal(eth.marketValue, '4500');
+    assert.equal(eth.unrealized, '2000');
+    // 1.5 sold at 2500 against 1.5 bought at 1000
+    assert.equal(eth.proceeds, '3750');
+    assert.equal(eth.realized, '2250');
+    assert.equal(eth.complete, true);
+    assert.deepEqual(pnl.totals, { costBasis: '2500', marketValue: '4500', unrealized: '2000', realized: '2250', proceeds: '3750', complete: true });
+});
+
+test('average cost pools every lot of known cost', () => {
+    const pnl = serializeProfitAndLoss(buildProfitAndLoss(aliceEth(), HISTORY, ORACLE_ROWS, registry, { method: 'average' }));
+    const [eth] = pnl.assets;
+
+    // 3 at an average of 4000 / 3; 1.5 of them sold
+    assert.equal(eth.lots.length, 1);
+    assert.equal(eth.lots[0].source, 'average');
+    assert.equal(eth.costBasis, '2000');
+    assert.equal(eth.unrealized, '2500');
+    assert.equal(eth.realized, '1750');
+});
+
+test('holdings and sales the history cannot explain are flagged rather than guessed', () => {
+    // 0.5 more is held than the history accounts for, and 1 was sent away before it arrived
+    const held = aliceEth([ethToken('a1', 2n * ETHER)]);
+    const pnl = buildProfitAndLoss(held, [
+        transfer('alice', 'erin', ETHER, '0', '2024-12-01'),
+        ...HISTORY
+    ], ORACLE_ROWS, registry);
+    const eth = serializeProfitAndLoss(pnl).assets[0];
+
+    assert.equal(eth.complete, false);
+    assert.equal(eth.unknownCostQuantity, '0.5');
+    assert.equal(eth.costBasis, '2500');
+    assert.deepEqual(eth.problems, [
+        '1 left before the history shows it arriving',
+        '0.5 held has no transfer history (minted, or older than the event table), so its cost is unknown'
+    ]);
+    assert.equal(pnl.totals.complete, false);
+});
+
+test('tokens from unverified issuers are left out', () => {
+    const held = aliceEth([ethToken('a1', 3n * ETHER / 2n), ethToken('f1', 100n * ETHER, 'mallory')]);
+    const pnl = serializeProfitAndLoss(buildProfitAndLoss(held, [
+        ...HISTORY,
+        transfer('mallory', 'alice', 100n * ETHER, '0', '2025-05-02', 'f1')
+    ], ORACLE_ROWS, registry));
+
+    assert.equal(pnl.assets.length, 1);
+    assert.equal(pnl.assets[0].quantity, '1.5');
+    assert.equal(pnl.assets[0].costBasis, '2500');
+    assert.equal(pnl.assets[0].transferCount, 3);
+});
+
+test('only known cost basis methods are accepted', () => {
+    assert.equal(validateCostBasisMethod('average'), 'average');
+    assert.throws(() => validateCostBasisMethod('lifo'), InvalidCostBasisMethodError);
+});
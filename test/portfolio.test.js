@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAssetRegistry } = require('../src/assetRegistry');
+const { summarizeOraclePrices, fixedPriceDetails } = require('../src/oracle');
+const { buildPortfolio, buildMultiOwnerPortfolio } = require('../src/portfolio');
+const path = require('path');
+const { loadFixtures } = require('../mock/server');
+const { REGISTRY_FIXTURE, quietLogger } = require('./helpers');
+
+const NOW = Date.parse('2025-04-10T12:00:00Z');
+const minutesAgo = (minutes) => new Date(NOW - minutes * 60 * 1000).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+
+const registry = createAssetRegistry(REGISTRY_FIXTURE);
+
+/**
+ * Prices the way getOracleValues does: latest per asset, then the registry's aliases and pegs
+ */
+const priceRows = (rows) => {
+    const summary = summarizeOraclePrices(rows, { now: NOW });
+    return {
+        latestPrices: registry.applyPriceMappings(summary.latestPrices),
+        priceDetails: registry.applyPriceMappings(summary.priceDetails, fixedPriceDetails)
+    };
+};
+
+const ORACLE_ROWS = [
+    { address: 'o1', creator: 'OracleA', name: 'ETH', consensusPrice: '1800', block_timestamp: minutesAgo(90) },
+    { address: 'o1', creator: 'OracleA', name: 'ETH', consensusPrice: '2000', block_timestamp: minutesAgo(5) },
+    { address: 'o2', creator: 'OracleB', name: 'ETH', consensusPrice: '2010', block_timestamp: minutesAgo(3) },
+    { address: 'o3', creator: 'OracleA', name: 'Gold', consensusPrice: '2400.50', block_timestamp: minutesAgo(10) }
+];
+
+test('aliased assets take the price of their oracle feed, and pegged assets their fixed price', () => {
+    const { latestPrices, priceDetails } = priceRows(ORACLE_ROWS);
+
+    assert.equal(latestPrices.ETH, '2010');
+    assert.equal(latestPrices.ETHST, '2010');
+    assert.equal(latestPrices.PAXGST, '2400.50');
+    assert.equal(latestPrices.USDST, '1');
+    assert.equal(priceDetails.ETHST.sources.length, 2);
+    assert.equal(priceDetails.USDST.fixed, true);
+});
+
+test('an alias without an oracle price leaves the asset unpriced', () => {
+    const { latestPrices } = priceRows(ORACLE_ROWS.filter(row => row.name !== 'Gold'));
+
+    assert.equal(latestPrices.Gold, undefined);
+    assert.equal(latestPrices.PAXGST, undefined);
+});
+
+test('portfolio totals value aliased holdings and keep CATA and NFTs apart', () => {
+    const assetRows = loadFixtures()['BlockApps-Mercata-Asset'].filter(row => row.ownerCommonName === 'alice');
+    const { latestPrices, priceDetails } = priceRows(ORACLE_ROWS);
+    const portfolio = buildPortfolio('alice', assetRows, latestPrices, registry, priceDetails);
+
+    const ether = portfolio.assets.find(asset => asset.name === 'ETHST');
+    assert.equal(ether.displayName, 'Ether');
+    assert.equal(ether.tokenCount, 2);
+    assert.equal(ether.quantity.toJSON(), '1.75');
+    assert.equal(ether.worth.toJSON(), '3517.5');
+
+    const { totals } = portfolio;
+    // 1.75 ETHST * 2010 + 1000 USDST * 1 + 0.5 PAXGST * 2400.50
+    assert.equal(totals.fungible.value.toJSON(), '5717.75');
+    assert.equal(totals.fungible.tokenCount, 4);
+    assert.equal(totals.cata.quantity.toJSON(), '42');
+    assert.equal(totals.nonFungible.tokenCount, 1);
+    assert.equal(totals.estimated.tokenCount, 0);
+    assert.equal(totals.unverified.tokenCount, 0);
+});
+
+test('stale prices are totalled as an estimate', () => {
+    const rows = [{ address: 'o1', creator: 'OracleA', name: 'ETH', consensusPrice: '2000', block_timestamp: minutesAgo(180) }];
+    const { latestPrices, priceDetails } = priceRows(rows);
+    const portfolio = buildPortfolio('alice', [
+        { address: 'a1', originAddress: 'e1', creator: 'BlockApps', name: 'ETHST', quantity: '2000000000000000000', decimals: 18 }
+    ], latestPrices, registry, priceDetails);
+
+    assert.equal(portfolio.assets[0].estimate, true);
+    assert.equal(portfolio.totals.fungible.value.toJSON(), '0');
+    assert.equal(portfolio.totals.estimated.value.toJSON(), '4000');
+});
+
+test('look-alike tokens from untrusted issuers are flagged and not priced', () => {
+    const { latestPrices, priceDetails } = priceRows(ORACLE_ROWS);
+    const portfolio = buildPortfolio('bob', [
+        { address: 'b1', originAddress: 'usd-real', creator: 'BlockApps', name: 'USDST', quantity: '5000000000000000000', decimals: 18 },
+        { address: 'b2', originAddress: 'usd-fake', creator: 'mallory', name: 'USDST', quantity: '9000000000000000000000', decimals: 18 }
+    ], latestPrices, registry, priceDetails);
+
+    const [real, fake] = ['usd-real', 'usd-fake'].map(key => portfolio.assets.find(asset => asset.key === key));
+    assert.equal(real.nameCollision, true);
+    assert.equal(fake.nameCollision, true);
+    assert.equal(fake.verified, false);
+    assert.equal(fake.worth, null);
+    assert.equal(fake.priceWithheld, true);
+    assert.equal(portfolio.totals.fungible.value.toJSON(), '5');
+    assert.equal(portfolio.totals.unverified.tokenCount, 1);
+});
+
+test('the shipped registry leaves colliding and issuer-less tokens unpriced', () => {
+    const shipped = createAssetRegistry(path.join(__dirname, '..', 'assets.yaml'), quietLogger);
+    const portfolio = buildPortfolio('bob', [
+        { address: 'b1', originAddress: 'usd-real', creator: 'BlockApps', name: 'USDST', quantity: '5000000000000000000', decimals: 18 },
+        { address: 'b2', originAddress: 'usd-fake', creator: 'mallory', name: 'USDST', quantity: '9000000000000000000000', decimals: 18 },
+        { address: 'b3', originAddress: 'strat', creator: 'BlockApps', name: 'STRAT', quantity: '20000', decimals: 4 },
+        { address: 'b4', originAddress: 'usdc', name: 'USDCST', quantity: '1000000000000000000', decimals: 18 }
+    ], shipped.applyPriceMappings({}), shipped, {});
+
+    const byKey = Object.fromEntries(portfolio.assets.map(asset => [asset.key, asset]));
+    assert.equal(byKey['usd-fake'].verified, false);
+    assert.equal(byKey['usd-fake'].worth, null);
+    assert.equal(byKey['usd-real'].verified, false);
+    assert.equal(byKey.usdc.verified, false);
+    assert.equal(byKey.strat.verified, true);
+    assert.equal(portfolio.totals.fungible.value.toJSON(), '2');
+    assert.equal(portfolio.totals.unverified.tokenCount, 3);
+});
+
+test('the consolidated portfolio sums every owner', () => {
+    const tables = loadFixtures();
+    const ownerAssets = ['alice', 'bob'].map(owner => ({
+        owner,
+        assetData: tables['BlockApps-Mercata-Asset'].filter(row => row.ownerCommonName === owner)
+    }));
+    const { latestPrices, priceDetails } = priceRows(ORACLE_ROWS);
+    const { owners, consolidated } = buildMultiOwnerPortfolio(ownerAssets, latestPrices, registry, priceDetails);
+
+    assert.equal(owners[1].totals.fungible.value.toJSON(), '2.5');
+    assert.equal(consolidated.totals.fungible.value.toJSON(), '5720.25');
+    assert.equal(consolidated.assets.find(asset => asset.name === 'USDST').tokenCount, 2);
+});
+
+test('tokens named after Object.prototype members are grouped and left unpriced', () => {
+    const portfolio = buildPortfolio('alice', [
+        { address: 'c1', creator: 'BlockApps', name: 'constructor', quantity: '3' },
+        { address: 'c2', creator: 'BlockApps', name: 'toString', quantity: '4' },
+        { address: 'c3', creator: 'BlockApps', name: 'constructor', quantity: '5' }
+    ], {}, registry, {});
+
+    const byName = Object.fromEntries(portfolio.assets.map(asset => [asset.name, asset]));
+    assert.equal(byName.constructor.tokenCount, 2);
+    assert.equal(byName.constructor.quantity.toJSON(), '8');
+    assert.equal(byName.toString.price, null);
+    assert.equal(portfolio.totals.nonFungible.tokenCount, 3);
+});
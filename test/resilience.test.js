@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CircuitOpenError, isRetryableError, getRetryDelay, createCircuitBreaker } = require('../src/resilience');
+
+/**
+ * Builds an axios-like error
+ */
+const axiosError = ({ status, code, method = 'get' } = {}) => Object.assign(new Error('failed'), {
+    isAxiosError: true,
+    code,
+    config: { method },
+    response: status ? { status } : undefined
+});
+
+test('5xx responses and connection failures of idempotent requests are retried', () => {
+    assert.equal(isRetryableError(axiosError({ status: 503 })), true);
+    assert.equal(isRetryableError(axiosError({ code: 'ECONNRESET' })), true);
+    assert.equal(isRetryableError(axiosError({ status: 404 })), false);
+    assert.equal(isRetryableError(axiosError({ code: 'ECONNABORTED' })), false);
+    assert.equal(isRetryableError(axiosError({ status: 503, method: 'post' })), false);
+    assert.equal(isRetryableError(new Error('not a request')), false);
+});
+
+test('retry delays back off exponentially with full jitter up to the maximum', () => {
+    const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+
+    assert.equal(getRetryDelay(1, { ...options, random: () => 0.999 }), 99);
+    assert.equal(getRetryDelay(3, { ...options, random: () => 0.5 }), 200);
+    assert.equal(getRetryDelay(10, { ...options, random: () => 0.999 }), 999);
+    assert.equal(getRetryDelay(3, { ...options, random: () => 0 }), 0);
+});
+
+test('the circuit opens after the threshold, half-opens after the timeout and closes on success', () => {
+    let now = 0;
+    const breaker = createCircuitBreaker({ failureThreshold: 2, resetTimeoutMs: 1000, now: () => now });
+
+    breaker.beforeRequest();
+    breaker.recordFailure();
+    assert.equal(breaker.getStatus().state, 'closed');
+    breaker.recordFailure();
+    assert.equal(breaker.getStatus().state, 'open');
+
+    now = 400;
+    assert.throws(() => breaker.beforeRequest(), (error) => error instanceof CircuitOpenError && error.retryAfterMs === 600);
+
+    // One trial request once the timeout has passed; others wait for its outcome
+    now = 1000;
+    breaker.beforeRequest();
+    assert.equal(breaker.getStatus().state, 'half-open');
+    assert.throws(() => breaker.beforeRequest(), CircuitOpenError);
+
+    breaker.recordSuccess();
+    assert.deepEqual(breaker.getStatus(), { state: 'closed', consecutiveFailures: 0, openedAt: null });
+});
+
+test('a failed trial request re-opens the circuit', () => {
+    let now = 0;
+    const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, now: () => now });
+
+    breaker.recordFailure();
+    now = 1500;
+    breaker.beforeRequest();
+    breaker.recordFailure();
+
+    assert.equal(breaker.getStatus().state, 'open');
+    assert.equal(breaker.getStatus().openedAt, 1500);
+    assert.throws(() => breaker.beforeRequest(), CircuitOpenError);
+});
+
+test('a cancelled trial request lets another one through', () => {
+    let now = 0;
+    const breaker = createCircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000, now: () => now });
+
+    breaker.recordFailure();
+    now = 1500;
+    breaker.beforeRequest();
+    breaker.recordCancelled();
+
+    assert.equal(breaker.getStatus().state, 'half-open');
+    assert.doesNotThrow(() => breaker.beforeRequest());
+});
@@ -0,0 +1,234 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+    TOKEN_LIFETIME_RESERVE_SECONDS,
+    AuthenticationError,
+    isAuthenticationFailure,
+    getNodeUrl,
+    createStratoClient
+} = require('../src/strato');
+const { CircuitOpenError } = require('../src/resilience');
+const { createAssetRegistry } = require('../src/assetRegistry');
+const { REGISTRY_FIXTURE, quietLogger, startMock, makeTempDir } = require('./helpers');
+
+test('getUserToken caches the token between calls', async (t) => {
+    const mock = await startMock();
+    t.after(() => mock.stop());
+    const { getUserToken } = createStratoClient(mock.getCredentials(), quietLogger);
+
+    const first = await getUserToken();
+    const second = await getUserToken();
+
+    assert.equal(first, second);
+    assert.equal(mock.state.tokenRequests, 1);
+});
+
+test('getUserToken fetches a new token once the cached one is inside the expiry reserve', async (t) => {
+    const mock = await startMock({ tokenLifetimeSeconds: 3600 });
+    t.after(() => mock.stop());
+    const { getUserToken } = createStratoClient(mock.getCredentials(), quietLogger);
+
+    const first = await getUserToken();
+    const issuedAt = Date.now();
+
+    // Still outside the reserve: cached
+    t.mock.method(Date, 'now', () => issuedAt + (3600 - TOKEN_LIFETIME_RESERVE_SECONDS - 60) * 1000);
+    assert.equal(await getUserToken(), first);
+    assert.equal(mock.state.tokenRequests, 1);
+
+    // Inside the reserve: refreshed
+    Date.now.mock.mockImplementation(() => issuedAt + (3600 - TOKEN_LIFETIME_RESERVE_SECONDS + 10) * 1000);
+    const refreshed = await getUserToken();
+    assert.notEqual(refreshed, first);
+    assert.equal(mock.state.tokenRequests, 2);
+});
+
+test('getUserToken never caches tokens that expire within the reserve', async (t) => {
+    const mock = await startMock({ tokenLifetimeSeconds: TOKEN_LIFETIME_RESERVE_SECONDS - 1 });
+    t.after(() => mock.stop());
+    const { getUserToken } = createStratoClient(mock.getCredentials(), quietLogger);
+
+    await getUserToken();
+    await getUserToken();
+
+    assert.equal(mock.state.tokenRequests, 2);
+});
+
+test('each client keeps its own token cache', async (t) => {
+    const mock = await startMock();
+    t.after(() => mock.stop());
+
+    await createStratoClient(mock.getCredentials(), quietLogger).getUserToken();
+    await createStratoClient(mock.getCredentials(), quietLogger).getUserToken();
+
+    assert.equal(mock.state.tokenRequests, 2);
+});
+
+test('getUserToken raises AuthenticationError for rejected credentials and caches nothing', async (t) => {
+    const mock = await startMock();
+    t.after(() => mock.stop());
+    const { getUserToken } = createStratoClient(mock.getCredentials({ clientSecret: 'wrong' }), quietLogger);
+
+    await assert.rejects(getUserToken(), AuthenticationError);
+    await assert.rejects(getUserToken(), AuthenticationError);
+    assert.equal(mock.state.tokenRequests, 2);
+});
+
+test('the Cirrus client sends the token and reads every page of assets', async (t) => {
+    const mock = await startMock();
+    t.after(() => mock.stop());
+    const { getAssetsForCommonNameUser, getOracleValues, createCirrusClient } = createStratoClient(mock.getCredentials(), quietLogger);
+    const client = createCirrusClient();
+
+    // Pages are fetched in parallel and share a single token request
+    const { data, error } = await getAssetsForCommonNameUser(client, 'alice');
+    assert.equal(error, null);
+    assert.equal(data.length, 6);
+    assert.ok(data.every(row => row.ownerCommonName === 'alice'));
+
+    const { latestPrices } = await getOracleValues(client, createAssetRegistry(REGISTRY_FIXTURE));
+    assert.equal(latestPrices.ETHST, '2010');
+    assert.equal(mock.state.tokenRequests, 1);
+});
+
+// Retry quickly and keep the circuit closed unless a test is about the breaker
+const FAST_RETRIES = { retryBaseDelayMs: 1, circuitFailureThreshold: 1000 };
+
+/**
+ * The Cirrus requests made for the first page of a table
+ */
+const firstPageRequests = (mock, table) => mock.state.cirrusRequests.filter(request => request.table === table && request.query.offset === '0');
+
+test('transient Cirrus failures are retried', async (t) => {
+    const mock = await startMock();
+    t.after(() => mock.stop());
+    const { getAssetsForCommonNameUser, createCirrusClient } = createStratoClient(mock.getCredentials(FAST_RETRIES), quietLogger);
+
+    mock.state.cirrusFailureStatus = 503;
+    mock.state.cirrusFailureCount = 2;
+    const { data, error } = await getAssetsForCommonNameUser(createCirrusClient(), 'alice');
+
+    assert.equal(error, null);
+    assert.equal(data.length, 6);
+    assert.equal(mock.state.cirrusFailureCount, 0);
+});
+
+test('failed Cirrus requests are returned as errors once the retries are used up', async (t) => {
+    const mock = await startMock();
+    t.after(() => mock.stop());
+    const { getAssetsForCommonNameUser, createCirrusClient } = createStratoClient(mock.getCredentials({ ...FAST_RETRIES, requestRetries: 2 }), quietLogger);
+
+    mock.state.cirrusFailureStatus = 500;
+    const failed = await getAssetsForCommonNameUser(createCirrusClient(), 'alice');
+
+    assert.equal(failed.error.response.status, 500);
+    assert.equal(isAuthenticationFailure(failed.error), false);
+    assert.equal(firstPageRequests(mock, 'BlockApps-Mercata-Asset').length, 3);
+});
+
+test('client errors are not retried', async (t) => {
+    const mock = await startMock();
+    t.after(() => mock.stop());
+    const { getAssetsForCommonNameUser, createCirrusClient } = createStratoClient(mock.getCredentials(FAST_RETRIES), quietLogger);
+
+    mock.state.cirrusFailureStatus = 404;
+    const failed = await getAssetsForCommonNameUser(createCirrusClient(), 'alice');
+
+    assert.equal(failed.error.response.status, 404);
+    assert.equal(firstPageRequests(mock, 'BlockApps-Mercata-Asset').length, 1);
+});
+
+test('a token rejected by the node is replaced and the request replayed', async (t) => {
+    const mock = await startMock();
+    t.after(() => mock.stop());
+    const { getUserToken, getAssetsForCommonNameUser, createCirrusClient } = createStratoClient(mock.getCredentials(FAST_RETRIES), quietLogger);
+
+    const revoked = await getUserToken();
+    mock.state.issuedTokens.clear();
+    const { data, error } = await getAssetsForCommonNameUser(createCirrusClient(), 'alice');
+
+    assert.equal(error, null);
+    assert.equal(data.length, 6);
+    assert.notEqual(await getUserToken(), revoked);
+});
+
+test('a 401 that persists after the token refresh is an authentication failure', async (t) => {
+    const mock = await startMock();
+    t.after(() => mock.stop());
+    const { getAssetsForCommonNameUser, createCirrusClient } = createStratoClient(mock.getCredentials(FAST_RETRIES), quietLogger);
+
+    mock.state.cirrusFailureStatus = 401;
+    const rejected = await getAssetsForCommonNameUser(createCirrusClient(), 'alice');
+
+    assert.equal(isAuthenticationFailure(rejected.error), true);
+    assert.equal(firstPageRequests(mock, 'BlockApps-Mercata-Asset').length, 2);
+});
+
+test('the circuit opens after repeated failures and stops calling the node', async (t) => {
+    const mock = await startMock();
+    t.after(() => mock.stop());
+    const { getAssetsForCommonNameUser, getCircuitStatus, createCirrusClient } = createStratoClient(
+        mock.getCredentials({ requestRetries: 0, circuitFailureThreshold: 1, circuitResetSeconds: 60 }),
+        quietLogger
+    );
+    const client = createCirrusClient();
+
+    mock.state.cirrusFailureStatus = 503;
+    const first = await getAssetsForCommonNameUser(client, 'alice');
+    assert.equal(first.error.response.status, 503);
+    assert.equal(getCircuitStatus().state, 'open');
+
+    const second = await getAssetsForCommonNameUser(client, 'alice');
+    assert.ok(second.error instanceof CircuitOpenError);
+    assert.equal(firstPageRequests(mock, 'BlockApps-Mercata-Asset').length, 1);
+});
+
+test('a token failure while replaying the half-open trial frees the circuit for the next request', async (t) => {
+    const mock = await startMock();
+    t.after(() => mock.stop());
+    const { getAssetsForCommonNameUser, getCircuitStatus, createCirrusClient } = createStratoClient(
+        mock.getCredentials({ requestRetries: 0, circuitFailureThreshold: 1, circuitResetSeconds: 0 }),
+        quietLogger
+    );
+    const client = createCirrusClient();
+
+    mock.state.cirrusFailureStatus = 503;
+    await getAssetsForCommonNameUser(client, 'alice');
+    assert.equal(getCircuitStatus().state, 'open');
+
+    // The trial is rejected with 401, and the new token for its replay cannot be fetched
+    mock.state.cirrusFailureStatus = 401;
+    mock.state.cirrusFailureCount = 1;
+    mock.state.tokenFailureStatus = 503;
+    const trial = await getAssetsForCommonNameUser(client, 'alice');
+    assert.ok(trial.error);
+    assert.ok(!(trial.error instanceof CircuitOpenError));
+
+    mock.state.tokenFailureStatus = null;
+    const { data, error } = await getAssetsForCommonNameUser(client, 'alice');
+    assert.equal(error, null);
+    assert.equal(data.length, 6);
+    assert.equal(getCircuitStatus().state, 'closed');
+});
+
+test('getNodeUrl defaults plain hosts to https', () => {
+    assert.equal(getNodeUrl('node.example.com'), 'https://node.example.com');
+    assert.equal(getNodeUrl('http://127.0.0.1:8080/'), 'http://127.0.0.1:8080');
+});
+
+test('a token cache file lets a new client reuse the token', async (t) => {
+    const mock = await startMock();
+    t.after(() => mock.stop());
+    const credentials = mock.getCredentials({
+        tokenCacheFile: path.join(makeTempDir(t), 'tokens.json'),
+        tokenCacheSecret: 'correct horse battery staple'
+    });
+
+    const token = await createStratoClient(credentials, quietLogger).getUserToken();
+    const restarted = createStratoClient(credentials, quietLogger);
+
+    assert.equal(await restarted.getUserToken(), token);
+    assert.equal(restarted.getTokenStatus().source, 'cache file');
+    assert.equal(mock.state.tokenRequests, 1);
+});
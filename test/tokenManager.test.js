@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { RENEW_AHEAD_SECONDS, TokenCacheError, createEncryptedTokenStore, createTokenManager } = require('../src/tokenManager');
+const { quietLogger, makeTempDir } = require('./helpers');
+
+const SECRET = 'correct horse battery staple';
+const RESERVE_SECONDS = 120;
+
+/**
+ * A fetchToken stand-in issuing numbered tokens that expire after `lifetimeSeconds`
+ */
+const createIssuer = (lifetimes = [3600]) => {
+    const issuer = {
+        calls: 0,
+        failure: null,
+        fetchToken: async () => {
+            issuer.calls += 1;
+            await new Promise(resolve => setImmediate(resolve));
+            if (issuer.failure) {
+                throw issuer.failure;
+            }
+            const lifetime = lifetimes[Math.min(issuer.calls, lifetimes.length) - 1];
+            return { token: `token-${issuer.calls}`, expiresAt: Math.floor(Date.now() / 1000) + lifetime };
+        }
+    };
+    return issuer;
+};
+
+const createManager = (issuer, options = {}) => createTokenManager({
+    fetchToken: issuer.fetchToken,
+    cacheKey: 'client',
+    logger: quietLogger,
+    reserveSeconds: RESERVE_SECONDS,
+    ...options
+});
+
+test('concurrent callers share a single refresh', async () => {
+    const issuer = createIssuer();
+    const manager = createManager(issuer);
+
+    const tokens = await Promise.all(Array.from({ length: 5 }, () => manager.getToken()));
+
+    assert.deepEqual(tokens, Array(5).fill('token-1'));
+    assert.equal(issuer.calls, 1);
+    assert.equal(manager.getStatus().refreshCount, 1);
+});
+
+test('a failed refresh is reported in the status and retried by the next caller', async () => {
+    const issuer = createIssuer();
+    const manager = createManager(issuer);
+
+    issuer.failure = new Error('provider down');
+    await assert.rejects(Promise.all([manager.getToken(), manager.getToken()]), /provider down/);
+    assert.equal(issuer.calls, 1);
+    assert.equal(manager.getStatus().lastRefreshError.message, 'provider down');
+    assert.equal(manager.getStatus().hasToken, false);
+
+    issuer.failure = null;
+    assert.equal(await manager.getToken(), 'token-2');
+    assert.equal(manager.getStatus().lastRefreshError, null);
+    // Callers sharing the failed request count as one failure
+    assert.equal(manager.getStatus().refreshFailureCount, 1);
+    assert.equal(manager.getStatus().refreshCount, 1);
+});
+
+test('invalidating a token that was already replaced keeps the new one', async () => {
+    const issuer = createIssuer();
+    const manager = createManager(issuer);
+
+    const first = await manager.getToken();
+    manager.invalidate(first);
+    const second = await manager.getToken();
+    manager.invalidate(first);
+
+    assert.equal(await manager.getToken(), second);
+    assert.equal(issuer.calls, 2);
+});
+
+test('the status never includes the token', async () => {
+    const manager = createManager(createIssuer());
+    await manager.getToken();
+
+    const status = manager.getStatus();
+    assert.equal(status.hasToken, true);
+    assert.equal(status.source, 'OAuth provider');
+    assert.ok(status.expiresInSeconds > 3590);
+    assert.doesNotMatch(JSON.stringify(status), /token-1/);
+});
+
+test('background renewal replaces the token before it enters the reserve', async (t) => {
+    // The first token is already due for renewal, the second is not
+    const issuer = createIssuer([RESERVE_SECONDS + RENEW_AHEAD_SECONDS, 3600]);
+    const manager = createManager(issuer);
+    t.after(() => manager.stopBackgroundRenewal());
+
+    assert.equal(await manager.getToken(), 'token-1');
+    manager.startBackgroundRenewal();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(issuer.calls, 2);
+    assert.equal(await manager.getToken(), 'token-2');
+    assert.equal(manager.getStatus().backgroundRenewal, true);
+});
+
+test('short-lived tokens are renewed once per half lifetime, not in a loop', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    let clock = Date.parse('2025-04-10T12:00:00Z');
+    let calls = 0;
+    // Every token is issued with only 10 seconds more than the reserve, so it is due at once
+    const manager = createTokenManager({
+        fetchToken: async () => {
+            calls += 1;
+            return { token: `token-${calls}`, expiresAt: Math.floor(clock / 1000) + RESERVE_SECONDS + 10 };
+        },
+        cacheKey: 'client',
+        logger: quietLogger,
+        reserveSeconds: RESERVE_SECONDS,
+        now: () => clock
+    });
+    t.after(() => manager.stopBackgroundRenewal());
+
+    manager.startBackgroundRenewal();
+    for (let second = 0; second < 260; second += 1) {
+        t.mock.timers.tick(1000);
+        clock += 1000;
+        await new Promise(resolve => setImmediate(resolve));
+    }
+
+    // One fetch at start, then one every 65 seconds
+    assert.equal(calls, 5);
+});
+
+test('the encrypted store round-trips tokens without writing them in clear text', (t) => {
+    const filePath = path.join(makeTempDir(t), 'cache', 'tokens.json');
+    const store = createEncryptedTokenStore(filePath, SECRET);
+
+    store.save('a', { token: 'secret-token', expiresAt: 2000000000 });
+    store.save('b', { token: 'other-token', expiresAt: 2000000000 });
+    store.remove('b');
+
+    assert.deepEqual(createEncryptedTokenStore(filePath, SECRET).load('a'), { token: 'secret-token', expiresAt: 2000000000 });
+    assert.equal(createEncryptedTokenStore(filePath, SECRET).load('b'), null);
+    assert.doesNotMatch(fs.readFileSync(filePath, 'utf8'), /secret-token/);
+    assert.throws(() => createEncryptedTokenStore(filePath, 'a different secret').load('a'), TokenCacheError);
+});
+
+test('persisted tokens survive a restart, but not a changed secret', async (t) => {
+    const filePath = path.join(makeTempDir(t), 'tokens.json');
+    const issuer = createIssuer();
+
+    await createManager(issuer, { store: createEncryptedTokenStore(filePath, SECRET) }).getToken();
+    const restarted = createManager(issuer, { store: createEncryptedTokenStore(filePath, SECRET) });
+    assert.equal(await restarted.getToken(), 'token-1');
+    assert.equal(restarted.getStatus().source, 'cache file');
+    assert.equal(issuer.calls, 1);
+
+    const rekeyed = createManager(issuer, { store: createEncryptedTokenStore(filePath, 'a different secret') });
+    assert.equal(await rekeyed.getToken(), 'token-2');
+    assert.equal(issuer.calls, 2);
+});
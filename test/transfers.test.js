@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { fromRaw, toDecimalString } = require('../src/decimal');
+const {
+    TRANSFER_STATUSES,
+    TransferError,
+    parseAddress,
+    buildTransferPreview,
+    buildTransferTransactions,
+    summarizeTransactionResults,
+    createTransferStore,
+    createTransferService
+} = require('../src/transfers');
+const { makeTempDir } = require('./helpers');
+
+const RECIPIENT = 'c300000000000000000000000000000000000001';
+
+/**
+ * An ETHST holding of 1.75 in two tokens
+ */
+const ethst = () => ({
+    key: 'o1',
+    name: 'ETHST',
+    displayName: 'Ether',
+    decimals: 18,
+    totalQuantity: 1750000000000000000n,
+    quantity: fromRaw(1750000000000000000n, 18),
+    tokens: [
+        { address: 'a2', quantity: '250000000000000000' },
+        { address: 'a1', quantity: '1500000000000000000' }
+    ]
+});
+
+/**
+ * A transfer service over a node stand-in whose calls settle when the test says
+ */
+const createService = (t) => {
+    const node = { submissions: [], results: [], submitError: null, settled: [] };
+    const store = createTransferStore(path.join(makeTempDir(t), 'transfers.jsonl'));
+    const service = createTransferService({
+        submitTransactions: async (txs) => {
+            if (node.submitError) {
+                return { results: [], error: node.submitError };
+            }
+            node.submissions.push(txs);
+            return { results: txs.map((tx, index) => ({ status: 'Pending', hash: `h${index}` })), error: null };
+        },
+        getTransactionResults: async (hashes) => ({ results: hashes.map((hash, index) => ({ hash, ...node.results[index] })), error: null }),
+        store,
+        onSettled: (transfer) => node.settled.push(transfer.id)
+    });
+    return { node, store, service };
+};
+
+test('addresses are 40 hex digits with an optional 0x prefix', () => {
+    assert.equal(parseAddress(`0x${RECIPIENT.toUpperCase()}`), RECIPIENT);
+    assert.equal(parseAddress(` ${RECIPIENT} `), RECIPIENT);
+    assert.equal(parseAddress('alice'), null);
+    assert.equal(parseAddress(undefined), null);
+});
+
+test('previews scale the quantity and take it from the largest tokens first', () => {
+    const preview = buildTransferPreview(ethst(), { to: `0x${RECIPIENT}`, quantity: '1.6' });
+
+    assert.equal(preview.recipient, RECIPIENT);
+    assert.equal(preview.rawQuantity, 1600000000000000000n);
+    assert.equal(toDecimalString(preview.remaining), '0.15');
+    assert.deepEqual(preview.allocations.map(({ address, rawQuantity }) => [address, rawQuantity]), [
+        ['a1', 1500000000000000000n],
+        ['a2', 100000000000000000n]
+    ]);
+    assert.deepEqual(buildTransferTransactions(preview)[1], {
+        type: 'FUNCTION',
+        payload: { contractName: 'Asset', contractAddress: 'a2', method: 'transfer', args: { newOwner: RECIPIENT, quantity: 100000000000000000n } }
+    });
+});
+
+test('invalid transfers list every problem', () => {
+    assert.throws(() => buildTransferPreview(ethst(), { to: 'bob', quantity: '0' }), (error) => {
+        assert.ok(error instanceof TransferError);
+        assert.deepEqual(error.problems, [
+            'recipient must be an account address of 40 hexadecimal digits',
+            'quantity must be a number greater than 0'
+        ]);
+        return true;
+    });
+    assert.throws(() => buildTransferPreview(ethst(), { to: RECIPIENT, quantity: '2' }), /more than the 1.75 held/);
+    assert.throws(() => buildTransferPreview(ethst(), { to: RECIPIENT, quantity: '1e-100000000' }), /quantity must be a number greater than 0/);
+    assert.throws(() => buildTransferPreview({ ...ethst(), decimals: 0 }, { to: RECIPIENT, quantity: '0.5' }), /more than the 0 decimal places ETHST supports/);
+});
+
+test('a transfer settles when every call has succeeded, or fails with any call', () => {
+    assert.equal(summarizeTransactionResults([{ status: 'Success' }, { status: 'Pending' }]), TRANSFER_STATUSES.PENDING);
+    assert.equal(summarizeTransactionResults([{ status: 'Success' }, { status: 'Success' }]), TRANSFER_STATUSES.SUCCESS);
+    assert.equal(summarizeTransactionResults([{ status: 'Failure' }, { status: 'Pending' }]), TRANSFER_STATUSES.FAILURE);
+});
+
+test('submitted transfers are followed until they settle', async (t) => {
+    const { node, store, service } = createService(t);
+    const preview = buildTransferPreview(ethst(), { to: RECIPIENT, quantity: '1.6' });
+
+    const transfer = await service.submit('alice', preview, 'request-0001');
+    assert.equal(transfer.status, TRANSFER_STATUSES.PENDING);
+    assert.equal(transfer.rawQuantity, '1600000000000000000');
+    assert.deepEqual(transfer.calls.map(({ hash }) => hash), ['h0', 'h1']);
+
+    // The same request is never sent twice
+    assert.equal((await service.submit('alice', preview, 'request-0001')).id, transfer.id);
+    assert.equal(node.submissions.length, 1);
+
+    node.results = [{ status: 'Success' }, { status: 'Pending' }];
+    assert.equal((await service.refresh(transfer.id)).status, TRANSFER_STATUSES.PENDING);
+    node.results = [{ status: 'Success' }, { status: 'Failure', txResult: { message: 'Insufficient quantity' } }];
+    const failed = await service.refresh(transfer.id);
+
+    assert.equal(failed.status, TRANSFER_STATUSES.FAILURE);
+    assert.equal(failed.calls[1].error, 'Insufficient quantity');
+    assert.deepEqual(node.settled, [transfer.id]);
+    assert.equal((await store.get(transfer.id)).status, TRANSFER_STATUSES.FAILURE);
+    assert.equal(await service.refresh('missing'), null);
+});
+
+test('concurrent submissions of the same request send the calls once', async (t) => {
+    const { node, service } = createService(t);
+    const preview = buildTransferPreview(ethst(), { to: RECIPIENT, quantity: '1' });
+
+    const [first, second] = await Promise.all([
+        service.submit('alice', preview, 'request-0003'),
+        service.submit('alice', preview, 'request-0003')
+    ]);
+
+    assert.equal(second.id, first.id);
+    assert.equal(node.submissions.length, 1);
+});
+
+test('a submission the node never answered is recorded as unknown', async (t) => {
+    const { node, service } = createService(t);
+    node.submitError = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+    const transfer = await service.submit('alice', buildTransferPreview(ethst(), { to: RECIPIENT, quantity: '1' }), 'request-0002');
+
+    assert.equal(transfer.status, TRANSFER_STATUSES.UNKNOWN);
+    assert.match(transfer.error, /did not confirm the submission/);
+    assert.deepEqual(node.settled, []);
+});
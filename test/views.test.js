@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDecimal } = require('../src/decimal');
+const { calculateActualValue, formatAssetWorth, escapeHtml, renderTotalsCard } = require('../src/views');
+
+test('calculateActualValue scales 18-decimal quantities without rounding through floats', () => {
+    assert.equal(calculateActualValue('1500000000000000000', 18), '1.50');
+    // 2^53 + 1 wei-style units would lose their last digit as a Number
+    assert.equal(calculateActualValue('9007199254740993000000000000', 18), '9,007,199,254.740993');
+    assert.equal(calculateActualValue('123456789012345678901234567890', 18), '123,456,789,012.345679');
+});
+
+test('calculateActualValue keeps 2 to 6 fraction digits, rounding half away from zero', () => {
+    assert.equal(calculateActualValue('5', 0), '5.00');
+    assert.equal(calculateActualValue('1234567', 6), '1.234567');
+    assert.equal(calculateActualValue('12345675', 7), '1.234568');
+    assert.equal(calculateActualValue('1', 18), '0.00');
+    assert.equal(calculateActualValue('500000000000', 18), '0.000001');
+    assert.equal(calculateActualValue('499999999999', 18), '0.00');
+});
+
+test('calculateActualValue accepts string, number and missing decimals', () => {
+    assert.equal(calculateActualValue('150', '2'), '1.50');
+    assert.equal(calculateActualValue('150', null), '150.00');
+    assert.equal(calculateActualValue('150', undefined), '150.00');
+    assert.equal(calculateActualValue(150n, 1), '15.00');
+});
+
+test('calculateActualValue reads exponent and empty quantities', () => {
+    assert.equal(calculateActualValue('1e+21', 18), '1,000.00');
+    assert.equal(calculateActualValue('', 18), '0.00');
+    assert.equal(calculateActualValue(null, 18), '0.00');
+});
+
+test('formatAssetWorth rounds to cents but never shows a positive worth as 0.00', () => {
+    assert.equal(formatAssetWorth(parseDecimal('3517.505')), '3,517.51');
+    assert.equal(formatAssetWorth(parseDecimal('0.001')), '0.01');
+    assert.equal(formatAssetWorth(parseDecimal('0')), '0.00');
+});
+
+test('escapeHtml escapes markup in asset names', () => {
+    assert.equal(escapeHtml('<b>"Art" & \'co\'</b>'), '&lt;b&gt;&quot;Art&quot; &amp; &#039;co&#039;&lt;/b&gt;');
+});
+
+test('renderTotalsCard shows estimate and unverified rows only when there are any', () => {
+    const totals = {
+        fungible: { tokenCount: 3, value: parseDecimal('1234.5') },
+        estimated: { tokenCount: 0, value: parseDecimal('0') },
+        nonFungible: { tokenCount: 1 },
+        cata: { tokenCount: 1, quantity: parseDecimal('42') },
+        unverified: { tokenCount: 0, assetCount: 0 }
+    };
+
+    const html = renderTotalsCard(totals);
+    assert.match(html, /3 Fungible tokens<\/td>\s*<td>worth \$1,234.50<\/td>/);
+    assert.match(html, /1 non-fungible tokens/);
+    assert.match(html, /42.00 CATA/);
+    assert.doesNotMatch(html, /stale or disputed/);
+    assert.doesNotMatch(html, /unverified/);
+
+    const flagged = renderTotalsCard({
+        ...totals,
+        estimated: { tokenCount: 2, value: parseDecimal('10') },
+        unverified: { tokenCount: 4, assetCount: 1 }
+    });
+    assert.match(flagged, /~\$10.00 \(estimate, not included above\)/);
+    assert.match(flagged, /4 tokens from unverified issuers/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { SIGNATURE_HEADER, TIMESTAMP_HEADER, signPayload, verifySignature, createWebhookSender } = require('../src/webhooks');
+const { quietLogger } = require('./helpers');
+
+const SECRET = 'webhook-secret-0123456789';
+
+/**
+ * Starts a webhook receiver that answers with the given statuses in turn, then 204
+ */
+const startReceiver = async (t, statuses = []) => {
+    const receiver = { requests: [] };
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body });
+            res.statusCode = statuses.shift() || 204;
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+    return receiver;
+};
+
+test('signatures cover the timestamp and the exact body', () => {
+    const signature = signPayload(SECRET, 1700000000, '{"a":1}');
+
+    assert.match(signature, /^sha256=[0-9a-f]{64}$/);
+    assert.ok(verifySignature(SECRET, '1700000000', '{"a":1}', signature));
+    assert.ok(!verifySignature(SECRET, '1700000001', '{"a":1}', signature));
+    assert.ok(!verifySignature(SECRET, '1700000000', '{"a":2}', signature));
+    assert.ok(!verifySignature('another-secret-0123456789', '1700000000', '{"a":1}', signature));
+    assert.ok(!verifySignature(SECRET, '1700000000', '{"a":1}', undefined));
+});
+
+test('deliveries are signed JSON posts and transient failures are retried', async (t) => {
+    const receiver = await startReceiver(t, [503]);
+    const sender = createWebhookSender({ baseDelayMs: 1, logger: quietLogger });
+
+    const delivery = await sender.deliver({ name: 'ops', url: receiver.url, secret: SECRET, retries: 2 }, { rule: 'eth-low' });
+
+    assert.equal(delivery.delivered, true);
+    assert.equal(delivery.attempts, 2);
+    assert.equal(delivery.status, 204);
+    assert.equal(receiver.requests.length, 2);
+    const { headers, body } = receiver.requests[1];
+    assert.equal(headers['content-type'], 'application/json');
+    assert.deepEqual(JSON.parse(body), { rule: 'eth-low' });
+    assert.ok(verifySignature(SECRET, headers[TIMESTAMP_HEADER.toLowerCase()], body, headers[SIGNATURE_HEADER.toLowerCase()]));
+});
+
+test('client errors are not retried and retries are bounded', async (t) => {
+    const rejecting = await startReceiver(t, [400]);
+    const failing = await startReceiver(t, [500, 500, 500]);
+    const sender = createWebhookSender({ baseDelayMs: 1, logger: quietLogger });
+
+    const rejected = await sender.deliver({ name: 'ops', url: rejecting.url, secret: SECRET, retries: 3 }, {});
+    const failed = await sender.deliver({ name: 'ops', url: failing.url, secret: SECRET, retries: 1 }, {});
+
+    assert.deepEqual([rejected.delivered, rejected.attempts, rejected.status], [false, 1, 400]);
+    assert.deepEqual([failed.delivered, failed.attempts, failed.status], [false, 2, 500]);
+    assert.match(failed.error, /500/);
+});